@@ -1,7 +1,9 @@
 import { launchBrowser, navigateAndWait, closeBrowser } from '../src/browser.js';
-import { extractAllFromHtml, buildElementMap } from '../src/extractor.js';
 import { parseActionSpec, validateAction, ActionExecutor } from '../src/actions.js';
-import { captureSnapshot } from '../src/snapshot.js';
+import { buildPageElementMap, captureSnapshot } from '../src/snapshot.js';
+import { loadActionScript, runActionScript } from '../src/action-script.js';
+import { ApiCapture } from '../src/api-capture.js';
+import { fitApiResponses } from '../src/formatter.js';
 
 function parseSnapshotPayload(snapshotText, mode) {
   if (mode === 'text') {
@@ -15,24 +17,51 @@ function parseSnapshotPayload(snapshotText, mode) {
   }
 }
 
+// Responses recorded by --capture-api during navigation and the actions, within the --tokens budget.
+async function addApiResponses(output, apiCapture, opts) {
+  if (!apiCapture) return output;
+  const { api, truncated } = await fitApiResponses(await apiCapture.results(), { maxTokens: opts.tokens });
+  output.api = api;
+  if (truncated) output.apiTruncated = true;
+  return output;
+}
+
+async function addSnapshot(output, page, opts) {
+  if (!opts.snapshot) return output;
+  const snap = await captureSnapshot(page, {
+    mode: opts.snapshotMode ?? 'interactive',
+    maxTokens: opts.tokens,
+  });
+  output.snapshot = parseSnapshotPayload(snap.text, opts.snapshotMode ?? 'interactive');
+  return output;
+}
+
 export async function handleActionCommand(url, opts) {
+  if (opts.script) {
+    if (opts.actions) throw new Error('Use either --actions or --script, not both');
+    return handleScript(url, opts);
+  }
+  if (!url) throw new Error('Missing <url>');
+
   const actions = parseActionSpec(opts.actions);
 
   if (actions.length === 0) {
-    throw new Error('No actions specified. Use --actions "click:e1,type:e2:value"');
+    throw new Error('No actions specified. Use --actions "click:e1,type:e2:value" or --script <file>');
   }
 
   const { browser, context, page } = await launchBrowser({
+    browserName: opts.browser,
     headless: !opts.headed,
+    recordHar: opts.recordHar,
+    replayHar: opts.replayHar,
   });
+  const apiCapture = opts.capture ? new ApiCapture(opts.capture).attach(context) : null;
 
   try {
-    const nav = await navigateAndWait(page, url, { timeoutMs: opts.timeout });
+    await navigateAndWait(page, url, { timeoutMs: opts.timeout, waitFor: opts.waitFor });
 
     // Build element map from initial page state
-    const html = await page.content();
-    const extracted = extractAllFromHtml(html, nav.finalUrl ?? url);
-    const elementMap = buildElementMap(extracted.elements);
+    const elementMap = await buildPageElementMap(page, actions);
 
     // Validate all actions before executing any
     for (const action of actions) {
@@ -47,20 +76,52 @@ export async function handleActionCommand(url, opts) {
 
     const output = {
       url,
-      finalUrl: page.url(),
+      finalUrl: executor.page.url(),
       actions: results,
     };
 
+    await addApiResponses(output, apiCapture, opts);
     // Optionally capture post-action snapshot
-    if (opts.snapshot) {
-      const snap = await captureSnapshot(page, {
-        mode: opts.snapshotMode ?? 'interactive',
-        maxTokens: opts.tokens,
-      });
-      output.snapshot = parseSnapshotPayload(snap.text, opts.snapshotMode ?? 'interactive');
-    }
+    return await addSnapshot(output, executor.page, opts);
+  } finally {
+    await closeBrowser({ browser, context, page });
+  }
+}
+
+// --script: a JSON/YAML action script (see src/action-script.js); its `url` is used when none is given.
+async function handleScript(url, opts) {
+  const script = await loadActionScript(opts.script);
+  const target = url ?? script.url;
+  if (!target) throw new Error('Missing <url>: pass one or set "url" in the script');
 
-    return output;
+  const { browser, context, page } = await launchBrowser({
+    browserName: opts.browser,
+    headless: !opts.headed,
+    recordHar: opts.recordHar,
+    replayHar: opts.replayHar,
+  });
+  const apiCapture = opts.capture ? new ApiCapture(opts.capture).attach(context) : null;
+
+  try {
+    await navigateAndWait(page, target, { timeoutMs: opts.timeout, waitFor: opts.waitFor });
+
+    const {
+      results,
+      page: active,
+      redact,
+    } = await runActionScript(page, script, {
+      variables: opts.var,
+      defaultTimeoutMs: opts.actionTimeout ?? 10000,
+    });
+
+    const output = {
+      url: target,
+      finalUrl: active.url(),
+      actions: results,
+    };
+    await addApiResponses(output, apiCapture, opts);
+    // Typed or navigated-to secrets can show up in the URL, the snapshot and captured responses.
+    return redact(await addSnapshot(output, active, opts));
   } finally {
     await closeBrowser({ browser, context, page });
   }
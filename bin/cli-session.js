@@ -1,92 +1,34 @@
-import { createSession, getSession, closeSession, listSessions } from '../src/session-manager.js';
-import { extractAllFromHtml, buildElementMap } from '../src/extractor.js';
-import { parseActionSpec, validateAction, ActionExecutor } from '../src/actions.js';
-import { captureSnapshot } from '../src/snapshot.js';
+import { daemonStatus, sendSessionCommand, startDaemon, stopDaemon } from '../src/session-client.js';
 
-function parseSnapshotPayload(snapshotText, mode) {
-  if (mode === 'text') {
-    return snapshotText;
-  }
-
-  try {
-    return JSON.parse(snapshotText);
-  } catch {
-    return snapshotText;
+export async function handleSessionCommand(subcommand, opts) {
+  if (subcommand === 'daemon') {
+    return handleDaemon(opts.session);
   }
+  return sendSessionCommand(subcommand, opts);
 }
 
-export async function handleSessionCommand(subcommand, opts) {
-  switch (subcommand) {
+async function handleDaemon(action) {
+  switch (action) {
     case 'start':
-      return handleStart(opts);
-    case 'exec':
-      return handleExec(opts);
-    case 'snapshot':
-      return handleSnapshot(opts);
-    case 'close':
-      return handleClose(opts);
-    case 'list':
-      return handleList();
+      return startDaemon();
+    case 'stop':
+      return stopDaemon();
+    case 'status':
+      return daemonStatus();
+    case 'run':
+      return runDaemon();
     default:
-      throw new Error(`Unknown session subcommand: "${subcommand}". Expected: start|exec|snapshot|close|list`);
-  }
-}
-
-async function handleStart(opts) {
-  if (!opts.url) throw new Error('session start requires a URL');
-  return createSession(opts.url, {
-    timeoutMs: opts.timeout,
-    headless: !opts.headed,
-  });
-}
-
-async function handleExec(opts) {
-  if (!opts.session) throw new Error('--session <id> is required');
-  if (!opts.action) throw new Error('--action <spec> is required');
-
-  const session = getSession(opts.session);
-  const page = session.page;
-
-  // Build element map from current page state
-  const html = await page.content();
-  const url = page.url();
-  const extracted = extractAllFromHtml(html, url);
-  const elementMap = buildElementMap(extracted.elements);
-
-  const actions = parseActionSpec(opts.action);
-  for (const action of actions) {
-    validateAction(action, elementMap);
+      throw new Error(`Unknown daemon action: "${action}". Expected: start|stop|status|run`);
   }
-
-  const executor = new ActionExecutor(page, elementMap, {
-    defaultTimeoutMs: opts.actionTimeout ?? 10000,
-  });
-  const results = await executor.executeAll(actions);
-
-  return {
-    sessionId: opts.session,
-    finalUrl: page.url(),
-    actions: results,
-  };
 }
 
-async function handleSnapshot(opts) {
-  if (!opts.session) throw new Error('--session <id> is required');
+// Foreground daemon; `session daemon start` and auto-start spawn this detached.
+async function runDaemon() {
+  const { startSessionDaemon } = await import('../src/session-daemon.js');
 
-  const session = getSession(opts.session);
-  const snap = await captureSnapshot(session.page, {
-    mode: opts.mode ?? 'interactive',
-    maxTokens: opts.tokens,
-  });
-
-  return parseSnapshotPayload(snap.text, opts.mode ?? 'interactive');
-}
-
-async function handleClose(opts) {
-  if (!opts.session) throw new Error('--session <id> is required');
-  return closeSession(opts.session);
-}
+  const daemon = await startSessionDaemon();
+  console.error(`[lean-browser] session daemon listening on ${daemon.socketPath} (pid ${process.pid})`);
 
-async function handleList() {
-  return listSessions();
+  await daemon.stopped;
+  process.exit(0);
 }
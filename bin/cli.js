@@ -1,14 +1,23 @@
 #!/usr/bin/env node
-import { Command } from 'commander';
+import { Command, InvalidArgumentError } from 'commander';
 import process from 'node:process';
-import { fetchRenderedHtml, takeScreenshot } from '../src/browser.js';
-import { extractAllFromHtml } from '../src/extractor.js';
-import { formatInteractive, formatJson, formatText } from '../src/formatter.js';
+import { BROWSERS, ENGINES, fetchRenderedHtml, takeScreenshot } from '../src/browser.js';
+import { extractFetched } from '../src/documents.js';
+import { formatA11y, formatFeed, formatInteractive, formatJson, formatMarkdown, formatText } from '../src/formatter.js';
 import { handleActionCommand } from './cli-action.js';
 import { handleSessionCommand } from './cli-session.js';
-import { writeFile } from 'node:fs/promises';
+import { readFile, writeFile } from 'node:fs/promises';
+import { createWriteStream } from 'node:fs';
+import { once } from 'node:events';
+import { text as readStream } from 'node:stream/consumers';
 import { Buffer } from 'node:buffer';
 import { BrowserError } from '../src/errors.js';
+import { CHUNK_MODES, createChunkedDocument, readChunk } from '../src/chunks.js';
+import { recordSession } from '../src/recorder.js';
+import { BATCH_MODES, DEFAULT_BATCH_TOKENS, MAX_BATCH_CONCURRENCY, fetchPages, parseUrlList } from '../src/batch.js';
+import { crawlSite } from '../src/crawler.js';
+import { FEED_SOURCES, fetchFeed } from '../src/feeds.js';
+import { DEFAULT_CACHE_TTL_MS, ResponseCache } from '../src/cache.js';
 
 /**
  * Format error for CLI output with helpful context and suggestions.
@@ -32,7 +41,29 @@ function formatCliError(error) {
     return output;
   }
 
-  return error?.stack || error?.message || String(error);
+  // Action scripts report the failing step, e.g. `steps[3].then[0]`.
+  const where = error?.step ? `${error.step}: ` : '';
+  return where + (error?.stack || error?.message || String(error));
+}
+
+function collectVar(value, vars) {
+  const eq = value.indexOf('=');
+  if (eq < 1) throw new InvalidArgumentError('Expected name=value.');
+  return { ...vars, [value.slice(0, eq)]: value.slice(eq + 1) };
+}
+
+function collectList(value, list) {
+  return [...list, value];
+}
+
+// Write one line, waiting for a full stream buffer to drain, so results are not
+// all held in memory when the output is slower than the fetching.
+async function writeLine(out, line) {
+  if (!out.write(`${line}\n`)) await once(out, 'drain');
+}
+
+function finishStream(out) {
+  return new Promise((resolve, reject) => out.end((err) => (err ? reject(err) : resolve())));
 }
 
 /**
@@ -43,6 +74,64 @@ function onRetry(error, attempt) {
   process.stderr.write(`[lean-browser] ${errorType} occurred. Retrying (attempt ${attempt})...\n`);
 }
 
+// --cache-dir (or LEAN_BROWSER_CACHE_DIR) turns the response cache on; --no-cache turns it off again.
+function withCacheOptions(command) {
+  return command
+    .option('--cache-dir <dir>', 'reuse rendered pages from this cache directory (default: $LEAN_BROWSER_CACHE_DIR)')
+    .option('--cache-ttl <seconds>', 'how long cached pages stay fresh', (v) => Number(v), DEFAULT_CACHE_TTL_MS / 1000)
+    .option('--no-cache', 'always render, ignoring and not updating the cache');
+}
+
+function cacheDirFrom(opts) {
+  return opts.cacheDir || process.env.LEAN_BROWSER_CACHE_DIR || null;
+}
+
+function cacheFromOptions(opts) {
+  const dir = cacheDirFrom(opts);
+  if (!opts.cache || !dir) return null;
+  return new ResponseCache({ dir, ttlMs: opts.cacheTtl * 1000 });
+}
+
+// --capture-api records the XHR/fetch responses whose URL matches a glob (see src/api-capture.js).
+function withCaptureOptions(command) {
+  return command
+    .option('--capture-api <url-glob>', 'capture matching XHR/fetch JSON responses, repeatable', collectList, [])
+    .option('--capture-any-type', 'capture matching responses of any content type, not just JSON', false);
+}
+
+function captureFromOptions(opts) {
+  return opts.captureApi.length > 0 ? { patterns: opts.captureApi, anyType: opts.captureAnyType } : null;
+}
+
+// --record-har saves the page's traffic, bodies included; --replay-har serves it back with no network.
+function withHarOptions(command) {
+  return command
+    .option('--record-har <file>', 'record every request and response to a HAR file (.zip keeps bodies as files)')
+    .option('--replay-har <file>', 'answer requests from a recorded HAR file, never the network');
+}
+
+const ENGINE_HELP =
+  'browser (render in the --browser, Chromium by default) | http (fetch the HTML only; fast, static pages) | auto (http, rendering when the page needs it)';
+
+function checkEngine(opts) {
+  if (!ENGINES.includes(opts.engine)) {
+    console.error(`Invalid --engine: ${opts.engine}. Expected ${ENGINES.join('|')}.`);
+    process.exit(2);
+  }
+}
+
+const BROWSER_HELP = `browser engine to render with: ${BROWSERS.join(' | ')} (must be installed)`;
+
+function checkBrowser(opts) {
+  if (!BROWSERS.includes(opts.browser)) {
+    console.error(`Invalid --browser: ${opts.browser}. Expected ${BROWSERS.join('|')}.`);
+    process.exit(2);
+  }
+}
+
+const WAIT_FOR_HELP =
+  'when the page counts as loaded: scroll (networkidle + lazy-load scroll), networkidle, load, domcontentloaded, selector:<css> or text:<text>';
+
 const program = new Command();
 
 program
@@ -52,12 +141,14 @@ program
   .showHelpAfterError();
 
 // ── Default: fetch command (backward compatible) ──────────────────────
-program
-  .command('fetch <url>', { isDefault: true })
+withHarOptions(withCaptureOptions(withCacheOptions(program.command('fetch [url]', { isDefault: true }))))
   .description('Fetch and extract a webpage (default command)')
-  .option('--mode <mode>', 'text | json | interactive', 'text')
+  .option('--mode <mode>', 'text | markdown | json | interactive | a11y', 'text')
   .option('--tokens <n>', 'max output token budget', (v) => Number(v), 1200)
   .option('--timeout <ms>', 'navigation timeout in ms', (v) => Number(v), 45000)
+  .option('--wait-for <condition>', WAIT_FOR_HELP, 'scroll')
+  .option('--engine <engine>', ENGINE_HELP, 'browser')
+  .option('--browser <name>', BROWSER_HELP, 'chromium')
   .option('--headed', 'run browser in headed mode (debug)', false)
   .option('--viewport <size>', 'viewport size (e.g. 1920x1080)')
   .option('--device <name>', 'device to emulate (e.g. "iPhone 13", "iPad Pro")')
@@ -66,12 +157,41 @@ program
   .option('--block-ads', 'block ads, trackers, and analytics', false)
   .option('--block-resources <types>', 'block resource types: image,font,stylesheet,media (comma-separated)')
   .option('--headers <json>', 'custom HTTP headers as JSON string')
+  .option('--metadata', 'include page metadata (JSON-LD, canonical, dates) in text mode', false)
+  .option('--query <question>', 'keep the passages most relevant to a question when over budget')
+  .option('--a11y', 'build interactive-mode elements from the live accessibility tree', false)
+  .option('--chunked', 'split the page into token-budget chunks and print the first (text|markdown)', false)
+  .option('--cursor <cursor>', 'print the chunk a previous --chunked call pointed to (no refetch)')
   .action(async (url, opts) => {
     const mode = String(opts.mode ?? 'text').toLowerCase();
     const maxTokens = Number.isFinite(opts.tokens) ? opts.tokens : undefined;
 
-    if (!['text', 'json', 'interactive'].includes(mode)) {
-      console.error(`Invalid --mode: ${opts.mode}. Expected text|json|interactive.`);
+    if (!['text', 'markdown', 'json', 'interactive', 'a11y'].includes(mode)) {
+      console.error(`Invalid --mode: ${opts.mode}. Expected text|markdown|json|interactive|a11y.`);
+      process.exit(2);
+    }
+
+    if (opts.cursor) {
+      try {
+        const out = await readChunk(opts.cursor);
+        process.stdout.write(out.text + '\n');
+      } catch (err) {
+        console.error(`[lean-browser] ${formatCliError(err)}`);
+        process.exit(1);
+      }
+      return;
+    }
+
+    if (!url) {
+      console.error('Missing <url> (or pass --cursor to continue a chunked read).');
+      process.exit(2);
+    }
+
+    checkEngine(opts);
+    checkBrowser(opts);
+
+    if (opts.chunked && !CHUNK_MODES.includes(mode)) {
+      console.error(`--chunked supports --mode ${CHUNK_MODES.join('|')}, not ${mode}.`);
       process.exit(2);
     }
 
@@ -102,15 +222,47 @@ program
         extraHeaders,
         enableRetry: true,
         onRetry,
+        a11y: mode === 'a11y' || (mode === 'interactive' && opts.a11y),
+        waitFor: opts.waitFor,
+        engine: opts.engine,
+        browserName: opts.browser,
+        cache: cacheFromOptions(opts),
+        capture: captureFromOptions(opts),
+        recordHar: opts.recordHar,
+        replayHar: opts.replayHar,
       });
 
-      const extracted = extractAllFromHtml(fetched.html, fetched.finalUrl ?? url);
+      // a11y mode works from the live page only; skip the HTML extraction.
+      const extracted = mode === 'a11y' ? { elements: fetched.a11yElements } : extractFetched(fetched, url);
+      if (mode === 'interactive' && opts.a11y) {
+        extracted.elements = fetched.a11yElements;
+      }
 
       let out;
-      if (mode === 'text') {
-        out = await formatText({ url, finalUrl: fetched.finalUrl, status: fetched.status }, extracted, { maxTokens });
+      if (opts.chunked) {
+        out = await createChunkedDocument({ url, finalUrl: fetched.finalUrl, status: fetched.status }, extracted, {
+          mode,
+          maxTokens,
+        });
+      } else if (mode === 'text') {
+        out = await formatText({ url, finalUrl: fetched.finalUrl, status: fetched.status }, extracted, {
+          maxTokens,
+          includeMetadata: opts.metadata,
+          query: opts.query,
+        });
+      } else if (mode === 'markdown') {
+        out = await formatMarkdown({ url, finalUrl: fetched.finalUrl, status: fetched.status }, extracted, {
+          maxTokens,
+          query: opts.query,
+        });
       } else if (mode === 'json') {
         out = await formatJson(
+          { url, finalUrl: fetched.finalUrl, status: fetched.status, fetchedTitle: fetched.title },
+          extracted,
+          { maxTokens, query: opts.query },
+        );
+      } else if (mode === 'a11y') {
+        out = await formatA11y(
           { url, finalUrl: fetched.finalUrl, status: fetched.status, fetchedTitle: fetched.title },
           extracted,
           { maxTokens },
@@ -119,7 +271,7 @@ program
         out = await formatInteractive(
           { url, finalUrl: fetched.finalUrl, status: fetched.status, fetchedTitle: fetched.title },
           extracted,
-          { maxTokens },
+          { maxTokens, query: opts.query },
         );
       }
 
@@ -130,6 +282,18 @@ program
         process.stderr.write(`[lean-browser] Output truncated to fit ~${maxTokens} tokens (approx).\n`);
       }
 
+      if (fetched.fallbackReason) {
+        process.stderr.write(`[lean-browser] Rendered in the browser: ${fetched.fallbackReason}.\n`);
+      }
+
+      if (fetched.api?.length === 0) {
+        process.stderr.write('[lean-browser] No XHR/fetch response matched --capture-api.\n');
+      }
+
+      if (fetched.cache === 'hit' || fetched.cache === 'revalidated') {
+        process.stderr.write(`[lean-browser] Served from cache (${fetched.cache}).\n`);
+      }
+
       if (fetched.blockedCount > 0) {
         process.stderr.write(`[lean-browser] Blocked ${fetched.blockedCount} requests (ads/trackers/resources).\n`);
       }
@@ -140,12 +304,13 @@ program
   });
 
 // ── Screenshot command ────────────────────────────────────────────────
-program
-  .command('screenshot <url>')
+withHarOptions(program.command('screenshot <url>'))
   .description('Take a screenshot of a webpage')
   .option('--output <file>', 'output file path (default: screenshot.png)')
   .option('--full-page', 'capture full page screenshot', false)
+  .option('--browser <name>', BROWSER_HELP, 'chromium')
   .option('--timeout <ms>', 'navigation timeout in ms', (v) => Number(v), 45000)
+  .option('--wait-for <condition>', WAIT_FOR_HELP, 'scroll')
   .option('--viewport <size>', 'viewport size (e.g. 1920x1080)')
   .option('--device <name>', 'device to emulate (e.g. "iPhone 13")')
   .option('--mobile', 'use mobile emulation', false)
@@ -155,6 +320,7 @@ program
   .option('--headers <json>', 'custom HTTP headers as JSON')
   .option('--headed', 'run browser in headed mode', false)
   .action(async (url, opts) => {
+    checkBrowser(opts);
     const blockResources = opts.blockResources ? opts.blockResources.split(',').map((s) => s.trim()) : [];
     let extraHeaders = {};
     if (opts.headers) {
@@ -168,6 +334,7 @@ program
 
     try {
       const result = await takeScreenshot(url, {
+        browserName: opts.browser,
         timeoutMs: opts.timeout,
         headless: !opts.headed,
         fullPage: opts.fullPage,
@@ -180,6 +347,9 @@ program
         extraHeaders,
         enableRetry: true,
         onRetry,
+        waitFor: opts.waitFor,
+        recordHar: opts.recordHar,
+        replayHar: opts.replayHar,
       });
 
       const outputFile = opts.output || 'screenshot.png';
@@ -195,20 +365,213 @@ program
     }
   });
 
-// ── Action command ────────────────────────────────────────────────────
+// ── Batch command ─────────────────────────────────────────────────────
+withCacheOptions(program.command('batch'))
+  .description('Fetch many URLs in parallel, writing one JSON line per URL as it finishes')
+  .requiredOption('--input <file>', 'URLs, one per line ("-" for stdin; blank lines and # comments are skipped)')
+  .option('--out <file>', 'write the JSONL results to a file instead of stdout')
+  .option('--concurrency <n>', `pages fetched at once (at most ${MAX_BATCH_CONCURRENCY})`, (v) => Number(v), 4)
+  .option('--mode <mode>', BATCH_MODES.join(' | '), 'text')
+  .option(
+    '--tokens <n>',
+    'total token budget, split evenly across pages (at least 200 each)',
+    (v) => Number(v),
+    DEFAULT_BATCH_TOKENS,
+  )
+  .option('--timeout <ms>', 'navigation timeout per page in ms', (v) => Number(v), 45000)
+  .option('--wait-for <condition>', WAIT_FOR_HELP, 'scroll')
+  .option('--engine <engine>', ENGINE_HELP, 'browser')
+  .option('--browser <name>', BROWSER_HELP, 'chromium')
+  .option('--query <question>', 'keep the passages most relevant to a question when over budget')
+  .action(async (opts) => {
+    const mode = String(opts.mode).toLowerCase();
+    if (!BATCH_MODES.includes(mode)) {
+      console.error(`Invalid --mode: ${opts.mode}. Expected ${BATCH_MODES.join('|')}.`);
+      process.exit(2);
+    }
+    if (!(opts.concurrency >= 1 && opts.concurrency <= MAX_BATCH_CONCURRENCY)) {
+      console.error(`Invalid --concurrency: expected 1-${MAX_BATCH_CONCURRENCY}.`);
+      process.exit(2);
+    }
+    checkEngine(opts);
+    checkBrowser(opts);
+
+    try {
+      const input = opts.input === '-' ? await readStream(process.stdin) : await readFile(opts.input, 'utf8');
+      const urls = parseUrlList(input);
+      if (urls.length === 0) throw new Error(`No URLs in ${opts.input === '-' ? 'stdin' : opts.input}`);
+
+      const out = opts.out ? createWriteStream(opts.out) : process.stdout;
+      const results = await fetchPages(urls, {
+        concurrency: opts.concurrency,
+        maxTokens: opts.tokens,
+        mode,
+        timeoutMs: opts.timeout,
+        waitFor: opts.waitFor,
+        query: opts.query,
+        engine: opts.engine,
+        browserName: opts.browser,
+        cache: cacheFromOptions(opts),
+        onResult: async (record) => {
+          await writeLine(out, JSON.stringify(record));
+          if (!record.ok)
+            process.stderr.write(`[lean-browser] ${record.url}: ${record.error.message.split('\n')[0]}\n`);
+        },
+      });
+      if (opts.out) await finishStream(out);
+
+      const failed = results.filter((r) => !r.ok).length;
+      process.stderr.write(`[lean-browser] ${urls.length - failed}/${urls.length} fetched, ${failed} failed\n`);
+      // Failed URLs are in the output; only a batch where nothing worked is an error.
+      if (failed === urls.length) process.exit(1);
+    } catch (err) {
+      console.error(`[lean-browser] ${formatCliError(err)}`);
+      process.exit(1);
+    }
+  });
+
+// ── Crawl command ─────────────────────────────────────────────────────
+withCacheOptions(program.command('crawl <url>'))
+  .description('Crawl a site breadth-first and write one JSON line per extracted page (robots.txt is obeyed)')
+  .option('--depth <n>', 'link hops to follow from the start page', (v) => Number(v), 2)
+  .option('--max-pages <n>', 'maximum pages to fetch', (v) => Number(v), 50)
+  .option('--scope <scope>', "same-origin | path-prefix (the start URL's directory) | regex:<pattern>", 'same-origin')
+  .option('--include <regex>', 'only follow links matching a pattern (repeatable)', collectList, [])
+  .option('--exclude <regex>', 'never follow links matching a pattern (repeatable)', collectList, [])
+  .option('--concurrency <n>', `pages fetched at once (at most ${MAX_BATCH_CONCURRENCY})`, (v) => Number(v), 2)
+  .option(
+    '--delay <ms>',
+    'minimum delay between requests to one host (robots.txt Crawl-delay may raise it)',
+    (v) => Number(v),
+    0,
+  )
+  .option('--mode <mode>', BATCH_MODES.join(' | '), 'text')
+  .option('--tokens <n>', 'token budget per page', (v) => Number(v), 2000)
+  .option('--timeout <ms>', 'navigation timeout per page in ms', (v) => Number(v), 45000)
+  .option('--wait-for <condition>', WAIT_FOR_HELP, 'scroll')
+  .option('--engine <engine>', ENGINE_HELP, 'browser')
+  .option('--browser <name>', BROWSER_HELP, 'chromium')
+  .option('--out <file>', 'write the JSONL corpus to a file instead of stdout')
+  .action(async (url, opts) => {
+    const mode = String(opts.mode).toLowerCase();
+    if (!BATCH_MODES.includes(mode)) {
+      console.error(`Invalid --mode: ${opts.mode}. Expected ${BATCH_MODES.join('|')}.`);
+      process.exit(2);
+    }
+    if (!(opts.concurrency >= 1 && opts.concurrency <= MAX_BATCH_CONCURRENCY)) {
+      console.error(`Invalid --concurrency: expected 1-${MAX_BATCH_CONCURRENCY}.`);
+      process.exit(2);
+    }
+    checkEngine(opts);
+    checkBrowser(opts);
+
+    try {
+      const out = opts.out ? createWriteStream(opts.out) : process.stdout;
+      const { stats } = await crawlSite(url, {
+        maxDepth: opts.depth,
+        maxPages: opts.maxPages,
+        scope: opts.scope,
+        include: opts.include,
+        exclude: opts.exclude,
+        concurrency: opts.concurrency,
+        delayMs: opts.delay,
+        mode,
+        maxTokens: opts.tokens,
+        timeoutMs: opts.timeout,
+        waitFor: opts.waitFor,
+        engine: opts.engine,
+        browserName: opts.browser,
+        cache: cacheFromOptions(opts),
+        onPage: async (record) => {
+          await writeLine(out, JSON.stringify(record));
+          const status = record.ok ? `depth ${record.depth}` : record.error.message.split('\n')[0];
+          process.stderr.write(`[lean-browser] ${record.url}: ${status}\n`);
+        },
+      });
+      if (opts.out) await finishStream(out);
+
+      process.stderr.write(
+        `[lean-browser] ${stats.fetched} pages, ${stats.failed} failed, ${stats.duplicates} duplicates, ` +
+          `${stats.blockedByRobots} blocked by robots.txt, ${stats.notVisited} left over --max-pages\n`,
+      );
+      if (stats.fetched === 0) process.exit(1);
+    } catch (err) {
+      console.error(`[lean-browser] ${formatCliError(err)}`);
+      process.exit(1);
+    }
+  });
+
+// ── Feed command ──────────────────────────────────────────────────────
+program
+  .command('feed <url>')
+  .description("List a site's recent entries from its RSS/Atom/JSON feed or sitemap, as JSON")
+  .option('--source <source>', 'auto (feed, then sitemap) | feed | sitemap', 'auto')
+  .option('--tokens <n>', 'token budget (the oldest entries are dropped first)', (v) => Number(v), 2000)
+  .option('--timeout <ms>', 'timeout per request in ms', (v) => Number(v), 15000)
+  .action(async (url, opts) => {
+    const source = String(opts.source).toLowerCase();
+    if (!FEED_SOURCES.includes(source)) {
+      console.error(`Invalid --source: ${opts.source}. Expected ${FEED_SOURCES.join('|')}.`);
+      process.exit(2);
+    }
+
+    try {
+      const feed = await fetchFeed(url, { source, timeoutMs: opts.timeout });
+      const out = await formatFeed({ url, finalUrl: feed.url }, feed, { maxTokens: opts.tokens });
+      process.stdout.write(out.text + '\n');
+    } catch (err) {
+      console.error(`[lean-browser] ${formatCliError(err)}`);
+      process.exit(1);
+    }
+  });
+
+// ── Cache command ─────────────────────────────────────────────────────
 program
-  .command('action <url>')
+  .command('cache <action>')
+  .description('Manage the response cache: clear | stats')
+  .option('--cache-dir <dir>', 'cache directory (default: $LEAN_BROWSER_CACHE_DIR)')
+  .action(async (action, opts) => {
+    if (!['clear', 'stats'].includes(action)) {
+      console.error(`Unknown cache action: ${action}. Expected clear|stats.`);
+      process.exit(2);
+    }
+    const dir = cacheDirFrom(opts);
+    if (!dir) {
+      console.error('No cache directory: pass --cache-dir or set LEAN_BROWSER_CACHE_DIR.');
+      process.exit(2);
+    }
+
+    try {
+      const cache = new ResponseCache({ dir });
+      if (action === 'clear') {
+        const removed = await cache.clear();
+        console.log(`Removed ${removed} cached page${removed === 1 ? '' : 's'} from ${dir}`);
+      } else {
+        console.log(JSON.stringify(await cache.stats(), null, 2));
+      }
+    } catch (err) {
+      console.error(`[lean-browser] ${formatCliError(err)}`);
+      process.exit(1);
+    }
+  });
+
+// ── Action command ────────────────────────────────────────────────────
+withHarOptions(withCaptureOptions(program.command('action [url]')))
   .description('Execute actions on a page (click, type, select, etc.)')
-  .requiredOption('--actions <spec>', 'comma-separated action specs (e.g. "click:e1,type:e2:value")')
+  .option('--actions <spec>', 'comma-separated action specs (e.g. "click:e1,type:e2:value")')
+  .option('--script <file>', 'JSON or YAML action script with variables, assertions and control flow')
+  .option('--var <name=value>', 'script variable, repeatable (secrets belong in ${env:VAR})', collectVar)
   .option('--snapshot', 'capture page snapshot after actions', false)
-  .option('--snapshot-mode <mode>', 'snapshot output mode (text|json|interactive)', 'interactive')
+  .option('--snapshot-mode <mode>', 'snapshot output mode (text|json|interactive|a11y)', 'interactive')
   .option('--tokens <n>', 'max token budget for snapshot', (v) => Number(v), 1200)
   .option('--timeout <ms>', 'navigation timeout in ms', (v) => Number(v), 45000)
   .option('--action-timeout <ms>', 'per-action timeout in ms', (v) => Number(v), 10000)
+  .option('--wait-for <condition>', WAIT_FOR_HELP, 'scroll')
+  .option('--browser <name>', BROWSER_HELP, 'chromium')
   .option('--headed', 'run browser in headed mode (debug)', false)
   .action(async (url, opts) => {
     try {
-      const result = await handleActionCommand(url, opts);
+      const result = await handleActionCommand(url, { ...opts, capture: captureFromOptions(opts) });
       process.stdout.write(JSON.stringify(result, null, 2));
       process.stdout.write('\n');
     } catch (err) {
@@ -217,21 +580,57 @@ program
     }
   });
 
+// ── Record command ────────────────────────────────────────────────────
+program
+  .command('record <url>')
+  .description('Record clicks, typing and navigation in a headed browser as a replayable action script')
+  .option('--output <file>', 'write the script to a file instead of stdout (.json for JSON, otherwise YAML)')
+  .option('--timeout <ms>', 'navigation timeout in ms', (v) => Number(v), 45000)
+  .action(async (url, opts) => {
+    try {
+      const recording = await recordSession(url, {
+        timeoutMs: opts.timeout,
+        onStep: (step, note) => {
+          const what = typeof step === 'string' ? step : `${step.action} ${note ?? step.url}`;
+          process.stderr.write(`[lean-browser] recorded ${what}\n`);
+        },
+      });
+      process.stderr.write('[lean-browser] Recording. Close the browser window or press Ctrl+C to finish.\n');
+      process.once('SIGINT', () => recording.stop());
+
+      const recorder = await recording.done;
+      const json = opts.output?.toLowerCase().endsWith('.json');
+      const text = json ? `${JSON.stringify(recorder.toScript(), null, 2)}\n` : recorder.toYAML();
+      if (opts.output) {
+        await writeFile(opts.output, text);
+        process.stderr.write(`[lean-browser] Wrote ${recorder.steps.length} steps to ${opts.output}\n`);
+      } else {
+        process.stdout.write(text);
+      }
+    } catch (err) {
+      console.error(`[lean-browser] ${formatCliError(err)}`);
+      process.exit(1);
+    }
+  });
+
 // ── Session command ───────────────────────────────────────────────────
 program
-  .command('session <subcommand>')
-  .description('Manage stateful browser sessions (start|exec|snapshot|close|list)')
+  .command('session <subcommand> [id]')
+  .description(
+    'Manage stateful browser sessions (start|exec|snapshot|resume|close|list), served by a background daemon (daemon start|stop|status)',
+  )
   .option('--url <url>', 'URL for session start')
-  .option('--session <id>', 'session ID')
+  .option('--session <id>', 'session ID (or pass it after the subcommand)')
   .option('--action <spec>', 'action spec for exec (e.g. "click:e1")')
-  .option('--mode <mode>', 'snapshot output mode (text|json|interactive)', 'interactive')
+  .option('--mode <mode>', 'snapshot output mode (text|json|interactive|a11y|diff)', 'interactive')
   .option('--tokens <n>', 'max token budget for snapshot', (v) => Number(v), 1200)
   .option('--timeout <ms>', 'navigation timeout in ms', (v) => Number(v), 45000)
   .option('--action-timeout <ms>', 'per-action timeout in ms', (v) => Number(v), 10000)
+  .option('--browser <name>', `${BROWSER_HELP}, for session start`, 'chromium')
   .option('--headed', 'run browser in headed mode', false)
-  .action(async (subcommand, opts) => {
+  .action(async (subcommand, id, opts) => {
     try {
-      const result = await handleSessionCommand(subcommand, opts);
+      const result = await handleSessionCommand(subcommand, { ...opts, session: opts.session ?? id });
       process.stdout.write(JSON.stringify(result, null, 2));
       process.stdout.write('\n');
     } catch (err) {
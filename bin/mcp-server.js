@@ -2,8 +2,23 @@
 import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
 import { z } from 'zod';
-import { handleFetchPageText, handleFetchPageJson, handleFetchPageInteractive } from '../src/mcp/handlers.js';
 import {
+  handleFetchPageText,
+  handleFetchPageMarkdown,
+  handleFetchPageJson,
+  handleFetchPageInteractive,
+  handleFetchPageA11y,
+  handleFetchPageNextChunk,
+  handleFetchPages,
+  handleCrawlSite,
+  handleFetchFeed,
+} from '../src/mcp/handlers.js';
+import { BATCH_MODES, DEFAULT_BATCH_TOKENS, MAX_BATCH_CONCURRENCY } from '../src/batch.js';
+import { FEED_SOURCES } from '../src/feeds.js';
+import { ENGINES } from '../src/browser.js';
+import {
+  browserInputSchema,
+  captureInputSchema,
   executeBrowserActionSchema,
   takeScreenshotSchema,
   handleExecuteBrowserAction,
@@ -13,11 +28,13 @@ import {
   browserSessionStartSchema,
   browserSessionExecuteSchema,
   browserSessionSnapshotSchema,
+  browserSessionResumeSchema,
   browserSessionCloseSchema,
   browserSessionListSchema,
   handleBrowserSessionStart,
   handleBrowserSessionExecute,
   handleBrowserSessionSnapshot,
+  handleBrowserSessionResume,
   handleBrowserSessionClose,
   handleBrowserSessionList,
 } from '../src/mcp/session-tools.js';
@@ -31,6 +48,32 @@ const commonInputSchema = {
   url: z.string().url().describe('The URL of the webpage to fetch'),
   maxTokens: z.number().int().positive().default(1200).describe('Maximum token budget for the output'),
   timeout: z.number().int().positive().default(45000).describe('Navigation timeout in milliseconds'),
+  query: z
+    .string()
+    .optional()
+    .describe('Question to focus on: when the page exceeds the budget, keep the most relevant passages'),
+  noCache: z
+    .boolean()
+    .default(false)
+    .describe('Render the page even if the response cache (LEAN_BROWSER_CACHE_DIR) has a fresh copy'),
+  engine: z
+    .enum(ENGINES)
+    .default('browser')
+    .describe(
+      'browser renders in a browser (see `browser`); http fetches the HTML without a browser (fast, static pages only); auto tries http and renders when the page needs JavaScript',
+    ),
+  ...browserInputSchema,
+  ...captureInputSchema,
+};
+
+const chunkedInputSchema = {
+  ...commonInputSchema,
+  chunked: z
+    .boolean()
+    .default(false)
+    .describe(
+      'Split the page into maxTokens-sized chunks and return the first, with a cursor for fetch_page_next_chunk',
+    ),
 };
 
 // ============================================================================
@@ -43,13 +86,41 @@ server.registerTool(
     title: 'Fetch Page Text',
     description:
       'Fetch a webpage and extract clean readable text. Best for reading articles and long-form content. Returns markdown-formatted text with title, source, and article body.',
-    inputSchema: commonInputSchema,
+    inputSchema: chunkedInputSchema,
   },
   async (args) => {
     return handleFetchPageText(args);
   },
 );
 
+server.registerTool(
+  'fetch_page_markdown',
+  {
+    title: 'Fetch Page Markdown',
+    description:
+      'Fetch a webpage and convert the main content to Markdown, preserving headings, lists, links, tables and code blocks. Best for documentation and structured articles where layout carries meaning.',
+    inputSchema: chunkedInputSchema,
+  },
+  async (args) => {
+    return handleFetchPageMarkdown(args);
+  },
+);
+
+server.registerTool(
+  'fetch_page_next_chunk',
+  {
+    title: 'Fetch Next Page Chunk',
+    description:
+      'Return the next chunk of a page previously fetched with chunked: true. Reads from the extraction cache without re-rendering the page; pass the cursor printed at the end of the previous chunk.',
+    inputSchema: {
+      cursor: z.string().min(1).describe('Cursor from the previous chunk'),
+    },
+  },
+  async (args) => {
+    return handleFetchPageNextChunk(args);
+  },
+);
+
 server.registerTool(
   'fetch_page_json',
   {
@@ -69,13 +140,126 @@ server.registerTool(
     title: 'Fetch Page Interactive',
     description:
       'Fetch a webpage and return actionable elements (links, buttons, inputs, forms) with element IDs and CSS selectors. Best for understanding page structure and planning interactions.',
-    inputSchema: commonInputSchema,
+    inputSchema: {
+      ...commonInputSchema,
+      a11y: z
+        .boolean()
+        .default(false)
+        .describe('Build the element list from the live accessibility tree (role, name, state, bounding box)'),
+    },
   },
   async (args) => {
     return handleFetchPageInteractive(args);
   },
 );
 
+server.registerTool(
+  'fetch_page_a11y',
+  {
+    title: 'Fetch Page Accessibility Elements',
+    description:
+      'Fetch a webpage and list the interactive elements the browser actually renders, taken from the accessibility tree and live layout: role, accessible name, state (checked, expanded, disabled), bounding box and whether it is in the viewport. Elements hidden by CSS are left out. IDs (a1, a2, ...) can be used in actions.',
+    inputSchema: {
+      url: commonInputSchema.url,
+      maxTokens: commonInputSchema.maxTokens,
+      timeout: commonInputSchema.timeout,
+      noCache: commonInputSchema.noCache,
+      browser: commonInputSchema.browser,
+    },
+  },
+  async (args) => {
+    return handleFetchPageA11y(args);
+  },
+);
+
+server.registerTool(
+  'fetch_pages',
+  {
+    title: 'Fetch Many Pages',
+    description:
+      'Fetch several webpages in parallel and return one JSON line per URL as it finishes: finalUrl, status, title and the extracted content in text, markdown or json mode. A URL that fails gets a line with ok: false and its error code instead of failing the call. maxTokens is the total budget for all pages, split evenly; it must leave each page at least 200 tokens. Best for research that needs many sources at once.',
+    inputSchema: {
+      urls: z.array(z.string().url()).min(1).max(50).describe('URLs to fetch'),
+      mode: z.enum(BATCH_MODES).default('text').describe('Output mode for each page'),
+      maxTokens: z
+        .number()
+        .int()
+        .positive()
+        .default(DEFAULT_BATCH_TOKENS)
+        .describe('Total token budget, split evenly across the pages (at least 200 per page)'),
+      concurrency: z.number().int().min(1).max(MAX_BATCH_CONCURRENCY).default(4).describe('Pages fetched at once'),
+      timeout: commonInputSchema.timeout,
+      query: commonInputSchema.query,
+      noCache: commonInputSchema.noCache,
+      engine: commonInputSchema.engine,
+      browser: commonInputSchema.browser,
+    },
+  },
+  async (args, extra) => {
+    return handleFetchPages(args, extra);
+  },
+);
+
+server.registerTool(
+  'crawl_site',
+  {
+    title: 'Crawl Site',
+    description:
+      'Crawl a site breadth-first from a start URL and return one JSON line per page with its extracted content, followed by a stats line. Follows links within the scope (same-origin, path-prefix or regex:<pattern>) and include/exclude patterns, obeys robots.txt and its Crawl-delay, and skips pages whose canonical URL was already seen. maxTokens is the total budget, split across maxPages; it must leave each page at least 200 tokens. Best for ingesting documentation sites.',
+    inputSchema: {
+      url: z.string().url().describe('Start URL'),
+      maxDepth: z.number().int().min(0).max(5).default(1).describe('Link hops to follow from the start page'),
+      maxPages: z.number().int().min(1).max(100).default(20).describe('Maximum pages to fetch'),
+      scope: z
+        .string()
+        .default('same-origin')
+        .describe("same-origin, path-prefix (the start URL's directory) or regex:<pattern> matched against URLs"),
+      include: z.array(z.string()).default([]).describe('Regexes: when given, a link must match one to be followed'),
+      exclude: z.array(z.string()).default([]).describe('Regexes: links matching any are not followed'),
+      mode: z.enum(BATCH_MODES).default('text').describe('Output mode for each page'),
+      maxTokens: z
+        .number()
+        .int()
+        .positive()
+        .default(16000)
+        .describe('Total token budget, split evenly across maxPages (at least 200 per page)'),
+      timeout: commonInputSchema.timeout,
+      noCache: commonInputSchema.noCache,
+      engine: commonInputSchema.engine,
+      browser: commonInputSchema.browser,
+    },
+  },
+  async (args, extra) => {
+    return handleCrawlSite(args, extra);
+  },
+);
+
+server.registerTool(
+  'fetch_feed',
+  {
+    title: 'Fetch Feed',
+    description:
+      'Return a site\'s recent entries (title, link, date, summary) as JSON, from its RSS, Atom or JSON Feed, or from its sitemap. The URL may be the feed itself or any page: feeds the page advertises are tried first, then the sitemaps listed in robots.txt and /sitemap.xml. Sitemap indexes are expanded and sitemap entries are sorted newest first. No browser is launched, so this is the cheapest way to answer "what\'s new on this site".',
+    inputSchema: {
+      url: z.string().url().describe('Feed, sitemap or page URL'),
+      source: z
+        .enum(FEED_SOURCES)
+        .default('auto')
+        .describe('auto (feed, then sitemap), feed (feeds only) or sitemap (sitemaps only)'),
+      maxTokens: z
+        .number()
+        .int()
+        .positive()
+        .default(2000)
+        .describe('Token budget; the oldest entries are dropped first'),
+      timeout: z.number().int().positive().default(15000).describe('Per-request timeout in milliseconds'),
+    },
+  },
+  async (args) => {
+    return handleFetchFeed(args);
+  },
+);
+
 // ============================================================================
 // Action Execution Tools
 // ============================================================================
@@ -85,7 +269,7 @@ server.registerTool(
   {
     title: 'Execute Browser Actions',
     description:
-      'Navigate to a URL and execute a sequence of actions (click, type, select, submit, etc.). Returns action results and final page snapshot. Use this for multi-step workflows without maintaining state. Actions are specified as strings like "click:e1", "type:e2:value", "submit:e3". First use fetch_page_interactive to discover element IDs.',
+      'Navigate to a URL and execute a sequence of actions (click, type, select, submit, etc.). Returns action results and final page snapshot. Use this for multi-step workflows without maintaining state. Actions are specified as strings like "click:e1", "type:e2:value", "submit:e3". For flows with variables, secrets, assertions, conditionals or pagination loops, pass a structured script instead of actions. First use fetch_page_interactive to discover element IDs.',
     inputSchema: executeBrowserActionSchema,
   },
   async (args) => {
@@ -128,7 +312,7 @@ server.registerTool(
   {
     title: 'Execute Action in Session',
     description:
-      'Execute a single action in an existing browser session. Use the sessionId from browser_session_start. The action is specified as a string like "click:e1", "type:e2:value", etc. Returns the action result and updated page snapshot. First use browser_session_snapshot to discover current element IDs.',
+      'Execute a single action in an existing browser session. Use the sessionId from browser_session_start. The action is specified as a string like "click:e1", "type:e2:value", etc. Returns the action result and updated page snapshot; with snapshotMode "diff", only what changed since the previous snapshot (added/removed/changed elements, URL/title change, new text). When the site opens another tab, snapshots list the open tabs and "switch_tab:<n>", "close_tab:<n>" or "new_tab:<url>" move between them. First use browser_session_snapshot to discover current element IDs.',
     inputSchema: browserSessionExecuteSchema,
   },
   async (args) => {
@@ -141,7 +325,7 @@ server.registerTool(
   {
     title: 'Capture Session Snapshot',
     description:
-      'Capture the current state of a browser session without executing any actions. Returns page content in the specified mode (text, json, or interactive). Use this to inspect the current page state, discover available elements, or verify the results of previous actions.',
+      'Capture the current state of a browser session without executing any actions. Returns page content in the specified mode (text, json, interactive, a11y, or diff against the previous snapshot). Use this to inspect the current page state, discover available elements, or verify the results of previous actions.',
     inputSchema: browserSessionSnapshotSchema,
   },
   async (args) => {
@@ -149,6 +333,19 @@ server.registerTool(
   },
 );
 
+server.registerTool(
+  'browser_session_resume',
+  {
+    title: 'Resume Browser Session',
+    description:
+      'Restore a session after the server restarted or the session expired from inactivity. Relaunches a browser with the saved cookies, localStorage and sessionStorage and navigates back to the last URL, keeping the same sessionId. Saved state is kept for 24 hours after the last activity. Returns a fresh page snapshot; element IDs from before the restart must be rediscovered.',
+    inputSchema: browserSessionResumeSchema,
+  },
+  async (args) => {
+    return handleBrowserSessionResume(args);
+  },
+);
+
 server.registerTool(
   'browser_session_close',
   {
@@ -0,0 +1,215 @@
+/**
+ * Interactive elements from the live page: roles, names and states come from
+ * Playwright's ARIA snapshot (which already skips anything hidden by CSS,
+ * `hidden` or `aria-hidden`), and boxes come from the rendered layout.
+ */
+
+export const INTERACTIVE_ROLES = new Set([
+  'button',
+  'checkbox',
+  'combobox',
+  'link',
+  'listbox',
+  'menuitem',
+  'menuitemcheckbox',
+  'menuitemradio',
+  'option',
+  'radio',
+  'searchbox',
+  'slider',
+  'spinbutton',
+  'switch',
+  'tab',
+  'textbox',
+  'treeitem',
+]);
+
+const CHECKABLE_ROLES = new Set(['checkbox', 'menuitemcheckbox', 'menuitemradio', 'radio', 'switch']);
+
+const SNAPSHOT_TIMEOUT_MS = 10000;
+const BOX_TIMEOUT_MS = 1000;
+
+function unquoteValue(value) {
+  if (!value.startsWith('"') || !value.endsWith('"')) return value;
+  return value.slice(1, -1).replace(/\\(x[0-9a-f]{2}|.)/gi, (_, esc) => {
+    if (esc[0] === 'x' && esc.length === 3) return String.fromCharCode(parseInt(esc.slice(1), 16));
+    return { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f' }[esc] ?? esc;
+  });
+}
+
+// Split `key: value` where the key may be single-quoted YAML.
+function splitKeyValue(rest) {
+  if (rest.startsWith("'")) {
+    let i = 1;
+    while (i < rest.length) {
+      if (rest[i] === "'" && rest[i + 1] === "'") {
+        i += 2;
+      } else if (rest[i] === "'") {
+        break;
+      } else {
+        i++;
+      }
+    }
+    const key = rest.slice(1, i).replace(/''/g, "'");
+    const after = rest.slice(i + 1);
+    return { key, value: after.startsWith(': ') ? unquoteValue(after.slice(2)) : null };
+  }
+
+  // Unquoted keys never contain ": " (the snapshot quotes them when they would).
+  const sep = rest.indexOf(': ');
+  if (sep !== -1) return { key: rest.slice(0, sep), value: unquoteValue(rest.slice(sep + 2)) };
+  return { key: rest.endsWith(':') ? rest.slice(0, -1) : rest, value: null };
+}
+
+// Parse `role "name" [attr] [attr=value]`.
+function parseKey(key) {
+  const role = key.match(/^[a-z]+/i)?.[0];
+  if (!role) return null;
+
+  const node = { role: role.toLowerCase(), name: '' };
+  let rest = key.slice(role.length).trimStart();
+
+  if (rest.startsWith('"')) {
+    let i = 1;
+    while (i < rest.length && rest[i] !== '"') i += rest[i] === '\\' ? 2 : 1;
+    try {
+      node.name = JSON.parse(rest.slice(0, i + 1));
+    } catch {
+      node.name = rest.slice(1, i);
+    }
+    rest = rest.slice(i + 1);
+  }
+
+  for (const [, attr, value] of rest.matchAll(/\[([a-z-]+)(?:=([^\]]*))?\]/gi)) {
+    if (attr === 'level') {
+      node.level = Number(value);
+    } else if (['checked', 'pressed', 'disabled', 'expanded', 'selected'].includes(attr)) {
+      node[attr] = value === 'mixed' ? 'mixed' : true;
+    }
+  }
+  return node;
+}
+
+/**
+ * Parse the YAML produced by Playwright's `locator.ariaSnapshot()` into a flat
+ * list of nodes in document order.
+ * @param {string} snapshot - ARIA snapshot text
+ * @returns {Array<{role: string, name: string, depth: number, value?: string, url?: string,
+ *   level?: number, checked?: true|'mixed', pressed?: true|'mixed', disabled?: true,
+ *   expanded?: true, selected?: true}>}
+ */
+export function parseAriaSnapshot(snapshot) {
+  const nodes = [];
+  const stack = [];
+
+  for (const line of String(snapshot ?? '').split('\n')) {
+    const match = line.match(/^(\s*)- (.*)$/);
+    if (!match) continue;
+    const depth = match[1].length / 2;
+    const rest = match[2];
+
+    while (stack.length > 0 && stack[stack.length - 1].depth >= depth) stack.pop();
+
+    // Properties such as `/url: /home` belong to the enclosing node.
+    if (rest.startsWith('/')) {
+      const { key, value } = splitKeyValue(rest.slice(1));
+      const parent = stack[stack.length - 1];
+      if (parent && value != null) parent[key] = value;
+      continue;
+    }
+
+    const { key, value } = splitKeyValue(rest);
+    if (key === 'text') continue;
+    const node = parseKey(key);
+    if (!node) continue;
+
+    node.depth = depth;
+    if (value != null) node.value = value;
+    nodes.push(node);
+    stack.push(node);
+  }
+
+  return nodes;
+}
+
+/**
+ * Build a Playwright role selector that matches a node by role and exact name.
+ * @param {{role: string, name: string}} node
+ * @param {number} [nth=0] - Index among nodes with the same role and name
+ * @param {number} [count=1] - How many nodes share the role and name
+ * @returns {string}
+ */
+export function roleSelector({ role, name }, nth = 0, count = 1) {
+  const base = name ? `role=${role}[name=${JSON.stringify(name)} s]` : `role=${role}`;
+  return count > 1 ? `${base} >> nth=${nth}` : base;
+}
+
+function intersectsViewport(box, viewport) {
+  if (!viewport) return true;
+  return box.x < viewport.width && box.y < viewport.height && box.x + box.width > 0 && box.y + box.height > 0;
+}
+
+/**
+ * Collect interactive elements from a live page using the ARIA snapshot and
+ * rendered layout. Elements without a layout box are left out.
+ * @param {import('playwright').Page} page - Live page
+ * @param {Object} [options]
+ * @param {number} [options.limit=60] - Maximum number of elements
+ * @returns {Promise<Array<Object>>} - Elements with ids `a1`, `a2`, ... and role selectors
+ */
+export async function collectA11yElements(page, { limit = 60 } = {}) {
+  const snapshot = await page.locator('body').ariaSnapshot({ timeout: SNAPSHOT_TIMEOUT_MS });
+  const nodes = parseAriaSnapshot(snapshot).filter((n) => INTERACTIVE_ROLES.has(n.role));
+  const viewport = page.viewportSize();
+
+  const counts = new Map();
+  for (const node of nodes) {
+    const key = `${node.role}\u0000${node.name}`;
+    counts.set(key, (counts.get(key) ?? 0) + 1);
+  }
+
+  const seen = new Map();
+  const out = [];
+  for (const node of nodes) {
+    if (out.length >= limit) break;
+
+    const key = `${node.role}\u0000${node.name}`;
+    const nth = seen.get(key) ?? 0;
+    seen.set(key, nth + 1);
+
+    const selector = roleSelector(node, nth, counts.get(key));
+    const box = await page
+      .locator(selector)
+      .boundingBox({ timeout: BOX_TIMEOUT_MS })
+      .catch(() => null);
+    if (!box || box.width === 0 || box.height === 0) continue;
+
+    const element = { id: `a${out.length + 1}`, role: node.role, name: node.name };
+    if (node.value) element.value = node.value;
+    if (node.url) element.href = node.url;
+    if (CHECKABLE_ROLES.has(node.role)) element.checked = node.checked ?? false;
+    for (const state of ['pressed', 'expanded', 'selected', 'disabled']) {
+      if (node[state]) element[state] = node[state];
+    }
+    element.box = {
+      x: Math.round(box.x),
+      y: Math.round(box.y),
+      width: Math.round(box.width),
+      height: Math.round(box.height),
+    };
+    element.inViewport = intersectsViewport(box, viewport);
+    element.selector = selector;
+    out.push(element);
+  }
+
+  return out;
+}
+
+/**
+ * Whether any action targets an element id from the a11y element list.
+ * @param {Array<{elementId?: string}>} actions - Parsed actions
+ * @returns {boolean}
+ */
+export function targetsA11yElements(actions) {
+  return (actions ?? []).some((a) => /^a\d+$/.test(a?.elementId ?? ''));
+}
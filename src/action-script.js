@@ -0,0 +1,455 @@
+/**
+ * Action scripts: a structured alternative to the comma-separated action DSL,
+ * for flows that need variables, secrets, assertions and control flow.
+ *
+ *   vars:
+ *     user: alice
+ *     password: ${env:PORTAL_PASSWORD}
+ *   steps:
+ *     - { action: type, selector: "#user", value: "${user}" }
+ *     - { action: type, selector: "#password", value: "${password}" }
+ *     - click:e3
+ *     - { action: assert_url, pattern: "https://portal.example.com/dashboard*" }
+ *     - if_present: ".cookie-banner button"
+ *       then: [{ action: click, selector: ".cookie-banner button" }]
+ *     - repeat_until: { absent: "a.next" }
+ *       max: 20
+ *       steps: [{ action: click, selector: "a.next" }, wait_for_idle]
+ *
+ * Steps are action DSL strings (one action each) or objects with an `action`
+ * field. Elements are addressed by snapshot ID (`element`) or Playwright
+ * selector (`selector`); IDs are re-read before every step, since the page
+ * changes as the script runs. `selector` may also be a list of candidates, as
+ * written by `lean-browser record`: the first one matching exactly one element
+ * is used. Values that come from `${env:VAR}` are secrets
+ * and are replaced with `***` in results and error messages.
+ */
+
+import { readFile } from 'node:fs/promises';
+import { extname } from 'node:path';
+import YAML from 'yaml';
+import {
+  ActionError,
+  ActionExecutor,
+  MAX_WAIT_FOR_MS,
+  MAX_WAIT_MS,
+  ValidationError,
+  parseAction,
+  validateAction,
+} from './actions.js';
+import { buildPageElementMap } from './snapshot.js';
+
+const ELEMENT_ID = /^[ea]\d+$/;
+const PLACEHOLDER = /\$\{(env:)?([A-Za-z_][\w.-]*)\}/g;
+const DEFAULT_REPEATS = 10;
+const MAX_REPEATS = 100;
+const REDACTED = '***';
+
+// Required fields per object step; `target` is `element` or `selector`.
+const STEP_FIELDS = {
+  click: ['target'],
+  submit: ['target'],
+  hover: ['target'],
+  focus: ['target'],
+  check: ['target'],
+  uncheck: ['target'],
+  wait_for: ['target'],
+  wait_for_gone: ['target'],
+  type: ['target', 'value'],
+  select: ['target', 'value'],
+  upload: ['target', 'path'],
+  press: ['key'],
+  wait: ['ms'],
+  navigate: ['url'],
+  new_tab: ['url'],
+  scroll: ['pixels'],
+  switch_tab: ['index'],
+  close_tab: ['index'],
+  wait_for_text: ['text'],
+  wait_for_url: ['pattern'],
+  wait_for_idle: [],
+  back: [],
+  forward: [],
+  reload: [],
+  assert_text: ['text'],
+  assert_url: ['pattern'],
+};
+const NUMBER_FIELDS = ['ms', 'pixels', 'index', 'timeout'];
+const CONDITION_KEYS = ['present', 'absent', 'text', 'url'];
+
+export class ScriptAssertionError extends ActionError {
+  constructor(message, { action, step } = {}) {
+    super(message, { action });
+    this.name = 'ScriptAssertionError';
+    this.step = step;
+  }
+}
+
+const isObject = (v) => v != null && typeof v === 'object' && !Array.isArray(v);
+
+function checkTarget(target, where) {
+  const ok =
+    (typeof target === 'string' && target.trim()) ||
+    (isObject(target) && (typeof target.element === 'string' || typeof target.selector === 'string'));
+  if (!ok) throw new ValidationError(`${where}: expected an element ID, a selector or { element | selector }`);
+}
+
+function checkCondition(condition, where) {
+  const keys = isObject(condition) ? Object.keys(condition) : [];
+  if (keys.length !== 1 || !CONDITION_KEYS.includes(keys[0])) {
+    throw new ValidationError(`${where}: expected one of ${CONDITION_KEYS.map((k) => `{ ${k}: ... }`).join(', ')}`);
+  }
+  if (keys[0] === 'present' || keys[0] === 'absent') checkTarget(condition[keys[0]], `${where}.${keys[0]}`);
+}
+
+function checkSteps(steps, where) {
+  if (!Array.isArray(steps) || steps.length === 0) {
+    throw new ValidationError(`${where}: expected a non-empty list of steps`);
+  }
+  steps.forEach((step, i) => checkStep(step, `${where}[${i}]`));
+}
+
+function checkStep(step, where) {
+  if (typeof step === 'string') {
+    if (!step.trim()) throw new ValidationError(`${where}: empty step`);
+    return;
+  }
+  if (!isObject(step)) throw new ValidationError(`${where}: expected an action string or object`);
+
+  if ('if_present' in step) {
+    checkTarget(step.if_present, `${where}.if_present`);
+    checkSteps(step.then, `${where}.then`);
+    if (step.else !== undefined) checkSteps(step.else, `${where}.else`);
+    return;
+  }
+  if ('repeat_until' in step) {
+    checkCondition(step.repeat_until, `${where}.repeat_until`);
+    if (step.max !== undefined && !(Number.isInteger(step.max) && step.max > 0)) {
+      throw new ValidationError(`${where}.max: expected a positive integer`);
+    }
+    checkSteps(step.steps, `${where}.steps`);
+    return;
+  }
+
+  const fields = STEP_FIELDS[step.action];
+  if (!fields) throw new ValidationError(`${where}: unknown action "${step.action ?? ''}"`);
+  for (const field of fields) {
+    const present = field === 'target' ? step.element != null || step.selector != null : step[field] != null;
+    if (!present) {
+      throw new ValidationError(
+        `${where}: ${step.action} requires ${field === 'target' ? '"element" or "selector"' : `"${field}"`}`,
+      );
+    }
+  }
+  if (
+    Array.isArray(step.selector) &&
+    !(step.selector.length > 0 && step.selector.every((s) => typeof s === 'string'))
+  ) {
+    throw new ValidationError(`${where}.selector: expected a selector or a non-empty list of selectors`);
+  }
+  for (const field of NUMBER_FIELDS) {
+    if (step[field] != null && typeof step[field] !== 'number') {
+      throw new ValidationError(`${where}.${field}: expected a number`);
+    }
+  }
+}
+
+/**
+ * Validate an action script and fill in defaults.
+ * @param {Object|Array|string} input - Script object, bare list of steps, or JSON/YAML text
+ * @returns {{url?: string, vars: Object, steps: Array}}
+ */
+export function parseActionScript(input) {
+  let script = input;
+  if (typeof input === 'string') {
+    try {
+      script = YAML.parse(input);
+    } catch (err) {
+      throw new ValidationError(`Invalid action script: ${err.message}`);
+    }
+  }
+  if (Array.isArray(script)) script = { steps: script };
+  if (!isObject(script)) throw new ValidationError('Action script must be an object with a "steps" list');
+
+  const { url, vars = {}, steps } = script;
+  if (url !== undefined && typeof url !== 'string') throw new ValidationError('url: expected a string');
+  if (!isObject(vars)) throw new ValidationError('vars: expected a mapping of names to values');
+  for (const [name, value] of Object.entries(vars)) {
+    if (value !== null && typeof value === 'object') throw new ValidationError(`vars.${name}: expected a scalar value`);
+  }
+  checkSteps(steps, 'steps');
+
+  return { ...(url ? { url } : {}), vars, steps };
+}
+
+/**
+ * Read an action script from a `.json`, `.yaml` or `.yml` file.
+ * @param {string} file
+ * @returns {Promise<Object>} - The parsed script (see parseActionScript)
+ */
+export async function loadActionScript(file) {
+  const text = await readFile(file, 'utf8');
+  if (extname(file).toLowerCase() !== '.json') return parseActionScript(text);
+  try {
+    return parseActionScript(JSON.parse(text));
+  } catch (err) {
+    if (err instanceof ValidationError) throw err;
+    throw new ValidationError(`Invalid action script ${file}: ${err.message}`);
+  }
+}
+
+/**
+ * The variables of `env` named in a comma-separated list, for callers that
+ * must not hand a script the whole environment (the MCP server reads the list
+ * from LEAN_BROWSER_SCRIPT_ENV).
+ * @param {string} [names]
+ * @param {Object} [env=process.env]
+ * @returns {Object}
+ */
+export function allowedEnv(names, env = process.env) {
+  const allowed = {};
+  for (const name of (names ?? '').split(',').map((n) => n.trim())) {
+    if (name && env[name] !== undefined) allowed[name] = env[name];
+  }
+  return allowed;
+}
+
+/**
+ * Whether a URL matches a glob: `**` matches anything, `*` anything but `/`.
+ * @param {string} url
+ * @param {string} pattern
+ * @returns {boolean}
+ */
+export function matchesUrlGlob(url, pattern) {
+  const source = pattern
+    .split('**')
+    .map((part) =>
+      part
+        .split('*')
+        .map((s) => s.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+        .join('[^/]*'),
+    )
+    .join('.*');
+  return new RegExp(`^${source}$`).test(url);
+}
+
+function interpolate(value, ctx) {
+  if (typeof value === 'string') {
+    return value.replace(PLACEHOLDER, (_, env, name) => {
+      if (env) {
+        const secret = ctx.env[name];
+        if (secret === undefined) throw new ValidationError(`Environment variable ${name} is not set`);
+        if (secret) ctx.secrets.add(secret);
+        return secret;
+      }
+      if (!(name in ctx.vars)) throw new ValidationError(`Unknown variable "\${${name}}"`);
+      return String(ctx.vars[name]);
+    });
+  }
+  if (Array.isArray(value)) return value.map((v) => interpolate(v, ctx));
+  if (isObject(value)) return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, interpolate(v, ctx)]));
+  return value;
+}
+
+function redact(value, secrets) {
+  if (secrets.size === 0) return value;
+  if (typeof value === 'string') {
+    // Longest first, so a secret containing another is replaced whole.
+    return [...secrets]
+      .sort((a, b) => b.length - a.length)
+      .reduce((s, secret) => s.split(secret).join(REDACTED), value);
+  }
+  if (Array.isArray(value)) return value.map((v) => redact(v, secrets));
+  if (isObject(value)) return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, redact(v, secrets)]));
+  return value;
+}
+
+function redactError(err, secrets, results) {
+  for (const e of [err, err?.cause]) {
+    if (!e || typeof e !== 'object') continue;
+    if (typeof e.message === 'string') e.message = redact(e.message, secrets);
+    if (typeof e.stack === 'string') e.stack = redact(e.stack, secrets);
+  }
+  if (err?.action) err.action = redact(err.action, secrets);
+  if (err && typeof err === 'object') err.results = redact(results, secrets);
+  return err;
+}
+
+function targetOf(target) {
+  if (typeof target === 'string') return target.trim();
+  return target.element ?? target.selector;
+}
+
+class ScriptRunner {
+  constructor(page, ctx, { registry, defaultTimeoutMs }) {
+    this.ctx = ctx;
+    this.registry = registry;
+    this.executor = new ActionExecutor(page, {}, { defaultTimeoutMs });
+    this.results = [];
+  }
+
+  get page() {
+    return this.executor.page;
+  }
+
+  async run(steps, path) {
+    for (const [i, step] of steps.entries()) {
+      await this.runStep(step, `${path}[${i}]`);
+    }
+  }
+
+  async runStep(step, path) {
+    if (isObject(step) && 'if_present' in step) return this.ifPresent(step, path);
+    if (isObject(step) && 'repeat_until' in step) return this.repeatUntil(step, path);
+
+    let result;
+    try {
+      const { action, candidates } = this.toAction(step);
+      if (action.type === 'assert_text') result = await this.assertText(action, path);
+      else if (action.type === 'assert_url') result = await this.assertUrl(action, path);
+      else result = await this.execute(action, candidates);
+    } catch (err) {
+      if (err && typeof err === 'object' && !err.step) err.step = path;
+      throw err;
+    }
+    this.results.push({ step: path, ...result });
+  }
+
+  // Returns the action and, for a list of selectors, the candidates to try.
+  toAction(step) {
+    if (typeof step === 'string') return { action: parseAction(interpolate(step, this.ctx)) };
+
+    const { action: type, element, selector, timeout, ...fields } = interpolate(step, this.ctx);
+    const action = { type, ...fields };
+    const candidates = Array.isArray(selector) ? selector : null;
+    if (element != null) action.elementId = String(element);
+    else if (selector != null) action.elementId = String(candidates ? candidates[0] : selector);
+    if (type === 'wait') action.ms = Math.min(action.ms, MAX_WAIT_MS);
+    if (timeout != null) action.timeoutMs = Math.min(timeout, MAX_WAIT_FOR_MS);
+    return { action, candidates: element == null ? candidates : null };
+  }
+
+  // Snapshot IDs are looked up in a fresh scan; anything else is used as a selector.
+  async execute(action, candidates = null) {
+    if (action.elementId && ELEMENT_ID.test(action.elementId)) {
+      const elementMap = await buildPageElementMap(this.page, [action], { registry: this.registry });
+      validateAction(action, elementMap);
+      this.executor.elementMap = elementMap;
+    } else if (candidates) {
+      this.executor.elementMap = {
+        [action.elementId]: candidates.map((selector) => ({ strategy: 'selector', selector })),
+      };
+    } else if (action.elementId) {
+      this.executor.elementMap = { [action.elementId]: action.elementId };
+    }
+    return this.executor.execute(action);
+  }
+
+  async assertText(action, step) {
+    const text = await this.page.evaluate(() => document.body?.innerText ?? '');
+    if (!text.includes(action.text)) {
+      throw new ScriptAssertionError(`Expected the page to contain "${action.text}"`, { action, step });
+    }
+    return { type: 'assert_text', text: action.text, ok: true };
+  }
+
+  async assertUrl(action, step) {
+    const url = this.page.url();
+    if (!matchesUrlGlob(url, action.pattern)) {
+      throw new ScriptAssertionError(`Expected the URL to match "${action.pattern}", got ${url}`, { action, step });
+    }
+    return { type: 'assert_url', pattern: action.pattern, url, ok: true };
+  }
+
+  async isPresent(target) {
+    const id = targetOf(interpolate(target, this.ctx));
+    let selectors = [id];
+    if (ELEMENT_ID.test(id)) {
+      const entry = (await buildPageElementMap(this.page, [], { registry: this.registry }))[id];
+      selectors = !entry ? [] : Array.isArray(entry) ? entry.map((l) => l.selector) : [entry];
+    }
+    for (const selector of selectors) {
+      const count = await this.page
+        .locator(selector)
+        .count()
+        .catch(() => 0);
+      if (count > 0) return true;
+    }
+    return false;
+  }
+
+  async conditionHolds(condition) {
+    const [key, value] = Object.entries(condition)[0];
+    switch (key) {
+      case 'present':
+        return this.isPresent(value);
+      case 'absent':
+        return !(await this.isPresent(value));
+      case 'text': {
+        const text = await this.page.evaluate(() => document.body?.innerText ?? '');
+        return text.includes(interpolate(value, this.ctx));
+      }
+      default:
+        return matchesUrlGlob(this.page.url(), interpolate(value, this.ctx));
+    }
+  }
+
+  async ifPresent(step, path) {
+    const present = await this.isPresent(step.if_present);
+    this.results.push({ step: path, type: 'if_present', present, ok: true });
+    const branch = present ? 'then' : 'else';
+    if (step[branch]) await this.run(step[branch], `${path}.${branch}`);
+  }
+
+  // Checks the condition before each pass, so a list that has no next page runs zero times.
+  async repeatUntil(step, path) {
+    const max = Math.min(step.max ?? DEFAULT_REPEATS, MAX_REPEATS);
+    for (let i = 0; i <= max; i++) {
+      if (await this.conditionHolds(step.repeat_until)) {
+        this.results.push({ step: path, type: 'repeat_until', iterations: i, ok: true });
+        return;
+      }
+      if (i < max) await this.run(step.steps, `${path}#${i + 1}.steps`);
+    }
+    throw new ScriptAssertionError(`repeat_until: condition not met after ${max} iterations`, { step: path });
+  }
+}
+
+/**
+ * Run an action script on a page.
+ * @param {import('playwright').Page} page
+ * @param {Object|Array|string} script - See parseActionScript
+ * @param {Object} [options]
+ * @param {Object} [options.variables] - Values for `${name}` placeholders; override the script's `vars`
+ * @param {Object} [options.env=process.env] - Source of `${env:VAR}` secrets
+ * @param {import('./element-registry.js').ElementRegistry} [options.registry] - Session registry for stable IDs
+ * @param {number} [options.defaultTimeoutMs=10000] - Per-action timeout
+ * @returns {Promise<{results: Array<Object>, page: import('playwright').Page, redact: Function}>} - `page` is
+ *   the active tab at the end; `redact(value)` masks the script's secrets in anything else returned from the
+ *   page (its URL, a snapshot). On failure the error carries `step` (e.g. `steps[2].then[0]`) and the `results`
+ *   so far.
+ */
+export async function runActionScript(
+  page,
+  script,
+  { variables = {}, env = process.env, registry = null, defaultTimeoutMs = 10000 } = {},
+) {
+  const { vars, steps } = parseActionScript(script);
+  const ctx = { env, vars: {}, secrets: new Set() };
+  const runner = new ScriptRunner(page, ctx, { registry, defaultTimeoutMs });
+
+  try {
+    // In order, so a variable can use the ones defined before it.
+    for (const [name, value] of Object.entries({ ...vars, ...variables })) {
+      ctx.vars[name] = interpolate(value, ctx);
+    }
+    await runner.run(steps, 'steps');
+  } catch (err) {
+    throw redactError(err, ctx.secrets, runner.results);
+  }
+  return {
+    results: redact(runner.results, ctx.secrets),
+    page: runner.page,
+    redact: (value) => redact(value, ctx.secrets),
+  };
+}
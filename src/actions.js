@@ -1,4 +1,5 @@
-import { validateURL } from './security.js';
+import { basename } from 'node:path';
+import { validateURL, validateUploadPath } from './security.js';
 
 export class ActionError extends Error {
   constructor(message, { action, cause } = {}) {
@@ -17,11 +18,27 @@ export class ElementNotFoundError extends ActionError {
   }
 }
 
+export class StaleElementError extends ElementNotFoundError {
+  constructor(elementId, description) {
+    super(elementId);
+    this.message =
+      `Element "${elementId}"${description ? ` (${description})` : ''} is no longer present on the page. ` +
+      'Take a new snapshot and use the current element IDs.';
+    this.name = 'StaleElementError';
+  }
+}
+
 export class ActionTimeoutError extends ActionError {
-  constructor(action, timeoutMs) {
-    super(`Action timed out after ${timeoutMs}ms: ${action?.type ?? 'unknown'}`);
+  constructor(action, timeoutMs, condition) {
+    super(
+      condition
+        ? `Timed out after ${timeoutMs}ms waiting for ${condition}`
+        : `Action timed out after ${timeoutMs}ms: ${action?.type ?? 'unknown'}`,
+      { action },
+    );
     this.name = 'ActionTimeoutError';
     this.timeoutMs = timeoutMs;
+    if (condition) this.condition = condition;
   }
 }
 
@@ -33,7 +50,72 @@ export class ValidationError extends ActionError {
   }
 }
 
+// Action types written `type:...`, and history actions that take no arguments.
+const ARG_ACTIONS = [
+  'click',
+  'submit',
+  'type',
+  'select',
+  'wait',
+  'navigate',
+  'scroll',
+  'switch_tab',
+  'close_tab',
+  'new_tab',
+  'hover',
+  'focus',
+  'check',
+  'uncheck',
+  'press',
+  'upload',
+  'wait_for',
+  'wait_for_gone',
+  'wait_for_text',
+  'wait_for_url',
+  'wait_for_idle',
+];
+const BARE_ACTIONS = ['back', 'forward', 'reload', 'wait_for_idle'];
+const ACTION_BOUNDARY = new RegExp(
+  `,(?=\\s*(?:(?:${ARG_ACTIONS.join('|')}):|(?:${BARE_ACTIONS.join('|')})\\s*(?:,|$)))`,
+  'i',
+);
+const ELEMENT_ID = /^[ea]\d+$/;
+// Condition waits take an optional trailing timeout, e.g. wait_for_text:Saved:5000ms.
+const WAIT_TIMEOUT_SUFFIX = /(?:^|:)(\d+)ms$/;
+export const MAX_WAIT_MS = 30000;
+export const MAX_WAIT_FOR_MS = 120000;
+
+function parseWaitFor(type, rest, spec) {
+  let arg = rest.trim();
+  let timeoutMs;
+  const match = WAIT_TIMEOUT_SUFFIX.exec(arg);
+  if (match) {
+    timeoutMs = Math.min(Number(match[1]), MAX_WAIT_FOR_MS);
+    arg = arg.slice(0, match.index).trim();
+  }
+  const action = (fields) => ({ type, ...fields, ...(timeoutMs !== undefined ? { timeoutMs } : {}) });
+
+  switch (type) {
+    case 'wait_for_idle':
+      if (arg) throw new ValidationError(`wait_for_idle takes only a timeout, e.g. wait_for_idle:5000ms: "${spec}"`);
+      return action({});
+    case 'wait_for':
+    case 'wait_for_gone':
+      if (!arg) throw new ValidationError(`${type} requires an element ID: "${spec}"`);
+      return action({ elementId: arg });
+    case 'wait_for_text':
+      if (!arg) throw new ValidationError(`wait_for_text requires the text to wait for: "${spec}"`);
+      return action({ text: arg });
+    default:
+      if (!arg) throw new ValidationError(`wait_for_url requires a URL or glob, e.g. **/checkout: "${spec}"`);
+      return action({ pattern: arg });
+  }
+}
+
 function parseOneAction(spec) {
+  const bare = spec.trim().toLowerCase();
+  if (BARE_ACTIONS.includes(bare)) return { type: bare };
+
   const colonIdx = spec.indexOf(':');
   if (colonIdx === -1) {
     throw new ValidationError(`Invalid action spec (missing ":"): "${spec}"`);
@@ -45,6 +127,10 @@ function parseOneAction(spec) {
   switch (type) {
     case 'click':
     case 'submit':
+    case 'hover':
+    case 'focus':
+    case 'check':
+    case 'uncheck':
       if (!rest.trim()) throw new ValidationError(`${type} requires an element ID: "${spec}"`);
       return { type, elementId: rest.trim() };
 
@@ -80,7 +166,7 @@ function parseOneAction(spec) {
       if (!Number.isFinite(ms) || ms < 0) {
         throw new ValidationError(`wait requires valid milliseconds: "${spec}"`);
       }
-      return { type: 'wait', ms: Math.min(ms, 30000) };
+      return { type: 'wait', ms: Math.min(ms, MAX_WAIT_MS) };
     }
 
     case 'navigate':
@@ -101,16 +187,93 @@ function parseOneAction(spec) {
       return { type: 'scroll', pixels };
     }
 
+    case 'switch_tab':
+    case 'close_tab': {
+      const index = Number(rest.trim());
+      if (!rest.trim() || !Number.isInteger(index) || index < 0) {
+        throw new ValidationError(`${type} requires a tab index (0, 1, ...): "${spec}"`);
+      }
+      return { type, index };
+    }
+
+    case 'new_tab':
+      if (!rest.trim()) throw new ValidationError(`new_tab requires a URL: "${spec}"`);
+      try {
+        validateURL(rest.trim());
+      } catch (err) {
+        throw new ValidationError(`Invalid URL for new_tab: ${err.message}`, { type: 'new_tab', url: rest.trim() });
+      }
+      return { type: 'new_tab', url: rest.trim() };
+
+    // press:Enter presses on the page; press:e3:Control+A focuses e3 first.
+    case 'press': {
+      const sep = rest.indexOf(':');
+      const target = sep === -1 ? '' : rest.slice(0, sep).trim();
+      const key = ELEMENT_ID.test(target) ? rest.slice(sep + 1).trim() : rest.trim();
+      if (!key) throw new ValidationError(`press requires a key, e.g. press:Enter or press:e1:Control+A: "${spec}"`);
+      return ELEMENT_ID.test(target) ? { type: 'press', elementId: target, key } : { type: 'press', key };
+    }
+
+    case 'upload': {
+      const firstColon = rest.indexOf(':');
+      if (firstColon === -1 || !rest.slice(firstColon + 1).trim()) {
+        throw new ValidationError(`upload action requires element and file path: "${spec}"`);
+      }
+      const action = {
+        type: 'upload',
+        elementId: rest.slice(0, firstColon).trim(),
+        path: rest.slice(firstColon + 1).trim(),
+      };
+      try {
+        validateUploadPath(action.path);
+      } catch (err) {
+        throw new ValidationError(`Invalid file for upload: ${err.message}`, action);
+      }
+      return action;
+    }
+
+    case 'wait_for':
+    case 'wait_for_gone':
+    case 'wait_for_text':
+    case 'wait_for_url':
+    case 'wait_for_idle':
+      return parseWaitFor(type, rest, spec);
+
+    case 'back':
+    case 'forward':
+    case 'reload':
+      if (rest.trim()) throw new ValidationError(`${type} takes no arguments: "${spec}"`);
+      return { type };
+
     default:
       throw new ValidationError(`Unknown action type: "${type}"`);
   }
 }
 
+/**
+ * Parse a single action spec. Unlike parseActionSpec, commas never split it,
+ * so `type:e1:a, click:b` types the whole text.
+ * @param {string} spec
+ * @returns {Object}
+ */
+export function parseAction(spec) {
+  return parseOneAction(spec.trim());
+}
+
 export function parseActionSpec(specString) {
   if (!specString || typeof specString !== 'string') return [];
 
   const actions = [];
-  const parts = specString.split(/,(?=\s*(?:click|submit|type|select|wait|navigate|scroll):)/i);
+  const parts = [];
+  for (const part of specString.split(ACTION_BOUNDARY)) {
+    // A bare word after a typed or selected value is part of that value: type:e1:yes,back
+    const prev = parts.at(-1);
+    if (prev && /^\s*(?:type|select):/i.test(prev) && BARE_ACTIONS.includes(part.trim().toLowerCase())) {
+      parts[parts.length - 1] = `${prev},${part}`;
+    } else {
+      parts.push(part);
+    }
+  }
 
   for (const part of parts) {
     const trimmed = part.trim();
@@ -122,13 +285,26 @@ export function parseActionSpec(specString) {
 }
 
 export function validateAction(action, elementMap) {
-  const needsElement = ['click', 'submit', 'type', 'select'];
-
-  if (needsElement.includes(action.type)) {
+  const needsElement = [
+    'click',
+    'submit',
+    'type',
+    'select',
+    'hover',
+    'focus',
+    'check',
+    'uncheck',
+    'upload',
+    'wait_for',
+    'wait_for_gone',
+  ];
+
+  if (needsElement.includes(action.type) || (action.type === 'press' && action.elementId)) {
     if (!action.elementId) {
       throw new ValidationError(`${action.type} action requires an element ID`, action);
     }
-    if (!elementMap[action.elementId]) {
+    // An element missing from the scan is already gone, which is all wait_for_gone asks.
+    if (!elementMap[action.elementId] && action.type !== 'wait_for_gone') {
       const available = Object.keys(elementMap);
       const hint =
         available.length > 0 ? ` Available: ${available.slice(0, 10).join(', ')}` : ' No elements found on page.';
@@ -137,20 +313,84 @@ export function validateAction(action, elementMap) {
   }
 }
 
+// How long the network must stay without in-flight requests for wait_for_idle,
+// the same quiet period as Playwright's `networkidle`.
+export const NETWORK_QUIET_MS = 500;
+
+/**
+ * In-flight requests of a page. `networkidle` only describes the page's first
+ * load, so wait_for_idle counts requests itself to see the XHRs an action starts.
+ */
+class RequestTracker {
+  constructor(page) {
+    this.pending = new Set();
+    this.lastActivity = Date.now();
+    const done = (request) => {
+      if (this.pending.delete(request)) this.lastActivity = Date.now();
+    };
+    page.on('request', (request) => {
+      this.pending.add(request);
+      this.lastActivity = Date.now();
+    });
+    page.on('requestfinished', done);
+    page.on('requestfailed', done);
+  }
+
+  // Milliseconds since the last request started or ended, 0 while one is in flight.
+  quietFor() {
+    return this.pending.size === 0 ? Date.now() - this.lastActivity : 0;
+  }
+}
+
+// One tracker per page, shared by every executor that acts on it (sessions create one per call).
+const trackers = new WeakMap();
+
+function trackRequests(page) {
+  if (typeof page?.on !== 'function') return null;
+  if (!trackers.has(page)) trackers.set(page, new RequestTracker(page));
+  return trackers.get(page);
+}
+
 export class ActionExecutor {
   constructor(page, elementMap, { defaultTimeoutMs = 10000 } = {}) {
     this.page = page;
     this.elementMap = elementMap;
     this.defaultTimeoutMs = defaultTimeoutMs;
     this.results = [];
+    // Listen from the start, so wait_for_idle sees requests the previous action started.
+    trackRequests(page);
   }
 
-  resolveSelector(elementId) {
-    const selector = this.elementMap[elementId];
-    if (!selector) {
-      throw new ElementNotFoundError(elementId, 'not in element map');
+  /**
+   * Pick the locator to act on. Element map entries are either a selector or a
+   * list of candidate locators (most robust first, see buildLocators); the first
+   * candidate that matches exactly one element on the live page wins. When none
+   * does yet (the page may still be rendering), the last candidate is used so
+   * Playwright's own waiting applies.
+   * @param {string} elementId
+   * @returns {Promise<{strategy: string, selector: string}>}
+   */
+  async resolveLocator(elementId) {
+    const entry = this.elementMap[elementId];
+    const candidates = Array.isArray(entry) ? entry : entry ? [{ strategy: 'selector', selector: entry }] : [];
+    if (candidates.length === 0) {
+      throw new ElementNotFoundError(
+        elementId,
+        this.switchedTab
+          ? 'element IDs are from the previous tab; take a snapshot of this tab first'
+          : 'not in element map',
+      );
     }
-    return selector;
+    if (candidates.length === 1) return candidates[0];
+
+    for (const candidate of candidates) {
+      const count = await this.page
+        .locator(candidate.selector)
+        .count()
+        .catch(() => 0);
+      if (count === 1) return candidate;
+    }
+    return candidates.at(-1);
   }
 
   async executeAll(actions) {
@@ -178,6 +418,33 @@ export class ActionExecutor {
           return await this.navigate(action);
         case 'scroll':
           return await this.scroll(action);
+        case 'switch_tab':
+          return await this.switchTab(action);
+        case 'close_tab':
+          return await this.closeTab(action);
+        case 'new_tab':
+          return await this.newTab(action);
+        case 'hover':
+          return await this.hover(action);
+        case 'focus':
+          return await this.focus(action);
+        case 'check':
+        case 'uncheck':
+          return await this.setChecked(action);
+        case 'press':
+          return await this.press(action);
+        case 'upload':
+          return await this.upload(action);
+        case 'back':
+        case 'forward':
+        case 'reload':
+          return await this.history(action);
+        case 'wait_for':
+        case 'wait_for_gone':
+        case 'wait_for_text':
+        case 'wait_for_url':
+        case 'wait_for_idle':
+          return await this.waitFor(action);
         default:
           throw new ValidationError(`Unknown action type: ${action.type}`);
       }
@@ -188,13 +455,13 @@ export class ActionExecutor {
   }
 
   async click({ elementId }) {
-    const selector = this.resolveSelector(elementId);
+    const { strategy, selector } = await this.resolveLocator(elementId);
     await this.page.click(selector, { timeout: this.defaultTimeoutMs });
-    return { type: 'click', elementId, selector, ok: true };
+    return { type: 'click', elementId, selector, locator: strategy, ok: true };
   }
 
   async typeText({ elementId, value, slow }) {
-    const selector = this.resolveSelector(elementId);
+    const { strategy, selector } = await this.resolveLocator(elementId);
     await this.page.click(selector, { timeout: this.defaultTimeoutMs });
 
     if (slow) {
@@ -202,34 +469,76 @@ export class ActionExecutor {
     } else {
       await this.page.fill(selector, value, { timeout: this.defaultTimeoutMs });
     }
-    return { type: 'type', elementId, selector, ok: true };
+    return { type: 'type', elementId, selector, locator: strategy, ok: true };
   }
 
   async select({ elementId, value }) {
-    const selector = this.resolveSelector(elementId);
+    const { strategy, selector } = await this.resolveLocator(elementId);
     await this.page.selectOption(selector, value, { timeout: this.defaultTimeoutMs });
-    return { type: 'select', elementId, selector, ok: true };
+    return { type: 'select', elementId, selector, locator: strategy, ok: true };
   }
 
   async submit({ elementId }) {
-    const selector = this.resolveSelector(elementId);
+    const { strategy, selector } = await this.resolveLocator(elementId);
+    // Locator-based so role/label/text selectors work, not just CSS.
+    const target = this.page.locator(selector);
+    const timeout = this.defaultTimeoutMs;
 
-    const formExists = await this.page.evaluate((sel) => {
-      const el = document.querySelector(sel);
-      return el?.closest('form') != null;
-    }, selector);
+    const formExists = await target.evaluate((el) => el.closest('form') != null, undefined, { timeout });
 
     if (formExists) {
-      await this.page.evaluate((sel) => {
-        const el = document.querySelector(sel);
-        el.closest('form')?.requestSubmit();
-      }, selector);
+      await target.evaluate((el) => el.closest('form')?.requestSubmit(), undefined, { timeout });
     } else {
-      await this.page.click(selector, { timeout: this.defaultTimeoutMs });
+      await this.page.click(selector, { timeout });
     }
 
     await this.page.waitForLoadState('networkidle', { timeout: 10000 }).catch(() => {});
-    return { type: 'submit', elementId, selector, ok: true };
+    return { type: 'submit', elementId, selector, locator: strategy, ok: true };
+  }
+
+  async hover({ elementId }) {
+    const { strategy, selector } = await this.resolveLocator(elementId);
+    await this.page.hover(selector, { timeout: this.defaultTimeoutMs });
+    return { type: 'hover', elementId, selector, locator: strategy, ok: true };
+  }
+
+  async focus({ elementId }) {
+    const { strategy, selector } = await this.resolveLocator(elementId);
+    await this.page.focus(selector, { timeout: this.defaultTimeoutMs });
+    return { type: 'focus', elementId, selector, locator: strategy, ok: true };
+  }
+
+  async setChecked({ type, elementId }) {
+    const { strategy, selector } = await this.resolveLocator(elementId);
+    await this.page.setChecked(selector, type === 'check', { timeout: this.defaultTimeoutMs });
+    return { type, elementId, selector, locator: strategy, ok: true };
+  }
+
+  async press({ elementId, key }) {
+    if (!elementId) {
+      await this.page.keyboard.press(key);
+      return { type: 'press', key, ok: true };
+    }
+    const { strategy, selector } = await this.resolveLocator(elementId);
+    await this.page.press(selector, key, { timeout: this.defaultTimeoutMs });
+    return { type: 'press', elementId, key, selector, locator: strategy, ok: true };
+  }
+
+  async upload({ elementId, path }) {
+    // Checked again here: the file may have changed since the spec was parsed.
+    const file = validateUploadPath(path);
+    const { strategy, selector } = await this.resolveLocator(elementId);
+    await this.page.setInputFiles(selector, file, { timeout: this.defaultTimeoutMs });
+    return { type: 'upload', elementId, file: basename(file), selector, locator: strategy, ok: true };
+  }
+
+  async history({ type }) {
+    const options = { waitUntil: 'domcontentloaded', timeout: this.defaultTimeoutMs * 3 };
+    if (type === 'back') await this.page.goBack(options);
+    else if (type === 'forward') await this.page.goForward(options);
+    else await this.page.reload(options);
+    await this.page.waitForLoadState('networkidle', { timeout: 15000 }).catch(() => {});
+    return { type, finalUrl: this.page.url(), ok: true };
   }
 
   async wait({ ms }) {
@@ -237,6 +546,77 @@ export class ActionExecutor {
     return { type: 'wait', ms, ok: true };
   }
 
+  /**
+   * Wait until a condition holds: an element visible or gone, text on the page,
+   * a URL matching a glob, or the network quiet. Uses the action's `timeoutMs`,
+   * else the executor default; a timeout throws ActionTimeoutError naming the condition.
+   */
+  async waitFor(action) {
+    const timeout = action.timeoutMs ?? this.defaultTimeoutMs;
+    const result = { type: action.type };
+    let condition;
+    let wait;
+
+    if (action.type === 'wait_for_gone' && !this.elementMap[action.elementId]) {
+      return { ...result, elementId: action.elementId, url: this.page.url(), waitedMs: 0, ok: true };
+    }
+
+    switch (action.type) {
+      case 'wait_for':
+      case 'wait_for_gone': {
+        const { strategy, selector } = await this.resolveLocator(action.elementId);
+        const visible = action.type === 'wait_for';
+        condition = `${action.elementId} to be ${visible ? 'visible' : 'gone'}`;
+        wait = () => this.page.waitForSelector(selector, { state: visible ? 'visible' : 'hidden', timeout });
+        Object.assign(result, { elementId: action.elementId, selector, locator: strategy });
+        break;
+      }
+      case 'wait_for_text':
+        condition = `text "${action.text}"`;
+        wait = () =>
+          this.page.waitForFunction((text) => document.body?.innerText.includes(text) ?? false, action.text, {
+            timeout,
+          });
+        result.text = action.text;
+        break;
+      case 'wait_for_url':
+        condition = `URL matching "${action.pattern}"`;
+        wait = () => this.page.waitForURL(action.pattern, { timeout, waitUntil: 'commit' });
+        result.pattern = action.pattern;
+        break;
+      default:
+        condition = 'network idle';
+        wait = () => this.waitForNetworkQuiet(action, timeout, condition);
+    }
+
+    const started = Date.now();
+    try {
+      await wait();
+    } catch (err) {
+      if (err?.name === 'TimeoutError') throw new ActionTimeoutError(action, timeout, condition);
+      throw err;
+    }
+    return { ...result, url: this.page.url(), waitedMs: Date.now() - started, ok: true };
+  }
+
+  // Wait until no request has been in flight for NETWORK_QUIET_MS.
+  async waitForNetworkQuiet(action, timeout, condition) {
+    const tracker = trackRequests(this.page);
+    if (!tracker) return this.page.waitForLoadState('networkidle', { timeout });
+
+    const deadline = Date.now() + timeout;
+    for (;;) {
+      const quiet = tracker.quietFor();
+      if (quiet >= NETWORK_QUIET_MS) return;
+      const remaining = deadline - Date.now();
+      if (remaining <= 0) throw new ActionTimeoutError(action, timeout, condition);
+      // While a request is in flight, check again soon; otherwise when the quiet period would end.
+      await new Promise((resolve) =>
+        setTimeout(resolve, Math.min(remaining, quiet > 0 ? NETWORK_QUIET_MS - quiet : 50)),
+      );
+    }
+  }
+
   async navigate({ url }) {
     // Validate URL for SSRF protection
     validateURL(url);
@@ -251,4 +631,57 @@ export class ActionExecutor {
     await this.page.waitForTimeout(300);
     return { type: 'scroll', pixels, ok: true };
   }
+
+  // Element IDs come from a scan of one tab and mean nothing on another.
+  setActivePage(page) {
+    if (page === this.page) return;
+    this.page = page;
+    trackRequests(page);
+    this.elementMap = {};
+    this.switchedTab = true;
+  }
+
+  tabAt(index, action) {
+    const pages = this.page.context().pages();
+    const page = pages[index];
+    if (!page) {
+      throw new ValidationError(`No tab ${index}; open tabs are 0-${pages.length - 1}`, action);
+    }
+    return page;
+  }
+
+  async switchTab(action) {
+    const page = this.tabAt(action.index, action);
+    await page.bringToFront();
+    this.setActivePage(page);
+    return { type: 'switch_tab', index: action.index, url: page.url(), ok: true };
+  }
+
+  async closeTab(action) {
+    const page = this.tabAt(action.index, action);
+    if (this.page.context().pages().length === 1) {
+      throw new ValidationError('Cannot close the only tab; close the session instead', action);
+    }
+
+    await page.close();
+    if (page === this.page) {
+      const remaining = page.context().pages();
+      const next = remaining[Math.max(0, action.index - 1)];
+      await next.bringToFront();
+      this.setActivePage(next);
+    }
+    return { type: 'close_tab', index: action.index, activeUrl: this.page.url(), ok: true };
+  }
+
+  async newTab({ url }) {
+    // Validate URL for SSRF protection
+    validateURL(url);
+
+    const page = await this.page.context().newPage();
+    await page.goto(url, { waitUntil: 'domcontentloaded', timeout: this.defaultTimeoutMs * 3 });
+    await page.waitForLoadState('networkidle', { timeout: 15000 }).catch(() => {});
+    this.setActivePage(page);
+    const index = page.context().pages().indexOf(page);
+    return { type: 'new_tab', url, index, finalUrl: page.url(), ok: true };
+  }
 }
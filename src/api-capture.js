@@ -0,0 +1,124 @@
+/**
+ * Capture of the JSON a page loads over XHR/fetch. Single-page apps render
+ * from API responses, and those are often cleaner data than anything that can
+ * be read back out of the DOM. An ApiCapture listens on a browser context, so
+ * it also sees popups and tabs opened by actions, and keeps the bodies of
+ * responses whose URL matches one of its globs.
+ */
+
+import { matchesUrlGlob } from './action-script.js';
+
+const API_RESOURCE_TYPES = new Set(['xhr', 'fetch']);
+export const DEFAULT_CAPTURE_MAX_BYTES = 256 * 1024;
+export const DEFAULT_CAPTURE_MAX_RESPONSES = 50;
+
+function isJsonType(contentType) {
+  const type = contentType.split(';')[0].trim().toLowerCase();
+  return type === 'application/json' || type === 'text/json' || type.endsWith('+json');
+}
+
+/**
+ * Normalize the `capture` option: a glob, a list of globs, or
+ * `{ patterns, anyType, maxBytes, maxResponses }`.
+ * @param {string|string[]|Object|null} capture
+ * @returns {{patterns: string[], anyType: boolean, maxBytes: number, maxResponses: number}|null}
+ */
+export function parseCaptureOption(capture) {
+  if (capture == null || capture === false) return null;
+  const spec = typeof capture === 'string' || Array.isArray(capture) ? { patterns: capture } : capture;
+  const patterns = [spec.patterns ?? []].flat().filter((p) => typeof p === 'string' && p.trim() !== '');
+  if (patterns.length === 0) throw new Error('API capture needs at least one URL glob, e.g. "**/api/**"');
+  return {
+    patterns,
+    anyType: Boolean(spec.anyType),
+    maxBytes: spec.maxBytes ?? DEFAULT_CAPTURE_MAX_BYTES,
+    maxResponses: spec.maxResponses ?? DEFAULT_CAPTURE_MAX_RESPONSES,
+  };
+}
+
+export class ApiCapture {
+  /**
+   * @param {Object} options - See parseCaptureOption
+   */
+  constructor(options) {
+    Object.assign(this, parseCaptureOption(options));
+    this.responses = [];
+    this.pending = new Set();
+    this.skipped = 0;
+    this.context = null;
+    this.onResponse = (response) => {
+      const read = this.record(response).catch(() => {});
+      this.pending.add(read);
+      read.finally(() => this.pending.delete(read));
+    };
+  }
+
+  /**
+   * Start listening on a browser context.
+   * @param {import('playwright').BrowserContext} context
+   * @returns {ApiCapture}
+   */
+  attach(context) {
+    this.context = context;
+    context.on('response', this.onResponse);
+    return this;
+  }
+
+  detach() {
+    this.context?.off('response', this.onResponse);
+    this.context = null;
+  }
+
+  matches(response) {
+    const request = response.request();
+    if (!API_RESOURCE_TYPES.has(request.resourceType())) return false;
+    const url = response.url();
+    return this.patterns.some((pattern) => matchesUrlGlob(url, pattern));
+  }
+
+  async record(response) {
+    if (!this.matches(response)) return;
+    const headers = response.headers();
+    const contentType = headers['content-type'] ?? '';
+    if (!this.anyType && !isJsonType(contentType)) return;
+    if (this.responses.length >= this.maxResponses) {
+      this.skipped++;
+      return;
+    }
+
+    const entry = {
+      url: response.url(),
+      method: response.request().method(),
+      status: response.status(),
+      contentType: contentType.split(';')[0].trim(),
+    };
+    this.responses.push(entry);
+
+    const declared = Number(headers['content-length']);
+    if (declared > this.maxBytes) {
+      Object.assign(entry, { size: declared, truncated: true });
+      return;
+    }
+    const body = await response.body();
+    if (body.length > this.maxBytes) {
+      Object.assign(entry, { size: body.length, truncated: true, text: body.subarray(0, this.maxBytes).toString() });
+      return;
+    }
+    const text = body.toString();
+    try {
+      entry.data = JSON.parse(text);
+    } catch {
+      entry.text = text;
+    }
+  }
+
+  /**
+   * The captured responses, in the order they arrived, once their bodies are read.
+   * @returns {Promise<Object[]>} - `{ url, method, status, contentType }` plus the parsed `data`,
+   *   or `text` when the body is not JSON; bodies over `maxBytes` carry `size` and `truncated`
+   */
+  async results() {
+    while (this.pending.size > 0) await Promise.all([...this.pending]);
+    return this.responses.filter((e) => e.data !== undefined || e.text !== undefined || e.truncated);
+  }
+}
@@ -0,0 +1,185 @@
+/**
+ * Batch fetching: many URLs over one BrowserPool with bounded concurrency.
+ * Every URL produces one result record, reported as soon as it finishes;
+ * a failing URL gets an error record instead of failing the batch.
+ */
+
+import { BrowserPool } from './browser-pool.js';
+import { fetchRenderedHtml } from './browser.js';
+import { extractFetched } from './documents.js';
+import { formatJson, formatMarkdown, formatText } from './formatter.js';
+import { BrowserError, ErrorCodes } from './errors.js';
+import { SSRFError, validateURL } from './security.js';
+
+const FORMATTERS = { text: formatText, markdown: formatMarkdown, json: formatJson };
+export const BATCH_MODES = Object.keys(FORMATTERS);
+export const MAX_BATCH_CONCURRENCY = 10;
+export const DEFAULT_BATCH_TOKENS = 8000;
+// Below this a page says little more than its title.
+export const MIN_PAGE_TOKENS = 200;
+
+/**
+ * URLs from a list with one per line; blank lines, `#` comments and repeats are skipped.
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function parseUrlList(text) {
+  const urls = String(text ?? '')
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter((line) => line && !line.startsWith('#'));
+  return [...new Set(urls)];
+}
+
+/**
+ * Each page's share of a total token budget. The pages never get more than the
+ * total together, so a total that leaves a page less than MIN_PAGE_TOKENS is
+ * rejected rather than stretched.
+ * @param {number} totalTokens
+ * @param {number} count - Number of pages
+ * @returns {number}
+ */
+export function splitTokenBudget(totalTokens, count) {
+  const pages = Math.max(1, count);
+  const share = Math.floor(totalTokens / pages);
+  if (share < MIN_PAGE_TOKENS) {
+    throw new Error(
+      `A budget of ${totalTokens} tokens leaves less than ${MIN_PAGE_TOKENS} per page for ${pages} pages; ` +
+        `raise it to at least ${pages * MIN_PAGE_TOKENS} or fetch fewer pages.`,
+    );
+  }
+  return share;
+}
+
+/**
+ * The `error` of a failed record: BrowserError.toJSON, or the same shape for other errors.
+ * @param {Error} err
+ * @param {string} url
+ * @returns {{error: string, code: string, message: string, url: string}}
+ */
+export function describeError(err, url) {
+  if (err instanceof BrowserError) return err.toJSON();
+  const code = err instanceof SSRFError ? ErrorCodes.E_INVALID_URL : ErrorCodes.E_UNKNOWN;
+  return { error: err?.name ?? 'Error', code, message: err?.message ?? String(err), url };
+}
+
+/**
+ * Fetch one page on `pool` and format it in `mode`.
+ * @param {string} url
+ * @param {Object} options - `pool, cache, engine, browserName, mode, maxTokens, timeoutMs, waitFor, query`, and `withLinks`
+ *   to add the page's `links` and `canonical` URL
+ * @returns {Promise<Object>} - `{ finalUrl, status, title, tokens, truncated, content }`
+ */
+export async function fetchAndFormat(
+  url,
+  {
+    pool,
+    cache = null,
+    engine = 'browser',
+    browserName = 'chromium',
+    mode,
+    maxTokens,
+    timeoutMs,
+    waitFor,
+    query,
+    withLinks = false,
+  },
+) {
+  // Reject bad URLs before they take a pooled browser.
+  validateURL(url);
+  const fetched = await fetchRenderedHtml(url, { pool, cache, engine, browserName, timeoutMs, waitFor });
+  const extracted = extractFetched(fetched, url, { withLinks });
+  const meta = { url, finalUrl: fetched.finalUrl, status: fetched.status, fetchedTitle: fetched.title };
+  const out = await FORMATTERS[mode](meta, extracted, { maxTokens, query });
+
+  return {
+    finalUrl: fetched.finalUrl,
+    status: fetched.status,
+    title: extracted.article?.title || fetched.title,
+    tokens: out.tokens,
+    truncated: Boolean(out.truncated),
+    content: mode === 'json' ? JSON.parse(out.text) : out.text,
+    ...(withLinks ? { canonical: extracted.metadata?.canonical ?? null, links: extracted.links } : {}),
+  };
+}
+
+/**
+ * Fetch and extract `urls`, at most `concurrency` at a time.
+ * @param {string[]} urls
+ * @param {Object} [options]
+ * @param {number} [options.concurrency=4] - Parallel pages (and pooled browsers), at most MAX_BATCH_CONCURRENCY
+ * @param {number} [options.maxTokens] - Total budget, split evenly across the pages
+ * @param {string} [options.mode='text'] - text | markdown | json
+ * @param {number} [options.timeoutMs=45000] - Navigation timeout per page
+ * @param {string} [options.waitFor='scroll'] - Page readiness condition (see parseReadyCondition)
+ * @param {string} [options.query] - Keep the passages most relevant to this question
+ * @param {ResponseCache} [options.cache] - Serve repeat fetches from this cache (see cache.js)
+ * @param {string} [options.engine='browser'] - browser | http | auto (see fetchRenderedHtml)
+ * @param {string} [options.browserName='chromium'] - chromium | firefox | webkit
+ * @param {Function} [options.onResult] - Called with each record as its URL finishes
+ * @param {Function} [options.fetchPage] - Fetches and formats one URL (defaults to the pooled browser fetch)
+ * @returns {Promise<Object[]>} - Records in input order: `{ index, url, ok, ms, ... }` with
+ *   `finalUrl, status, title, tokens, truncated, content` on success and `error` (BrowserError.toJSON shape) on failure
+ */
+export async function fetchPages(
+  urls,
+  {
+    concurrency = 4,
+    maxTokens = DEFAULT_BATCH_TOKENS,
+    mode = 'text',
+    timeoutMs = 45000,
+    waitFor = 'scroll',
+    query = null,
+    cache = null,
+    engine = 'browser',
+    browserName = 'chromium',
+    onResult = null,
+    fetchPage = fetchAndFormat,
+  } = {},
+) {
+  if (!BATCH_MODES.includes(mode)) {
+    throw new Error(`Invalid mode: ${mode}. Expected ${BATCH_MODES.join('|')}.`);
+  }
+
+  const workers = Math.max(1, Math.min(Math.floor(concurrency) || 1, MAX_BATCH_CONCURRENCY, urls.length));
+  const pageTokens = splitTokenBudget(maxTokens, urls.length);
+  // Browsers are launched on first use, so an injected fetchPage never starts one.
+  const pool = new BrowserPool({ maxSize: workers, browserName });
+  const results = new Array(urls.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < urls.length) {
+      const index = next++;
+      const url = urls[index];
+      const startedAt = Date.now();
+      let record;
+      try {
+        const page = await fetchPage(url, {
+          pool,
+          cache,
+          engine,
+          browserName,
+          mode,
+          maxTokens: pageTokens,
+          timeoutMs,
+          waitFor,
+          query,
+        });
+        record = { index, url, ok: true, ...page };
+      } catch (err) {
+        record = { index, url, ok: false, error: describeError(err, url) };
+      }
+      record.ms = Date.now() - startedAt;
+      results[index] = record;
+      await onResult?.(record);
+    }
+  };
+
+  try {
+    await Promise.all(Array.from({ length: workers }, worker));
+  } finally {
+    await pool.drain();
+  }
+  return results;
+}
@@ -1,5 +1,6 @@
 import { writeFile } from 'node:fs/promises';
 import { getLogger } from './logger.js';
+import { buildHar, harEntry } from './har.js';
 
 export class BrowserEventLogger {
   constructor(page, options = {}) {
@@ -10,6 +11,8 @@ export class BrowserEventLogger {
     this.responses = [];
     this.consoleMessages = [];
     this.errors = [];
+    // Finished and failed requests, as Playwright objects, for the HAR file.
+    this.harRequests = [];
     this.harEnabled = options.saveHar ?? false;
     this.saveHtml = options.saveHtml ?? false;
   }
@@ -45,6 +48,12 @@ export class BrowserEventLogger {
       this.logger.trace('Response', { url: resp.url, status: resp.status });
     });
 
+    if (this.harEnabled) {
+      const keep = (request) => this.harRequests.push(request);
+      this.page.on('requestfinished', keep);
+      this.page.on('requestfailed', keep);
+    }
+
     // Log console messages
     this.page.on('console', (msg) => {
       const consoleMsg = {
@@ -85,72 +94,14 @@ export class BrowserEventLogger {
 
     this.logger.debug('Saving HAR file', { filename });
 
-    const har = {
-      log: {
-        version: '1.2',
-        creator: {
-          name: 'lean-browser',
-          version: '0.2.0',
-        },
-        pages: [
-          {
-            startedDateTime: this.requests[0]?.timestamp ?? new Date().toISOString(),
-            id: 'page_1',
-            title: await this.page.title().catch(() => ''),
-            pageTimings: {},
-          },
-        ],
-        entries: this.requests.map((req) => {
-          const resp = this.responses.find((r) => r.url === req.url);
-          return {
-            startedDateTime: req.timestamp,
-            time: 0,
-            request: {
-              method: req.method,
-              url: req.url,
-              httpVersion: 'HTTP/1.1',
-              headers: Object.entries(req.headers).map(([name, value]) => ({ name, value })),
-              queryString: [],
-              cookies: [],
-              headersSize: -1,
-              bodySize: -1,
-            },
-            response: resp
-              ? {
-                  status: resp.status,
-                  statusText: resp.statusText,
-                  httpVersion: 'HTTP/1.1',
-                  headers: Object.entries(resp.headers).map(([name, value]) => ({ name, value })),
-                  cookies: [],
-                  content: {
-                    size: -1,
-                    mimeType: resp.headers['content-type'] ?? '',
-                  },
-                  redirectURL: '',
-                  headersSize: -1,
-                  bodySize: -1,
-                }
-              : {
-                  status: 0,
-                  statusText: '',
-                  httpVersion: 'HTTP/1.1',
-                  headers: [],
-                  cookies: [],
-                  content: { size: 0, mimeType: '' },
-                  redirectURL: '',
-                  headersSize: -1,
-                  bodySize: -1,
-                },
-            cache: {},
-            timings: {
-              send: 0,
-              wait: 0,
-              receive: 0,
-            },
-          };
-        }),
-      },
+    const entries = await Promise.all(this.harRequests.map((request) => harEntry(request, { pageref: 'page_1' })));
+    const page = {
+      startedDateTime:
+        entries.map((e) => e.startedDateTime).sort()[0] ?? this.requests[0]?.timestamp ?? new Date().toISOString(),
+      id: 'page_1',
+      title: await this.page.title().catch(() => ''),
     };
+    const har = buildHar([page], entries);
 
     try {
       await writeFile(filename, JSON.stringify(har, null, 2));
@@ -8,12 +8,15 @@ export class BrowserPool {
     healthCheckIntervalMs = 30 * 1000, // 30 seconds
     headless = true,
     userAgent = 'lean-browser/0.2 (+https://github.com/)',
+    browserName = 'chromium',
   } = {}) {
     this.maxSize = maxSize;
     this.idleTimeoutMs = idleTimeoutMs;
     this.healthCheckIntervalMs = healthCheckIntervalMs;
     this.headless = headless;
     this.userAgent = userAgent;
+    // Every browser in the pool is of this type (chromium | firefox | webkit).
+    this.browserName = browserName;
 
     // Pool state
     this.available = []; // Available browser instances
@@ -38,6 +41,7 @@ export class BrowserPool {
   // Create a new browser instance with metadata
   async createBrowserInstance() {
     const instance = await launchBrowser({
+      browserName: this.browserName,
       headless: this.headless,
       userAgent: this.userAgent,
     });
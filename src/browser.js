@@ -1,10 +1,36 @@
-import { chromium, devices } from 'playwright';
+import { chromium, devices, firefox, webkit } from 'playwright';
 import { readFile, writeFile } from 'node:fs/promises';
 import { shouldBlockRequest, shouldBlockResourceType } from './blocklists.js';
 import { validateURL, SSRFError } from './security.js';
-import { classifyError, detectAntiBot, BrowserCrashError } from './errors.js';
+import { classifyError, detectAntiBot, BrowserCrashError, ErrorCodes, ExtractionError } from './errors.js';
 import { withAutoRetry } from './retry.js';
 import { getGlobalPool } from './browser-pool.js';
+import { collectA11yElements } from './a11y.js';
+import { fetchStaticHtml, isHtmlType, needsBrowser } from './http-engine.js';
+import { documentKind, readDocument } from './documents.js';
+import { ApiCapture } from './api-capture.js';
+import { harRecordOptions, harResponse, replayHar as routeFromHarFile, replayedHar } from './har.js';
+
+const DEFAULT_USER_AGENT = 'lean-browser/0.2 (+https://github.com/)';
+
+export const ENGINES = ['browser', 'http', 'auto'];
+export const BROWSERS = ['chromium', 'firefox', 'webkit'];
+const BROWSER_TYPES = { chromium, firefox, webkit };
+// Options only a browser can honour: the http engine refuses them and auto renders.
+const BROWSER_ONLY_OPTIONS = [
+  'viewport',
+  'device',
+  'mobile',
+  'cookiesFile',
+  'a11y',
+  'capture',
+  'recordHar',
+  'replayHar',
+];
+// auto gives the server this long before it renders instead.
+const AUTO_HTTP_TIMEOUT_MS = 15000;
+// Failures the browser would run into as well.
+const FINAL_HTTP_ERRORS = new Set([ErrorCodes.E_DNS, ErrorCodes.E_CONNECTION_REFUSED]);
 
 async function autoScroll(page, { maxSteps = 12, stepDelayMs = 250 } = {}) {
   // Minimal lazy-load assist: scroll down in steps.
@@ -18,9 +44,44 @@ async function autoScroll(page, { maxSteps = 12, stepDelayMs = 250 } = {}) {
   await page.evaluate(() => window.scrollTo(0, 0));
 }
 
+/**
+ * The Playwright browser type for a browser name.
+ * @param {string} browserName - chromium | firefox | webkit
+ * @returns {import('playwright').BrowserType}
+ */
+export function browserTypeFor(browserName = 'chromium') {
+  if (!BROWSERS.includes(browserName)) {
+    throw new Error(`Invalid browser: ${browserName}. Expected ${BROWSERS.join('|')}.`);
+  }
+  return BROWSER_TYPES[browserName];
+}
+
+/**
+ * Context options for a Playwright device descriptor in `browserName`.
+ * Descriptors are written for the browser that ships on the device, and
+ * Firefox cannot emulate a mobile viewport (`isMobile`), so it gets the size,
+ * scale, touch and user agent only.
+ * @param {Object} descriptor - An entry of Playwright's `devices`
+ * @param {string} browserName
+ * @returns {Object}
+ */
+export function deviceContextOptions(descriptor, browserName = 'chromium') {
+  const options = { ...descriptor };
+  delete options.defaultBrowserType;
+  if (browserName === 'firefox') delete options.isMobile;
+  return options;
+}
+
+/**
+ * Launch `browserName` (Chromium by default) with a fresh context and page.
+ * `recordHar` writes every request of the context, bodies included, to a HAR
+ * file when the context closes; `replayHar` answers every request from such a
+ * file instead of the network, aborting those it has no entry for (see har.js).
+ */
 export async function launchBrowser({
+  browserName = 'chromium',
   headless = true,
-  userAgent = 'lean-browser/0.2 (+https://github.com/)',
+  userAgent = DEFAULT_USER_AGENT,
   viewport = null,
   device = null,
   mobile = false,
@@ -28,17 +89,24 @@ export async function launchBrowser({
   blockAds = false,
   blockResources = [],
   extraHeaders = {},
+  storageState = null,
+  recordHar = null,
+  replayHar = null,
 } = {}) {
-  const browser = await chromium.launch({ headless });
+  if (recordHar && replayHar) {
+    throw new Error('Use either recordHar or replayHar, not both');
+  }
+  const browserType = browserTypeFor(browserName);
+  const browser = await browserType.launch({ headless });
 
   // Prepare context options
   const contextOptions = { userAgent };
 
   // Handle device emulation
   if (device && devices[device]) {
-    Object.assign(contextOptions, devices[device]);
+    Object.assign(contextOptions, deviceContextOptions(devices[device], browserName));
   } else if (mobile) {
-    Object.assign(contextOptions, devices['iPhone 13']);
+    Object.assign(contextOptions, deviceContextOptions(devices['iPhone 13'], browserName));
   } else if (viewport) {
     const [width, height] = viewport.split('x').map(Number);
     if (width && height) {
@@ -51,8 +119,26 @@ export async function launchBrowser({
     contextOptions.extraHTTPHeaders = extraHeaders;
   }
 
+  // Cookies and localStorage saved by context.storageState()
+  if (storageState) {
+    contextOptions.storageState = storageState;
+  }
+
+  if (recordHar) {
+    contextOptions.recordHar = harRecordOptions(recordHar);
+  }
+
   const context = await browser.newContext(contextOptions);
 
+  if (replayHar) {
+    try {
+      await routeFromHarFile(context, replayHar);
+    } catch (err) {
+      await browser.close().catch(() => {});
+      throw err;
+    }
+  }
+
   // Load cookies if specified
   if (cookiesFile) {
     try {
@@ -87,7 +173,8 @@ export async function launchBrowser({
         return route.abort();
       }
 
-      return route.continue();
+      // Fall back rather than continue, so a replayed HAR still answers the request.
+      return route.fallback();
     });
 
     // Store blocked count on page object for reporting
@@ -97,23 +184,101 @@ export async function launchBrowser({
   return { browser, context, page };
 }
 
+const LOAD_STATES = ['load', 'domcontentloaded', 'networkidle', 'scroll'];
+
+/**
+ * Parse a page readiness condition for navigateAndWait: `scroll` (the default),
+ * `networkidle`, `load`, `domcontentloaded`, `selector:<css>` or `text:<text>`.
+ * @param {string|Object} spec - A condition string, or an already parsed condition
+ * @returns {string|{selector: string}|{text: string}}
+ */
+export function parseReadyCondition(spec) {
+  if (typeof spec !== 'string') return spec;
+  const condition = spec.trim();
+  if (LOAD_STATES.includes(condition)) return condition;
+  if (condition.startsWith('selector:') && condition.length > 9) return { selector: condition.slice(9) };
+  if (condition.startsWith('text:') && condition.length > 5) return { text: condition.slice(5) };
+  throw new Error(`Invalid wait condition "${spec}". Expected ${LOAD_STATES.join('|')}|selector:<css>|text:<text>`);
+}
+
+// `scroll` lets the network settle, scrolls through the page to trigger lazy
+// loading and settles again. Network idle is best effort; a selector or text
+// that never shows up fails the navigation with a timeout.
+async function waitForReady(page, condition, timeoutMs) {
+  const settle = () => page.waitForLoadState('networkidle', { timeout: Math.min(timeoutMs, 15000) }).catch(() => {});
+
+  if (condition === 'scroll') {
+    await settle();
+    await autoScroll(page).catch(() => {});
+    await settle();
+  } else if (condition === 'networkidle') {
+    await settle();
+  } else if (condition === 'load' || condition === 'domcontentloaded') {
+    await page.waitForLoadState(condition, { timeout: timeoutMs });
+  } else if (condition.selector) {
+    await page.waitForSelector(condition.selector, { state: 'visible', timeout: timeoutMs });
+  } else {
+    await page.waitForFunction((text) => document.body?.innerText.includes(text) ?? false, condition.text, {
+      timeout: timeoutMs,
+    });
+  }
+}
+
+async function fetchDownload(page, url, timeoutMs) {
+  // `page.request` bypasses the context's routes, so a replayed page is served from its HAR file.
+  const harFile = replayedHar(page.context());
+  if (harFile) return harResponse(harFile, url);
+
+  const resp = await page.request.get(url, { timeout: timeoutMs });
+  return { url: resp.url(), status: resp.status(), headers: resp.headers(), body: await resp.body() };
+}
+
+// Chromium downloads what it cannot display (PDFs, in headless mode) instead
+// of navigating, so the file is fetched again with the page's cookies.
+async function downloadDocument(page, url, timeoutMs) {
+  const { url: finalUrl, status, headers, body } = await fetchDownload(page, url, timeoutMs);
+  validateURL(finalUrl);
+  const ok = status >= 200 && status < 300;
+  const document = ok ? await readDocument(body, headers['content-type'], finalUrl) : null;
+  if (ok && !document) {
+    throw new ExtractionError(url, `Cannot extract text from ${headers['content-type'] ?? 'this'} download`);
+  }
+  return { finalUrl, title: document?.title ?? undefined, status, headers, document };
+}
+
 export async function navigateAndWait(
   page,
   url,
-  { timeoutMs = 45000, skipSSRFCheck = false, allowDataURLs = false } = {},
+  { timeoutMs = 45000, skipSSRFCheck = false, allowDataURLs = false, waitFor = 'scroll' } = {},
 ) {
   // Validate URL for SSRF protection unless explicitly skipped
   if (!skipSSRFCheck) {
     validateURL(url, { allowData: allowDataURLs });
   }
+  const condition = parseReadyCondition(waitFor);
 
   try {
-    const resp = await page.goto(url, { waitUntil: 'domcontentloaded', timeout: timeoutMs });
+    let resp;
+    try {
+      resp = await page.goto(url, { waitUntil: 'domcontentloaded', timeout: timeoutMs });
+    } catch (error) {
+      if (!/Download is starting/i.test(error?.message ?? '')) throw error;
+      return await downloadDocument(page, url, timeoutMs);
+    }
 
-    // Wait a bit for hydration / async content.
-    await page.waitForLoadState('networkidle', { timeout: Math.min(timeoutMs, 15000) }).catch(() => {});
-    await autoScroll(page).catch(() => {});
-    await page.waitForLoadState('networkidle', { timeout: Math.min(timeoutMs, 15000) }).catch(() => {});
+    // PDF, JSON, XML and text responses are read as they are, not from Chromium's viewer.
+    const contentType = resp?.headers()['content-type'] ?? '';
+    if (resp?.ok() && documentKind(contentType)) {
+      const finalUrl = page.url();
+      if (!skipSSRFCheck) {
+        validateURL(finalUrl, { allowData: allowDataURLs });
+      }
+      const document = await readDocument(await resp.body(), contentType, finalUrl);
+      return { finalUrl, title: document.title ?? undefined, status: resp.status(), headers: resp.headers(), document };
+    }
+
+    // Wait for hydration / async content.
+    await waitForReady(page, condition, timeoutMs);
 
     const finalUrl = page.url();
     if (!skipSSRFCheck) {
@@ -129,9 +294,9 @@ export async function navigateAndWait(
       throw antiBotError;
     }
 
-    return { finalUrl, title, status };
+    return { finalUrl, title, status, headers: resp?.headers() ?? {} };
   } catch (error) {
-    if (error instanceof SSRFError) {
+    if (error instanceof SSRFError || error instanceof ExtractionError) {
       throw error;
     }
 
@@ -151,9 +316,12 @@ export async function closeBrowser({ browser, context, page } = {}) {
   await browser?.close().catch(() => {});
 }
 
-async function fetchWithPool(url, { timeoutMs = 45000, cookiesFile = null } = {}) {
-  const pool = getGlobalPool();
+async function fetchWithPool(
+  url,
+  { pool, timeoutMs = 45000, cookiesFile = null, a11y = false, waitFor, capture = null } = {},
+) {
   const instance = await pool.acquire();
+  const apiCapture = capture ? new ApiCapture(capture).attach(instance.context) : null;
 
   try {
     const page = instance.page;
@@ -170,8 +338,10 @@ async function fetchWithPool(url, { timeoutMs = 45000, cookiesFile = null } = {}
       }
     }
 
-    const { finalUrl, title, status } = await navigateAndWait(page, url, { timeoutMs });
-    const html = await page.content();
+    const { finalUrl, title, status, headers, document } = await navigateAndWait(page, url, { timeoutMs, waitFor });
+    const html = document ? '' : await page.content();
+    const a11yElements = a11y && !document ? await collectA11yElements(page) : undefined;
+    const api = apiCapture ? await apiCapture.results() : undefined;
 
     // Get blocked request count if available
     const blockedCount = page._blockedRequestCount ? page._blockedRequestCount() : 0;
@@ -182,18 +352,132 @@ async function fetchWithPool(url, { timeoutMs = 45000, cookiesFile = null } = {}
       await writeFile(cookiesFile, JSON.stringify(cookies, null, 2));
     }
 
-    return { html, finalUrl, title, status, blockedCount };
+    return {
+      html,
+      finalUrl,
+      title,
+      status,
+      headers,
+      blockedCount,
+      a11yElements,
+      ...(document ? { document } : {}),
+      ...(api ? { api } : {}),
+    };
   } finally {
+    apiCapture?.detach();
     await pool.release(instance);
   }
 }
 
-export async function fetchRenderedHtml(
+// The fetch options that change what a page renders to, for the cache key.
+function cacheVariant({
+  userAgent = DEFAULT_USER_AGENT,
+  viewport = null,
+  device = null,
+  mobile = false,
+  blockAds = false,
+  blockResources = [],
+  extraHeaders = {},
+  a11y = false,
+  waitFor = 'scroll',
+  engine = 'browser',
+  browserName = 'chromium',
+}) {
+  return {
+    engine,
+    // Only set for other browsers, so Chromium entries keep their keys.
+    ...(browserName !== 'chromium' ? { browserName } : {}),
+    userAgent,
+    viewport,
+    device,
+    mobile,
+    blockAds,
+    blockResources: [...blockResources].sort(),
+    extraHeaders,
+    a11y,
+    waitFor,
+  };
+}
+
+/**
+ * Render `url` and return its HTML. `engine` picks how: `browser` (the default)
+ * renders in a browser, `http` fetches the HTML without one (see
+ * http-engine.js), and `auto` tries HTTP first and renders when the page needs
+ * it. `browserName` picks the browser to render in: chromium (the default),
+ * firefox or webkit. The http engine refuses any other than chromium, and auto
+ * then always renders. PDF, JSON, XML and text responses come back as a
+ * `document` (see documents.js) with empty `html`. `capture` (see
+ * api-capture.js) adds the XHR/fetch responses the page loaded as `api`.
+ * `recordHar` and `replayHar` record the page's traffic to a HAR file or serve
+ * it from one (see launchBrowser). With a `cache` (see cache.js), a fresh or
+ * revalidated entry is returned instead; pages fetched with a cookies file, an
+ * API capture or a HAR file are never cached, since they may depend on the
+ * login, on the responses or on the file.
+ * @returns {Promise<Object>} - `{ html, finalUrl, title, status, headers, blockedCount, a11yElements, document, api }`,
+ *   plus `cache: 'hit' | 'revalidated' | 'miss'` when a cache was given, and for the http and auto
+ *   engines `engine: 'http' | 'browser'` (with the `fallbackReason` when auto rendered)
+ */
+export async function fetchRenderedHtml(url, { cache = null, ...options } = {}) {
+  if (!cache || options.cookiesFile || options.capture || options.recordHar || options.replayHar) {
+    return fetchWithEngine(url, options);
+  }
+  validateURL(url);
+  return cache.fetch(url, cacheVariant(options), () => fetchWithEngine(url, options), {
+    timeoutMs: Math.min(options.timeoutMs ?? 45000, 15000),
+  });
+}
+
+async function fetchStatic(url, { timeoutMs, userAgent, extraHeaders, enableRetry = true, onRetry = null }) {
+  const attemptFetch = async () => ({
+    ...(await fetchStaticHtml(url, { timeoutMs, userAgent, extraHeaders })),
+    engine: 'http',
+  });
+  return enableRetry ? withAutoRetry(attemptFetch, { onRetry }) : attemptFetch();
+}
+
+async function fetchWithEngine(url, { engine = 'browser', ...options }) {
+  if (!ENGINES.includes(engine)) {
+    throw new Error(`Invalid engine: ${engine}. Expected ${ENGINES.join('|')}.`);
+  }
+  if (engine === 'browser') return renderHtml(url, options);
+
+  const browserOnly = BROWSER_ONLY_OPTIONS.filter((name) => options[name]);
+  if (options.headless === false) browserOnly.push('headed mode');
+  if (options.browserName && options.browserName !== 'chromium') browserOnly.push(options.browserName);
+  if (engine === 'http') {
+    if (browserOnly.length > 0) {
+      throw new Error(`The http engine does not support ${browserOnly.join(', ')}; use the browser or auto engine.`);
+    }
+    return fetchStatic(url, options);
+  }
+
+  let reason;
+  if (browserOnly.length > 0) {
+    reason = `needs ${browserOnly[0]}`;
+  } else {
+    try {
+      const timeoutMs = Math.min(options.timeoutMs ?? 45000, AUTO_HTTP_TIMEOUT_MS);
+      const page = await fetchStatic(url, { ...options, timeoutMs, enableRetry: false });
+      if (page.status === 403 || page.status === 429) reason = `HTTP ${page.status}`;
+      else if (page.document) return page;
+      else if (!isHtmlType(page.contentType)) reason = `not HTML (${page.contentType})`;
+      else reason = needsBrowser(page.html);
+      if (!reason) return page;
+    } catch (err) {
+      if (err instanceof SSRFError || FINAL_HTTP_ERRORS.has(err?.code)) throw err;
+      reason = err?.code ?? err?.name ?? 'HTTP fetch failed';
+    }
+  }
+  return { ...(await renderHtml(url, options)), engine: 'browser', fallbackReason: reason };
+}
+
+async function renderHtml(
   url,
   {
+    browserName = 'chromium',
     timeoutMs = 45000,
     headless = true,
-    userAgent = 'lean-browser/0.2 (+https://github.com/)',
+    userAgent = DEFAULT_USER_AGENT,
     viewport = null,
     device = null,
     mobile = false,
@@ -204,11 +488,18 @@ export async function fetchRenderedHtml(
     enableRetry = true,
     onRetry = null,
     usePool = false,
+    pool = null,
+    a11y = false,
+    waitFor = 'scroll',
+    capture = null,
+    recordHar = null,
+    replayHar = null,
   } = {},
 ) {
-  // Use pool if enabled and no special options are set
+  // Use a pool (the global one, or `pool`) if enabled, of the same browser, and no special options are set
   const canUsePool =
-    usePool &&
+    (usePool || pool) &&
+    (pool ?? getGlobalPool()).browserName === browserName &&
     headless &&
     !viewport &&
     !device &&
@@ -216,10 +507,13 @@ export async function fetchRenderedHtml(
     !blockAds &&
     blockResources.length === 0 &&
     Object.keys(extraHeaders).length === 0 &&
-    userAgent === 'lean-browser/0.2 (+https://github.com/)';
+    userAgent === DEFAULT_USER_AGENT &&
+    !recordHar &&
+    !replayHar;
 
   if (canUsePool) {
-    const attemptFetch = async () => fetchWithPool(url, { timeoutMs, cookiesFile });
+    const attemptFetch = async () =>
+      fetchWithPool(url, { pool: pool ?? getGlobalPool(), timeoutMs, cookiesFile, a11y, waitFor, capture });
 
     if (enableRetry) {
       return withAutoRetry(attemptFetch, { onRetry });
@@ -234,6 +528,7 @@ export async function fetchRenderedHtml(
 
     try {
       const launchResult = await launchBrowser({
+        browserName,
         headless,
         userAgent,
         viewport,
@@ -243,6 +538,8 @@ export async function fetchRenderedHtml(
         blockAds,
         blockResources,
         extraHeaders,
+        recordHar,
+        replayHar,
       });
       browser = launchResult.browser;
       context = launchResult.context;
@@ -253,9 +550,12 @@ export async function fetchRenderedHtml(
         browserCrashError = new BrowserCrashError(url, new Error('Browser process disconnected'));
       };
       browser.once('disconnected', onDisconnected);
+      const apiCapture = capture ? new ApiCapture(capture).attach(context) : null;
 
-      const { finalUrl, title, status } = await navigateAndWait(page, url, { timeoutMs });
-      const html = await page.content();
+      const { finalUrl, title, status, headers, document } = await navigateAndWait(page, url, { timeoutMs, waitFor });
+      const html = document ? '' : await page.content();
+      const a11yElements = a11y && !document ? await collectA11yElements(page) : undefined;
+      const api = apiCapture ? await apiCapture.results() : undefined;
       browser.off('disconnected', onDisconnected);
 
       if (browserCrashError) {
@@ -271,7 +571,17 @@ export async function fetchRenderedHtml(
         await writeFile(cookiesFile, JSON.stringify(cookies, null, 2));
       }
 
-      return { html, finalUrl, title, status, blockedCount };
+      return {
+        html,
+        finalUrl,
+        title,
+        status,
+        headers,
+        blockedCount,
+        a11yElements,
+        ...(document ? { document } : {}),
+        ...(api ? { api } : {}),
+      };
     } finally {
       await closeBrowser({ browser, context, page });
     }
@@ -288,6 +598,7 @@ export async function fetchRenderedHtml(
 export async function takeScreenshot(
   url,
   {
+    browserName = 'chromium',
     timeoutMs = 45000,
     headless = true,
     fullPage = false,
@@ -300,6 +611,9 @@ export async function takeScreenshot(
     extraHeaders = {},
     enableRetry = true,
     onRetry = null,
+    waitFor = 'scroll',
+    recordHar = null,
+    replayHar = null,
   } = {},
 ) {
   const attemptScreenshot = async () => {
@@ -307,6 +621,7 @@ export async function takeScreenshot(
 
     try {
       const launchResult = await launchBrowser({
+        browserName,
         headless,
         viewport,
         device,
@@ -315,12 +630,14 @@ export async function takeScreenshot(
         blockAds,
         blockResources,
         extraHeaders,
+        recordHar,
+        replayHar,
       });
       browser = launchResult.browser;
       context = launchResult.context;
       page = launchResult.page;
 
-      const { finalUrl, title, status } = await navigateAndWait(page, url, { timeoutMs });
+      const { finalUrl, title, status } = await navigateAndWait(page, url, { timeoutMs, waitFor });
 
       // Take screenshot
       const screenshot = await page.screenshot({
@@ -0,0 +1,243 @@
+/**
+ * On-disk cache of rendered pages, so repeated fetches of one URL skip the
+ * browser. Entries are keyed by the normalized URL plus the fetch options that
+ * change what the page renders to (see fetchRenderedHtml), and stay fresh for
+ * the cache TTL or the response's `Cache-Control: max-age`, whichever is
+ * shorter. A stale entry whose response had an ETag or Last-Modified is
+ * revalidated with a conditional HTTP request; a 304 makes it fresh again
+ * without rendering.
+ */
+
+import { Buffer } from 'node:buffer';
+import { createHash, randomUUID } from 'node:crypto';
+import { mkdir, readFile, readdir, rename, stat, unlink, writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { httpGet } from './http.js';
+
+export const DEFAULT_CACHE_TTL_MS = 15 * 60 * 1000;
+// Entries are kept this long after their last write, in case they can be revalidated.
+const STALE_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * @param {string} [value] - A Cache-Control header
+ * @returns {{noStore: boolean, noCache: boolean, maxAgeMs: number|null}}
+ */
+export function parseCacheControl(value) {
+  const directives = new Map();
+  for (const part of String(value ?? '').split(',')) {
+    const [name, arg] = part.split('=').map((s) => s?.trim().toLowerCase());
+    if (name) directives.set(name, arg?.replace(/^"|"$/g, ''));
+  }
+  const maxAge = Number(directives.get('max-age'));
+  return {
+    noStore: directives.has('no-store'),
+    noCache: directives.has('no-cache'),
+    maxAgeMs: directives.has('max-age') && Number.isFinite(maxAge) ? Math.max(0, maxAge) * 1000 : null,
+  };
+}
+
+/**
+ * The cache key for a URL fetched with `variant` options. The fragment is
+ * dropped and query parameters sorted, so equivalent URLs share an entry.
+ * @param {string} url
+ * @param {Object} [variant]
+ * @returns {string}
+ */
+export function cacheKey(url, variant = {}) {
+  const u = new URL(url);
+  u.hash = '';
+  u.searchParams.sort();
+  return createHash('sha256')
+    .update(JSON.stringify({ url: u.href, ...variant }))
+    .digest('hex')
+    .slice(0, 32);
+}
+
+// Ask with the entry's own user agent and extra headers, since the server may vary on them.
+async function revalidateWithHttp(entry, { timeoutMs, variant = {} }) {
+  const headers = { ...variant.extraHeaders };
+  if (entry.etag) headers['if-none-match'] = entry.etag;
+  if (entry.lastModified) headers['if-modified-since'] = entry.lastModified;
+  const res = await httpGet(entry.response.finalUrl ?? entry.url, {
+    headers,
+    userAgent: variant.userAgent,
+    timeoutMs,
+    maxBytes: 0,
+  });
+  return res.status === 304;
+}
+
+export class ResponseCache {
+  /**
+   * @param {Object} options
+   * @param {string} options.dir
+   * @param {number} [options.ttlMs=DEFAULT_CACHE_TTL_MS]
+   * @param {Function} [options.revalidate] - `(entry, { timeoutMs, variant })` resolving to true when the entry is still valid
+   * @param {Function} [options.now]
+   */
+  constructor({ dir, ttlMs = DEFAULT_CACHE_TTL_MS, revalidate = revalidateWithHttp, now = Date.now }) {
+    if (!dir) throw new Error('ResponseCache needs a directory');
+    this.dir = dir;
+    this.ttlMs = ttlMs;
+    this.revalidate = revalidate;
+    this.now = now;
+  }
+
+  entryPath(key) {
+    return join(this.dir, `${key}.json`);
+  }
+
+  freshFor(cacheControl) {
+    const { noCache, maxAgeMs } = parseCacheControl(cacheControl);
+    if (noCache) return 0;
+    return maxAgeMs == null ? this.ttlMs : Math.min(this.ttlMs, maxAgeMs);
+  }
+
+  async readEntry(key) {
+    try {
+      return JSON.parse(await readFile(this.entryPath(key), 'utf8'));
+    } catch {
+      return null;
+    }
+  }
+
+  // Write to a temporary file and rename, so a concurrent reader never sees half an entry.
+  async writeEntry(key, entry) {
+    await mkdir(this.dir, { recursive: true });
+    const tmp = join(this.dir, `.${key}.${randomUUID()}.tmp`);
+    await writeFile(tmp, JSON.stringify(entry));
+    await rename(tmp, this.entryPath(key));
+  }
+
+  /**
+   * Store a rendered page. Error responses and `Cache-Control: no-store` are not stored.
+   * @param {string} url
+   * @param {Object} variant
+   * @param {Object} response - `{ html, finalUrl, status, title, headers, a11yElements, document }` from fetchRenderedHtml
+   * @returns {Promise<boolean>} - Whether it was stored
+   */
+  async store(url, variant, response) {
+    const { headers = {}, ...page } = response;
+    const cacheControl = headers['cache-control'] ?? null;
+    if (!(page.status >= 200 && page.status < 300) || parseCacheControl(cacheControl).noStore) return false;
+
+    const storedAt = this.now();
+    await this.writeEntry(cacheKey(url, variant), {
+      url,
+      storedAt,
+      expiresAt: storedAt + this.freshFor(cacheControl),
+      etag: headers.etag ?? null,
+      lastModified: headers['last-modified'] ?? null,
+      cacheControl,
+      response: {
+        html: page.html,
+        finalUrl: page.finalUrl,
+        status: page.status,
+        title: page.title,
+        ...(page.a11yElements ? { a11yElements: page.a11yElements } : {}),
+        ...(page.document ? { document: page.document } : {}),
+      },
+    });
+    await this.prune().catch(() => {});
+    return true;
+  }
+
+  /**
+   * The cached response for `url` if it is fresh or revalidates, else the result
+   * of `fetchFresh`, which is stored. Responses carry `cache: 'hit' | 'revalidated' | 'miss'`.
+   * @param {string} url
+   * @param {Object} variant
+   * @param {Function} fetchFresh
+   * @param {Object} [options]
+   * @param {number} [options.timeoutMs=15000] - For the revalidation request
+   * @returns {Promise<Object>}
+   */
+  async fetch(url, variant, fetchFresh, { timeoutMs = 15000 } = {}) {
+    const key = cacheKey(url, variant);
+    const entry = await this.readEntry(key);
+    if (entry && entry.expiresAt > this.now()) return { ...entry.response, cache: 'hit' };
+
+    if (entry && (entry.etag || entry.lastModified)) {
+      const valid = await this.revalidate(entry, { timeoutMs, variant }).catch(() => false);
+      if (valid) {
+        entry.expiresAt = this.now() + this.freshFor(entry.cacheControl);
+        await this.writeEntry(key, entry).catch(() => {});
+        return { ...entry.response, cache: 'revalidated' };
+      }
+    }
+
+    const response = await fetchFresh();
+    // A cache that cannot be written to must not fail the fetch.
+    await this.store(url, variant, response).catch(() => false);
+    return { ...response, cache: 'miss' };
+  }
+
+  async entryPaths() {
+    const files = await readdir(this.dir).catch(() => []);
+    return files.filter((f) => f.endsWith('.json') && !f.startsWith('.')).map((f) => join(this.dir, f));
+  }
+
+  /**
+   * Delete entries not written for a week.
+   * @returns {Promise<number>} - Entries deleted
+   */
+  async prune() {
+    let removed = 0;
+    const cutoff = this.now() - STALE_RETENTION_MS;
+    for (const path of await this.entryPaths()) {
+      const info = await stat(path).catch(() => null);
+      if (info && info.mtimeMs < cutoff) {
+        await unlink(path).catch(() => {});
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * Delete every entry.
+   * @returns {Promise<number>} - Entries deleted
+   */
+  async clear() {
+    const paths = await this.entryPaths();
+    await Promise.all(paths.map((path) => unlink(path).catch(() => {})));
+    return paths.length;
+  }
+
+  /**
+   * @returns {Promise<{dir: string, entries: number, fresh: number, stale: number, bytes: number}>}
+   */
+  async stats() {
+    const stats = { dir: this.dir, entries: 0, fresh: 0, stale: 0, bytes: 0 };
+    const now = this.now();
+    for (const path of await this.entryPaths()) {
+      try {
+        const text = await readFile(path, 'utf8');
+        const { expiresAt } = JSON.parse(text);
+        stats.entries++;
+        stats.bytes += Buffer.byteLength(text);
+        if (expiresAt > now) stats.fresh++;
+        else stats.stale++;
+      } catch {
+        // Removed or being replaced while we read it.
+      }
+    }
+    return stats;
+  }
+}
+
+let defaultCache;
+
+/**
+ * The cache in LEAN_BROWSER_CACHE_DIR, or null when caching is not configured.
+ * @returns {ResponseCache|null}
+ */
+export function getDefaultCache() {
+  const dir = process.env.LEAN_BROWSER_CACHE_DIR;
+  if (!dir) return null;
+  if (defaultCache?.dir !== dir) {
+    const ttlSeconds = parseFloat(process.env.LEAN_BROWSER_CACHE_TTL_SECONDS);
+    defaultCache = new ResponseCache({ dir, ttlMs: ttlSeconds >= 0 ? ttlSeconds * 1000 : DEFAULT_CACHE_TTL_MS });
+  }
+  return defaultCache;
+}
@@ -0,0 +1,256 @@
+/**
+ * Chunked reading: split an extracted page into budget-sized chunks, cache them
+ * on disk and hand out opaque cursors so later calls (possibly from another
+ * process) can page through the document without re-rendering it.
+ */
+
+import { randomUUID } from 'node:crypto';
+import { Buffer } from 'node:buffer';
+import { mkdir, readFile, readdir, stat, unlink, writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { estimateTokens } from './tokenizer.js';
+import { htmlToMarkdown } from './markdown.js';
+
+const CHUNK_DIR = process.env.LEAN_BROWSER_CHUNK_DIR || '/tmp/lean-browser-chunks';
+const CHUNK_TTL_MS = 30 * 60 * 1000; // 30 minutes
+const MIN_BODY_TOKENS = 50;
+
+export const CHUNK_MODES = ['text', 'markdown'];
+
+function encodeCursor(id, index) {
+  return Buffer.from(`${id}:${index}`).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  const decoded = Buffer.from(String(cursor ?? ''), 'base64url').toString('utf8');
+  const match = decoded.match(/^([a-f0-9]{12}):(\d+)$/);
+  if (!match) {
+    throw new Error(`Invalid cursor: "${cursor}"`);
+  }
+  return { id: match[1], index: Number(match[2]) };
+}
+
+function chunkPath(id) {
+  return join(CHUNK_DIR, `${id}.json`);
+}
+
+async function cleanupExpiredChunks() {
+  const now = Date.now();
+  const files = await readdir(CHUNK_DIR).catch(() => []);
+  for (const file of files) {
+    if (!file.endsWith('.json')) continue;
+    const path = join(CHUNK_DIR, file);
+    const info = await stat(path).catch(() => null);
+    if (info && now - info.mtimeMs > CHUNK_TTL_MS) {
+      await unlink(path).catch(() => {});
+    }
+  }
+}
+
+// Longest prefix of `text` that fits the budget, preferring a whitespace break.
+async function fittingPrefix(text, maxTokens) {
+  let lo = 1;
+  let hi = text.length;
+  let best = 1;
+  while (lo <= hi) {
+    const mid = Math.floor((lo + hi) / 2);
+    if ((await estimateTokens(text.slice(0, mid))) <= maxTokens) {
+      best = mid;
+      lo = mid + 1;
+    } else {
+      hi = mid - 1;
+    }
+  }
+
+  const space = text.lastIndexOf(' ', best);
+  return space > best / 2 ? space + 1 : best;
+}
+
+async function splitOversized(unit, maxTokens) {
+  const pieces = [];
+  let rest = unit;
+  while ((await estimateTokens(rest)) > maxTokens) {
+    const cut = await fittingPrefix(rest, maxTokens);
+    pieces.push(rest.slice(0, cut).trimEnd());
+    rest = rest.slice(cut).trimStart();
+  }
+  if (rest) pieces.push(rest);
+  return pieces;
+}
+
+/**
+ * Split on blank lines, keeping Markdown code fences that contain blank lines whole.
+ * @param {string} body
+ * @returns {string[]} - Non-empty paragraphs in document order
+ */
+export function paragraphs(body) {
+  const out = [];
+  let open = null;
+  for (const part of String(body ?? '').split(/\n{2,}/)) {
+    if (open !== null) {
+      open += '\n\n' + part;
+    } else if (part.trim()) {
+      open = part;
+    } else {
+      continue;
+    }
+    const fences = open.match(/^(`{3,}|~{3,})/gm) ?? [];
+    if (fences.length % 2 === 0) {
+      out.push(open);
+      open = null;
+    }
+  }
+  if (open !== null) out.push(open);
+  return out;
+}
+
+/**
+ * Pack a document body into chunks of at most `maxTokens`, breaking between
+ * paragraphs where possible.
+ * @param {string} body - Document body
+ * @param {number} maxTokens - Token budget per chunk
+ * @returns {Promise<string[]>} - Chunks in document order
+ */
+export async function splitIntoChunks(body, maxTokens) {
+  const units = [];
+  for (const unit of paragraphs(body)) {
+    const tokens = await estimateTokens(unit);
+    if (tokens <= maxTokens) {
+      units.push({ text: unit, tokens });
+    } else {
+      for (const piece of await splitOversized(unit, maxTokens)) {
+        units.push({ text: piece, tokens: await estimateTokens(piece) });
+      }
+    }
+  }
+
+  const chunks = [];
+  let current = [];
+  let used = 0;
+  for (const unit of units) {
+    // Count the paragraph separator generously; BPE merges across it are rare.
+    const cost = unit.tokens + (current.length > 0 ? 2 : 0);
+    if (current.length > 0 && used + cost > maxTokens) {
+      chunks.push(current.join('\n\n'));
+      current = [];
+      used = 0;
+    }
+    current.push(unit.text);
+    used += current.length > 1 ? cost : unit.tokens;
+  }
+  if (current.length > 0) chunks.push(current.join('\n\n'));
+
+  return chunks.length > 0 ? chunks : [''];
+}
+
+function renderHeader(doc, index) {
+  const lines = [doc.title ? `# ${doc.title}` : '# (untitled)', '', `Source: ${doc.url}`];
+  if (doc.status) lines.push(`HTTP: ${doc.status}`);
+  lines.push(`Chunk: ${index + 1} of ${doc.chunks.length}`, '', '');
+  return lines.join('\n');
+}
+
+function renderFooter(doc, index) {
+  const position = `chunk ${index + 1} of ${doc.chunks.length}`;
+  if (index + 1 >= doc.chunks.length) {
+    return `\n\n[lean-browser: ${position}; end of document]`;
+  }
+  return `\n\n[lean-browser: ${position}; next cursor: ${encodeCursor(doc.id, index + 1)}]`;
+}
+
+async function renderChunk(doc, index) {
+  const text = renderHeader(doc, index) + doc.chunks[index] + renderFooter(doc, index);
+  const hasNext = index + 1 < doc.chunks.length;
+  return {
+    text,
+    tokens: await estimateTokens(text),
+    truncated: false,
+    chunk: index + 1,
+    totalChunks: doc.chunks.length,
+    cursor: hasNext ? encodeCursor(doc.id, index + 1) : null,
+  };
+}
+
+function documentBody({ article }, mode, baseUrl) {
+  if (mode === 'markdown' && article?.content) {
+    const markdown = htmlToMarkdown(article.content, { baseUrl });
+    if (markdown) return markdown;
+  }
+  return article?.text ?? '';
+}
+
+/**
+ * Split an extraction into budget-sized chunks, cache it and return the first chunk.
+ * @param {{url: string, finalUrl?: string, status?: number}} meta - Fetch metadata
+ * @param {{article: Object}} extracted - Result of `extractAllFromHtml`
+ * @param {Object} options
+ * @param {'text'|'markdown'} [options.mode='text'] - Body format
+ * @param {number} options.maxTokens - Token budget per chunk, including header and footer
+ * @returns {Promise<{text: string, tokens: number, truncated: boolean, chunk: number, totalChunks: number, cursor: string|null}>}
+ */
+export async function createChunkedDocument({ url, finalUrl, status }, extracted, { mode = 'text', maxTokens } = {}) {
+  if (!CHUNK_MODES.includes(mode)) {
+    throw new Error(`Chunked output supports ${CHUNK_MODES.join('|')} modes, not "${mode}"`);
+  }
+  if (!Number.isFinite(maxTokens)) {
+    throw new Error('Chunked output requires a finite token budget');
+  }
+
+  const id = randomUUID().replace(/-/g, '').slice(0, 12);
+  const doc = {
+    id,
+    mode,
+    url: finalUrl ?? url,
+    status: status ?? null,
+    title: extracted?.article?.title ?? null,
+    createdAt: Date.now(),
+    chunks: [],
+  };
+
+  // Reserve room for the largest header/footer any chunk of this document could get.
+  const sample = { ...doc, chunks: new Array(999).fill('') };
+  const overhead = (await estimateTokens(renderHeader(sample, 997))) + (await estimateTokens(renderFooter(sample, 0)));
+  const bodyBudget = Math.floor(maxTokens) - overhead;
+  if (bodyBudget < MIN_BODY_TOKENS) {
+    throw new Error(
+      `Token budget ${maxTokens} is too small for chunked output (need at least ${overhead + MIN_BODY_TOKENS})`,
+    );
+  }
+
+  doc.chunks = await splitIntoChunks(documentBody(extracted, mode, doc.url), bodyBudget);
+
+  await mkdir(CHUNK_DIR, { recursive: true });
+  await cleanupExpiredChunks();
+  await writeFile(chunkPath(id), JSON.stringify(doc));
+
+  return renderChunk(doc, 0);
+}
+
+/**
+ * Read the chunk a cursor points at from the cache.
+ * @param {string} cursor - Cursor returned by a previous chunk
+ * @returns {Promise<{text: string, tokens: number, truncated: boolean, chunk: number, totalChunks: number, cursor: string|null}>}
+ */
+export async function readChunk(cursor) {
+  const { id, index } = decodeCursor(cursor);
+
+  let doc;
+  try {
+    const info = await stat(chunkPath(id));
+    if (Date.now() - info.mtimeMs > CHUNK_TTL_MS) {
+      throw new Error('expired');
+    }
+    doc = JSON.parse(await readFile(chunkPath(id), 'utf8'));
+  } catch {
+    throw new Error(`Cursor "${cursor}" not found or expired; fetch the page again`);
+  }
+
+  if (index >= doc.chunks.length) {
+    throw new Error(`Cursor "${cursor}" is past the end of the document (${doc.chunks.length} chunks)`);
+  }
+
+  return renderChunk(doc, index);
+}
+
+// Export for testing
+export { CHUNK_DIR, CHUNK_TTL_MS };
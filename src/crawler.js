@@ -0,0 +1,225 @@
+/**
+ * Site crawler: breadth-first from a start URL, within a scope, obeying
+ * robots.txt. Each fetched page becomes one record in the same shape as a
+ * batch record (see batch.js), with its `depth` instead of an `index`.
+ *
+ * Pages are de-duplicated twice: discovered links by URL (without fragment)
+ * before they are queued, and fetched pages by canonical URL, so `?ref=nav`
+ * variants of one page are emitted once.
+ */
+
+import { BrowserPool } from './browser-pool.js';
+import { BATCH_MODES, describeError, fetchAndFormat } from './batch.js';
+import { RobotsRules, fetchRobotsRules } from './robots.js';
+import { validateURL } from './security.js';
+
+// Links to these are not pages and are never queued. PDFs are: they are read as documents.
+const ASSET_EXTENSION =
+  /\.(?:png|jpe?g|gif|svg|webp|avif|ico|bmp|css|js|mjs|map|json|xml|txt|zip|gz|tgz|tar|rar|7z|exe|dmg|mp3|mp4|webm|mov|avi|wav|ogg|woff2?|ttf|otf|eot)$/i;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * The crawl's key for a URL: the URL without its fragment.
+ * @param {string} url
+ * @returns {string}
+ */
+export function normalizeUrl(url) {
+  const u = new URL(url);
+  u.hash = '';
+  return u.href;
+}
+
+/**
+ * A predicate for URLs inside `scope`, relative to the start URL.
+ * @param {string} startUrl
+ * @param {string} scope - same-origin | path-prefix (the start URL's directory) | regex:<pattern>
+ * @returns {(url: string) => boolean}
+ */
+export function scopeFilter(startUrl, scope = 'same-origin') {
+  const start = new URL(startUrl);
+  if (scope === 'same-origin') return (url) => new URL(url).origin === start.origin;
+  if (scope === 'path-prefix') {
+    const prefix = start.pathname.slice(0, start.pathname.lastIndexOf('/') + 1);
+    return (url) => {
+      const u = new URL(url);
+      return u.origin === start.origin && u.pathname.startsWith(prefix);
+    };
+  }
+  if (typeof scope === 'string' && scope.startsWith('regex:')) {
+    const pattern = toRegExp(scope.slice('regex:'.length), 'scope');
+    return (url) => pattern.test(url);
+  }
+  throw new Error(`Invalid scope "${scope}". Expected same-origin, path-prefix or regex:<pattern>`);
+}
+
+function toRegExp(pattern, what) {
+  try {
+    return new RegExp(pattern);
+  } catch (err) {
+    throw new Error(`Invalid ${what} pattern "${pattern}": ${err.message}`, { cause: err });
+  }
+}
+
+async function forEachConcurrent(items, concurrency, fn) {
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) await fn(items[next++]);
+  };
+  await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, worker));
+}
+
+/**
+ * Crawl from `startUrl`.
+ * @param {string} startUrl
+ * @param {Object} [options]
+ * @param {number} [options.maxDepth=2] - Link hops from the start page
+ * @param {number} [options.maxPages=50] - Pages fetched, including failed and duplicate ones
+ * @param {string} [options.scope='same-origin'] - See scopeFilter
+ * @param {string[]} [options.include] - Regexes; when given, a link must match one to be followed
+ * @param {string[]} [options.exclude] - Regexes; links matching any are not followed
+ * @param {number} [options.concurrency=2] - Pages fetched at once
+ * @param {number} [options.delayMs=0] - Minimum time between requests to one origin (robots.txt Crawl-delay may raise it)
+ * @param {string} [options.mode='text'] - text | markdown | json
+ * @param {number} [options.maxTokens=2000] - Budget per page
+ * @param {number} [options.timeoutMs=45000]
+ * @param {string} [options.waitFor='scroll']
+ * @param {ResponseCache} [options.cache] - Serve pages fetched before from this cache (see cache.js)
+ * @param {string} [options.engine='browser'] - browser | http | auto (see fetchRenderedHtml)
+ * @param {string} [options.browserName='chromium'] - chromium | firefox | webkit
+ * @param {Function} [options.onPage] - Called with each page record as it finishes
+ * @param {Function} [options.fetchPage] - Fetches one page (see fetchAndFormat)
+ * @param {Function} [options.loadRobots] - Returns the RobotsRules for an origin
+ * @returns {Promise<{pages: Object[], stats: Object}>}
+ */
+export async function crawlSite(
+  startUrl,
+  {
+    maxDepth = 2,
+    maxPages = 50,
+    scope = 'same-origin',
+    include = [],
+    exclude = [],
+    concurrency = 2,
+    delayMs = 0,
+    mode = 'text',
+    maxTokens = 2000,
+    timeoutMs = 45000,
+    waitFor = 'scroll',
+    cache = null,
+    engine = 'browser',
+    browserName = 'chromium',
+    onPage = null,
+    fetchPage = fetchAndFormat,
+    loadRobots = fetchRobotsRules,
+  } = {},
+) {
+  validateURL(startUrl);
+  if (!BATCH_MODES.includes(mode)) {
+    throw new Error(`Invalid mode: ${mode}. Expected ${BATCH_MODES.join('|')}.`);
+  }
+  const inScope = scopeFilter(startUrl, scope);
+  const includes = include.map((p) => toRegExp(p, 'include'));
+  const excludes = exclude.map((p) => toRegExp(p, 'exclude'));
+  const shouldFollow = (url) =>
+    !ASSET_EXTENSION.test(new URL(url).pathname) &&
+    inScope(url) &&
+    (includes.length === 0 || includes.some((r) => r.test(url))) &&
+    !excludes.some((r) => r.test(url));
+
+  const robots = new Map();
+  const robotsFor = (url) => {
+    const { origin } = new URL(url);
+    if (!robots.has(origin)) {
+      const unreachable = () => new RobotsRules([], { disallowAll: true, source: 'unreachable' });
+      robots.set(origin, Promise.resolve(loadRobots(origin)).catch(unreachable));
+    }
+    return robots.get(origin);
+  };
+  // Per origin, the earliest time the next request may start.
+  const nextSlot = new Map();
+  const waitTurn = async (url, gapMs) => {
+    const { origin } = new URL(url);
+    const at = Math.max(Date.now(), nextSlot.get(origin) ?? 0);
+    nextSlot.set(origin, at + gapMs);
+    if (at > Date.now()) await sleep(at - Date.now());
+  };
+
+  const pool = new BrowserPool({ maxSize: concurrency, browserName });
+  const seen = new Set([normalizeUrl(startUrl)]);
+  const canonicals = new Set();
+  const pages = [];
+  const stats = { fetched: 0, failed: 0, duplicates: 0, blockedByRobots: 0, notVisited: 0 };
+  let attempts = 0;
+
+  const crawlPage = async (url, depth, next) => {
+    const rules = await robotsFor(url);
+    if (!rules.isAllowed(url)) {
+      stats.blockedByRobots++;
+      return;
+    }
+    // Checked after the await, so parallel workers cannot overshoot.
+    if (attempts >= maxPages) {
+      stats.notVisited++;
+      return;
+    }
+    attempts++;
+    await waitTurn(url, Math.max(delayMs, rules.crawlDelayMs));
+
+    const startedAt = Date.now();
+    let record;
+    try {
+      const { links, canonical, ...page } = await fetchPage(url, {
+        pool,
+        cache,
+        engine,
+        browserName,
+        mode,
+        maxTokens,
+        timeoutMs,
+        waitFor,
+        withLinks: true,
+      });
+      const finalUrl = page.finalUrl ?? url;
+      seen.add(normalizeUrl(finalUrl));
+      const key = normalizeUrl(canonical ?? finalUrl);
+      if (canonicals.has(key)) {
+        stats.duplicates++;
+        return;
+      }
+      canonicals.add(key);
+
+      if (depth < maxDepth) {
+        for (const link of links ?? []) {
+          const normalized = normalizeUrl(link);
+          if (seen.has(normalized) || !shouldFollow(normalized)) continue;
+          seen.add(normalized);
+          next.push(normalized);
+        }
+      }
+      record = { url, depth, ok: true, ...page, canonical: canonical ?? null };
+      stats.fetched++;
+    } catch (err) {
+      record = { url, depth, ok: false, error: describeError(err, url) };
+      stats.failed++;
+    }
+    record.ms = Date.now() - startedAt;
+    pages.push(record);
+    await onPage?.(record);
+  };
+
+  let level = [startUrl];
+  try {
+    for (let depth = 0; level.length > 0; depth++) {
+      const next = [];
+      await forEachConcurrent(level, concurrency, (url) => crawlPage(url, depth, next));
+      level = next;
+    }
+  } finally {
+    await pool.drain();
+  }
+
+  const robotsSources = {};
+  for (const [origin, rules] of robots) robotsSources[origin] = (await rules).source;
+  return { pages, stats: { ...stats, robots: robotsSources } };
+}
@@ -0,0 +1,228 @@
+/**
+ * Responses that are not web pages: PDFs, JSON, XML and plain text. Whichever
+ * engine fetched them, `readDocument` turns the body into a JSON-serialisable
+ * `document` (so it can be cached like a page's HTML), and `extractDocument`
+ * gives it the shape of extractAllFromHtml's result for the formatters.
+ * `extractFetched` picks between the two for a fetchRenderedHtml result.
+ */
+
+import { JSDOM } from 'jsdom';
+import { ExtractionError } from './errors.js';
+import { extractAllFromHtml } from './extractor.js';
+import { decodeText, detectCharset } from './http.js';
+import { safeTruncate, toParagraphs } from './utils.js';
+
+export const DOCUMENT_KINDS = ['pdf', 'json', 'xml', 'text'];
+
+const JSON_TYPES = new Set(['application/json', 'text/json']);
+const XML_TYPES = new Set(['application/xml', 'text/xml']);
+const HTML_TYPES = new Set(['text/html', 'application/xhtml+xml']);
+const PDF_SIGNATURE = '%PDF-';
+// Elements nested deeper than this are summarised in the XML outline.
+const MAX_XML_DEPTH = 12;
+
+/**
+ * The kind of document a response holds, or null for HTML and for types that
+ * have no text to extract.
+ * @param {string} [contentType] - Lowercase MIME type without parameters
+ * @param {Buffer} [bytes] - The body, to recognise PDFs served under a generic type
+ * @returns {'pdf'|'json'|'xml'|'text'|null}
+ */
+export function documentKind(contentType = '', bytes = null) {
+  const type = contentType.split(';')[0].trim().toLowerCase();
+  if (type === 'application/pdf') return 'pdf';
+  if (HTML_TYPES.has(type)) return null;
+  if (JSON_TYPES.has(type) || type.endsWith('+json')) return 'json';
+  if (XML_TYPES.has(type) || type.endsWith('+xml')) return 'xml';
+  if (type.startsWith('text/')) return 'text';
+  if (bytes && bytes.subarray(0, PDF_SIGNATURE.length).toString('latin1') === PDF_SIGNATURE) return 'pdf';
+  return null;
+}
+
+async function readPdf(bytes, url) {
+  const { extractText, getDocumentProxy, getMeta } = await import('unpdf');
+  let pdf;
+  try {
+    pdf = await getDocumentProxy(new Uint8Array(bytes));
+    const { text } = await extractText(pdf, { mergePages: false });
+    const { info } = await getMeta(pdf).catch(() => ({ info: {} }));
+    return { title: info?.Title?.trim() || null, pages: text };
+  } catch (err) {
+    throw new ExtractionError(url, `Could not read PDF: ${err.message}`, err);
+  } finally {
+    await pdf?.destroy().catch(() => {});
+  }
+}
+
+/**
+ * Read a non-HTML response body. PDFs are converted to text here, at fetch
+ * time, so the result holds no binary data.
+ * @param {Buffer} bytes
+ * @param {string} contentTypeHeader - The Content-Type header, charset included
+ * @param {string} url
+ * @returns {Promise<Object|null>} - `{ kind, contentType, text }`, or `{ kind: 'pdf', contentType, title, pages }`;
+ *   null when the response is HTML or has no text
+ */
+export async function readDocument(bytes, contentTypeHeader, url) {
+  const contentType = (contentTypeHeader ?? '').split(';')[0].trim().toLowerCase();
+  const kind = documentKind(contentType, bytes);
+  if (!kind) return null;
+  if (kind === 'pdf') return { kind, contentType, ...(await readPdf(bytes, url)) };
+  return { kind, contentType, text: decodeText(bytes, detectCharset(bytes, contentTypeHeader)) };
+}
+
+function escapeHtml(s) {
+  return s.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function fileName(url) {
+  try {
+    const name = new URL(url).pathname.split('/').filter(Boolean).pop();
+    return name ? decodeURIComponent(name) : '';
+  } catch {
+    return '';
+  }
+}
+
+// Rejoin words hyphenated across line breaks and drop trailing spaces.
+function cleanPdfText(text) {
+  return text
+    .replace(/(\p{Ll})-\n(\p{Ll})/gu, '$1$2')
+    .replace(/[ \t]+\n/g, '\n')
+    .trim();
+}
+
+function xmlAttributes(el) {
+  return [...el.attributes].map((a) => `${a.name}="${a.value}"`).join(' ');
+}
+
+// One line per element, indented by depth: `name attr="v": text` for leaves.
+function xmlOutline(el, depth = 0, lines = []) {
+  const indent = '  '.repeat(depth);
+  const attrs = xmlAttributes(el);
+  const head = attrs ? `${el.tagName} ${attrs}` : el.tagName;
+  const elements = [...el.children];
+  if (elements.length === 0) {
+    const text = el.textContent.replace(/\s+/g, ' ').trim();
+    lines.push(text ? `${indent}${head}: ${text}` : `${indent}${head}`);
+  } else if (depth >= MAX_XML_DEPTH) {
+    lines.push(`${indent}${head} (${elements.length} children)`);
+  } else {
+    lines.push(indent + head);
+    for (const child of elements) xmlOutline(child, depth + 1, lines);
+  }
+  return lines;
+}
+
+function xmlText(source) {
+  const doc = new JSDOM(source, { contentType: 'text/xml' }).window.document;
+  return xmlOutline(doc.documentElement).join('\n');
+}
+
+function parseJson(text, url) {
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    throw new ExtractionError(url, `Invalid JSON: ${err.message}`, err);
+  }
+}
+
+function documentArticle(doc, url) {
+  const name = fileName(url);
+  if (doc.kind === 'pdf') {
+    const pages = doc.pages.map(cleanPdfText);
+    const text = pages.map((page, i) => `[page ${i + 1}/${pages.length}]\n${page}`).join('\n\n');
+    const content = pages
+      .map(
+        (page, i) =>
+          `<h2>Page ${i + 1}</h2>${toParagraphs(page)
+            .map((p) => `<p>${escapeHtml(p)}</p>`)
+            .join('')}`,
+      )
+      .join('');
+    return { title: doc.title || name, text, content, excerpt: toParagraphs(pages[0] ?? '')[0] };
+  }
+
+  let text = doc.text.replace(/\r\n?/g, '\n').trim();
+  if (doc.kind === 'xml') {
+    try {
+      text = xmlText(doc.text);
+    } catch {
+      // Not well-formed; keep the source.
+    }
+  }
+  return { title: name, text, content: '', excerpt: null };
+}
+
+function jsonArticle(data, url) {
+  const text = JSON.stringify(data, null, 2);
+  return { title: fileName(url), text, content: '', excerpt: null };
+}
+
+/**
+ * Extract a fetched document, in the shape of extractAllFromHtml's result
+ * (only a PDF's article has `content` HTML, a heading and paragraphs per page)
+ * plus `document: { kind, contentType, pages }` and, for JSON, the parsed `data`.
+ * @param {Object} doc - From readDocument
+ * @param {string} url
+ * @param {Object} [options]
+ * @param {boolean} [options.withLinks=false] - Add an (empty) `links` list, as extractAllFromHtml does
+ * @returns {Object}
+ */
+export function extractDocument(doc, url, { withLinks = false } = {}) {
+  const data = doc.kind === 'json' ? parseJson(doc.text, url) : undefined;
+  const { title, text, content, excerpt } = data === undefined ? documentArticle(doc, url) : jsonArticle(data, url);
+  return {
+    article: {
+      title,
+      byline: null,
+      excerpt: excerpt ? safeTruncate(excerpt, 280) : null,
+      text,
+      content,
+      fallback: false,
+    },
+    elements: [],
+    metadata: null,
+    document: {
+      kind: doc.kind,
+      contentType: doc.contentType,
+      ...(doc.pages ? { pages: doc.pages.length } : {}),
+    },
+    ...(data !== undefined ? { data } : {}),
+    ...(withLinks ? { links: [] } : {}),
+  };
+}
+
+// What is left of a page whose text could not be extracted: its captured API responses.
+function emptyExtraction(fetched, { withLinks = false }) {
+  return {
+    article: { title: fetched.title ?? '', byline: null, excerpt: null, text: '', content: '', fallback: true },
+    elements: [],
+    metadata: null,
+    ...(withLinks ? { links: [] } : {}),
+  };
+}
+
+/**
+ * Extract a fetchRenderedHtml result: its `document` when the response was not
+ * HTML, else its page HTML, plus the captured `api` responses. A page with
+ * captured responses but no extractable text is not an error.
+ * @param {Object} fetched - `{ html, finalUrl, title, document, api }`
+ * @param {string} url
+ * @param {Object} [options] - Passed to extractAllFromHtml
+ * @returns {Object}
+ */
+export function extractFetched(fetched, url, options = {}) {
+  const finalUrl = fetched.finalUrl ?? url;
+  if (fetched.document) return extractDocument(fetched.document, finalUrl, options);
+  if (!fetched.api) return extractAllFromHtml(fetched.html, finalUrl, options);
+
+  let extracted;
+  try {
+    extracted = extractAllFromHtml(fetched.html, finalUrl, options);
+  } catch (err) {
+    if (!(err instanceof ExtractionError) || fetched.api.length === 0) throw err;
+    extracted = emptyExtraction(fetched, options);
+  }
+  return { ...extracted, api: fetched.api };
+}
@@ -0,0 +1,130 @@
+/**
+ * Stable element ids for a session. Each scan of the page is matched against
+ * the elements already handed out, so `e7` keeps pointing at the same control
+ * while the DOM shifts around it, and an id whose element disappeared is
+ * reported as stale instead of being reused for something else.
+ */
+
+const MAX_RECORDS = 1000;
+
+function fingerprintOf(element) {
+  if (element.fingerprint) return element.fingerprint;
+  // Accessibility-tree elements (a11y.js) are identified by role and name.
+  return [element.role ?? element.tag ?? '', element.name ?? element.label ?? '', element.href ?? ''].join('\u0001');
+}
+
+// The fingerprint without the label, so a control whose text changes keeps its id.
+function shapeOf(element) {
+  if (element.shape) return element.shape;
+  return [element.role ?? element.tag ?? '', element.href ?? ''].join('\u0001');
+}
+
+/**
+ * Short description of an element for messages, e.g. `button "Pay"`.
+ * @param {Object} element - DOM-scan or a11y element
+ * @returns {string}
+ */
+export function describeElement(element) {
+  const kind = element.role ?? element.tag ?? 'element';
+  // DOM-scan elements also have `name`, but that is the form field name.
+  const label = element.role ? element.name : element.label;
+  return label ? `${kind} "${label}"` : kind;
+}
+
+export class ElementRegistry {
+  constructor() {
+    this.records = new Map();
+    this.counters = new Map();
+  }
+
+  /**
+   * Give scanned elements their stable ids. Elements match a previous one with
+   * the same fingerprint at the same position first, then with the same
+   * fingerprint anywhere (the element moved), then with the same shape at the
+   * same position (the element was relabelled, e.g. "Save" became "Saved");
+   * everything else gets a new id.
+   * Previously issued ids with this prefix that find no match become stale.
+   * @param {Array<Object>} elements - Scanned elements with `selector`
+   * @param {Object} [options]
+   * @param {string} [options.prefix='e'] - Id prefix (`e` for DOM scans, `a` for a11y)
+   * @returns {Array<Object>} - Copies of the elements with stable `id`s
+   */
+  assign(elements, { prefix = 'e' } = {}) {
+    const list = elements ?? [];
+    const prior = Array.from(this.records.values()).filter((r) => r.prefix === prefix);
+    const used = new Set();
+    const ids = new Array(list.length);
+    const fingerprints = list.map(fingerprintOf);
+    const shapes = list.map(shapeOf);
+
+    const claim = (i, match) => {
+      const record = prior.find((r) => !used.has(r.id) && match(r));
+      if (record) {
+        ids[i] = record.id;
+        used.add(record.id);
+      }
+    };
+
+    list.forEach((e, i) => claim(i, (r) => r.fingerprint === fingerprints[i] && r.selector === e.selector));
+    list.forEach((e, i) => {
+      if (!ids[i]) claim(i, (r) => r.fingerprint === fingerprints[i]);
+    });
+    list.forEach((e, i) => {
+      if (!ids[i]) claim(i, (r) => r.shape === shapes[i] && r.selector === e.selector);
+    });
+
+    for (const record of prior) {
+      if (!used.has(record.id)) record.present = false;
+    }
+
+    const out = list.map((e, i) => {
+      const id = ids[i] ?? this.nextId(prefix);
+      this.records.set(id, {
+        id,
+        prefix,
+        fingerprint: fingerprints[i],
+        shape: shapes[i],
+        selector: e.selector,
+        description: describeElement(e),
+        present: true,
+      });
+      return { ...e, id };
+    });
+
+    this.prune();
+    return out;
+  }
+
+  nextId(prefix) {
+    const n = (this.counters.get(prefix) ?? 0) + 1;
+    this.counters.set(prefix, n);
+    return `${prefix}${n}`;
+  }
+
+  /**
+   * Whether an id was handed out but its element is gone from the last scan.
+   * @param {string} id
+   * @returns {boolean}
+   */
+  isStale(id) {
+    const record = this.records.get(id);
+    return Boolean(record && !record.present);
+  }
+
+  /**
+   * Short description of the element an id was issued for, e.g. `button "Pay"`.
+   * @param {string} id
+   * @returns {string|null}
+   */
+  describe(id) {
+    return this.records.get(id)?.description ?? null;
+  }
+
+  // Forget the oldest stale ids once the registry grows large.
+  prune() {
+    for (const [id, record] of this.records) {
+      if (this.records.size <= MAX_RECORDS) break;
+      if (!record.present) this.records.delete(id);
+    }
+  }
+}
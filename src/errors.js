@@ -196,8 +196,42 @@ export function detectAntiBot(html, status, url) {
   return null;
 }
 
+// Failure messages by kind. Chromium reports net::ERR_* codes, Firefox NS_ERROR_*
+// codes and WebKit the platform's network error text (libsoup on Linux,
+// NSURLError on macOS); Node's own errors cover the http engine.
+const TIMEOUT_ERRORS = ['timeout', 'Timeout', 'NS_ERROR_NET_TIMEOUT', 'timed out'];
+const DNS_ERRORS = [
+  'net::ERR_NAME_NOT_RESOLVED',
+  'getaddrinfo ENOTFOUND',
+  'NS_ERROR_UNKNOWN_HOST',
+  'Could not resolve host',
+  'Error resolving',
+  'hostname could not be found',
+];
+const CONNECTION_REFUSED_ERRORS = [
+  'net::ERR_CONNECTION_REFUSED',
+  'ECONNREFUSED',
+  'NS_ERROR_CONNECTION_REFUSED',
+  'Connection refused',
+  'Could not connect to the server',
+];
+const NETWORK_ERRORS = [
+  'net::ERR_',
+  'NS_ERROR_',
+  'SSL_ERROR_',
+  'SEC_ERROR_',
+  'Network',
+  'network connection was lost',
+  'appears to be offline',
+  'SSL handshake failed',
+  'ENETUNREACH',
+  'EHOSTUNREACH',
+];
+const CRASH_ERRORS = ['Target closed', 'Browser closed', 'browser has been closed'];
+
 /**
  * Classify Playwright error into appropriate error type.
+ * Understands the error messages of Chromium, Firefox and WebKit.
  * @param {Error} error - Original error
  * @param {string} url - URL being accessed
  * @param {number} timeoutMs - Timeout value used
@@ -205,34 +239,30 @@ export function detectAntiBot(html, status, url) {
  */
 export function classifyError(error, url, timeoutMs) {
   const message = error?.message || String(error);
+  const matches = (patterns) => patterns.some((pattern) => message.includes(pattern));
 
   // Timeout errors
-  if (message.includes('timeout') || message.includes('Timeout')) {
+  if (matches(TIMEOUT_ERRORS)) {
     return new TimeoutError(url, timeoutMs, error);
   }
 
   // DNS resolution failures
-  if (message.includes('net::ERR_NAME_NOT_RESOLVED') || message.includes('getaddrinfo ENOTFOUND')) {
+  if (matches(DNS_ERRORS)) {
     return new DNSError(url, error);
   }
 
   // Connection refused
-  if (message.includes('net::ERR_CONNECTION_REFUSED') || message.includes('ECONNREFUSED')) {
+  if (matches(CONNECTION_REFUSED_ERRORS)) {
     return new ConnectionRefusedError(url, error);
   }
 
   // Network errors
-  if (
-    message.includes('net::ERR_') ||
-    message.includes('Network') ||
-    message.includes('ENETUNREACH') ||
-    message.includes('EHOSTUNREACH')
-  ) {
+  if (matches(NETWORK_ERRORS)) {
     return new NetworkError(url, message, error);
   }
 
   // Browser crash
-  if (message.includes('Target closed') || message.includes('Browser closed')) {
+  if (matches(CRASH_ERRORS)) {
     return new BrowserCrashError(url, error);
   }
 
@@ -1,7 +1,9 @@
+import { createHash } from 'node:crypto';
 import { JSDOM } from 'jsdom';
 import { Readability } from '@mozilla/readability';
-import { cssPath, isProbablyNoiseClass, normalizeWhitespace, safeTruncate } from './utils.js';
+import { buildLocators, cssPath, isProbablyNoiseClass, normalizeWhitespace, safeTruncate } from './utils.js';
 import { ExtractionError } from './errors.js';
+import { extractMetadata } from './metadata.js';
 
 function removeAll(doc, selector) {
   doc.querySelectorAll(selector).forEach((n) => n.remove());
@@ -76,6 +78,7 @@ export function extractArticleFromDom(dom, { enableFallback = true } = {}) {
         byline: null,
         excerpt: safeTruncate(fallbackText, 280),
         text: fallbackText,
+        content: doc.body?.innerHTML ?? '',
         fallback: true, // Flag to indicate fallback was used
       };
     }
@@ -85,6 +88,7 @@ export function extractArticleFromDom(dom, { enableFallback = true } = {}) {
       byline: article.byline ?? null,
       excerpt: article.excerpt ?? null,
       text: normalizeWhitespace(article.textContent ?? ''),
+      content: article.content ?? '',
       fallback: false,
     };
   } catch (error) {
@@ -139,6 +143,58 @@ function cssEscape(s) {
   return String(s).replace(/"/g, '\\"');
 }
 
+// Attributes that identify a control without changing as the user interacts with it.
+const FINGERPRINT_ATTRS = ['id', 'name', 'type', 'href', 'role', 'aria-label', 'placeholder', 'title', 'for', 'action'];
+
+// The text of `container` outside `el`, so an element's own label is not part of its context.
+function textAround(container, el) {
+  let text = '';
+  for (const node of container.childNodes ?? []) {
+    if (node === el) continue;
+    text += node.nodeType === 3 ? node.nodeValue : textAround(node, el);
+  }
+  return text;
+}
+
+/**
+ * Fingerprint an element for stable ids across snapshots: tag, label, stable
+ * attributes and the text of the repeated item (list item, table row, card) it
+ * sits in, so look-alike buttons in different rows stay distinguishable.
+ * Without a label it is the element's `shape`, which survives relabelling.
+ */
+function elementFingerprint(el, tag, label = null) {
+  const attrs = FINGERPRINT_ATTRS.map((a) => `${a}=${el.getAttribute?.(a) ?? ''}`);
+  for (const attr of Array.from(el.attributes ?? [])) {
+    if (attr.name.startsWith('data-')) attrs.push(`${attr.name}=${attr.value}`);
+  }
+
+  const container = el.parentElement?.closest('li, tr, [role="row"], [role="listitem"], article');
+  const context = container ? safeTruncate(normalizeWhitespace(textAround(container, el)), 120) : '';
+
+  return createHash('sha1')
+    .update([tag, label ?? '', ...attrs, context].join('\u0001'))
+    .digest('hex')
+    .slice(0, 16);
+}
+
+function ariaFlag(el, attr) {
+  const v = el.getAttribute?.(attr);
+  return v === 'true' ? true : v === 'false' ? false : undefined;
+}
+
+// State as serialized in the markup; live-only changes (typed values, toggled
+// `checked` properties) are only visible to the a11y scan.
+function elementState(el, type) {
+  const state = {
+    checked: type === 'checkbox' || type === 'radio' ? el.hasAttribute('checked') : ariaFlag(el, 'aria-checked'),
+    pressed: ariaFlag(el, 'aria-pressed'),
+    expanded: ariaFlag(el, 'aria-expanded'),
+    selected: ariaFlag(el, 'aria-selected'),
+    disabled: el.hasAttribute('disabled') || ariaFlag(el, 'aria-disabled') || undefined,
+  };
+  return Object.fromEntries(Object.entries(state).filter(([, v]) => v !== undefined));
+}
+
 function isUsefulLink(el) {
   const href = (el.getAttribute?.('href') ?? '').trim();
   if (!href) return false;
@@ -171,36 +227,74 @@ export function extractInteractiveElements(dom, { limit = 60 } = {}) {
     const tag = el.tagName.toLowerCase();
     const href = tag === 'a' ? el.getAttribute('href') : null;
     const type = tag === 'input' ? (el.getAttribute('type') ?? 'text') : null;
+    const label = elementLabel(doc, el);
 
     out.push({
       id: `e${out.length + 1}`,
       tag,
       type,
-      label: elementLabel(doc, el),
+      label,
       href,
       name: el.getAttribute?.('name') ?? null,
       selector,
+      state: elementState(el, type),
+      locators: buildLocators(el, { label: labelFromDocument(doc, el) }),
+      fingerprint: elementFingerprint(el, tag, label),
+      shape: elementFingerprint(el, tag),
     });
   }
 
   return out;
 }
 
+/**
+ * Map element ids to what the action executor needs to find them: the
+ * candidate locator list when the scan produced one, otherwise the selector.
+ */
 export function buildElementMap(elements) {
   const map = {};
   for (const el of elements ?? []) {
-    if (el.id && el.selector) {
+    if (el.id && el.locators?.length) {
+      map[el.id] = el.locators;
+    } else if (el.id && el.selector) {
       map[el.id] = el.selector;
     }
   }
   return map;
 }
 
-export function extractAllFromHtml(html, url, { enableFallback = true } = {}) {
+/**
+ * Absolute http(s) URLs of the document's links, without fragments, in document order.
+ * `rel="nofollow"` links are left out.
+ * @param {Document} doc
+ * @returns {string[]}
+ */
+export function extractLinks(doc) {
+  const links = new Set();
+  for (const el of doc.querySelectorAll('a[href], area[href]')) {
+    if (/(^|\s)nofollow(\s|$)/i.test(el.getAttribute('rel') ?? '')) continue;
+    let url;
+    try {
+      url = new URL(el.getAttribute('href'), doc.baseURI);
+    } catch {
+      continue;
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') continue;
+    url.hash = '';
+    links.add(url.href);
+  }
+  return [...links];
+}
+
+export function extractAllFromHtml(html, url, { enableFallback = true, withLinks = false } = {}) {
   let extractionError = null;
 
   try {
     const dom = buildDom(html, url);
+    // Read metadata before extractArticleFromDom prunes <script> and <meta> context.
+    const metadata = extractMetadata(dom.window.document);
+    // Readability removes navigation, so links are collected first as well.
+    const links = withLinks ? extractLinks(dom.window.document) : undefined;
     let article = null;
 
     try {
@@ -227,11 +321,12 @@ export function extractAllFromHtml(html, url, { enableFallback = true } = {}) {
         byline: null,
         excerpt: null,
         text: '',
+        content: '',
         fallback: true,
       };
     }
 
-    return { article, elements };
+    return { article, elements, metadata, ...(links ? { links } : {}) };
   } catch (error) {
     if (error instanceof ExtractionError) {
       throw error;
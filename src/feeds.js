@@ -0,0 +1,280 @@
+/**
+ * Feeds and sitemaps: find them from a page, parse RSS 2.0/1.0, Atom,
+ * JSON Feed and sitemap XML, and reduce each to a list of entries
+ * `{ title, link, date, summary }`. Fetching is plain HTTP (see http.js);
+ * none of these need a browser.
+ */
+
+import { JSDOM } from 'jsdom';
+import { ExtractionError, ServerError } from './errors.js';
+import { httpGet } from './http.js';
+import { fetchRobotsRules } from './robots.js';
+import { safeTruncate } from './utils.js';
+
+export const FEED_SOURCES = ['auto', 'feed', 'sitemap'];
+
+const FEED_TYPES = {
+  'application/rss+xml': 'rss',
+  'application/atom+xml': 'atom',
+  'application/feed+json': 'json',
+  'application/json': 'json',
+};
+const FEED_ACCEPT =
+  'application/rss+xml, application/atom+xml, application/feed+json, application/xml;q=0.9, text/xml;q=0.9, text/html;q=0.8, */*;q=0.5';
+// A sitemap index can list thousands of sitemaps; only the most recent are read.
+const MAX_CHILD_SITEMAPS = 5;
+const MAX_ENTRIES = 500;
+const MAX_SUMMARY_CHARS = 600;
+
+function localName(el) {
+  return (el.localName ?? el.tagName).toLowerCase();
+}
+
+function children(el, ...names) {
+  return [...el.children].filter((c) => names.includes(localName(c)) || names.includes(c.tagName.toLowerCase()));
+}
+
+function childText(el, ...names) {
+  for (const name of names) {
+    const text = children(el, name)[0]?.textContent.trim();
+    if (text) return text;
+  }
+  return null;
+}
+
+// Feed summaries are usually escaped HTML.
+function htmlToText(html) {
+  if (!html) return null;
+  const text = JSDOM.fragment(`<div>${html}</div>`).textContent.replace(/\s+/g, ' ').trim();
+  return text || null;
+}
+
+function toIsoDate(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? value : date.toISOString();
+}
+
+function resolveLink(href, baseUrl) {
+  if (!href) return null;
+  try {
+    return new URL(href, baseUrl).href;
+  } catch {
+    return null;
+  }
+}
+
+// Missing fields are left out rather than null, to save tokens.
+function entry({ title, link, date, summary }) {
+  const out = {};
+  const titleText = htmlToText(title);
+  const summaryText = htmlToText(summary);
+  if (titleText) out.title = titleText;
+  if (link) out.link = link;
+  if (date) out.date = toIsoDate(date);
+  if (summaryText) out.summary = safeTruncate(summaryText, MAX_SUMMARY_CHARS);
+  return out;
+}
+
+function byDateDesc(a, b) {
+  return (b.date ?? '').localeCompare(a.date ?? '');
+}
+
+function parseRss(root, url) {
+  // RSS 1.0 (RDF) keeps its items next to the channel, not inside it.
+  const channel = children(root, 'channel')[0] ?? root;
+  const items = [...root.getElementsByTagName('*')].filter((el) => localName(el) === 'item');
+  return {
+    type: 'rss',
+    title: childText(channel, 'title'),
+    description: childText(channel, 'description'),
+    entries: items.map((item) =>
+      entry({
+        title: childText(item, 'title'),
+        link: resolveLink(childText(item, 'link') ?? childText(item, 'guid'), url),
+        date: childText(item, 'pubdate', 'dc:date', 'date'),
+        summary: childText(item, 'description', 'content:encoded', 'encoded'),
+      }),
+    ),
+  };
+}
+
+function atomLink(el, url) {
+  const links = children(el, 'link');
+  const alternate = links.find((l) => (l.getAttribute('rel') ?? 'alternate') === 'alternate') ?? links[0];
+  return resolveLink(alternate?.getAttribute('href'), url);
+}
+
+function parseAtom(root, url) {
+  return {
+    type: 'atom',
+    title: childText(root, 'title'),
+    description: childText(root, 'subtitle'),
+    entries: children(root, 'entry').map((el) =>
+      entry({
+        title: childText(el, 'title'),
+        link: atomLink(el, url),
+        date: childText(el, 'updated', 'published'),
+        summary: childText(el, 'summary', 'content'),
+      }),
+    ),
+  };
+}
+
+function parseSitemap(root, url) {
+  const isIndex = localName(root) === 'sitemapindex';
+  const locs = children(root, isIndex ? 'sitemap' : 'url').map((el) =>
+    entry({ link: resolveLink(childText(el, 'loc'), url), date: childText(el, 'lastmod') }),
+  );
+  const entries = locs.filter((e) => e.link).sort(byDateDesc);
+  return { type: isIndex ? 'sitemapindex' : 'sitemap', title: null, description: null, entries };
+}
+
+function parseJsonFeed(body, url) {
+  let data;
+  try {
+    data = JSON.parse(body);
+  } catch {
+    return null;
+  }
+  if (!String(data?.version ?? '').includes('jsonfeed.org') || !Array.isArray(data.items)) return null;
+  return {
+    type: 'json',
+    title: data.title ?? null,
+    description: data.description ?? null,
+    entries: data.items.map((item) =>
+      entry({
+        title: item.title,
+        link: resolveLink(item.url ?? item.external_url, url),
+        date: item.date_published ?? item.date_modified,
+        summary: item.summary ?? item.content_text ?? item.content_html,
+      }),
+    ),
+  };
+}
+
+/**
+ * Parse a feed or sitemap document.
+ * @param {string} body
+ * @param {string} url - Resolves relative links
+ * @returns {{type: string, title: string|null, description: string|null, entries: Object[]}|null}
+ *   `type` is rss | atom | json | sitemap | sitemapindex; null when the body is none of these.
+ */
+export function parseFeed(body, url) {
+  const text = String(body ?? '').trim();
+  if (text.startsWith('{')) return parseJsonFeed(text, url);
+  if (!text.startsWith('<')) return null;
+
+  let root;
+  try {
+    root = new JSDOM(text, { contentType: 'text/xml' }).window.document.documentElement;
+  } catch {
+    return null;
+  }
+  const name = localName(root);
+  if (name === 'rss' || name === 'rdf') return parseRss(root, url);
+  if (name === 'feed') return parseAtom(root, url);
+  if (name === 'urlset' || name === 'sitemapindex') return parseSitemap(root, url);
+  return null;
+}
+
+/**
+ * Feeds a page advertises with `<link rel="alternate">`.
+ * @param {string} html
+ * @param {string} url - The page URL
+ * @returns {Array<{url: string, type: string, title: string|null}>}
+ */
+export function discoverFeeds(html, url) {
+  const { document } = new JSDOM(html, { url }).window;
+  const feeds = [];
+  for (const link of document.querySelectorAll('link[rel~="alternate" i][href]')) {
+    const type = FEED_TYPES[(link.getAttribute('type') ?? '').toLowerCase().trim()];
+    const href = resolveLink(link.getAttribute('href'), url);
+    if (!type || !href || feeds.some((f) => f.url === href)) continue;
+    feeds.push({ url: href, type, title: link.getAttribute('title') || null });
+  }
+  return feeds;
+}
+
+async function getDocument(url, timeoutMs) {
+  const res = await httpGet(url, { timeoutMs, accept: FEED_ACCEPT });
+  if (res.status >= 400) throw new ServerError(url, res.status);
+  return res;
+}
+
+async function tryParse(url, timeoutMs) {
+  try {
+    const res = await getDocument(url, timeoutMs);
+    const parsed = parseFeed(res.body, res.finalUrl);
+    return parsed && { url: res.finalUrl, ...parsed };
+  } catch {
+    return null;
+  }
+}
+
+// Replace a sitemap index by the pages of its most recently changed sitemaps.
+async function expandSitemapIndex(index, timeoutMs) {
+  const recent = index.entries.slice(0, MAX_CHILD_SITEMAPS);
+  const parsed = await Promise.all(recent.map((e) => tryParse(e.link, timeoutMs)));
+  const entries = parsed
+    .filter((p) => p?.type === 'sitemap')
+    .flatMap((p) => p.entries)
+    .sort(byDateDesc);
+  return { ...index, type: 'sitemap', entries, sitemaps: recent.map((e) => e.link) };
+}
+
+async function findSitemap(pageUrl, timeoutMs) {
+  const { origin } = new URL(pageUrl);
+  const robots = await fetchRobotsRules(origin, { timeoutMs });
+  const candidates = [...robots.sitemaps, new URL('/sitemap.xml', origin).href];
+  for (const candidate of [...new Set(candidates)]) {
+    const parsed = await tryParse(candidate, timeoutMs);
+    if (parsed?.type === 'sitemap' || parsed?.type === 'sitemapindex') return parsed;
+  }
+  return null;
+}
+
+/**
+ * Fetch the entries of a feed or sitemap. `url` may be the feed itself or a
+ * page: then the page's advertised feeds are tried first and, failing those,
+ * the sitemaps named in robots.txt and `/sitemap.xml`.
+ * @param {string} url
+ * @param {Object} [options]
+ * @param {string} [options.source='auto'] - auto | feed (never fall back to a sitemap) | sitemap (skip feeds)
+ * @param {number} [options.timeoutMs=15000] - Per request
+ * @returns {Promise<Object>} - `{ url, feedUrl, type, title, description, entries, feeds? }`;
+ *   entries are newest first for sitemaps and in document order for feeds
+ */
+export async function fetchFeed(url, { source = 'auto', timeoutMs = 15000 } = {}) {
+  if (!FEED_SOURCES.includes(source)) {
+    throw new Error(`Invalid source: ${source}. Expected ${FEED_SOURCES.join('|')}.`);
+  }
+  const page = await getDocument(url, timeoutMs);
+  let found = parseFeed(page.body, page.finalUrl);
+  found = found && { url: page.finalUrl, ...found };
+  let feeds = [];
+
+  if (!found && source !== 'sitemap') {
+    feeds = discoverFeeds(page.body, page.finalUrl);
+    for (const feed of feeds) {
+      found = await tryParse(feed.url, timeoutMs);
+      if (found) break;
+    }
+  }
+  if (found && source === 'sitemap' && !found.type.startsWith('sitemap')) found = null;
+  if (!found && source !== 'feed') found = await findSitemap(page.finalUrl, timeoutMs);
+  if (!found) {
+    const what = { auto: 'feed or sitemap', feed: 'feed', sitemap: 'sitemap' }[source];
+    throw new ExtractionError(url, `No ${what} found`);
+  }
+  if (found.type === 'sitemapindex') found = await expandSitemapIndex(found, timeoutMs);
+
+  const { url: feedUrl, ...rest } = found;
+  return {
+    url: page.finalUrl,
+    feedUrl,
+    ...rest,
+    entries: rest.entries.slice(0, MAX_ENTRIES),
+    ...(feeds.length > 1 ? { feeds } : {}),
+  };
+}
@@ -1,33 +1,421 @@
+import { JSDOM } from 'jsdom';
 import { estimateTokens, truncateToTokenLimit } from './tokenizer.js';
 import { toParagraphs, safeTruncate } from './utils.js';
+import { htmlToMarkdown } from './markdown.js';
+import { isDataTable, parseTable } from './tables.js';
+import { focusText, joinWithElisions, selectPassages } from './relevance.js';
+import { paragraphs } from './chunks.js';
 
 const TRUNCATION_MARKER = '\n\n[lean-browser: truncated to token budget]';
 
-export async function formatText({ url, finalUrl, status }, { article }, { maxTokens } = {}) {
+function metadataLines(metadata) {
+  const lines = [];
+  if (metadata.canonical) lines.push(`Canonical: ${metadata.canonical}`);
+  if (metadata.language) lines.push(`Language: ${metadata.language}`);
+  if (metadata.published) lines.push(`Published: ${metadata.published}`);
+  if (metadata.modified) lines.push(`Modified: ${metadata.modified}`);
+  for (const item of metadata.jsonLd ?? []) lines.push(`JSON-LD: ${JSON.stringify(item)}`);
+  for (const item of metadata.microdata ?? []) lines.push(`Microdata: ${JSON.stringify(item)}`);
+  for (const item of metadata.rdfa ?? []) lines.push(`RDFa: ${JSON.stringify(item)}`);
+  return lines;
+}
+
+// Keep only the passages most relevant to `query` when the body would overflow
+// what the header leaves of the budget. `split` cuts the body into passages.
+async function focusBody(header, body, query, maxTokens, split) {
+  if (!query || !Number.isFinite(maxTokens)) return body;
+  const headerTokens = await estimateTokens(`${header}\n`);
+  return focusText(body, query, { maxTokens: Math.max(0, maxTokens - headerTokens), split });
+}
+
+// One line per open tab, for sessions where the site opened more than one.
+function tabLines(tabs) {
+  return tabs.map((t) => `Tab ${t.index}${t.active ? ' (active)' : ''}: ${t.title || '(untitled)'} - ${t.url}`);
+}
+
+// What a non-HTML response was, e.g. `Type: application/pdf (12 pages)`.
+function documentLine(document) {
+  return `Type: ${document.contentType}${document.pages ? ` (${document.pages} pages)` : ''}`;
+}
+
+// A JSON body longer than this many characters per token of the budget cannot
+// fit, so it is not worth tokenizing.
+const MAX_CHARS_PER_TOKEN = 16;
+
+async function fitsBudget(text, maxTokens) {
+  if (text.length > maxTokens * MAX_CHARS_PER_TOKEN) return false;
+  return (await estimateTokens(text)) <= maxTokens;
+}
+
+// Copy of a JSON value with the arrays at each depth cut to `caps[depth]` items
+// (a trailing "… N more items" string counts the rest) and strings to `stringCap` characters.
+function capJson(value, caps, stringCap, depth = 0) {
+  if (typeof value === 'string') return value.length > stringCap ? `${value.slice(0, stringCap)}…` : value;
+  if (Array.isArray(value)) {
+    const cap = caps[depth] ?? Infinity;
+    const items = value.slice(0, cap).map((v) => capJson(v, caps, stringCap, depth + 1));
+    if (value.length > cap) items.push(`… ${value.length - cap} more items`);
+    return items;
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, capJson(v, caps, stringCap, depth + 1)]));
+  }
+  return value;
+}
+
+// The longest array at each depth, and the longest string.
+function jsonShape(value, depth = 0, shape = { arrays: new Map(), longestString: 0 }) {
+  if (typeof value === 'string') {
+    shape.longestString = Math.max(shape.longestString, value.length);
+  } else if (Array.isArray(value)) {
+    shape.arrays.set(depth, Math.max(shape.arrays.get(depth) ?? 0, value.length));
+    for (const v of value) jsonShape(v, depth + 1, shape);
+  } else if (value && typeof value === 'object') {
+    for (const v of Object.values(value)) jsonShape(v, depth + 1, shape);
+  }
+  return shape;
+}
+
+// Largest n in [lo, hi] for which `test(n)` holds, assuming it holds for all
+// smaller n; lo - 1 when none does.
+async function largestPassing(lo, hi, test) {
+  let best = lo - 1;
+  while (lo <= hi) {
+    const mid = Math.floor((lo + hi) / 2);
+    if (await test(mid)) {
+      best = mid;
+      lo = mid + 1;
+    } else {
+      hi = mid - 1;
+    }
+  }
+  return best;
+}
+
+/**
+ * Trim a JSON value structurally until `render(value)` fits `maxTokens`: the
+ * tails of the deepest arrays go first, then of each shallower level, and
+ * only then are long strings shortened. Returns the most trimmed value when
+ * nothing fits, for the caller's text truncation to finish.
+ * @param {*} value
+ * @param {number} maxTokens
+ * @param {Function} render - Value to the text that must fit
+ * @returns {Promise<{value: *, truncated: boolean}>}
+ */
+async function fitJsonValue(value, maxTokens, render) {
+  if (!Number.isFinite(maxTokens) || (await fitsBudget(render(value), maxTokens))) {
+    return { value, truncated: false };
+  }
+
+  const caps = {};
+  let stringCap = Infinity;
+  const fits = () => fitsBudget(render(capJson(value, caps, stringCap)), maxTokens);
+  const { arrays, longestString } = jsonShape(value);
+
+  for (const depth of [...arrays.keys()].sort((a, b) => b - a)) {
+    // Keep at least one item, so every level still shows what its items look like.
+    caps[depth] = await largestPassing(1, arrays.get(depth), async (n) => {
+      caps[depth] = n;
+      return fits();
+    });
+    if (caps[depth] >= 1) return { value: capJson(value, caps, stringCap), truncated: true };
+    caps[depth] = 1;
+  }
+
+  stringCap = Math.max(
+    0,
+    await largestPassing(0, longestString, async (n) => {
+      stringCap = n;
+      return fits();
+    }),
+  );
+  return { value: capJson(value, caps, stringCap), truncated: true };
+}
+
+// The pretty-printed JSON of a document, trimmed to what `header` leaves of the budget.
+async function jsonBody(header, data, maxTokens, { fence = false } = {}) {
+  const print = (v) => {
+    const json = JSON.stringify(v, null, 2);
+    return fence ? `\`\`\`json\n${json}\n\`\`\`` : json;
+  };
+  const fit = await fitJsonValue(data, maxTokens, (v) => `${header}\n${print(v)}`);
+  return { body: print(fit.value), truncated: fit.truncated };
+}
+
+// Captured API responses (see api-capture.js) may take this share of what the
+// header leaves of the budget; the page text gets the rest, or all of it when
+// the page has none.
+const API_BUDGET_SHARE = 2 / 3;
+
+async function fitApi(api, header, render, hasText, maxTokens) {
+  let budget = maxTokens;
+  if (hasText && Number.isFinite(maxTokens)) {
+    const headerTokens = await estimateTokens(header);
+    budget = headerTokens + Math.floor((maxTokens - headerTokens) * API_BUDGET_SHARE);
+  }
+  return fitJsonValue(api, budget, render);
+}
+
+// One captured response as text: the request line, then its body. Trimmed
+// lists end in a "… N more items" string instead of an entry.
+function apiEntryText(entry, { fence = false } = {}) {
+  if (typeof entry === 'string') return entry;
+  const head = `${entry.method} ${entry.url} (${entry.status})`;
+  if (entry.data !== undefined) {
+    const json = JSON.stringify(entry.data, null, 2);
+    return `${head}\n${fence ? `\`\`\`json\n${json}\n\`\`\`` : json}`;
+  }
+  if (entry.text !== undefined) return `${head}\n${entry.text}${entry.truncated ? '\n[body truncated]' : ''}`;
+  return `${head}\n[${entry.size} byte body not captured]`;
+}
+
+// Fit captured responses as the `api` field of a JSON output whose text fields
+// are emptied in `envelope`.
+async function fitApiInto(envelope, api, hasText, maxTokens) {
+  const render = (v) =>
+    JSON.stringify({ ...envelope, api: v, truncated: true, tokens: Math.floor(maxTokens) }, null, 2);
+  return fitApi(api, render([]), render, hasText, maxTokens);
+}
+
+/**
+ * Captured API responses on their own, e.g. next to action results, trimmed
+ * to `maxTokens` as JSON documents are.
+ * @param {Object[]} api - From ApiCapture#results
+ * @param {Object} [options]
+ * @param {number} [options.maxTokens]
+ * @returns {Promise<{api: Array, truncated: boolean}>}
+ */
+export async function fitApiResponses(api, { maxTokens } = {}) {
+  const fit = await fitJsonValue(api, maxTokens, (v) => JSON.stringify(v, null, 2));
+  return { api: fit.value, truncated: fit.truncated };
+}
+
+async function apiTextSection(header, api, hasText, maxTokens, options) {
+  const print = (entries) => ['## API responses', ...entries.map((e) => apiEntryText(e, options))].join('\n\n');
+  const fit = await fitApi(api, header, (v) => `${header}\n${print(v)}`, hasText, maxTokens);
+  return { section: print(fit.value), truncated: fit.truncated };
+}
+
+export async function formatText(
+  { url, finalUrl, status, tabs },
+  { article, metadata, document, data, api },
+  { maxTokens, includeMetadata = false, query = null } = {},
+) {
   const lines = [];
   const t = article?.title ? `# ${article.title}` : '# (untitled)';
   lines.push(t);
   lines.push('');
   lines.push(`Source: ${finalUrl ?? url}`);
   if (status) lines.push(`HTTP: ${status}`);
+  if (document) lines.push(documentLine(document));
+  if (tabs) lines.push(...tabLines(tabs));
   if (article?.byline) lines.push(`By: ${article.byline}`);
   if (article?.excerpt) lines.push(`Excerpt: ${safeTruncate(article.excerpt, 240)}`);
+  if (includeMetadata && metadata) lines.push(...metadataLines(metadata));
+  lines.push('');
+  const text = article?.text ?? '';
+  let apiTruncated = false;
+  if (api?.length) {
+    const { section, truncated } = await apiTextSection(lines.join('\n'), api, Boolean(text), maxTokens);
+    lines.push(section, '');
+    apiTruncated = truncated;
+  }
+  const { body, truncated } =
+    data !== undefined
+      ? await jsonBody(lines.join('\n'), data, maxTokens)
+      : { body: await focusBody(lines.join('\n'), text, query, maxTokens), truncated: false };
+  lines.push(body);
+
+  const out = lines.join('\n');
+  const result = await truncateToTokenLimit(out, maxTokens);
+  return body === text && !truncated && !apiTruncated ? result : { ...result, truncated: true };
+}
+
+export async function formatMarkdown(
+  { url, finalUrl, status },
+  { article, document, data, api },
+  { maxTokens, query = null } = {},
+) {
+  const lines = [];
+  const t = article?.title ? `# ${article.title}` : '# (untitled)';
+  lines.push(t);
   lines.push('');
-  lines.push(article?.text ?? '');
+  lines.push(`Source: ${finalUrl ?? url}`);
+  if (status) lines.push(`HTTP: ${status}`);
+  if (document) lines.push(documentLine(document));
+  if (article?.byline) lines.push(`By: ${article.byline}`);
+  lines.push('');
+
+  if (data !== undefined) {
+    const { body, truncated } = await jsonBody(lines.join('\n'), data, maxTokens, { fence: true });
+    lines.push(body);
+    const result = await truncateToTokenLimit(lines.join('\n'), maxTokens);
+    return truncated ? { ...result, truncated: true } : result;
+  }
+
+  // Prefer the structured article HTML; plain text is all a fallback extraction has.
+  const body = article?.content ? htmlToMarkdown(article.content, { baseUrl: finalUrl ?? url }) : '';
+  const full = body || (article?.text ?? '');
+  let apiTruncated = false;
+  if (api?.length) {
+    const header = lines.join('\n');
+    const { section, truncated } = await apiTextSection(header, api, Boolean(full), maxTokens, { fence: true });
+    lines.push(section, '');
+    apiTruncated = truncated;
+  }
+  // Markdown passages are its blank-line paragraphs, with each code block kept whole.
+  const focused = await focusBody(lines.join('\n'), full, query, maxTokens, paragraphs);
+  lines.push(focused);
 
   const out = lines.join('\n');
-  return truncateToTokenLimit(out, maxTokens);
+  const result = await truncateToTokenLimit(out, maxTokens);
+  return focused === full && !apiTruncated ? result : { ...result, truncated: true };
+}
+
+const TEXT_BLOCK_TAGS = new Set([
+  'ADDRESS',
+  'ARTICLE',
+  'ASIDE',
+  'BLOCKQUOTE',
+  'DD',
+  'DIV',
+  'DL',
+  'DT',
+  'FIGCAPTION',
+  'FIGURE',
+  'H1',
+  'H2',
+  'H3',
+  'H4',
+  'H5',
+  'H6',
+  'LI',
+  'OL',
+  'P',
+  'PRE',
+  'SECTION',
+  'TABLE',
+  'UL',
+]);
+
+function hasBlockChildren(el) {
+  return Array.from(el.children).some((c) => TEXT_BLOCK_TAGS.has(c.tagName));
+}
+
+// Walk article HTML in document order, emitting paragraph blocks for prose and
+// structured blocks for data tables.
+function collectBlocks(node, blocks) {
+  let run = '';
+  const flush = () => {
+    for (const p of toParagraphs(run)) blocks.push({ type: 'p', text: p });
+    run = '';
+  };
+
+  for (const child of Array.from(node.childNodes)) {
+    if (child.nodeType !== 1) {
+      run += child.textContent ?? '';
+      continue;
+    }
+
+    if (child.tagName === 'TABLE' && isDataTable(child)) {
+      flush();
+      const table = parseTable(child);
+      if (table) blocks.push(table);
+    } else if (child.querySelector('table') || hasBlockChildren(child)) {
+      flush();
+      collectBlocks(child, blocks);
+    } else if (TEXT_BLOCK_TAGS.has(child.tagName)) {
+      flush();
+      run = child.textContent ?? '';
+      flush();
+    } else {
+      run += child.textContent ?? '';
+    }
+  }
+  flush();
+
+  return blocks;
+}
+
+function extractTables(content) {
+  if (!content || !/<table[\s>]/i.test(content)) return [];
+  const frag = JSDOM.fragment(content);
+  return Array.from(frag.querySelectorAll('table')).filter(isDataTable).map(parseTable).filter(Boolean);
 }
 
 function buildBlocksFromArticle(article) {
+  // Table-free articles keep the plain paragraph split of the extracted text.
+  const content = article?.content ?? '';
+  if (/<table[\s>]/i.test(content)) {
+    return collectBlocks(JSDOM.fragment(content), []);
+  }
+
   const paras = toParagraphs(article?.text ?? '');
   return paras.map((p) => ({ type: 'p', text: p }));
 }
 
+function blockText(block) {
+  if (block.type !== 'table') return block.text ?? '';
+  return [block.caption, block.headers.join(' | '), ...block.rows.map((row) => row.join(' | '))]
+    .filter(Boolean)
+    .join('\n');
+}
+
+// Narrow article blocks to those relevant to `query`. Text and blocks carry the
+// same passages, so each may use half of what the rest of the object leaves.
+async function focusArticleBlocks(obj, query, maxTokens) {
+  if (!query || !Number.isFinite(maxTokens)) return false;
+  if ((await estimateTokens(JSON.stringify(obj, null, 2))) <= maxTokens) return false;
+
+  const { blocks, text } = obj.article;
+  obj.article.text = '';
+  obj.article.blocks = [];
+  const envelope = await estimateTokens(JSON.stringify(obj, null, 2));
+  const share = Math.max(0, Math.floor((maxTokens - envelope) / 2));
+
+  const selected = await selectPassages(blocks, query, { maxTokens: share, getText: blockText });
+  if (!selected || selected.length === 0) {
+    obj.article.blocks = blocks;
+    obj.article.text = text;
+    return false;
+  }
+
+  obj.article.blocks = selected.map((i) => blocks[i]);
+  obj.article.text = joinWithElisions(blocks.map(blockText), selected);
+  return true;
+}
+
+// Structured metadata sections, heaviest and least commonly needed first.
+const METADATA_DROP_ORDER = ['rdfa', 'microdata', 'twitter', 'openGraph', 'jsonLd'];
+
+function dropMetadataSection(metadata) {
+  for (const key of METADATA_DROP_ORDER) {
+    if (key in metadata) {
+      delete metadata[key];
+      return true;
+    }
+  }
+  return false;
+}
+
+// Drop one trailing row from the last table that still has more than one,
+// recording how many rows were left out.
+function dropTableRow(tables) {
+  for (let i = tables.length - 1; i >= 0; i--) {
+    const table = tables[i];
+    if (table?.type === 'table' && Array.isArray(table.rows) && table.rows.length > 1) {
+      table.rows.pop();
+      table.omittedRows = (table.omittedRows ?? 0) + 1;
+      return true;
+    }
+  }
+  return false;
+}
+
 async function fitObjectToBudget(
   obj,
   maxTokens,
-  { elementsKey = null, blocksKey = null, textPath = ['article', 'text'] } = {},
+  { elementsKey = null, blocksKey = null, tablesKey = null, metadataKey = null, textPath = ['article', 'text'] } = {},
 ) {
   if (!Number.isFinite(maxTokens)) {
     return { obj, truncated: false, tokens: await estimateTokens(JSON.stringify(obj)) };
@@ -43,9 +431,15 @@ async function fitObjectToBudget(
     cur[path[path.length - 1]] = value;
   };
 
+  // Reserve room for the fields finalizeJsonObject appends, so a fit that lands
+  // right at the budget doesn't overflow once they are added.
+  obj.truncated = true;
+  obj.tokens = Math.floor(maxTokens);
+
   let truncated = false;
 
-  // First: reduce elements/blocks lists from the end.
+  // First: trim trailing table rows, reduce elements/blocks lists from the end,
+  // then shed bulky metadata sections.
   while (true) {
     const json = JSON.stringify(obj, null, 2);
     const tokens = await estimateTokens(json);
@@ -53,6 +447,12 @@ async function fitObjectToBudget(
 
     const elements = elementsKey ? obj[elementsKey] : null;
     const blocks = blocksKey ? getAt(obj, blocksKey) : null;
+    const tables = tablesKey ? getAt(obj, tablesKey) : null;
+
+    if (Array.isArray(tables) && dropTableRow(tables)) {
+      truncated = true;
+      continue;
+    }
 
     if (Array.isArray(elements) && elements.length > 0) {
       elements.pop();
@@ -66,6 +466,12 @@ async function fitObjectToBudget(
       continue;
     }
 
+    const metadata = metadataKey ? obj[metadataKey] : null;
+    if (metadata && dropMetadataSection(metadata)) {
+      truncated = true;
+      continue;
+    }
+
     break;
   }
 
@@ -159,28 +565,63 @@ async function finalizeJsonObject(obj, { truncated, maxTokens, fallbackCandidate
   return bestFallback;
 }
 
-export async function formatJson({ url, finalUrl, status, fetchedTitle }, { article }, { maxTokens } = {}) {
-  const blocks = buildBlocksFromArticle(article);
+export async function formatJson(
+  { url, finalUrl, status, fetchedTitle, tabs },
+  { article, metadata, document, data, api },
+  { maxTokens, query = null } = {},
+) {
+  const isJson = data !== undefined;
+  const blocks = isJson ? [] : buildBlocksFromArticle(article);
   const obj = {
     url: finalUrl ?? url,
     status: status ?? null,
     fetchedTitle: fetchedTitle ?? null,
+    ...(tabs ? { tabs } : {}),
+    ...(query ? { query } : {}),
     article: {
       title: article?.title ?? null,
       byline: article?.byline ?? null,
       excerpt: article?.excerpt ?? null,
-      text: article?.text ?? '',
+      text: isJson ? '' : (article?.text ?? ''),
       blocks,
     },
   };
+  if (document) {
+    obj.document = { ...document };
+  }
+  let dataTruncated = false;
+  if (isJson) {
+    // The data stands in for the article text; room is kept for the fields finalizeJsonObject adds.
+    const fit = await fitJsonValue(data, maxTokens, (v) =>
+      JSON.stringify({ ...obj, data: v, truncated: true, tokens: Math.floor(maxTokens) }, null, 2),
+    );
+    obj.data = fit.value;
+    dataTruncated = fit.truncated;
+  }
+  let apiTruncated = false;
+  if (api?.length) {
+    const envelope = { ...obj, article: { ...obj.article, text: '', blocks: [] } };
+    ({ value: obj.api, truncated: apiTruncated } = await fitApiInto(
+      envelope,
+      api,
+      Boolean(obj.article.text),
+      maxTokens,
+    ));
+  }
+  if (metadata) {
+    obj.metadata = JSON.parse(JSON.stringify(metadata));
+  }
+  const focused = await focusArticleBlocks(obj, query, maxTokens);
 
   const fit = await fitObjectToBudget(obj, maxTokens, {
     blocksKey: ['article', 'blocks'],
+    tablesKey: ['article', 'blocks'],
+    metadataKey: 'metadata',
     textPath: ['article', 'text'],
   });
 
   const finalized = await finalizeJsonObject(fit.obj, {
-    truncated: fit.truncated,
+    truncated: fit.truncated || focused || dataTruncated || apiTruncated,
     maxTokens,
     fallbackCandidates: [{ url: finalUrl ?? url, truncated: true }, { truncated: true }, {}],
   });
@@ -188,41 +629,158 @@ export async function formatJson({ url, finalUrl, status, fetchedTitle }, { arti
   return finalized;
 }
 
+// Elements from the live accessibility tree (see a11y.js) carry role/state/box
+// instead of the tag/type fields of the static DOM scan.
+function elementView(e) {
+  if (e.role) return { ...e };
+  return {
+    id: e.id,
+    tag: e.tag,
+    type: e.type,
+    label: e.label,
+    href: e.href,
+    name: e.name,
+    selector: e.selector,
+  };
+}
+
 export async function formatInteractive(
-  { url, finalUrl, status, fetchedTitle },
-  { article, elements },
-  { maxTokens } = {},
+  { url, finalUrl, status, fetchedTitle, tabs },
+  { article, elements, metadata, api },
+  { maxTokens, query = null } = {},
 ) {
   const obj = {
     url: finalUrl ?? url,
     status: status ?? null,
     fetchedTitle: fetchedTitle ?? null,
+    ...(tabs ? { tabs } : {}),
+    ...(query ? { query } : {}),
     view: {
       title: article?.title ?? null,
       excerpt: article?.excerpt ?? safeTruncate(article?.text ?? '', 280),
       text: article?.text ?? '',
     },
-    elements: (elements ?? []).map((e) => ({
-      id: e.id,
-      tag: e.tag,
-      type: e.type,
-      label: e.label,
-      href: e.href,
-      name: e.name,
-      selector: e.selector,
-    })),
+    elements: (elements ?? []).map(elementView),
   };
 
+  const tables = extractTables(article?.content);
+  if (tables.length > 0) {
+    obj.view.tables = tables;
+  }
+  let apiTruncated = false;
+  if (api?.length) {
+    const envelope = { ...obj, view: { ...obj.view, text: '', tables: [] }, elements: [] };
+    const hasText = Boolean(obj.view.text) || obj.elements.length > 0;
+    ({ value: obj.api, truncated: apiTruncated } = await fitApiInto(envelope, api, hasText, maxTokens));
+  }
+  if (metadata) {
+    obj.metadata = JSON.parse(JSON.stringify(metadata));
+  }
+
+  let focused = false;
+  if (query && Number.isFinite(maxTokens)) {
+    // Elements are trimmed before text, so the passages may claim at least half the budget.
+    const text = obj.view.text;
+    obj.view.text = '';
+    const envelope = await estimateTokens(JSON.stringify(obj, null, 2));
+    const budget = Math.max(maxTokens - envelope, Math.floor(maxTokens / 2));
+    obj.view.text = await focusText(text, query, { maxTokens: budget });
+    focused = obj.view.text !== text;
+  }
+
   const fit = await fitObjectToBudget(obj, maxTokens, {
     elementsKey: 'elements',
+    tablesKey: ['view', 'tables'],
+    metadataKey: 'metadata',
     textPath: ['view', 'text'],
   });
 
   const finalized = await finalizeJsonObject(fit.obj, {
-    truncated: fit.truncated,
+    truncated: fit.truncated || focused || apiTruncated,
     maxTokens,
     fallbackCandidates: [{ url: finalUrl ?? url, truncated: true }, { truncated: true }, {}],
   });
 
   return finalized;
 }
+
+// Changes since the previous snapshot (see snapshot-diff.js). Over budget,
+// added elements are dropped from the end first, then the new text is cut.
+export async function formatDiff({ url, finalUrl, status, fetchedTitle, tabs }, diff, { maxTokens } = {}) {
+  const obj = {
+    url: finalUrl ?? url,
+    status: status ?? null,
+    title: fetchedTitle ?? null,
+    ...(tabs ? { tabs } : {}),
+    diff: true,
+  };
+  if (diff.url) obj.navigated = diff.url;
+  if (diff.title) obj.titleChanged = diff.title;
+  obj.added = diff.added.map(elementView);
+  obj.removed = diff.removed;
+  obj.changed = diff.changed;
+  obj.text = diff.newText.join('\n\n');
+
+  const fit = await fitObjectToBudget(obj, maxTokens, {
+    elementsKey: 'added',
+    textPath: ['text'],
+  });
+
+  return finalizeJsonObject(fit.obj, {
+    truncated: fit.truncated,
+    maxTokens,
+    fallbackCandidates: [{ url: finalUrl ?? url, diff: true, truncated: true }, { truncated: true }, {}],
+  });
+}
+
+export async function formatA11y({ url, finalUrl, status, fetchedTitle, tabs }, { elements }, { maxTokens } = {}) {
+  const obj = {
+    url: finalUrl ?? url,
+    status: status ?? null,
+    title: fetchedTitle ?? '',
+    ...(tabs ? { tabs } : {}),
+    elements: (elements ?? []).map(elementView),
+  };
+
+  const fit = await fitObjectToBudget(obj, maxTokens, {
+    elementsKey: 'elements',
+    textPath: ['title'],
+  });
+
+  return finalizeJsonObject(fit.obj, {
+    truncated: fit.truncated,
+    maxTokens,
+    fallbackCandidates: [{ url: finalUrl ?? url, truncated: true }, { truncated: true }, {}],
+  });
+}
+
+// Feed or sitemap entries (see feeds.js). Over budget, entries are dropped
+// from the end (the oldest, for sitemaps), then the feed description is cut.
+export async function formatFeed({ url, finalUrl }, feed, { maxTokens } = {}) {
+  const obj = {
+    url: finalUrl ?? url,
+    feedUrl: feed.feedUrl ?? null,
+    type: feed.type,
+    title: feed.title ?? null,
+    ...(feed.feeds ? { feeds: feed.feeds } : {}),
+    ...(feed.sitemaps ? { sitemaps: feed.sitemaps } : {}),
+    totalEntries: feed.entries.length,
+    description: feed.description ?? '',
+    entries: feed.entries.map((e) => ({ ...e })),
+  };
+
+  const fit = await fitObjectToBudget(obj, maxTokens, {
+    elementsKey: 'entries',
+    textPath: ['description'],
+  });
+
+  return finalizeJsonObject(fit.obj, {
+    truncated: fit.truncated,
+    maxTokens,
+    fallbackCandidates: [
+      { url: finalUrl ?? url, feedUrl: feed.feedUrl ?? null, entries: [], truncated: true },
+      { truncated: true },
+      {},
+    ],
+  });
+}
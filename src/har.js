@@ -0,0 +1,233 @@
+/**
+ * HAR 1.2 files (http://www.softwareishard.com/blog/har-12-spec/). A browser
+ * context records one itself when launched with `recordHar` (see
+ * harRecordOptions), and `replayHar` serves a recorded file back to a context
+ * with no network at all. `harEntry` and `buildHar` write the same format from
+ * finished Playwright requests, for pages that were not launched recording.
+ */
+
+import { Buffer } from 'node:buffer';
+import { access, readFile } from 'node:fs/promises';
+
+const CREATOR = { name: 'lean-browser', version: '0.3.0' };
+const MAX_REDIRECTS = 10;
+// Bodies of these types are stored as text, everything else base64 encoded.
+const TEXT_TYPE = /^(text\/|application\/([\w.-]+\+)?(json|xml|javascript|ecmascript|x-www-form-urlencoded))/i;
+
+/**
+ * Context `recordHar` options that keep every response body, so the file can
+ * be replayed. A `.zip` path stores the bodies as separate files.
+ * @param {string} file
+ * @returns {{path: string, content: 'embed'|'attach', mode: 'full'}}
+ */
+export function harRecordOptions(file) {
+  return { path: file, content: file.endsWith('.zip') ? 'attach' : 'embed', mode: 'full' };
+}
+
+/**
+ * Serve every request of `context` from a HAR file. Requests the file has no
+ * entry for are aborted rather than sent to the network.
+ * @param {import('playwright').BrowserContext} context
+ * @param {string} file
+ */
+export async function replayHar(context, file) {
+  try {
+    await access(file);
+  } catch (err) {
+    throw new Error(`HAR file not found: ${file}`, { cause: err });
+  }
+  await context.routeFromHAR(file, { notFound: 'abort' });
+  replaying.set(context, file);
+}
+
+// Contexts replaying a HAR file, and the file.
+const replaying = new WeakMap();
+
+/**
+ * The HAR file `context` replays, or null. Requests made outside the context's
+ * routes (`page.request`) must be answered from it by hand, see harResponse.
+ * @param {import('playwright').BrowserContext} context
+ * @returns {string|null}
+ */
+export function replayedHar(context) {
+  return replaying.get(context) ?? null;
+}
+
+/**
+ * The recorded response to a GET of `url`, following redirects within the
+ * file. Never touches the network; a URL the file has no entry for throws.
+ * @param {string} file - A `.har` file (bodies of a `.zip` recording are not read)
+ * @param {string} url
+ * @returns {Promise<{url: string, status: number, headers: Object, body: Buffer}>} - Lowercase header names
+ */
+export async function harResponse(file, url) {
+  if (file.endsWith('.zip')) throw new Error(`Cannot serve ${url} from ${file}: replay a .har file instead`);
+  const { log } = JSON.parse(await readFile(file, 'utf-8'));
+  let target = url;
+  for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+    const entry = log.entries.find((e) => e.request.method === 'GET' && e.request.url === target);
+    if (!entry) throw new Error(`No response for ${target} in HAR file ${file}`);
+    const { status, headers, content, redirectURL } = entry.response;
+    if (status >= 300 && status < 400 && redirectURL) {
+      target = new URL(redirectURL, target).href;
+      continue;
+    }
+    return {
+      url: target,
+      status,
+      headers: Object.fromEntries(headers.map(({ name, value }) => [name.toLowerCase(), value])),
+      body: Buffer.from(content?.text ?? '', content?.encoding === 'base64' ? 'base64' : 'utf-8'),
+    };
+  }
+  throw new Error(`More than ${MAX_REDIRECTS} redirects for ${url} in HAR file ${file}`);
+}
+
+function nameValues(headers) {
+  return headers.map(({ name, value }) => ({ name, value }));
+}
+
+function queryString(url) {
+  try {
+    return [...new URL(url).searchParams].map(([name, value]) => ({ name, value }));
+  } catch {
+    return [];
+  }
+}
+
+const span = (start, end) => (start >= 0 && end >= start ? end - start : -1);
+
+/**
+ * HAR timings from Playwright's `request.timing()`, whose marks are
+ * milliseconds after `startTime` and -1 when a phase did not happen (a reused
+ * connection has no DNS or connect phase).
+ * @param {Object} timing
+ * @returns {{blocked: number, dns: number, connect: number, ssl: number, send: number, wait: number, receive: number}}
+ */
+export function harTimings(timing) {
+  const dns = span(timing.domainLookupStart, timing.domainLookupEnd);
+  const connect = span(timing.connectStart, timing.connectEnd);
+  const ssl = span(timing.secureConnectionStart, timing.connectEnd);
+  const firstPhase = [timing.domainLookupStart, timing.connectStart, timing.requestStart].find((t) => t >= 0);
+  return {
+    blocked: firstPhase > 0 ? firstPhase : -1,
+    dns,
+    connect,
+    ssl,
+    send: 0,
+    wait: Math.max(span(timing.requestStart, timing.responseStart), 0),
+    receive: Math.max(span(timing.responseStart, timing.responseEnd), 0),
+  };
+}
+
+// Total time of an entry: every phase but ssl, which `connect` already includes.
+function entryTime(timings) {
+  return ['blocked', 'dns', 'connect', 'send', 'wait', 'receive'].reduce((sum, k) => sum + Math.max(timings[k], 0), 0);
+}
+
+function harContent(body, mimeType) {
+  if (!body) return { size: 0, mimeType };
+  if (TEXT_TYPE.test(mimeType)) return { size: body.length, mimeType, text: body.toString('utf-8') };
+  return { size: body.length, mimeType, text: body.toString('base64'), encoding: 'base64' };
+}
+
+/**
+ * One HAR entry for a finished or failed request. Its response is read from
+ * the request itself, so redirects and repeated URLs pair up correctly.
+ * @param {import('playwright').Request} request
+ * @param {Object} [options]
+ * @param {string} [options.pageref]
+ * @returns {Promise<Object>}
+ */
+export async function harEntry(request, { pageref } = {}) {
+  const timing = request.timing();
+  const timings = harTimings(timing);
+  const response = await request.response().catch(() => null);
+  const sizes = await request.sizes().catch(() => null);
+  const postData = request.postDataBuffer();
+  const requestHeaders = await request.headersArray();
+
+  const entry = {
+    ...(pageref ? { pageref } : {}),
+    startedDateTime: new Date(timing.startTime).toISOString(),
+    time: entryTime(timings),
+    request: {
+      method: request.method(),
+      url: request.url(),
+      httpVersion: 'HTTP/1.1',
+      cookies: [],
+      headers: nameValues(requestHeaders),
+      queryString: queryString(request.url()),
+      ...(postData
+        ? {
+            postData: {
+              mimeType: requestHeaders.find((h) => h.name.toLowerCase() === 'content-type')?.value ?? '',
+              text: postData.toString('utf-8'),
+            },
+          }
+        : {}),
+      headersSize: sizes?.requestHeadersSize ?? -1,
+      bodySize: sizes?.requestBodySize ?? postData?.length ?? 0,
+    },
+    cache: {},
+    timings,
+  };
+
+  if (!response) {
+    entry.response = {
+      status: 0,
+      statusText: '',
+      httpVersion: 'HTTP/1.1',
+      cookies: [],
+      headers: [],
+      content: { size: 0, mimeType: 'x-unknown' },
+      redirectURL: '',
+      headersSize: -1,
+      bodySize: -1,
+      _failureText: request.failure()?.errorText ?? '',
+    };
+    return entry;
+  }
+
+  const headers = await response.headersArray();
+  const header = (name) => headers.find((h) => h.name.toLowerCase() === name)?.value;
+  const location = header('location');
+  let redirectURL = '';
+  try {
+    if (location) redirectURL = new URL(location, response.url()).href;
+  } catch {
+    redirectURL = location;
+  }
+  // Redirects and failed downloads have no body to read.
+  const body = await response.body().catch(() => null);
+  entry.response = {
+    status: response.status(),
+    statusText: response.statusText(),
+    httpVersion: 'HTTP/1.1',
+    cookies: [],
+    headers: nameValues(headers),
+    content: harContent(body, header('content-type') ?? 'x-unknown'),
+    redirectURL,
+    headersSize: sizes?.responseHeadersSize ?? -1,
+    bodySize: sizes?.responseBodySize ?? body?.length ?? -1,
+  };
+  const server = await response.serverAddr().catch(() => null);
+  if (server) entry.serverIPAddress = server.ipAddress;
+  return entry;
+}
+
+/**
+ * A HAR log.
+ * @param {Object[]} pages - `{ id, title, startedDateTime }`
+ * @param {Object[]} entries - From harEntry, sorted by start time here
+ * @returns {{log: Object}}
+ */
+export function buildHar(pages, entries) {
+  return {
+    log: {
+      version: '1.2',
+      creator: CREATOR,
+      pages: pages.map((p) => ({ ...p, pageTimings: p.pageTimings ?? { onContentLoad: -1, onLoad: -1 } })),
+      entries: [...entries].sort((a, b) => a.startedDateTime.localeCompare(b.startedDateTime)),
+    },
+  };
+}
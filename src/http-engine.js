@@ -0,0 +1,93 @@
+/**
+ * The `http` engine: a page's HTML straight from the server, without a
+ * browser. It is enough for static blogs and docs and an order of magnitude
+ * cheaper than rendering; `needsBrowser` tells the `auto` engine when it is
+ * not (a JavaScript app shell, or too little text to extract). PDFs, JSON,
+ * XML and plain text come back as a `document` (see documents.js).
+ */
+
+import { JSDOM } from 'jsdom';
+import { documentKind, readDocument } from './documents.js';
+import { ExtractionError, detectAntiBot } from './errors.js';
+import { httpGet } from './http.js';
+
+const HTML_ACCEPT = 'text/html,application/xhtml+xml;q=0.9,*/*;q=0.8';
+// Room for PDFs, which run far larger than pages.
+const MAX_BODY_BYTES = 25 * 1024 * 1024;
+const HTML_TYPES = new Set(['text/html', 'application/xhtml+xml']);
+// Less visible text than this and a page is most likely filled in by scripts.
+const MIN_STATIC_TEXT_CHARS = 400;
+// Mount points of the common client-side frameworks.
+const APP_ROOTS = '#root, #app, #__next, #__nuxt, #___gatsby, #svelte, [data-reactroot], app-root, [ng-app]';
+
+export function isHtmlType(contentType) {
+  return !contentType || HTML_TYPES.has(contentType);
+}
+
+function documentTitle(html) {
+  const raw = /<title[^>]*>([\s\S]*?)<\/title>/i.exec(html)?.[1];
+  if (raw == null) return undefined;
+  return JSDOM.fragment(`<p>${raw}</p>`).textContent.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Why a statically fetched page has to be rendered, or null when it does not.
+ * @param {string} html
+ * @returns {string|null} - e.g. `'too little text'` or `'app shell (#root)'`
+ */
+export function needsBrowser(html) {
+  const { document } = new JSDOM(html).window;
+  for (const el of document.querySelectorAll('script, style, noscript, template')) el.remove();
+  const text = (document.body?.textContent ?? '').replace(/\s+/g, ' ').trim();
+  if (text.length < MIN_STATIC_TEXT_CHARS) return 'too little text';
+
+  for (const root of document.querySelectorAll(APP_ROOTS)) {
+    // An app root holding almost none of the page's text is waiting for its scripts.
+    const rootText = root.textContent.replace(/\s+/g, ' ').trim();
+    if (rootText.length < MIN_STATIC_TEXT_CHARS / 4) {
+      return `app shell (${root.id ? `#${root.id}` : root.tagName.toLowerCase()})`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Fetch a page's HTML over plain HTTP, in the shape of fetchRenderedHtml's result.
+ * A PDF, JSON, XML or text response is read into `document` and `html` is empty.
+ * @param {string} url
+ * @param {Object} [options]
+ * @param {number} [options.timeoutMs=45000]
+ * @param {string} [options.userAgent]
+ * @param {Object} [options.extraHeaders]
+ * @returns {Promise<{html: string, finalUrl: string, title: string|undefined, status: number,
+ *   headers: Object, contentType: string, blockedCount: number, document?: Object}>}
+ */
+export async function fetchStaticHtml(url, { timeoutMs = 45000, userAgent, extraHeaders = {} } = {}) {
+  const res = await httpGet(url, {
+    timeoutMs,
+    userAgent,
+    accept: HTML_ACCEPT,
+    headers: extraHeaders,
+    maxBytes: MAX_BODY_BYTES,
+  });
+  const antiBotError = detectAntiBot(res.body, res.status, url);
+  if (antiBotError) throw antiBotError;
+
+  const ok = res.status >= 200 && res.status < 300;
+  const kind = ok && !isHtmlType(res.contentType) ? documentKind(res.contentType, res.bytes) : null;
+  if (kind === 'pdf' && res.truncated) {
+    throw new ExtractionError(url, `PDF is larger than ${MAX_BODY_BYTES / 1024 / 1024} MB`);
+  }
+  const document = kind ? await readDocument(res.bytes, res.headers['content-type'], res.finalUrl) : null;
+
+  return {
+    html: document ? '' : res.body,
+    finalUrl: res.finalUrl,
+    title: isHtmlType(res.contentType) ? documentTitle(res.body) : undefined,
+    status: res.status,
+    headers: res.headers,
+    contentType: res.contentType,
+    blockedCount: 0,
+    ...(document ? { document } : {}),
+  };
+}
@@ -0,0 +1,128 @@
+/**
+ * Plain HTTP GET for resources that need no browser (robots.txt, feeds,
+ * sitemaps, static pages). Redirects are followed by hand so every hop passes
+ * the same SSRF check as the requested URL, the body is read up to a size
+ * limit, and text is decoded in the charset the response declares.
+ */
+
+import { Buffer } from 'node:buffer';
+import { TextDecoder } from 'node:util';
+import { NetworkError, classifyError } from './errors.js';
+import { SSRFError, validateURL } from './security.js';
+
+export const HTTP_USER_AGENT = 'lean-browser/0.3 (+https://github.com/)';
+const DEFAULT_MAX_BYTES = 5 * 1024 * 1024;
+const MAX_REDIRECTS = 10;
+// Browsers look for a <meta charset> in the first 1024 bytes.
+const SNIFF_BYTES = 1024;
+
+/**
+ * The charset of a response body: a byte order mark, the Content-Type
+ * `charset` parameter, an HTML `<meta>` or XML declaration, else UTF-8.
+ * @param {Buffer} bytes
+ * @param {string} [contentTypeHeader]
+ * @returns {string}
+ */
+export function detectCharset(bytes, contentTypeHeader = '') {
+  if (bytes[0] === 0xef && bytes[1] === 0xbb && bytes[2] === 0xbf) return 'utf-8';
+  if (bytes[0] === 0xff && bytes[1] === 0xfe) return 'utf-16le';
+  if (bytes[0] === 0xfe && bytes[1] === 0xff) return 'utf-16be';
+
+  const declared = /;\s*charset\s*=\s*"?([\w.:-]+)/i.exec(contentTypeHeader)?.[1];
+  if (declared) return declared.toLowerCase();
+
+  const head = bytes.subarray(0, SNIFF_BYTES).toString('latin1');
+  const sniffed =
+    /<meta[^>]+charset\s*=\s*["']?([\w.:-]+)/i.exec(head)?.[1] ??
+    /<\?xml[^>]+encoding\s*=\s*["']([\w.:-]+)/i.exec(head)?.[1];
+  return (sniffed ?? 'utf-8').toLowerCase();
+}
+
+/**
+ * @param {Buffer} bytes
+ * @param {string} charset - An encoding label, as from detectCharset
+ * @returns {string}
+ */
+export function decodeText(bytes, charset) {
+  try {
+    return new TextDecoder(charset).decode(bytes);
+  } catch {
+    // Unknown label.
+    return new TextDecoder('utf-8').decode(bytes);
+  }
+}
+
+async function readBody(res, maxBytes) {
+  const chunks = [];
+  let size = 0;
+  let truncated = false;
+  for await (const chunk of res.body ?? []) {
+    chunks.push(chunk);
+    size += chunk.length;
+    if (size >= maxBytes) {
+      truncated = size > maxBytes;
+      break;
+    }
+  }
+  return { bytes: Buffer.concat(chunks).subarray(0, maxBytes), truncated };
+}
+
+/**
+ * @param {string} url
+ * @param {Object} [options]
+ * @param {number} [options.timeoutMs=15000] - For the whole request, redirects included
+ * @param {string} [options.userAgent]
+ * @param {string} [options.accept] - Accept header
+ * @param {Object} [options.headers] - More request headers
+ * @param {number} [options.maxBytes=5242880] - The body is cut off after this many bytes
+ * @returns {Promise<{status: number, finalUrl: string, contentType: string, charset: string,
+ *   headers: Object, body: string, bytes: Buffer, truncated: boolean}>}
+ *   Any status is returned; network failures throw a classified BrowserError.
+ */
+export async function httpGet(
+  url,
+  { timeoutMs = 15000, userAgent = HTTP_USER_AGENT, accept = '*/*', headers = {}, maxBytes = DEFAULT_MAX_BYTES } = {},
+) {
+  const signal = AbortSignal.timeout(timeoutMs);
+  let current = url;
+  let res;
+  try {
+    for (let hop = 0; ; hop++) {
+      validateURL(current);
+      res = await fetch(current, {
+        headers: { 'user-agent': userAgent, accept, ...headers },
+        redirect: 'manual',
+        signal,
+      });
+      const location = res.headers.get('location');
+      if (res.status < 300 || res.status >= 400 || res.status === 304 || !location) break;
+      if (hop >= MAX_REDIRECTS) throw new NetworkError(url, `More than ${MAX_REDIRECTS} redirects`);
+      await res.body?.cancel();
+      current = new URL(location, current).href;
+    }
+  } catch (err) {
+    if (err instanceof NetworkError || err instanceof SSRFError) throw err;
+    // undici wraps the system error (ENOTFOUND, ECONNREFUSED, ...) in `cause`.
+    throw classifyError(err?.cause ?? err, url, timeoutMs);
+  }
+
+  let body;
+  try {
+    body = await readBody(res, maxBytes);
+  } catch (err) {
+    throw classifyError(err?.cause ?? err, url, timeoutMs);
+  }
+  const contentTypeHeader = res.headers.get('content-type') ?? '';
+  const charset = detectCharset(body.bytes, contentTypeHeader);
+
+  return {
+    status: res.status,
+    finalUrl: current,
+    contentType: contentTypeHeader.split(';')[0].trim().toLowerCase(),
+    charset,
+    headers: Object.fromEntries(res.headers),
+    body: decodeText(body.bytes, charset),
+    bytes: body.bytes,
+    truncated: body.truncated,
+  };
+}
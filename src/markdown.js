@@ -0,0 +1,301 @@
+import { JSDOM } from 'jsdom';
+import { tableToGrid } from './tables.js';
+
+const BLOCK_TAGS = new Set([
+  'address',
+  'article',
+  'aside',
+  'blockquote',
+  'details',
+  'dd',
+  'div',
+  'dl',
+  'dt',
+  'fieldset',
+  'figcaption',
+  'figure',
+  'footer',
+  'form',
+  'h1',
+  'h2',
+  'h3',
+  'h4',
+  'h5',
+  'h6',
+  'header',
+  'hr',
+  'li',
+  'main',
+  'nav',
+  'ol',
+  'p',
+  'pre',
+  'section',
+  'summary',
+  'table',
+  'ul',
+]);
+
+const SKIP_TAGS = new Set(['script', 'style', 'noscript', 'template', 'svg', 'iframe', 'button', 'input', 'select']);
+
+function isElement(node) {
+  return node?.nodeType === 1;
+}
+
+function tagOf(node) {
+  return isElement(node) ? node.tagName.toLowerCase() : null;
+}
+
+function isBlock(node) {
+  return BLOCK_TAGS.has(tagOf(node));
+}
+
+function escapeText(s) {
+  return s.replace(/([\\`*[\]])/g, '\\$1').replace(/(^|\W)_|_(?=\W|$)/g, (m) => m.replace('_', '\\_'));
+}
+
+function escapeLineStart(s) {
+  // Keep prose from being read back as a heading, quote or list item.
+  return s.replace(/^(\s*)(#{1,6}\s|>|[-+]\s)/gm, '$1\\$2').replace(/^(\s*\d+)([.)]\s)/gm, '$1\\$2');
+}
+
+function collapseInline(s) {
+  return s
+    .replace(/[ \t\r\f\v]+/g, ' ')
+    .replace(/ *\n */g, '\n')
+    .trim();
+}
+
+function absoluteUrl(href, baseUrl) {
+  if (!href) return null;
+  try {
+    return new URL(href, baseUrl).href;
+  } catch {
+    return href;
+  }
+}
+
+function codeSpan(text) {
+  const longest = Math.max(0, ...(text.match(/`+/g) ?? []).map((run) => run.length));
+  const fence = '`'.repeat(longest + 1);
+  const pad = text.startsWith('`') || text.endsWith('`') ? ' ' : '';
+  return `${fence}${pad}${text}${pad}${fence}`;
+}
+
+function wrapEmphasis(inner, marker) {
+  const trimmed = inner.trim();
+  if (!trimmed) return inner;
+  const lead = inner.startsWith(' ') ? ' ' : '';
+  const trail = inner.endsWith(' ') ? ' ' : '';
+  return `${lead}${marker}${trimmed}${marker}${trail}`;
+}
+
+function renderInline(node, ctx) {
+  if (node.nodeType === 3) {
+    return escapeText(node.textContent.replace(/[ \t\r\n\f\v]+/g, ' '));
+  }
+  if (!isElement(node)) return '';
+
+  const tag = tagOf(node);
+  if (SKIP_TAGS.has(tag)) return '';
+
+  const children = () =>
+    Array.from(node.childNodes)
+      .map((c) => renderInline(c, ctx))
+      .join('');
+
+  switch (tag) {
+    case 'br':
+      return '\n';
+    case 'strong':
+    case 'b':
+      return wrapEmphasis(children(), '**');
+    case 'em':
+    case 'i':
+      return wrapEmphasis(children(), '*');
+    case 's':
+    case 'del':
+    case 'strike':
+      return wrapEmphasis(children(), '~~');
+    case 'code':
+    case 'kbd':
+    case 'samp':
+      return codeSpan(node.textContent.replace(/\s+/g, ' '));
+    case 'a': {
+      const text = children().trim();
+      const href = absoluteUrl(node.getAttribute('href'), ctx.baseUrl);
+      if (!href || href.startsWith('#') || /^javascript:/i.test(href)) return text;
+      if (!text) return '';
+      return `[${text}](${href.replace(/[()\s]/g, encodeURIComponent)})`;
+    }
+    case 'img': {
+      const src = absoluteUrl(node.getAttribute('src'), ctx.baseUrl);
+      if (!src || src.startsWith('data:')) return '';
+      const alt = escapeText(collapseInline(node.getAttribute('alt') ?? ''));
+      return `![${alt}](${src.replace(/[()\s]/g, encodeURIComponent)})`;
+    }
+    default:
+      return children();
+  }
+}
+
+function renderInlineRun(nodes, ctx) {
+  const text = collapseInline(nodes.map((n) => renderInline(n, ctx)).join(''));
+  return escapeLineStart(text);
+}
+
+// Render a container's children as a list of Markdown blocks, grouping runs of
+// inline content into paragraphs.
+function renderChildren(node, ctx) {
+  const blocks = [];
+  let run = [];
+
+  const flush = () => {
+    if (run.length === 0) return;
+    const text = renderInlineRun(run, ctx);
+    if (text) blocks.push(text);
+    run = [];
+  };
+
+  for (const child of Array.from(node.childNodes)) {
+    if (isBlock(child)) {
+      flush();
+      blocks.push(...renderBlock(child, ctx));
+    } else {
+      run.push(child);
+    }
+  }
+  flush();
+
+  return blocks;
+}
+
+function indent(text, prefix) {
+  return text
+    .split('\n')
+    .map((line) => (line ? prefix + line : line))
+    .join('\n');
+}
+
+function renderList(node, ctx) {
+  const ordered = tagOf(node) === 'ol';
+  let n = Number.parseInt(node.getAttribute('start') ?? '1', 10);
+  if (!Number.isFinite(n)) n = 1;
+
+  const items = [];
+  for (const li of Array.from(node.children)) {
+    if (tagOf(li) !== 'li') continue;
+    const marker = ordered ? `${n++}. ` : '- ';
+    const body = renderChildren(li, ctx).join('\n') || '';
+    const [first, ...rest] = body.split('\n');
+    const restText = rest.length > 0 ? '\n' + indent(rest.join('\n'), ' '.repeat(marker.length)) : '';
+    items.push(`${marker}${first}${restText}`);
+  }
+
+  return items.length > 0 ? [items.join('\n')] : [];
+}
+
+function renderPre(node) {
+  const code = node.querySelector('code');
+  const className = `${code?.getAttribute('class') ?? ''} ${node.getAttribute('class') ?? ''}`;
+  const lang = className.match(/(?:^|\s)(?:language|lang)-([\w+#.-]+)/)?.[1] ?? '';
+  const text = (code ?? node).textContent.replace(/\n+$/, '');
+
+  const longest = Math.max(0, ...(text.match(/`{3,}/g) ?? []).map((run) => run.length));
+  const fence = '`'.repeat(Math.max(3, longest + 1));
+  return [`${fence}${lang}\n${text}\n${fence}`];
+}
+
+function tableCell(cell, ctx) {
+  return collapseInline(
+    Array.from(cell.childNodes)
+      .map((c) => renderInline(c, ctx))
+      .join(''),
+  )
+    .replace(/\n/g, ' ')
+    .replace(/\|/g, '\\|');
+}
+
+function renderTable(node, ctx) {
+  const grid = tableToGrid(node, { renderCell: (cell) => tableCell(cell, ctx) });
+  if (grid.length === 0) return [];
+
+  const width = grid[0].length;
+  const line = (cells) => `| ${cells.join(' | ')} |`;
+
+  // Pipe tables always need a header row; spanned cells repeat their text.
+  const [header, ...body] = grid.map((row) => row.map((cell) => cell.text));
+  const out = [line(header), line(new Array(width).fill('---')), ...body.map(line)];
+
+  const blocks = [];
+  const caption = Array.from(node.children).find((c) => tagOf(c) === 'caption');
+  if (caption) {
+    const text = tableCell(caption, ctx);
+    if (text) blocks.push(`**${text}**`);
+  }
+  blocks.push(out.join('\n'));
+  return blocks;
+}
+
+function renderBlock(node, ctx) {
+  const tag = tagOf(node);
+
+  switch (tag) {
+    case 'h1':
+    case 'h2':
+    case 'h3':
+    case 'h4':
+    case 'h5':
+    case 'h6': {
+      const text = collapseInline(renderInline(node, ctx)).replace(/\n/g, ' ');
+      return text ? [`${'#'.repeat(Number(tag[1]))} ${text}`] : [];
+    }
+    case 'p':
+    case 'summary':
+    case 'dt':
+    case 'figcaption':
+      return renderChildren(node, ctx);
+    case 'ul':
+    case 'ol':
+      return renderList(node, ctx);
+    case 'pre':
+      return renderPre(node);
+    case 'blockquote': {
+      const inner = renderChildren(node, ctx).join('\n\n');
+      return inner ? [indent(inner, '> ').replace(/^$/gm, '>')] : [];
+    }
+    case 'hr':
+      return ['---'];
+    case 'table':
+      return renderTable(node, ctx);
+    case 'dd': {
+      const inner = renderChildren(node, ctx).join('\n');
+      return inner ? [indent(inner, ': ')] : [];
+    }
+    default:
+      if (SKIP_TAGS.has(tag)) return [];
+      return renderChildren(node, ctx);
+  }
+}
+
+/**
+ * Convert an HTML fragment (typically Readability's `article.content`) to Markdown.
+ * @param {string} html - HTML fragment to convert
+ * @param {Object} [options]
+ * @param {string} [options.baseUrl] - Base URL used to resolve relative links and images
+ * @returns {string} - Markdown text
+ */
+export function htmlToMarkdown(html, { baseUrl = 'https://example.com/' } = {}) {
+  if (!html) return '';
+
+  const dom = new JSDOM(`<!DOCTYPE html><body>${html}</body>`, { url: baseUrl });
+  const body = dom.window.document.body;
+  const blocks = renderChildren(body, { baseUrl });
+
+  return blocks
+    .map((b) => b.replace(/[ \t]+$/gm, ''))
+    .filter((b) => b.trim())
+    .join('\n\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
@@ -1,8 +1,10 @@
 import { z } from 'zod';
-import { launchBrowser, closeBrowser, navigateAndWait } from '../browser.js';
-import { extractAllFromHtml, buildElementMap } from '../extractor.js';
+import { BROWSERS, launchBrowser, closeBrowser, navigateAndWait } from '../browser.js';
 import { ActionExecutor, parseActionSpec, validateAction } from '../actions.js';
-import { captureSnapshot } from '../snapshot.js';
+import { buildPageElementMap, captureSnapshot } from '../snapshot.js';
+import { allowedEnv, parseActionScript, runActionScript } from '../action-script.js';
+import { ApiCapture } from '../api-capture.js';
+import { fitApiResponses } from '../formatter.js';
 
 function parseSnapshotPayload(snapshotText, mode) {
   if (mode === 'text') {
@@ -16,6 +18,35 @@ function parseSnapshotPayload(snapshotText, mode) {
   }
 }
 
+/**
+ * The browser engine parameter, shared by every tool that launches a browser.
+ */
+export const browserInputSchema = {
+  browser: z
+    .enum(BROWSERS)
+    .default('chromium')
+    .describe('Browser engine to render with: chromium, firefox or webkit (the engine must be installed)'),
+};
+
+/**
+ * Parameters for recording XHR/fetch responses (see api-capture.js), shared
+ * by execute_browser_action and the fetch tools.
+ */
+export const captureInputSchema = {
+  capture: z
+    .union([z.string(), z.array(z.string())])
+    .optional()
+    .describe(
+      'URL glob(s) of XHR/fetch responses to capture, e.g. "**/api/**" (`*` stops at `/`, `**` does not). Their JSON bodies are returned in an `api` section',
+    ),
+  captureAnyType: z.boolean().default(false).describe('Capture matching responses of any content type, not just JSON'),
+};
+
+// The ApiCapture option for a tool call's capture parameters, or null.
+export function captureFor({ capture, captureAnyType = false }) {
+  return capture?.length ? { patterns: capture, anyType: captureAnyType } : null;
+}
+
 /**
  * Schema for execute_browser_action tool
  */
@@ -23,15 +54,25 @@ export const executeBrowserActionSchema = {
   url: z.string().url().describe('The URL to navigate to'),
   actions: z
     .array(z.string())
+    .optional()
     .describe(
       'Array of action specs in the format: "type:elementId:value" or "click:elementId". Examples: ["type:e1:username", "type:e2:password", "click:e3"]',
     ),
+  script: z
+    .union([z.string(), z.record(z.string(), z.unknown())])
+    .optional()
+    .describe(
+      'Instead of actions: an action script { vars, steps } (or its JSON/YAML text). Steps are action strings or objects like { action: "type", selector: "#q", value: "${query}" }, plus assert_text/assert_url, { if_present, then, else } and { repeat_until, max, steps }. ${env:VAR} reads a server environment variable listed in LEAN_BROWSER_SCRIPT_ENV; its value is a secret and is masked in the response',
+    ),
+  variables: z.record(z.string(), z.string()).optional().describe('Values for ${name} placeholders in the script'),
   maxTokens: z.number().int().positive().default(1200).describe('Maximum token budget for the final snapshot'),
   timeout: z.number().int().positive().default(45000).describe('Navigation timeout in milliseconds'),
   snapshotMode: z
-    .enum(['text', 'json', 'interactive'])
+    .enum(['text', 'json', 'interactive', 'a11y'])
     .default('interactive')
     .describe('Output mode for the final page snapshot'),
+  ...browserInputSchema,
+  ...captureInputSchema,
 };
 
 /**
@@ -48,8 +89,41 @@ export const takeScreenshotSchema = {
     })
     .optional()
     .describe('Viewport dimensions'),
+  ...browserInputSchema,
 };
 
+async function runActions(page, actions) {
+  // Parse actions
+  const parsedActions = [];
+  for (const actionSpec of actions) {
+    const parsed = parseActionSpec(actionSpec);
+    parsedActions.push(...parsed);
+  }
+
+  // Extract interactive elements to build element map
+  const elementMap = await buildPageElementMap(page, parsedActions);
+
+  // Validate all actions before executing
+  for (const action of parsedActions) {
+    validateAction(action, elementMap);
+  }
+
+  // Execute actions
+  const executor = new ActionExecutor(page, elementMap, { defaultTimeoutMs: 10000 });
+  const results = await executor.executeAll(parsedActions);
+  return {
+    results: results.map((r) => ({
+      type: r.type,
+      elementId: r.elementId,
+      index: r.index,
+      ok: r.ok,
+      url: r.url,
+      finalUrl: r.finalUrl,
+    })),
+    page: executor.page,
+  };
+}
+
 /**
  * Handler for execute_browser_action tool
  * Navigates to a URL, executes a sequence of actions, and returns results + final page snapshot
@@ -57,57 +131,62 @@ export const takeScreenshotSchema = {
 export async function handleExecuteBrowserAction({
   url,
   actions,
+  script,
+  variables,
   maxTokens = 1200,
   timeout = 45000,
   snapshotMode = 'interactive',
+  browser: browserName = 'chromium',
+  capture,
+  captureAnyType = false,
 }) {
-  const { browser, context, page } = await launchBrowser({ headless: true });
+  if (script && actions?.length) throw new Error('Provide either actions or script, not both');
+  if (!script && !actions?.length) throw new Error('Provide actions or script');
+  // Reject a malformed script before launching a browser
+  const parsedScript = script ? parseActionScript(script) : null;
+
+  const { browser, context, page } = await launchBrowser({ browserName, headless: true });
+  const captureOption = captureFor({ capture, captureAnyType });
+  const apiCapture = captureOption ? new ApiCapture(captureOption).attach(context) : null;
 
   try {
     // Navigate to URL
     await navigateAndWait(page, url, { timeoutMs: timeout });
 
-    // Extract interactive elements to build element map
-    const html = await page.content();
-    const { elements } = extractAllFromHtml(html, page.url());
-    const elementMap = buildElementMap(elements);
-
-    // Parse and validate actions
-    const parsedActions = [];
-    for (const actionSpec of actions) {
-      const parsed = parseActionSpec(actionSpec);
-      parsedActions.push(...parsed);
-    }
-
-    // Validate all actions before executing
-    for (const action of parsedActions) {
-      validateAction(action, elementMap);
-    }
-
-    // Execute actions
-    const executor = new ActionExecutor(page, elementMap, { defaultTimeoutMs: 10000 });
-    const results = await executor.executeAll(parsedActions);
-
-    // Capture final page state
-    const snapshot = await captureSnapshot(page, { mode: snapshotMode, maxTokens });
+    // Scripts only see the environment variables the server allows.
+    const {
+      results,
+      page: finalPage,
+      redact = (value) => value,
+    } = parsedScript
+      ? await runActionScript(page, parsedScript, {
+          variables,
+          env: allowedEnv(process.env.LEAN_BROWSER_SCRIPT_ENV),
+          defaultTimeoutMs: 10000,
+        })
+      : await runActions(page, actions);
+
+    // Capture final page state (of the active tab, after any tab actions)
+    const snapshot = await captureSnapshot(finalPage, { mode: snapshotMode, maxTokens });
 
     // Build response
     const response = {
       url,
-      finalUrl: page.url(),
+      finalUrl: finalPage.url(),
       actionsExecuted: results.length,
-      results: results.map((r) => ({
-        type: r.type,
-        elementId: r.elementId,
-        ok: r.ok,
-        url: r.url,
-        finalUrl: r.finalUrl,
-      })),
+      results,
       snapshot: parseSnapshotPayload(snapshot.text, snapshotMode),
     };
+    if (apiCapture) {
+      // The captured responses get a budget of their own, next to the snapshot's.
+      const { api, truncated } = await fitApiResponses(await apiCapture.results(), { maxTokens });
+      response.api = api;
+      if (truncated) response.apiTruncated = true;
+    }
 
     return {
-      content: [{ type: 'text', text: JSON.stringify(response, null, 2) }],
+      // A secret can reach the final URL, the snapshot or a captured response.
+      content: [{ type: 'text', text: JSON.stringify(redact(response), null, 2) }],
     };
   } finally {
     await closeBrowser({ browser, context, page });
@@ -118,8 +197,14 @@ export async function handleExecuteBrowserAction({
  * Handler for take_screenshot tool
  * Captures a screenshot of a webpage and returns it as base64
  */
-export async function handleTakeScreenshot({ url, fullPage = false, timeout = 45000, viewport }) {
-  const { browser, context, page } = await launchBrowser({ headless: true });
+export async function handleTakeScreenshot({
+  url,
+  fullPage = false,
+  timeout = 45000,
+  viewport,
+  browser: browserName = 'chromium',
+}) {
+  const { browser, context, page } = await launchBrowser({ browserName, headless: true });
 
   try {
     // Set viewport if specified
@@ -1,30 +1,123 @@
 import { fetchRenderedHtml, takeScreenshot } from '../browser.js';
-import { extractAllFromHtml } from '../extractor.js';
-import { formatText, formatJson, formatInteractive } from '../formatter.js';
+import { extractFetched } from '../documents.js';
+import { formatText, formatMarkdown, formatJson, formatInteractive, formatA11y, formatFeed } from '../formatter.js';
+import { createChunkedDocument, readChunk } from '../chunks.js';
+import { fetchPages, splitTokenBudget } from '../batch.js';
+import { crawlSite } from '../crawler.js';
+import { fetchFeed } from '../feeds.js';
+import { getDefaultCache } from '../cache.js';
+import { captureFor } from './action-tools.js';
 
-async function fetchAndExtract(url, { timeout = 45000 } = {}) {
-  const fetched = await fetchRenderedHtml(url, { timeoutMs: timeout });
-  const extracted = extractAllFromHtml(fetched.html, fetched.finalUrl ?? url);
+// The LEAN_BROWSER_CACHE_DIR cache, unless the call asks for a fresh render.
+function cacheFor(noCache) {
+  return noCache ? null : getDefaultCache();
+}
+
+async function fetchAndExtract(
+  url,
+  { timeout = 45000, a11y = false, noCache = false, engine = 'browser', browser, capture, captureAnyType } = {},
+) {
+  const fetched = await fetchRenderedHtml(url, {
+    timeoutMs: timeout,
+    a11y,
+    engine,
+    browserName: browser,
+    cache: cacheFor(noCache),
+    capture: captureFor({ capture, captureAnyType }),
+  });
+  const extracted = extractFetched(fetched, url);
+  if (a11y) {
+    extracted.elements = fetched.a11yElements;
+  }
   return { fetched, extracted };
 }
 
-export async function handleFetchPageText({ url, maxTokens = 1200, timeout = 45000 }) {
-  const { fetched, extracted } = await fetchAndExtract(url, { timeout });
+export async function handleFetchPageText({
+  url,
+  maxTokens = 1200,
+  timeout = 45000,
+  query,
+  chunked = false,
+  noCache = false,
+  engine,
+  browser,
+  capture,
+  captureAnyType,
+}) {
+  const { fetched, extracted } = await fetchAndExtract(url, {
+    timeout,
+    noCache,
+    engine,
+    browser,
+    capture,
+    captureAnyType,
+  });
+
+  const meta = { url, finalUrl: fetched.finalUrl, status: fetched.status };
+  const out = chunked
+    ? await createChunkedDocument(meta, extracted, { mode: 'text', maxTokens })
+    : await formatText(meta, extracted, { maxTokens, query });
+
+  return {
+    content: [{ type: 'text', text: out.text }],
+  };
+}
+
+export async function handleFetchPageMarkdown({
+  url,
+  maxTokens = 1200,
+  timeout = 45000,
+  query,
+  chunked = false,
+  noCache = false,
+  engine,
+  browser,
+  capture,
+  captureAnyType,
+}) {
+  const { fetched, extracted } = await fetchAndExtract(url, {
+    timeout,
+    noCache,
+    engine,
+    browser,
+    capture,
+    captureAnyType,
+  });
 
-  const out = await formatText({ url, finalUrl: fetched.finalUrl, status: fetched.status }, extracted, { maxTokens });
+  const meta = { url, finalUrl: fetched.finalUrl, status: fetched.status };
+  const out = chunked
+    ? await createChunkedDocument(meta, extracted, { mode: 'markdown', maxTokens })
+    : await formatMarkdown(meta, extracted, { maxTokens, query });
 
   return {
     content: [{ type: 'text', text: out.text }],
   };
 }
 
-export async function handleFetchPageJson({ url, maxTokens = 1200, timeout = 45000 }) {
-  const { fetched, extracted } = await fetchAndExtract(url, { timeout });
+export async function handleFetchPageJson({
+  url,
+  maxTokens = 1200,
+  timeout = 45000,
+  query,
+  noCache = false,
+  engine,
+  browser,
+  capture,
+  captureAnyType,
+}) {
+  const { fetched, extracted } = await fetchAndExtract(url, {
+    timeout,
+    noCache,
+    engine,
+    browser,
+    capture,
+    captureAnyType,
+  });
 
   const out = await formatJson(
     { url, finalUrl: fetched.finalUrl, status: fetched.status, fetchedTitle: fetched.title },
     extracted,
-    { maxTokens },
+    { maxTokens, query },
   );
 
   return {
@@ -32,12 +125,50 @@ export async function handleFetchPageJson({ url, maxTokens = 1200, timeout = 450
   };
 }
 
-export async function handleFetchPageInteractive({ url, maxTokens = 1200, timeout = 45000 }) {
-  const { fetched, extracted } = await fetchAndExtract(url, { timeout });
+export async function handleFetchPageInteractive({
+  url,
+  maxTokens = 1200,
+  timeout = 45000,
+  query,
+  a11y = false,
+  noCache = false,
+  engine,
+  browser,
+  capture,
+  captureAnyType,
+}) {
+  const { fetched, extracted } = await fetchAndExtract(url, {
+    timeout,
+    a11y,
+    noCache,
+    engine,
+    browser,
+    capture,
+    captureAnyType,
+  });
 
   const out = await formatInteractive(
     { url, finalUrl: fetched.finalUrl, status: fetched.status, fetchedTitle: fetched.title },
     extracted,
+    { maxTokens, query },
+  );
+
+  return {
+    content: [{ type: 'text', text: out.text }],
+  };
+}
+
+export async function handleFetchPageA11y({ url, maxTokens = 1200, timeout = 45000, noCache = false, browser }) {
+  const fetched = await fetchRenderedHtml(url, {
+    timeoutMs: timeout,
+    a11y: true,
+    browserName: browser,
+    cache: cacheFor(noCache),
+  });
+
+  const out = await formatA11y(
+    { url, finalUrl: fetched.finalUrl, status: fetched.status, fetchedTitle: fetched.title },
+    { elements: fetched.a11yElements },
     { maxTokens },
   );
 
@@ -46,8 +177,112 @@ export async function handleFetchPageInteractive({ url, maxTokens = 1200, timeou
   };
 }
 
-export async function handleFetchPageScreenshot({ url, fullPage = false, timeout = 45000 }) {
+// Collects page records as JSON lines. When the request carries a progress
+// token, each finished page is also reported as a progress notification.
+function jsonLines(extra, total) {
+  const progressToken = extra._meta?.progressToken;
+  const lines = [];
+  const add = async (record) => {
+    lines.push(JSON.stringify(record));
+    if (progressToken === undefined) return;
+    await extra
+      .sendNotification({
+        method: 'notifications/progress',
+        params: {
+          progressToken,
+          progress: lines.length,
+          total,
+          message: `${record.ok ? 'Fetched' : 'Failed'} ${record.url}`,
+        },
+      })
+      .catch(() => {});
+  };
+  return { lines, add };
+}
+
+// One JSON line per URL, in the order they finished.
+export async function handleFetchPages(
+  { urls, mode = 'text', maxTokens, concurrency = 4, timeout = 45000, query, noCache = false, engine, browser },
+  extra = {},
+) {
+  const { lines, add } = jsonLines(extra, urls.length);
+  await fetchPages(urls, {
+    mode,
+    maxTokens,
+    concurrency,
+    timeoutMs: timeout,
+    query,
+    cache: cacheFor(noCache),
+    engine,
+    browserName: browser,
+    onResult: add,
+  });
+
+  return {
+    content: [{ type: 'text', text: lines.join('\n') }],
+  };
+}
+
+// One JSON line per page in crawl order, then a `{ "stats": ... }` line.
+export async function handleCrawlSite(
+  {
+    url,
+    maxDepth = 1,
+    maxPages = 20,
+    scope = 'same-origin',
+    include = [],
+    exclude = [],
+    mode = 'text',
+    maxTokens = 16000,
+    timeout = 45000,
+    noCache = false,
+    engine,
+    browser,
+  },
+  extra = {},
+) {
+  const { lines, add } = jsonLines(extra, maxPages);
+  const { stats } = await crawlSite(url, {
+    maxDepth,
+    maxPages,
+    scope,
+    include,
+    exclude,
+    mode,
+    maxTokens: splitTokenBudget(maxTokens, maxPages),
+    timeoutMs: timeout,
+    cache: cacheFor(noCache),
+    engine,
+    browserName: browser,
+    onPage: add,
+  });
+  lines.push(JSON.stringify({ stats }));
+
+  return {
+    content: [{ type: 'text', text: lines.join('\n') }],
+  };
+}
+
+export async function handleFetchFeed({ url, source = 'auto', maxTokens = 2000, timeout = 15000 }) {
+  const feed = await fetchFeed(url, { source, timeoutMs: timeout });
+  const out = await formatFeed({ url, finalUrl: feed.url }, feed, { maxTokens });
+
+  return {
+    content: [{ type: 'text', text: out.text }],
+  };
+}
+
+export async function handleFetchPageNextChunk({ cursor }) {
+  const out = await readChunk(cursor);
+
+  return {
+    content: [{ type: 'text', text: out.text }],
+  };
+}
+
+export async function handleFetchPageScreenshot({ url, fullPage = false, timeout = 45000, browser }) {
   const result = await takeScreenshot(url, {
+    browserName: browser,
     timeoutMs: timeout,
     fullPage,
   });
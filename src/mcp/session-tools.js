@@ -1,8 +1,15 @@
 import { z } from 'zod';
-import { createSession, getSession, closeSession, listSessions } from '../session-manager.js';
-import { extractAllFromHtml, buildElementMap } from '../extractor.js';
+import {
+  createSession,
+  getSession,
+  closeSession,
+  listSessions,
+  resumeSession,
+  saveSessionState,
+} from '../session-manager.js';
 import { ActionExecutor, parseActionSpec, validateAction } from '../actions.js';
-import { captureSnapshot } from '../snapshot.js';
+import { buildPageElementMap, captureSnapshot } from '../snapshot.js';
+import { browserInputSchema } from './action-tools.js';
 
 function parseSnapshotPayload(snapshotText, mode) {
   if (mode === 'text') {
@@ -23,8 +30,9 @@ export const browserSessionStartSchema = {
   url: z.string().url().describe('The URL to navigate to'),
   timeout: z.number().int().positive().default(45000).describe('Navigation timeout in milliseconds'),
   headless: z.boolean().default(true).describe('Run browser in headless mode'),
+  ...browserInputSchema,
   snapshotMode: z
-    .enum(['text', 'json', 'interactive'])
+    .enum(['text', 'json', 'interactive', 'a11y'])
     .default('interactive')
     .describe('Output mode for the initial page snapshot'),
   maxTokens: z.number().int().positive().default(1200).describe('Maximum token budget for the snapshot'),
@@ -38,12 +46,14 @@ export const browserSessionExecuteSchema = {
   action: z
     .string()
     .describe(
-      'Action spec in the format: "type:elementId:value" or "click:elementId". Examples: "type:e1:username", "click:e3"',
+      'Action spec in the format: "type:elementId:value" or "click:elementId". Examples: "type:e1:username", "click:e3". Tabs opened by the site (popups, target=_blank links) are managed with "switch_tab:1", "close_tab:1" and "new_tab:https://..."; element IDs must be re-read with a snapshot after switching',
     ),
   snapshotMode: z
-    .enum(['text', 'json', 'interactive'])
+    .enum(['text', 'json', 'interactive', 'a11y', 'diff'])
     .default('interactive')
-    .describe('Output mode for the page snapshot after action'),
+    .describe(
+      'Output mode for the page snapshot after action. "diff" returns only what changed since the previous snapshot of this session',
+    ),
   maxTokens: z.number().int().positive().default(1200).describe('Maximum token budget for the snapshot'),
 };
 
@@ -53,12 +63,28 @@ export const browserSessionExecuteSchema = {
 export const browserSessionSnapshotSchema = {
   sessionId: z.string().describe('The session ID returned from browser_session_start'),
   mode: z
-    .enum(['text', 'json', 'interactive'])
+    .enum(['text', 'json', 'interactive', 'a11y', 'diff'])
     .default('interactive')
-    .describe('Output mode: text (clean article), json (structured blocks), interactive (actionable elements)'),
+    .describe(
+      'Output mode: text (clean article), json (structured blocks), interactive (actionable elements), a11y (elements from the live accessibility tree), diff (added/removed/changed elements, URL/title change and new text since the previous snapshot)',
+    ),
   maxTokens: z.number().int().positive().default(1200).describe('Maximum token budget for the output'),
 };
 
+/**
+ * Schema for browser_session_resume tool
+ */
+export const browserSessionResumeSchema = {
+  sessionId: z.string().describe('The ID of a session whose browser was closed by a restart or idle expiry'),
+  timeout: z.number().int().positive().default(45000).describe('Navigation timeout in milliseconds'),
+  headless: z.boolean().optional().describe('Override the headless setting the session was started with'),
+  snapshotMode: z
+    .enum(['text', 'json', 'interactive', 'a11y'])
+    .default('interactive')
+    .describe('Output mode for the page snapshot after resuming'),
+  maxTokens: z.number().int().positive().default(1200).describe('Maximum token budget for the snapshot'),
+};
+
 /**
  * Schema for browser_session_close tool
  */
@@ -79,14 +105,20 @@ export async function handleBrowserSessionStart({
   url,
   timeout = 45000,
   headless = true,
+  browser = 'chromium',
   snapshotMode = 'interactive',
   maxTokens = 1200,
 }) {
-  const result = await createSession(url, { timeoutMs: timeout, headless });
+  const result = await createSession(url, { timeoutMs: timeout, headless, browserName: browser });
 
   // Get the session and capture initial snapshot
   const session = getSession(result.sessionId);
-  const snapshot = await captureSnapshot(session.page, { mode: snapshotMode, maxTokens });
+  const snapshot = await captureSnapshot(session.page, {
+    mode: snapshotMode,
+    maxTokens,
+    registry: session.elementRegistry,
+  });
+  session.lastSnapshot = snapshot.state;
 
   const response = {
     sessionId: result.sessionId,
@@ -115,11 +147,6 @@ export async function handleBrowserSessionExecute({
   const session = getSession(sessionId);
   const { page } = session;
 
-  // Extract interactive elements to build element map
-  const html = await page.content();
-  const { elements } = extractAllFromHtml(html, page.url());
-  const elementMap = buildElementMap(elements);
-
   // Parse and validate action
   const parsedActions = parseActionSpec(action);
   if (parsedActions.length === 0) {
@@ -132,21 +159,36 @@ export async function handleBrowserSessionExecute({
   }
 
   const actionToExecute = parsedActions[0];
+  const elementMap = await buildPageElementMap(page, parsedActions, { registry: session.elementRegistry });
   validateAction(actionToExecute, elementMap);
 
   // Execute action
   const executor = new ActionExecutor(page, elementMap, { defaultTimeoutMs: 10000 });
-  const result = await executor.execute(actionToExecute);
+  let result;
+  try {
+    result = await executor.execute(actionToExecute);
+  } finally {
+    // Tab actions move the session to another page.
+    session.page = executor.page;
+  }
+  await saveSessionState(sessionId);
 
   // Capture updated page state
-  const snapshot = await captureSnapshot(page, { mode: snapshotMode, maxTokens });
+  const snapshot = await captureSnapshot(session.page, {
+    mode: snapshotMode,
+    maxTokens,
+    registry: session.elementRegistry,
+    previous: session.lastSnapshot,
+  });
+  session.lastSnapshot = snapshot.state;
 
   const response = {
     sessionId,
-    currentUrl: page.url(),
+    currentUrl: session.page.url(),
     action: {
       type: result.type,
       elementId: result.elementId,
+      index: result.index,
       ok: result.ok,
     },
     snapshot: parseSnapshotPayload(snapshot.text, snapshotMode),
@@ -165,7 +207,13 @@ export async function handleBrowserSessionSnapshot({ sessionId, mode = 'interact
   const session = getSession(sessionId);
   const { page } = session;
 
-  const snapshot = await captureSnapshot(page, { mode, maxTokens });
+  const snapshot = await captureSnapshot(page, {
+    mode,
+    maxTokens,
+    registry: session.elementRegistry,
+    previous: session.lastSnapshot,
+  });
+  session.lastSnapshot = snapshot.state;
 
   const response = {
     sessionId,
@@ -178,6 +226,44 @@ export async function handleBrowserSessionSnapshot({ sessionId, mode = 'interact
   };
 }
 
+/**
+ * Handler for browser_session_resume tool
+ * Relaunches a saved session with its cookies and storage and returns the page state
+ */
+export async function handleBrowserSessionResume({
+  sessionId,
+  timeout = 45000,
+  headless,
+  snapshotMode = 'interactive',
+  maxTokens = 1200,
+}) {
+  const result = await resumeSession(sessionId, { timeoutMs: timeout, headless });
+
+  const session = getSession(sessionId);
+  const snapshot = await captureSnapshot(session.page, {
+    mode: snapshotMode,
+    maxTokens,
+    registry: session.elementRegistry,
+  });
+  session.lastSnapshot = snapshot.state;
+
+  const response = {
+    sessionId,
+    url: result.url,
+    finalUrl: result.finalUrl,
+    status: result.status,
+    resumed: result.resumed,
+    snapshot: parseSnapshotPayload(snapshot.text, snapshotMode),
+    message: result.resumed
+      ? 'Session restored from saved state. Element IDs from before the restart are no longer valid.'
+      : 'Session was still active.',
+  };
+
+  return {
+    content: [{ type: 'text', text: JSON.stringify(response, null, 2) }],
+  };
+}
+
 /**
  * Handler for browser_session_close tool
  * Closes a browser session and cleans up resources
@@ -0,0 +1,226 @@
+import { normalizeWhitespace, safeTruncate } from './utils.js';
+
+const MAX_ITEMS = 20;
+const MAX_VALUE_CHARS = 500;
+
+function clean(value) {
+  const s = normalizeWhitespace(String(value ?? ''));
+  return s ? safeTruncate(s, MAX_VALUE_CHARS) : null;
+}
+
+function absoluteUrl(href, baseUrl) {
+  if (!href) return null;
+  try {
+    return new URL(href, baseUrl).href;
+  } catch {
+    return null;
+  }
+}
+
+// Collect repeated keys (og:image, article:tag, ...) into arrays.
+function addValue(target, key, value) {
+  if (value == null || value === '') return;
+  if (!(key in target)) {
+    target[key] = value;
+  } else if (Array.isArray(target[key])) {
+    target[key].push(value);
+  } else {
+    target[key] = [target[key], value];
+  }
+}
+
+function metaContent(doc, selector) {
+  return clean(doc.querySelector(selector)?.getAttribute('content'));
+}
+
+function firstOf(...values) {
+  return values.find((v) => v != null && v !== '') ?? null;
+}
+
+function collectPrefixedMeta(doc, attr, prefix) {
+  const out = {};
+  for (const el of Array.from(doc.querySelectorAll(`meta[${attr}^="${prefix}:"]`))) {
+    const key = el
+      .getAttribute(attr)
+      .slice(prefix.length + 1)
+      .toLowerCase();
+    addValue(out, key, clean(el.getAttribute('content')));
+  }
+  return out;
+}
+
+function parseJsonLdBlock(text) {
+  const trimmed = String(text ?? '')
+    .trim()
+    .replace(/^<!--|-->$/g, '')
+    .replace(/^\s*\/\/\s*<!\[CDATA\[|\/\/\s*\]\]>\s*$/g, '')
+    .trim();
+  if (!trimmed) return [];
+
+  try {
+    const parsed = JSON.parse(trimmed);
+    const items = Array.isArray(parsed) ? parsed : [parsed];
+    return items.flatMap((item) => (Array.isArray(item?.['@graph']) ? item['@graph'] : [item]));
+  } catch {
+    return [];
+  }
+}
+
+function extractJsonLd(doc) {
+  const items = [];
+  for (const script of Array.from(doc.querySelectorAll('script[type="application/ld+json"]'))) {
+    items.push(...parseJsonLdBlock(script.textContent).filter((item) => item && typeof item === 'object'));
+    if (items.length >= MAX_ITEMS) break;
+  }
+  return items.slice(0, MAX_ITEMS);
+}
+
+function microdataValue(el, baseUrl) {
+  if (el.hasAttribute('itemscope')) return microdataItem(el, baseUrl);
+
+  const tag = el.tagName.toLowerCase();
+  if (tag === 'meta') return clean(el.getAttribute('content'));
+  if (['a', 'area', 'link'].includes(tag)) return absoluteUrl(el.getAttribute('href'), baseUrl);
+  if (['img', 'audio', 'video', 'source', 'embed', 'iframe', 'track'].includes(tag)) {
+    return absoluteUrl(el.getAttribute('src'), baseUrl);
+  }
+  if (tag === 'object') return absoluteUrl(el.getAttribute('data'), baseUrl);
+  if (tag === 'time') return clean(el.getAttribute('datetime') ?? el.textContent);
+  if (['data', 'meter'].includes(tag)) return clean(el.getAttribute('value'));
+  return clean(el.getAttribute('content') ?? el.textContent);
+}
+
+function microdataItem(el, baseUrl) {
+  const item = {};
+  const type = el.getAttribute('itemtype');
+  if (type) item.type = type.trim();
+
+  const properties = {};
+  for (const prop of Array.from(el.querySelectorAll('[itemprop]'))) {
+    // Only direct properties; nested items collect their own.
+    if (prop.parentElement?.closest('[itemscope]') !== el) continue;
+    const value = microdataValue(prop, baseUrl);
+    for (const name of prop.getAttribute('itemprop').trim().split(/\s+/)) {
+      addValue(properties, name, value);
+    }
+  }
+  item.properties = properties;
+  return item;
+}
+
+function extractMicrodata(doc, baseUrl) {
+  return Array.from(doc.querySelectorAll('[itemscope]:not([itemprop])'))
+    .slice(0, MAX_ITEMS)
+    .map((el) => microdataItem(el, baseUrl));
+}
+
+function rdfaItem(el, baseUrl) {
+  const item = { type: el.getAttribute('typeof').trim() };
+  const vocab = el.getAttribute('vocab');
+  if (vocab) item.vocab = vocab;
+
+  const properties = {};
+  for (const prop of Array.from(el.querySelectorAll('[property]'))) {
+    if (prop.parentElement?.closest('[typeof]') !== el) continue;
+    const value = prop.hasAttribute('typeof')
+      ? rdfaItem(prop, baseUrl)
+      : firstOf(
+          clean(prop.getAttribute('content')),
+          absoluteUrl(prop.getAttribute('href') ?? prop.getAttribute('src'), baseUrl),
+          clean(prop.textContent),
+        );
+    for (const name of prop.getAttribute('property').trim().split(/\s+/)) {
+      addValue(properties, name, value);
+    }
+  }
+  item.properties = properties;
+  return item;
+}
+
+function extractRdfa(doc, baseUrl) {
+  return Array.from(doc.querySelectorAll('[typeof]:not([property])'))
+    .slice(0, MAX_ITEMS)
+    .map((el) => rdfaItem(el, baseUrl));
+}
+
+function jsonLdField(items, key) {
+  for (const item of items) {
+    const value = item?.[key];
+    if (typeof value === 'string' && value.trim()) return clean(value);
+  }
+  return null;
+}
+
+function microdataField(doc, name) {
+  const el = doc.querySelector(`[itemprop~="${name}"]`);
+  if (!el) return null;
+  return clean(el.getAttribute('content') ?? el.getAttribute('datetime') ?? el.textContent);
+}
+
+function compact(obj) {
+  const out = {};
+  for (const [key, value] of Object.entries(obj)) {
+    if (value == null) continue;
+    if (Array.isArray(value) && value.length === 0) continue;
+    if (typeof value === 'object' && !Array.isArray(value) && Object.keys(value).length === 0) continue;
+    out[key] = value;
+  }
+  return out;
+}
+
+/**
+ * Extract structured page metadata. Must run on the unpruned DOM from
+ * `buildDom`, since pruning strips the JSON-LD <script> blocks.
+ * @param {Document} doc - Document to read
+ * @param {Object} [options]
+ * @param {string} [options.baseUrl] - Base URL for resolving relative links
+ * @returns {Object} - Metadata with empty fields omitted
+ */
+export function extractMetadata(doc, { baseUrl = doc?.URL } = {}) {
+  const openGraph = collectPrefixedMeta(doc, 'property', 'og');
+  const twitter = {
+    ...collectPrefixedMeta(doc, 'property', 'twitter'),
+    ...collectPrefixedMeta(doc, 'name', 'twitter'),
+  };
+  const jsonLd = extractJsonLd(doc);
+
+  const canonical = absoluteUrl(doc.querySelector('link[rel~="canonical"]')?.getAttribute('href'), baseUrl);
+
+  const published = firstOf(
+    metaContent(doc, 'meta[property="article:published_time"]'),
+    metaContent(doc, 'meta[name="date"], meta[name="pubdate"], meta[name="publish-date"]'),
+    metaContent(doc, 'meta[name="dc.date"], meta[name="DC.date"], meta[name="DC.date.issued"]'),
+    jsonLdField(jsonLd, 'datePublished'),
+    microdataField(doc, 'datePublished'),
+    clean(doc.querySelector('time[pubdate]')?.getAttribute('datetime')),
+  );
+
+  const modified = firstOf(
+    metaContent(doc, 'meta[property="article:modified_time"]'),
+    metaContent(doc, 'meta[property="og:updated_time"]'),
+    metaContent(doc, 'meta[name="last-modified"]'),
+    jsonLdField(jsonLd, 'dateModified'),
+    microdataField(doc, 'dateModified'),
+  );
+
+  const language = firstOf(
+    clean(doc.documentElement?.getAttribute('lang')),
+    metaContent(doc, 'meta[http-equiv="content-language" i]'),
+    typeof openGraph.locale === 'string' ? openGraph.locale : null,
+  );
+
+  return compact({
+    canonical,
+    language,
+    description: metaContent(doc, 'meta[name="description"]'),
+    author: metaContent(doc, 'meta[name="author"]'),
+    keywords: metaContent(doc, 'meta[name="keywords"]'),
+    published,
+    modified,
+    openGraph,
+    twitter,
+    jsonLd,
+    microdata: extractMicrodata(doc, baseUrl),
+    rdfa: extractRdfa(doc, baseUrl),
+  });
+}
@@ -0,0 +1,229 @@
+/**
+ * Record mode: the user browses in a headed window and their clicks, typing,
+ * selects and navigations become an action script (see action-script.js).
+ *
+ * A capture script in the page reports each interaction together with a copy
+ * of the document in which the target is marked. The target is mapped back to
+ * the element extractInteractiveElements finds for it, so every step carries
+ * that element's candidate locators, most robust first.
+ */
+
+import YAML from 'yaml';
+import { launchBrowser, navigateAndWait, closeBrowser } from './browser.js';
+import { buildDom, extractInteractiveElements } from './extractor.js';
+import { buildLocators, cssPath } from './utils.js';
+
+const RECORD_BINDING = '__leanBrowserRecord';
+const MARK_ATTR = 'data-lean-record';
+// A navigation this soon after a recorded interaction is taken to be caused by it.
+const NAVIGATION_GRACE_MS = 1500;
+// Typed passwords are never written to the script.
+export const PASSWORD_PLACEHOLDER = '${env:PASSWORD}';
+
+// Runs in the page (main frame only). Form controls are reported from their
+// change events rather than clicks; a text field's value is also reported when
+// Enter is pressed in it, since that usually submits before `change` fires.
+function captureUserActions({ binding, markAttr }) {
+  if (window !== window.top || window[`${binding}Installed`]) return;
+  window[`${binding}Installed`] = true;
+
+  const CLICKABLE =
+    'a[href], button, input, select, textarea, summary, label, [onclick], [role=button], [role=link], [role=tab], [role=menuitem], [role=option], [role=checkbox], [role=switch]';
+  const FORM_CONTROL =
+    'input:not([type=button]):not([type=submit]):not([type=reset]):not([type=image]), select, textarea';
+  const TEXT_TYPE = /^(|text|search|email|password|tel|url|number|date|time|month|week)$/;
+  const reported = new WeakMap();
+  let seq = 0;
+
+  const send = (el, event) => {
+    const mark = String(++seq);
+    el.setAttribute(markAttr, mark);
+    const html = document.documentElement.outerHTML;
+    el.removeAttribute(markAttr);
+    window[binding]({ ...event, mark, html, url: window.location.href });
+  };
+  const isTextField = (el) =>
+    el.tagName === 'TEXTAREA' ||
+    (el.tagName === 'INPUT' && TEXT_TYPE.test((el.getAttribute('type') ?? '').toLowerCase()));
+  const reportValue = (el) => {
+    if (reported.get(el) === el.value) return;
+    reported.set(el, el.value);
+    send(el, { type: 'type', value: el.value, password: el.type === 'password' });
+  };
+
+  document.addEventListener(
+    'click',
+    (e) => {
+      if (!e.isTrusted || !(e.target instanceof window.Element)) return;
+      const el = e.target.closest(CLICKABLE) ?? e.target;
+      if (el.matches(FORM_CONTROL) || (el.tagName === 'LABEL' && el.control)) return;
+      send(el, { type: 'click' });
+    },
+    true,
+  );
+
+  document.addEventListener(
+    'change',
+    (e) => {
+      const el = e.target;
+      if (!e.isTrusted || !(el instanceof window.Element)) return;
+      if (el.tagName === 'SELECT') send(el, { type: 'select', value: el.value });
+      else if (el.type === 'checkbox' || el.type === 'radio') send(el, { type: el.checked ? 'check' : 'uncheck' });
+      else if (el.type === 'file' && el.files.length > 0) send(el, { type: 'upload', file: el.files[0].name });
+      else if (isTextField(el)) reportValue(el);
+    },
+    true,
+  );
+
+  document.addEventListener(
+    'keydown',
+    (e) => {
+      const el = e.target;
+      if (!e.isTrusted || e.key !== 'Enter' || !(el instanceof window.Element) || el.tagName !== 'INPUT') return;
+      if (!isTextField(el)) return;
+      reportValue(el);
+      send(el, { type: 'press', key: 'Enter' });
+    },
+    true,
+  );
+}
+
+/**
+ * Find the interactive element a recorded event targeted.
+ * @param {string} html - Document HTML with the target carrying `data-lean-record="<mark>"`
+ * @param {string} url - Page URL
+ * @param {string} mark
+ * @returns {Object|null} - The extracted element containing the target (or the target itself), or
+ *   `{ tag, label: null, selector, locators }` built from the target when no extracted element matches
+ */
+export function locateRecordedElement(html, url, mark) {
+  const dom = buildDom(html, url);
+  const doc = dom.window.document;
+  const node = doc.querySelector(`[${MARK_ATTR}="${mark}"]`);
+  if (!node) return null;
+  node.removeAttribute(MARK_ATTR);
+
+  // No limit: the target may be far down the page.
+  const elements = extractInteractiveElements(dom, { limit: Infinity });
+  const matches = (element, el) => {
+    try {
+      return element.selector && doc.querySelector(element.selector) === el;
+    } catch {
+      return false;
+    }
+  };
+  for (let el = node; el; el = el.parentElement) {
+    const element = elements.find((e) => matches(e, el));
+    if (element) return element;
+  }
+  return { tag: node.tagName.toLowerCase(), label: null, selector: cssPath(node), locators: buildLocators(node) };
+}
+
+function describeElement(element) {
+  const kind = element.type && element.type !== 'text' ? `${element.tag}[${element.type}]` : element.tag;
+  return element.label ? `${kind} "${element.label}"` : kind;
+}
+
+/**
+ * Collects recorded steps. `record` takes events from the capture script,
+ * `navigated` the page's main-frame navigations once `start` has been called.
+ */
+export class ActionRecorder {
+  constructor(url, { onStep = null, now = Date.now } = {}) {
+    this.url = url;
+    this.onStep = onStep;
+    this.now = now;
+    this.steps = [];
+    this.notes = [];
+    this.currentUrl = null;
+    this.lastStepAt = -Infinity;
+  }
+
+  start(url) {
+    this.currentUrl = url;
+  }
+
+  add(step, note = null) {
+    this.steps.push(step);
+    this.notes.push(note);
+    this.lastStepAt = this.now();
+    this.onStep?.(step, note);
+  }
+
+  record(event) {
+    const element = locateRecordedElement(event.html, event.url, event.mark);
+    if (!element) return;
+
+    const selectors = element.locators?.length ? element.locators.map((l) => l.selector) : [element.selector];
+    const step = { action: event.type, selector: selectors.length === 1 ? selectors[0] : selectors };
+    if (event.type === 'type') step.value = event.password ? PASSWORD_PLACEHOLDER : event.value;
+    else if (event.type === 'select') step.value = event.value;
+    else if (event.type === 'upload') step.path = event.file;
+    else if (event.type === 'press') step.key = event.key;
+    this.add(step, describeElement(element));
+  }
+
+  navigated(url) {
+    if (this.currentUrl === null || url === this.currentUrl) return;
+    this.currentUrl = url;
+    if (this.now() - this.lastStepAt > NAVIGATION_GRACE_MS) {
+      this.add({ action: 'navigate', url });
+    } else if (this.steps.at(-1) !== 'wait_for_idle') {
+      this.add('wait_for_idle');
+    }
+  }
+
+  toScript() {
+    return { url: this.url, steps: [...this.steps] };
+  }
+
+  // YAML with a comment naming the element before each step that targets one.
+  toYAML() {
+    const doc = new YAML.Document(this.toScript());
+    const items = doc.get('steps').items;
+    items.forEach((item, i) => {
+      if (this.notes[i]) item.commentBefore = ` ${this.notes[i]}`;
+    });
+    return doc.toString({ lineWidth: 0 });
+  }
+}
+
+/**
+ * Open `url` in a headed browser and record what the user does there, until
+ * they close the window or `stop()` is called.
+ * @param {string} url
+ * @param {Object} [options]
+ * @param {number} [options.timeoutMs=45000] - Timeout for the initial navigation
+ * @param {Function} [options.onStep] - Called with each recorded step and its element description
+ * @returns {Promise<{stop: Function, done: Promise<ActionRecorder>}>}
+ */
+export async function recordSession(url, { timeoutMs = 45000, onStep = null } = {}) {
+  const { browser, context, page } = await launchBrowser({ headless: false });
+  const recorder = new ActionRecorder(url, { onStep });
+
+  try {
+    await context.exposeBinding(RECORD_BINDING, ({ page: source }, event) => {
+      // Popups and other tabs are not part of the script.
+      if (source === page) recorder.record(event);
+    });
+    await context.addInitScript(captureUserActions, { binding: RECORD_BINDING, markAttr: MARK_ATTR });
+    await navigateAndWait(page, url, { timeoutMs, waitFor: 'load' });
+  } catch (err) {
+    await closeBrowser({ browser, context, page });
+    throw err;
+  }
+
+  recorder.start(page.url());
+  page.on('framenavigated', (frame) => {
+    if (frame === page.mainFrame()) recorder.navigated(frame.url());
+  });
+
+  let closing = null;
+  const stop = () => (closing ??= closeBrowser({ browser, context, page }).then(() => recorder));
+  const done = new Promise((resolve) => {
+    page.once('close', resolve);
+    browser.once('disconnected', resolve);
+  }).then(stop);
+
+  return { stop, done };
+}
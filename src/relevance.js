@@ -0,0 +1,177 @@
+/**
+ * Query-focused passage selection: split article text into passages, rank them
+ * against a question with BM25 and keep the best ones that fit a token budget.
+ */
+
+import { estimateTokens } from './tokenizer.js';
+import { toParagraphs } from './utils.js';
+
+export const ELISION_MARKER = '[…]';
+
+// BM25 tuning constants (standard defaults).
+const K1 = 1.2;
+const B = 0.75;
+
+const STOPWORDS = new Set(
+  (
+    'a an and are as at be but by can did do does for from had has have how i if in into is it its me my no not of ' +
+    'on or our so than that the their them then there these they this to was we were what when where which who why ' +
+    'will with would you your'
+  ).split(' '),
+);
+
+/**
+ * Split text into lowercase terms, dropping stopwords and folding simple plurals.
+ * @param {string} text - Text to tokenize
+ * @returns {string[]} - Terms
+ */
+export function tokenizeTerms(text) {
+  const words = String(text ?? '')
+    .toLowerCase()
+    .match(/[\p{L}\p{N}]+/gu);
+  if (!words) return [];
+
+  return words
+    .filter((w) => !STOPWORDS.has(w))
+    .map((w) => (w.length > 3 && w.endsWith('s') && !w.endsWith('ss') ? w.slice(0, -1) : w));
+}
+
+/**
+ * Split article text into passages: paragraphs, with long paragraphs broken at
+ * sentence boundaries into chunks of roughly `maxWords` words.
+ * @param {string} text - Article text
+ * @param {Object} [options]
+ * @param {number} [options.maxWords=120] - Target maximum words per passage
+ * @returns {string[]} - Passages in document order
+ */
+export function splitPassages(text, { maxWords = 120 } = {}) {
+  const passages = [];
+
+  for (const para of toParagraphs(text)) {
+    if (para.split(/\s+/).length <= maxWords) {
+      passages.push(para);
+      continue;
+    }
+
+    const sentences = para.match(/[^.!?]+(?:[.!?]+["')\]]*|$)\s*/g) ?? [para];
+    let chunk = '';
+    let words = 0;
+    for (const sentence of sentences) {
+      const n = sentence.trim().split(/\s+/).length;
+      if (chunk && words + n > maxWords) {
+        passages.push(chunk.trim());
+        chunk = '';
+        words = 0;
+      }
+      chunk += sentence;
+      words += n;
+    }
+    if (chunk.trim()) passages.push(chunk.trim());
+  }
+
+  return passages;
+}
+
+/**
+ * Score passages against a query with BM25.
+ * @param {string[]} passages - Passage texts
+ * @param {string} query - Question or keywords
+ * @returns {number[]} - One score per passage (0 when no query term occurs)
+ */
+export function scorePassages(passages, query) {
+  const queryTerms = [...new Set(tokenizeTerms(query))];
+  const docs = passages.map((p) => tokenizeTerms(p));
+  const n = docs.length;
+  if (n === 0 || queryTerms.length === 0) return docs.map(() => 0);
+
+  const avgLength = docs.reduce((sum, d) => sum + d.length, 0) / n || 1;
+  const docFreq = new Map(queryTerms.map((t) => [t, docs.filter((d) => d.includes(t)).length]));
+
+  return docs.map((terms) => {
+    let score = 0;
+    for (const term of queryTerms) {
+      const tf = terms.filter((t) => t === term).length;
+      if (tf === 0) continue;
+      const df = docFreq.get(term);
+      const idf = Math.log(1 + (n - df + 0.5) / (df + 0.5));
+      score += (idf * (tf * (K1 + 1))) / (tf + K1 * (1 - B + (B * terms.length) / avgLength));
+    }
+    return score;
+  });
+}
+
+/**
+ * Pick the highest-scoring passages that fit in a token budget.
+ * @template T
+ * @param {T[]} passages - Passages (strings or objects, see `getText`)
+ * @param {string} query - Question or keywords
+ * @param {Object} options
+ * @param {number} options.maxTokens - Token budget for the selected passages
+ * @param {(passage: T) => string} [options.getText] - Text used for scoring and sizing
+ * @returns {Promise<number[]|null>} - Selected indices in document order, or null when
+ *   nothing matches the query
+ */
+export async function selectPassages(passages, query, { maxTokens, getText = (p) => p }) {
+  const texts = passages.map(getText);
+  const scores = scorePassages(texts, query);
+  const ranked = scores
+    .map((score, index) => ({ score, index }))
+    .filter((r) => r.score > 0)
+    .sort((a, b) => b.score - a.score || a.index - b.index);
+
+  if (ranked.length === 0) return null;
+
+  const markerTokens = await estimateTokens(`\n\n${ELISION_MARKER}\n\n`);
+  const selected = [];
+  let used = 0;
+
+  for (const { index } of ranked) {
+    // Budget each passage with one elision marker, the worst case for a gap it opens.
+    const cost = (await estimateTokens(texts[index])) + markerTokens;
+    if (used + cost > maxTokens) continue;
+    selected.push(index);
+    used += cost;
+  }
+
+  return selected.sort((a, b) => a - b);
+}
+
+/**
+ * Join selected passages in document order, marking every gap with an elision marker.
+ * @param {string[]} texts - All passage texts
+ * @param {number[]} indices - Selected indices in document order
+ * @returns {string}
+ */
+export function joinWithElisions(texts, indices) {
+  const parts = [];
+  let next = 0;
+  for (const index of indices) {
+    if (index > next) parts.push(ELISION_MARKER);
+    parts.push(texts[index]);
+    next = index + 1;
+  }
+  if (next < texts.length) parts.push(ELISION_MARKER);
+  return parts.join('\n\n');
+}
+
+/**
+ * Reduce text to the passages most relevant to a query when it exceeds the budget.
+ * Text that already fits, or that shares no terms with the query, is returned unchanged.
+ * @param {string} text - Article text
+ * @param {string} query - Question or keywords
+ * @param {Object} options
+ * @param {number} options.maxTokens - Token budget for the returned text
+ * @param {(text: string) => string[]} [options.split=splitPassages] - How to cut the text into passages
+ * @returns {Promise<string>}
+ */
+export async function focusText(text, query, { maxTokens, split = splitPassages }) {
+  const input = text ?? '';
+  if (!query || !Number.isFinite(maxTokens)) return input;
+  if ((await estimateTokens(input)) <= maxTokens) return input;
+
+  const passages = split(input);
+  const selected = await selectPassages(passages, query, { maxTokens });
+  if (!selected || selected.length === 0) return input;
+
+  return joinWithElisions(passages, selected);
+}
@@ -0,0 +1,139 @@
+/**
+ * robots.txt (RFC 9309): which paths the crawler may fetch, how long to
+ * wait between requests (the non-standard but common `Crawl-delay`), and the
+ * `Sitemap:` URLs the site lists.
+ */
+
+import { HTTP_USER_AGENT, httpGet } from './http.js';
+
+// Product token matched against `User-agent` lines.
+export const ROBOTS_AGENT = 'lean-browser';
+const ROBOTS_TIMEOUT_MS = 10000;
+const MAX_ROBOTS_BYTES = 500 * 1024;
+
+function escapeRegex(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// `*` matches any run of characters and a trailing `$` anchors the end.
+function ruleRegex(pattern) {
+  const anchored = pattern.endsWith('$');
+  const body = (anchored ? pattern.slice(0, -1) : pattern).split('*').map(escapeRegex).join('.*');
+  return new RegExp(`^${body}${anchored ? '$' : ''}`);
+}
+
+export class RobotsRules {
+  /**
+   * @param {Array<{allow: boolean, pattern: string}>} [rules]
+   * @param {Object} [options]
+   * @param {number} [options.crawlDelayMs=0]
+   * @param {boolean} [options.disallowAll=false]
+   * @param {string} [options.source='robots.txt'] - robots.txt | missing | unreachable
+   * @param {string[]} [options.sitemaps] - `Sitemap:` URLs
+   */
+  constructor(rules = [], { crawlDelayMs = 0, disallowAll = false, source = 'robots.txt', sitemaps = [] } = {}) {
+    this.rules = rules.map((r) => ({ ...r, regex: ruleRegex(r.pattern) }));
+    this.crawlDelayMs = crawlDelayMs;
+    this.sitemaps = sitemaps;
+    this.disallowAll = disallowAll;
+    this.source = source;
+  }
+
+  // The longest matching pattern decides; on a tie, Allow wins.
+  isAllowed(url) {
+    if (this.disallowAll) return false;
+    const { pathname, search } = new URL(url);
+    if (pathname === '/robots.txt') return true;
+
+    const path = pathname + search;
+    let decisive = null;
+    for (const rule of this.rules) {
+      if (!rule.regex.test(path)) continue;
+      const longer = !decisive || rule.pattern.length > decisive.pattern.length;
+      const tie = decisive && rule.pattern.length === decisive.pattern.length;
+      if (longer || (tie && rule.allow)) decisive = rule;
+    }
+    return !decisive || decisive.allow;
+  }
+}
+
+/**
+ * Rules for `agent` from robots.txt text: the groups naming the agent, or the `*` groups.
+ * @param {string} text
+ * @param {string} [agent]
+ * @returns {RobotsRules}
+ */
+export function parseRobotsTxt(text, agent = ROBOTS_AGENT) {
+  const groups = [];
+  const sitemaps = [];
+  let group = null;
+  let inAgentLines = false;
+
+  for (const raw of String(text ?? '').split(/\r?\n/)) {
+    const line = raw.replace(/#.*$/, '').trim();
+    const colon = line.indexOf(':');
+    if (colon < 1) continue;
+    const key = line.slice(0, colon).trim().toLowerCase();
+    const value = line.slice(colon + 1).trim();
+
+    // Sitemap lines belong to no group and do not end one.
+    if (key === 'sitemap') {
+      if (/^https?:\/\//i.test(value) && !sitemaps.includes(value)) sitemaps.push(value);
+      continue;
+    }
+    if (key === 'user-agent') {
+      // Consecutive User-agent lines share one group.
+      if (!inAgentLines) {
+        group = { agents: [], rules: [], crawlDelay: null };
+        groups.push(group);
+      }
+      group.agents.push(value.toLowerCase());
+      inAgentLines = true;
+      continue;
+    }
+    inAgentLines = false;
+    if (!group) continue;
+
+    // An empty Disallow allows everything, the same as no rule.
+    if ((key === 'allow' || key === 'disallow') && value) {
+      group.rules.push({ allow: key === 'allow', pattern: value });
+    } else if (key === 'crawl-delay') {
+      const seconds = Number(value);
+      if (Number.isFinite(seconds) && seconds >= 0) group.crawlDelay = seconds;
+    }
+  }
+
+  const name = agent.toLowerCase();
+  const named = groups.filter((g) => g.agents.includes(name));
+  const selected = named.length > 0 ? named : groups.filter((g) => g.agents.includes('*'));
+  const delays = selected.map((g) => g.crawlDelay).filter((d) => d != null);
+
+  return new RobotsRules(
+    selected.flatMap((g) => g.rules),
+    { crawlDelayMs: delays.length > 0 ? Math.max(...delays) * 1000 : 0, sitemaps },
+  );
+}
+
+/**
+ * Fetch and parse `<origin>/robots.txt`. A missing file (4xx) allows everything;
+ * a server error or an unreachable host disallows everything, as RFC 9309 asks.
+ * @param {string} origin
+ * @param {Object} [options]
+ * @param {string} [options.userAgent]
+ * @param {number} [options.timeoutMs=10000]
+ * @returns {Promise<RobotsRules>}
+ */
+export async function fetchRobotsRules(origin, { userAgent = HTTP_USER_AGENT, timeoutMs = ROBOTS_TIMEOUT_MS } = {}) {
+  const url = new URL('/robots.txt', origin).href;
+
+  let res;
+  try {
+    res = await httpGet(url, { userAgent, timeoutMs, accept: 'text/plain', maxBytes: MAX_ROBOTS_BYTES });
+  } catch {
+    return new RobotsRules([], { disallowAll: true, source: 'unreachable' });
+  }
+  if (res.status >= 500) return new RobotsRules([], { disallowAll: true, source: 'unreachable' });
+  if (res.status >= 400) return new RobotsRules([], { source: 'missing' });
+
+  return parseRobotsTxt(res.body);
+}
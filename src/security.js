@@ -1,4 +1,6 @@
 import { URL } from 'node:url';
+import { chmodSync, lstatSync, mkdirSync, realpathSync, statSync } from 'node:fs';
+import { isAbsolute, relative, resolve, sep } from 'node:path';
 
 export class SSRFError extends Error {
   constructor(message, { url, reason } = {}) {
@@ -9,6 +11,15 @@ export class SSRFError extends Error {
   }
 }
 
+export class UploadPathError extends Error {
+  constructor(message, { path, reason } = {}) {
+    super(message);
+    this.name = 'UploadPathError';
+    this.path = path;
+    this.reason = reason;
+  }
+}
+
 // Private IP ranges (CIDR notation)
 const PRIVATE_IP_RANGES = [
   { start: '10.0.0.0', end: '10.255.255.255', name: '10.0.0.0/8' },
@@ -208,3 +219,70 @@ export function validateURL(urlString, options = {}) {
 export function validateURLs(urls, options = {}) {
   return urls.map((url) => validateURL(url, options));
 }
+
+/**
+ * Create a directory only the current user can use, or check an existing one.
+ * In a shared place like /tmp, a directory another user created first would
+ * own the sockets and files written to it, so that is refused.
+ * @param {string} dir
+ * @throws {Error} If `dir` is not a directory of the current user
+ */
+export function ensurePrivateDir(dir) {
+  mkdirSync(dir, { recursive: true, mode: 0o700 });
+  // lstat, so a symlink planted in place of the directory is refused too.
+  const stats = lstatSync(dir);
+  if (!stats.isDirectory()) throw new Error(`${dir} is not a directory`);
+  if (typeof process.getuid !== 'function') return;
+  if (stats.uid !== process.getuid()) throw new Error(`${dir} belongs to another user; refusing to use it`);
+  if ((stats.mode & 0o077) !== 0) chmodSync(dir, 0o700);
+}
+
+/**
+ * Resolve a file for an upload action. Uploads may only read files inside the
+ * upload directory; symlinks are resolved first so a link cannot point out of it.
+ * @param {string} filePath - Absolute, or relative to the upload directory
+ * @param {object} options
+ * @param {string} options.uploadDir - Defaults to LEAN_BROWSER_UPLOAD_DIR; uploads are disabled without one
+ * @throws {UploadPathError} If the file is outside the upload directory or missing
+ * @returns {string} Real path of the file
+ */
+export function validateUploadPath(filePath, { uploadDir = process.env.LEAN_BROWSER_UPLOAD_DIR } = {}) {
+  if (!uploadDir) {
+    throw new UploadPathError(
+      'File uploads are disabled; set LEAN_BROWSER_UPLOAD_DIR to the directory to upload from',
+      {
+        path: filePath,
+        reason: 'uploads_disabled',
+      },
+    );
+  }
+
+  let root;
+  try {
+    root = realpathSync(uploadDir);
+  } catch {
+    throw new UploadPathError(`Upload directory does not exist: ${uploadDir}`, {
+      path: filePath,
+      reason: 'no_upload_dir',
+    });
+  }
+
+  let real;
+  try {
+    real = realpathSync(resolve(root, filePath));
+  } catch {
+    throw new UploadPathError(`File not found: ${filePath}`, { path: filePath, reason: 'not_found' });
+  }
+
+  const rel = relative(root, real);
+  if (!rel || rel === '..' || rel.startsWith(`..${sep}`) || isAbsolute(rel)) {
+    throw new UploadPathError(`File is outside the upload directory: ${filePath}`, {
+      path: filePath,
+      reason: 'outside_upload_dir',
+    });
+  }
+  if (!statSync(real).isFile()) {
+    throw new UploadPathError(`Not a regular file: ${filePath}`, { path: filePath, reason: 'not_a_file' });
+  }
+  return real;
+}
@@ -0,0 +1,158 @@
+/**
+ * Client side of the session daemon (session-daemon.js). CLI invocations are
+ * short-lived processes, so `session` subcommands are sent over a Unix socket
+ * to a long-running daemon that owns the browsers; the first request starts it.
+ */
+
+import { Buffer } from 'node:buffer';
+import { request } from 'node:http';
+import { spawn } from 'node:child_process';
+import { openSync } from 'node:fs';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { BrowserError } from './errors.js';
+import { ensurePrivateDir } from './security.js';
+
+// Same default directory as session-manager.js; imported from there it would load Playwright.
+const SESSION_DIR = process.env.LEAN_BROWSER_SESSION_DIR || '/tmp/lean-browser-sessions';
+const DAEMON_SOCKET = process.env.LEAN_BROWSER_DAEMON_SOCKET || join(SESSION_DIR, 'daemon.sock');
+const DAEMON_LOG = join(SESSION_DIR, 'daemon.log');
+const DAEMON_START_TIMEOUT_MS = 10000;
+const CLI_PATH = fileURLToPath(new URL('../bin/cli.js', import.meta.url));
+
+const SESSION_COMMANDS = ['start', 'exec', 'snapshot', 'resume', 'close', 'list'];
+
+export class DaemonNotRunningError extends Error {
+  constructor(socketPath) {
+    super(`Session daemon is not running (socket: ${socketPath})`);
+    this.name = 'DaemonNotRunningError';
+    this.socketPath = socketPath;
+  }
+}
+
+// An error thrown inside the daemon, re-created here. Its stack trace belongs to
+// the daemon process, so only name and message are kept.
+function remoteError({ name, message, code, url, statusCode, suggestion } = {}) {
+  const err = code ? new BrowserError(message, { code, url, statusCode, suggestion }) : new Error(message);
+  if (name) err.name = name;
+  err.stack = `${err.name}: ${message}`;
+  return err;
+}
+
+function callDaemon(socketPath, method, path, body = null) {
+  return new Promise((resolve, reject) => {
+    const payload = body == null ? null : JSON.stringify(body);
+    const req = request(
+      {
+        socketPath,
+        method,
+        path,
+        // One connection per call; a pooled one could outlive a restarted daemon.
+        agent: false,
+        headers: payload ? { 'content-type': 'application/json', 'content-length': Buffer.byteLength(payload) } : {},
+      },
+      (res) => {
+        let data = '';
+        res.setEncoding('utf8');
+        res.on('data', (chunk) => (data += chunk));
+        res.on('end', () => {
+          let parsed;
+          try {
+            parsed = JSON.parse(data);
+          } catch {
+            reject(new Error(`Invalid response from session daemon: ${data.slice(0, 200)}`));
+            return;
+          }
+          if (parsed.ok) resolve(parsed.result);
+          else reject(remoteError(parsed.error));
+        });
+      },
+    );
+    req.on('error', (err) => {
+      reject(err.code === 'ENOENT' || err.code === 'ECONNREFUSED' ? new DaemonNotRunningError(socketPath) : err);
+    });
+    if (payload) req.write(payload);
+    req.end();
+  });
+}
+
+/**
+ * Status of the daemon behind `socketPath`.
+ * @returns {Promise<Object>} - `{ running: false, socket }` when nothing is listening
+ */
+export async function daemonStatus({ socketPath = DAEMON_SOCKET } = {}) {
+  try {
+    return await callDaemon(socketPath, 'GET', '/status');
+  } catch (err) {
+    if (err instanceof DaemonNotRunningError) return { running: false, socket: socketPath };
+    throw err;
+  }
+}
+
+/**
+ * Start the daemon in the background and wait until it answers.
+ * @returns {Promise<Object>} - The daemon's status
+ */
+export async function startDaemon({ socketPath = DAEMON_SOCKET } = {}) {
+  const status = await daemonStatus({ socketPath });
+  if (status.running) return status;
+
+  ensurePrivateDir(SESSION_DIR);
+  const log = openSync(DAEMON_LOG, 'a', 0o600);
+  const child = spawn(process.execPath, [CLI_PATH, 'session', 'daemon', 'run'], {
+    detached: true,
+    stdio: ['ignore', log, log],
+    env: { ...process.env, LEAN_BROWSER_DAEMON_SOCKET: socketPath },
+  });
+  child.unref();
+
+  const deadline = Date.now() + DAEMON_START_TIMEOUT_MS;
+  while (Date.now() < deadline) {
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    const current = await daemonStatus({ socketPath });
+    if (current.running) return current;
+  }
+  throw new Error(`Session daemon did not start within ${DAEMON_START_TIMEOUT_MS / 1000}s (see ${DAEMON_LOG})`);
+}
+
+/**
+ * Ask the daemon to close its sessions (their storage is saved for `session resume`) and exit.
+ * @returns {Promise<Object>}
+ */
+export async function stopDaemon({ socketPath = DAEMON_SOCKET } = {}) {
+  try {
+    return await callDaemon(socketPath, 'POST', '/stop');
+  } catch (err) {
+    if (err instanceof DaemonNotRunningError) return { running: false, socket: socketPath };
+    throw err;
+  }
+}
+
+/**
+ * Run a `session` subcommand in the daemon, starting the daemon if needed.
+ * @param {string} subcommand - start|exec|snapshot|resume|close|list
+ * @param {Object} opts - CLI options for the subcommand
+ * @param {Object} [options]
+ * @param {string} [options.socketPath]
+ * @param {boolean} [options.autoStart=true]
+ * @returns {Promise<Object>} - The subcommand's result
+ */
+export async function sendSessionCommand(subcommand, opts, { socketPath = DAEMON_SOCKET, autoStart = true } = {}) {
+  if (!SESSION_COMMANDS.includes(subcommand)) {
+    throw new Error(
+      `Unknown session subcommand: "${subcommand}". Expected: ${SESSION_COMMANDS.join('|')}|daemon <start|stop|status>`,
+    );
+  }
+
+  const body = { subcommand, opts };
+  try {
+    return await callDaemon(socketPath, 'POST', '/command', body);
+  } catch (err) {
+    if (!(err instanceof DaemonNotRunningError) || !autoStart) throw err;
+  }
+
+  await startDaemon({ socketPath });
+  return callDaemon(socketPath, 'POST', '/command', body);
+}
+
+export { DAEMON_SOCKET, DAEMON_LOG, SESSION_COMMANDS };
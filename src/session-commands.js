@@ -0,0 +1,123 @@
+import {
+  createSession,
+  getSession,
+  closeSession,
+  listSessions,
+  resumeSession,
+  saveSessionState,
+} from './session-manager.js';
+import { parseActionSpec, validateAction, ActionExecutor } from './actions.js';
+import { buildPageElementMap, captureSnapshot } from './snapshot.js';
+import { listTabs } from './tabs.js';
+
+function parseSnapshotPayload(snapshotText, mode) {
+  if (mode === 'text') {
+    return snapshotText;
+  }
+
+  try {
+    return JSON.parse(snapshotText);
+  } catch {
+    return snapshotText;
+  }
+}
+
+/**
+ * Run a `session` subcommand against the sessions of this process. The CLI
+ * does not call this directly: it forwards subcommands to the session daemon
+ * (session-daemon.js), which owns the browsers and runs them here.
+ */
+export async function runSessionCommand(subcommand, opts) {
+  switch (subcommand) {
+    case 'start':
+      return handleStart(opts);
+    case 'exec':
+      return handleExec(opts);
+    case 'snapshot':
+      return handleSnapshot(opts);
+    case 'resume':
+      return handleResume(opts);
+    case 'close':
+      return handleClose(opts);
+    case 'list':
+      return handleList();
+    default:
+      throw new Error(`Unknown session subcommand: "${subcommand}". Expected: start|exec|snapshot|resume|close|list`);
+  }
+}
+
+async function handleStart(opts) {
+  if (!opts.url) throw new Error('session start requires a URL');
+  return createSession(opts.url, {
+    browserName: opts.browser,
+    timeoutMs: opts.timeout,
+    headless: !opts.headed,
+  });
+}
+
+async function handleExec(opts) {
+  if (!opts.session) throw new Error('--session <id> is required');
+  if (!opts.action) throw new Error('--action <spec> is required');
+
+  const session = getSession(opts.session);
+  const page = session.page;
+
+  const actions = parseActionSpec(opts.action);
+
+  // Build element map from current page state
+  const elementMap = await buildPageElementMap(page, actions, { registry: session.elementRegistry });
+  for (const action of actions) {
+    validateAction(action, elementMap);
+  }
+
+  const executor = new ActionExecutor(page, elementMap, {
+    defaultTimeoutMs: opts.actionTimeout ?? 10000,
+  });
+  let results;
+  try {
+    results = await executor.executeAll(actions);
+  } finally {
+    // Tab actions move the session to another page.
+    session.page = executor.page;
+  }
+  await saveSessionState(opts.session);
+
+  return {
+    sessionId: opts.session,
+    finalUrl: session.page.url(),
+    actions: results,
+    tabs: listTabs(session.page),
+  };
+}
+
+async function handleSnapshot(opts) {
+  if (!opts.session) throw new Error('--session <id> is required');
+
+  const session = getSession(opts.session);
+  const snap = await captureSnapshot(session.page, {
+    mode: opts.mode ?? 'interactive',
+    maxTokens: opts.tokens,
+    registry: session.elementRegistry,
+    previous: session.lastSnapshot,
+  });
+  session.lastSnapshot = snap.state;
+
+  return parseSnapshotPayload(snap.text, opts.mode ?? 'interactive');
+}
+
+async function handleResume(opts) {
+  if (!opts.session) throw new Error('session resume requires a session ID');
+  return resumeSession(opts.session, {
+    timeoutMs: opts.timeout,
+    ...(opts.headed ? { headless: false } : {}),
+  });
+}
+
+async function handleClose(opts) {
+  if (!opts.session) throw new Error('--session <id> is required');
+  return closeSession(opts.session);
+}
+
+async function handleList() {
+  return listSessions();
+}
@@ -0,0 +1,165 @@
+/**
+ * The session daemon: a local HTTP server on a Unix socket that owns the browser
+ * sessions and runs `session` subcommands for CLI clients (session-client.js).
+ *
+ * Routes: `GET /status`, `POST /command` (`{ subcommand, opts }`) and `POST /stop`.
+ * Responses are `{ ok: true, result }` or `{ ok: false, error }`.
+ */
+
+import { createServer, request } from 'node:http';
+import { chmodSync, existsSync, unlinkSync } from 'node:fs';
+import { setInterval, clearInterval } from 'node:timers';
+import { listSessions, shutdownAllSessions } from './session-manager.js';
+import { runSessionCommand } from './session-commands.js';
+import { BrowserError } from './errors.js';
+import { DAEMON_SOCKET } from './session-client.js';
+
+// Exit once no session has been open and no request has arrived for this long.
+const DAEMON_IDLE_MS = parseInt(process.env.LEAN_BROWSER_DAEMON_IDLE_MS || String(30 * 60 * 1000), 10);
+const MAX_BODY_BYTES = 1024 * 1024;
+
+function serializeError(err) {
+  if (err instanceof BrowserError) {
+    const { error, ...rest } = err.toJSON();
+    return { name: error, ...rest };
+  }
+  return { name: err?.name ?? 'Error', message: err?.message ?? String(err) };
+}
+
+function send(res, status, payload) {
+  const body = JSON.stringify(payload);
+  res.writeHead(status, { 'content-type': 'application/json' });
+  res.end(body);
+}
+
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    let data = '';
+    req.setEncoding('utf8');
+    req.on('data', (chunk) => {
+      data += chunk;
+      if (data.length > MAX_BODY_BYTES) {
+        reject(new Error('Request body too large'));
+        req.destroy();
+      }
+    });
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(data || '{}'));
+      } catch {
+        reject(new Error('Request body is not valid JSON'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+// A socket file left behind by a crashed daemon refuses connections; remove it.
+function clearStaleSocket(socketPath) {
+  if (!existsSync(socketPath)) return Promise.resolve();
+  return new Promise((resolve, reject) => {
+    const probe = request({ socketPath, method: 'GET', path: '/status', agent: false }, (res) => {
+      res.resume();
+      reject(new Error(`A session daemon is already listening on ${socketPath}`));
+    });
+    probe.on('error', () => {
+      unlinkSync(socketPath);
+      resolve();
+    });
+    probe.end();
+  });
+}
+
+/**
+ * Start the daemon server.
+ * @param {Object} [options]
+ * @param {string} [options.socketPath] - Defaults to LEAN_BROWSER_DAEMON_SOCKET or `<session dir>/daemon.sock`
+ * @param {Function} [options.runCommand] - Executes a subcommand (defaults to runSessionCommand)
+ * @param {Function} [options.countSessions] - Number of open sessions, for idle shutdown
+ * @param {Function} [options.shutdown] - Closes the sessions before the daemon stops (their storage is saved)
+ * @param {number} [options.idleMs] - Idle time before the daemon stops itself
+ * @returns {Promise<{socketPath: string, stop: Function, stopped: Promise<void>}>}
+ */
+export async function startSessionDaemon({
+  socketPath = DAEMON_SOCKET,
+  runCommand = runSessionCommand,
+  countSessions = () => listSessions().length,
+  shutdown = shutdownAllSessions,
+  idleMs = DAEMON_IDLE_MS,
+} = {}) {
+  await clearStaleSocket(socketPath);
+
+  const startedAt = Date.now();
+  let lastRequest = startedAt;
+  let stopping = null;
+  let closeSessions = null;
+  const shutdownOnce = () => (closeSessions ??= Promise.resolve().then(shutdown));
+
+  const server = createServer(async (req, res) => {
+    lastRequest = Date.now();
+    try {
+      if (req.method === 'GET' && req.url === '/status') {
+        send(res, 200, {
+          ok: true,
+          result: {
+            running: true,
+            pid: process.pid,
+            socket: socketPath,
+            startedAt,
+            uptimeMs: Date.now() - startedAt,
+            sessions: countSessions(),
+          },
+        });
+      } else if (req.method === 'POST' && req.url === '/command') {
+        const { subcommand, opts } = await readJson(req);
+        const result = await runCommand(subcommand, opts ?? {});
+        send(res, 200, { ok: true, result });
+      } else if (req.method === 'POST' && req.url === '/stop') {
+        // Answer only once sessions are closed, so a following start finds their saved state.
+        await shutdownOnce();
+        res.on('finish', stop);
+        send(res, 200, { ok: true, result: { running: false, socket: socketPath, stopped: true } });
+      } else {
+        send(res, 404, { ok: false, error: { name: 'Error', message: `No route ${req.method} ${req.url}` } });
+      }
+    } catch (err) {
+      send(res, 200, { ok: false, error: serializeError(err) });
+    }
+  });
+
+  const idleTimer = setInterval(
+    () => {
+      if (countSessions() === 0 && Date.now() - lastRequest > idleMs) stop();
+    },
+    Math.min(idleMs, 60000),
+  );
+  idleTimer.unref();
+
+  function stop() {
+    stopping ??= (async () => {
+      clearInterval(idleTimer);
+      await shutdownOnce();
+      await new Promise((resolve) => server.close(() => resolve()));
+    })();
+    return stopping;
+  }
+
+  let resolveStopped;
+  const stopped = new Promise((resolve) => (resolveStopped = resolve));
+  server.on('close', () => resolveStopped());
+
+  // Sessions hold logged-in browsers: only the current user may connect, from
+  // the moment the socket exists (the umask), and after (the mode).
+  const umask = process.umask(0o077);
+  try {
+    await new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(socketPath, resolve);
+    });
+  } finally {
+    process.umask(umask);
+  }
+  chmodSync(socketPath, 0o600);
+
+  return { socketPath, stop, stopped };
+}
@@ -1,22 +1,32 @@
 import { randomUUID } from 'node:crypto';
-import { mkdirSync, writeFileSync, readFileSync, readdirSync, unlinkSync, existsSync } from 'node:fs';
+import { writeFileSync, readFileSync, readdirSync, renameSync, rmSync, unlinkSync, existsSync } from 'node:fs';
 import { join } from 'node:path';
 import { launchBrowser, navigateAndWait, closeBrowser } from './browser.js';
+import { ElementRegistry } from './element-registry.js';
+import { listTabs } from './tabs.js';
+import { ensurePrivateDir } from './security.js';
 
 const sessions = new Map();
 const SESSION_TTL_MS = 10 * 60 * 1000; // 10 minutes
 const MAX_SESSIONS = parseInt(process.env.LEAN_BROWSER_MAX_SESSIONS || '10', 10);
 const SESSION_DIR = process.env.LEAN_BROWSER_SESSION_DIR || '/tmp/lean-browser-sessions';
+// Saved state outlives the in-memory session so it can be resumed after a restart.
+const SESSION_STATE_TTL_MS = parseFloat(process.env.LEAN_BROWSER_SESSION_STATE_TTL_HOURS || '24') * 60 * 60 * 1000;
+
+// Ids are `randomUUID().slice(0, 8)`; anything else never names a file in SESSION_DIR.
+const SESSION_ID = /^[0-9a-f]{8}$/;
 
 function isDataUrl(url) {
   return typeof url === 'string' && url.trim().toLowerCase().startsWith('data:');
 }
 
-// Ensure session directory exists
+// State files hold cookies, so nothing is read or written unless the directory is ours alone.
+let sessionDirReady = false;
 try {
-  mkdirSync(SESSION_DIR, { recursive: true });
+  ensurePrivateDir(SESSION_DIR);
+  sessionDirReady = true;
 } catch (err) {
-  console.warn(`Failed to create session directory: ${err.message}`);
+  console.warn(`Session state will not be saved: ${err.message}`);
 }
 
 // Graceful shutdown handler
@@ -31,7 +41,7 @@ export async function shutdownAllSessions() {
 
   for (const session of allSessions) {
     try {
-      await persistSessionState(session);
+      await captureStorageState(session);
       await closeBrowser(session);
     } catch (err) {
       console.error(`Failed to close session ${session.id}:`, err.message);
@@ -55,30 +65,90 @@ if (typeof process !== 'undefined') {
   });
 }
 
-// Persist session metadata to disk
+// The saved state file of a session, or null for an id that is not one we issued
+// (so a crafted id like `../x` can never read or delete files outside SESSION_DIR).
+function sessionStatePath(sessionId) {
+  if (!sessionDirReady || typeof sessionId !== 'string' || !SESSION_ID.test(sessionId)) return null;
+  return join(SESSION_DIR, `${sessionId}.json`);
+}
+
+// Persist session metadata (and the last captured browser storage) to disk
 function persistSessionState(session) {
+  const filePath = sessionStatePath(session.id);
+  if (!filePath) return;
+
   try {
     const metadata = {
       id: session.id,
       url: session.url,
       finalUrl: session.finalUrl,
+      currentUrl: session.currentUrl ?? session.finalUrl,
       createdAt: session.createdAt,
       lastActivity: session.lastActivity,
       requestCount: session.requestCount || 0,
+      cookiesFile: session.cookiesFile ?? null,
+      launchOptions: session.launchOptions,
+      storageState: session.storageState ?? null,
     };
 
-    const filePath = join(SESSION_DIR, `${session.id}.json`);
-    writeFileSync(filePath, JSON.stringify(metadata, null, 2));
+    // Holds cookies, so keep it private to the current user. The mode only applies when a file
+    // is created, so write a fresh file and rename it over any older (possibly wider) one.
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    try {
+      writeFileSync(tmpPath, JSON.stringify(metadata, null, 2), { mode: 0o600 });
+      renameSync(tmpPath, filePath);
+    } catch (err) {
+      rmSync(tmpPath, { force: true });
+      throw err;
+    }
   } catch (err) {
     console.warn(`Failed to persist session ${session.id}:`, err.message);
   }
 }
 
+// sessionStorage is not part of Playwright's storageState; read it from each open page.
+async function readSessionStorage(context) {
+  const byOrigin = {};
+  for (const page of context.pages()) {
+    const entry = await page
+      .evaluate(() => [window.location.origin, Object.entries(window.sessionStorage)])
+      .catch(() => null);
+    if (entry && entry[0] !== 'null' && entry[1].length > 0) {
+      byOrigin[entry[0]] = Object.fromEntries(entry[1]);
+    }
+  }
+  return byOrigin;
+}
+
+// Capture cookies, localStorage and sessionStorage, then persist.
+async function captureStorageState(session) {
+  try {
+    const state = await session.context.storageState();
+    state.sessionStorage = await readSessionStorage(session.context);
+    session.storageState = state;
+    session.currentUrl = session.page.url();
+  } catch (err) {
+    console.warn(`Failed to capture storage for session ${session.id}:`, err.message);
+  }
+  persistSessionState(session);
+}
+
+// Refill sessionStorage for fresh tabs of a resumed session; a tab that already
+// has entries is left alone so later navigations don't clobber its state.
+async function restoreSessionStorage(context, byOrigin) {
+  if (!byOrigin || Object.keys(byOrigin).length === 0) return;
+  await context.addInitScript((entries) => {
+    const data = entries[window.location.origin];
+    if (!data || window.sessionStorage.length > 0) return;
+    for (const [key, value] of Object.entries(data)) window.sessionStorage.setItem(key, value);
+  }, byOrigin);
+}
+
 // Load session metadata from disk
 function loadSessionState(sessionId) {
   try {
-    const filePath = join(SESSION_DIR, `${sessionId}.json`);
-    if (!existsSync(filePath)) return null;
+    const filePath = sessionStatePath(sessionId);
+    if (!filePath || !existsSync(filePath)) return null;
 
     const data = readFileSync(filePath, 'utf8');
     return JSON.parse(data);
@@ -91,8 +161,8 @@ function loadSessionState(sessionId) {
 // Delete session metadata from disk
 function deleteSessionState(sessionId) {
   try {
-    const filePath = join(SESSION_DIR, `${sessionId}.json`);
-    if (existsSync(filePath)) {
+    const filePath = sessionStatePath(sessionId);
+    if (filePath && existsSync(filePath)) {
       unlinkSync(filePath);
     }
   } catch (err) {
@@ -137,15 +207,16 @@ function cleanupExpired() {
 
   for (const id of toDelete) {
     const session = sessions.get(id);
-    persistSessionState(session);
-    closeBrowser(session).catch(() => {});
+    captureStorageState(session)
+      .then(() => closeBrowser(session))
+      .catch(() => {});
     sessions.delete(id);
   }
 
   // Clean up old persisted sessions
   const persisted = loadPersistedSessions();
   for (const state of persisted) {
-    if (now - state.lastActivity > SESSION_TTL_MS) {
+    if (now - state.lastActivity > SESSION_STATE_TTL_MS) {
       deleteSessionState(state.id);
     }
   }
@@ -154,6 +225,7 @@ function cleanupExpired() {
 export async function createSession(
   url,
   {
+    browserName = 'chromium',
     timeoutMs = 45000,
     headless = true,
     viewport = null,
@@ -173,16 +245,8 @@ export async function createSession(
   }
 
   const id = randomUUID().slice(0, 8);
-  const { browser, context, page } = await launchBrowser({
-    headless,
-    viewport,
-    device,
-    mobile,
-    cookiesFile,
-    blockAds,
-    blockResources,
-    extraHeaders,
-  });
+  const launchOptions = { browserName, headless, viewport, device, mobile, blockAds, blockResources, extraHeaders };
+  const { browser, context, page } = await launchBrowser({ ...launchOptions, cookiesFile });
 
   const nav = await navigateAndWait(page, url, {
     timeoutMs,
@@ -197,22 +261,109 @@ export async function createSession(
     url,
     finalUrl: nav.finalUrl,
     cookiesFile,
+    launchOptions,
+    elementRegistry: new ElementRegistry(),
+    // State of the most recent snapshot, the baseline for `diff` snapshots.
+    lastSnapshot: null,
     createdAt: Date.now(),
     lastActivity: Date.now(),
     requestCount: 0,
   };
 
   sessions.set(id, session);
-  persistSessionState(session);
+  await captureStorageState(session);
 
   return { sessionId: id, url, finalUrl: nav.finalUrl, status: nav.status };
 }
 
+/**
+ * Bring a saved session back after a restart: relaunch a browser with the
+ * persisted cookies, localStorage and sessionStorage and navigate back to the
+ * session's last URL. A session that is still live is returned as is.
+ * @param {string} sessionId
+ * @param {Object} [options]
+ * @param {number} [options.timeoutMs=45000] - Navigation timeout
+ * @param {boolean} [options.headless] - Override the session's original headless setting
+ * @returns {Promise<{sessionId: string, url: string, finalUrl: string, status: number|null, resumed: boolean}>}
+ */
+export async function resumeSession(sessionId, { timeoutMs = 45000, headless } = {}) {
+  cleanupExpired();
+
+  const live = sessions.get(sessionId);
+  if (live) {
+    live.lastActivity = Date.now();
+    return { sessionId, url: live.url, finalUrl: live.finalUrl, status: null, resumed: false };
+  }
+
+  const saved = loadSessionState(sessionId);
+  if (!saved) {
+    throw new Error(`No saved state for session "${sessionId}"`);
+  }
+  if (sessions.size >= MAX_SESSIONS) {
+    throw new Error(`Maximum number of sessions (${MAX_SESSIONS}) reached. Please close some sessions first.`);
+  }
+
+  const { sessionStorage: savedSessionStorage, ...storageState } = saved.storageState ?? {};
+  const launchOptions = { ...saved.launchOptions, ...(headless === undefined ? {} : { headless }) };
+  const { browser, context, page } = await launchBrowser({
+    ...launchOptions,
+    storageState: saved.storageState ? storageState : null,
+  });
+
+  let nav;
+  try {
+    await restoreSessionStorage(context, savedSessionStorage);
+    const target = saved.currentUrl ?? saved.finalUrl ?? saved.url;
+    nav = await navigateAndWait(page, target, { timeoutMs, allowDataURLs: isDataUrl(target) });
+  } catch (err) {
+    await closeBrowser({ browser, context, page }).catch(() => {});
+    throw err;
+  }
+
+  const session = {
+    id: sessionId,
+    browser,
+    context,
+    page,
+    url: saved.url,
+    finalUrl: nav.finalUrl,
+    cookiesFile: saved.cookiesFile ?? null,
+    launchOptions,
+    storageState: saved.storageState,
+    elementRegistry: new ElementRegistry(),
+    lastSnapshot: null,
+    createdAt: saved.createdAt,
+    lastActivity: Date.now(),
+    requestCount: saved.requestCount || 0,
+  };
+
+  sessions.set(sessionId, session);
+  await captureStorageState(session);
+
+  return { sessionId, url: saved.url, finalUrl: nav.finalUrl, status: nav.status, resumed: true };
+}
+
+/**
+ * Save a live session's browser storage to disk so it survives a restart.
+ * Call after actions that may have changed cookies or storage (e.g. logging in).
+ * @param {string} sessionId
+ */
+export async function saveSessionState(sessionId) {
+  const session = sessions.get(sessionId);
+  if (session) await captureStorageState(session);
+}
+
 export function getSession(sessionId) {
   cleanupExpired();
   const session = sessions.get(sessionId);
   if (!session) {
-    throw new Error(`Session "${sessionId}" not found or expired`);
+    const hint = loadSessionState(sessionId) ? '; its saved state can be restored with session resume' : '';
+    throw new Error(`Session "${sessionId}" not found or expired${hint}`);
+  }
+  // The site may have closed the active tab (e.g. a popup closing itself); carry on in the newest one.
+  if (session.page?.isClosed?.()) {
+    const open = session.context?.pages() ?? [];
+    if (open.length > 0) session.page = open.at(-1);
   }
   session.lastActivity = Date.now();
   session.requestCount = (session.requestCount || 0) + 1;
@@ -238,8 +389,9 @@ export async function closeSession(sessionId) {
 
     await closeBrowser(session);
     sessions.delete(sessionId);
-    deleteSessionState(sessionId);
   }
+  // Closing is final: drop saved state too, including that of a session only on disk.
+  deleteSessionState(sessionId);
   return { sessionId, closed: true };
 }
 
@@ -252,8 +404,9 @@ export function listSessions() {
     createdAt: s.createdAt,
     lastActivity: s.lastActivity,
     requestCount: s.requestCount || 0,
+    tabs: listTabs(s.page),
   }));
 }
 
 // Export for testing
-export { MAX_SESSIONS, SESSION_DIR, SESSION_TTL_MS };
+export { MAX_SESSIONS, SESSION_DIR, SESSION_TTL_MS, SESSION_STATE_TTL_MS };
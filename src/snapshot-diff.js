@@ -0,0 +1,102 @@
+/**
+ * Snapshot diffing for sessions. Each snapshot is reduced to a compact state
+ * (URL, title, elements by id, text passages); comparing it with the previous
+ * state of the same session tells an agent what its last action changed.
+ */
+
+import { JSDOM } from 'jsdom';
+import { describeElement } from './element-registry.js';
+import { normalizeWhitespace, toParagraphs } from './utils.js';
+
+const STATE_KEYS = ['value', 'checked', 'pressed', 'expanded', 'selected', 'disabled'];
+const PASSAGE_SELECTOR = 'h1, h2, h3, h4, h5, h6, p, li, pre, blockquote, dt, dd, th, td, figcaption, caption';
+const MAX_PASSAGES = 500;
+
+// Readability's plain text runs paragraphs together, so passages come from the
+// article HTML: the text of each innermost block element.
+function articlePassages(article) {
+  if (!article?.content) return toParagraphs(article?.text ?? '');
+
+  const blocks = Array.from(JSDOM.fragment(article.content).querySelectorAll(PASSAGE_SELECTOR));
+  const passages = blocks
+    .filter((el) => !el.querySelector(PASSAGE_SELECTOR))
+    .map((el) => normalizeWhitespace(el.textContent ?? ''))
+    .filter(Boolean);
+  return [...new Set(passages)];
+}
+
+// a11y elements carry state as top-level fields, DOM-scan elements under `state`.
+function stateOf(element) {
+  const state = {};
+  for (const key of STATE_KEYS) {
+    const value = element[key] ?? element.state?.[key];
+    if (value !== undefined && value !== null) state[key] = value;
+  }
+  return state;
+}
+
+/**
+ * Reduce a snapshot to what diffSnapshots compares.
+ * @param {Object} snapshot
+ * @param {string} snapshot.url
+ * @param {string} [snapshot.title]
+ * @param {Array<Object>} [snapshot.elements] - Elements with (session-stable) ids
+ * @param {Object} [snapshot.article] - Extracted article (`content` HTML and/or `text`)
+ * @returns {Object}
+ */
+export function snapshotState({ url, title = null, elements = [], article = null }) {
+  return {
+    url,
+    title: title ?? null,
+    elements: (elements ?? [])
+      .filter((e) => e.id)
+      .map((e) => ({
+        id: e.id,
+        label: (e.role ? e.name : e.label) ?? null,
+        description: describeElement(e),
+        state: stateOf(e),
+        element: e,
+      })),
+    passages: articlePassages(article).slice(0, MAX_PASSAGES),
+  };
+}
+
+/**
+ * Compare two snapshot states of the same session. Elements are matched by id,
+ * so this relies on the session's ElementRegistry keeping ids stable.
+ * @param {Object} previous - snapshotState() of the earlier snapshot
+ * @param {Object} current - snapshotState() of the new snapshot
+ * @returns {{url: Object|null, title: Object|null, added: Array<Object>, removed: Array<Object>, changed: Array<Object>, newText: string[]}}
+ */
+export function diffSnapshots(previous, current) {
+  const before = new Map(previous.elements.map((e) => [e.id, e]));
+  const after = new Set(current.elements.map((e) => e.id));
+
+  const changed = [];
+  for (const e of current.elements) {
+    const prior = before.get(e.id);
+    if (!prior) continue;
+
+    const change = {};
+    if (prior.label !== e.label) change.label = { from: prior.label, to: e.label };
+    for (const key of STATE_KEYS) {
+      const from = prior.state[key] ?? null;
+      const to = e.state[key] ?? null;
+      if (from !== to) change[key] = { from, to };
+    }
+    if (Object.keys(change).length > 0) {
+      changed.push({ id: e.id, description: e.description, ...change });
+    }
+  }
+
+  const seen = new Set(previous.passages);
+
+  return {
+    url: previous.url !== current.url ? { from: previous.url, to: current.url } : null,
+    title: previous.title !== current.title ? { from: previous.title, to: current.title } : null,
+    added: current.elements.filter((e) => !before.has(e.id)).map((e) => e.element),
+    removed: previous.elements.filter((e) => !after.has(e.id)).map(({ id, description }) => ({ id, description })),
+    changed,
+    newText: current.passages.filter((p) => !seen.has(p)),
+  };
+}
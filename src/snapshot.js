@@ -1,19 +1,86 @@
-import { extractAllFromHtml } from './extractor.js';
-import { formatInteractive, formatJson, formatText } from './formatter.js';
+import { extractAllFromHtml, buildElementMap } from './extractor.js';
+import { formatA11y, formatDiff, formatInteractive, formatJson, formatText } from './formatter.js';
+import { collectA11yElements, targetsA11yElements } from './a11y.js';
+import { StaleElementError } from './actions.js';
+import { diffSnapshots, snapshotState } from './snapshot-diff.js';
+import { describeTabs } from './tabs.js';
 
-export async function captureSnapshot(page, { mode = 'interactive', maxTokens = 1200 } = {}) {
-  const html = await page.content();
+// With a session registry, ids stay stable across scans; without one they are positional.
+async function scanDomElements(page, registry) {
+  const extracted = extractAllFromHtml(await page.content(), page.url());
+  if (registry) {
+    extracted.elements = registry.assign(extracted.elements, { prefix: 'e' });
+  }
+  return extracted;
+}
+
+async function scanA11yElements(page, registry) {
+  const elements = await collectA11yElements(page);
+  return registry ? registry.assign(elements, { prefix: 'a' }) : elements;
+}
+
+/**
+ * Capture the current page in one of the output modes. The result carries a
+ * `state` alongside the formatted `text`; passing a previous snapshot's state
+ * as `previous` with mode `diff` returns only what changed since then (without
+ * one, diff mode falls back to a full interactive snapshot).
+ */
+export async function captureSnapshot(
+  page,
+  { mode = 'interactive', maxTokens = 1200, a11y = false, registry = null, previous = null } = {},
+) {
   const url = page.url();
   const title = await page.title().catch(() => undefined);
-
-  const extracted = extractAllFromHtml(html, url);
   const meta = { url, finalUrl: url, status: 200, fetchedTitle: title };
+  // Only worth the tokens once the site has opened another tab.
+  const tabs = await describeTabs(page);
+  if (tabs.length > 1) meta.tabs = tabs;
+
+  if (mode === 'a11y') {
+    const elements = await scanA11yElements(page, registry);
+    const result = await formatA11y(meta, { elements }, { maxTokens });
+    return { ...result, state: snapshotState({ url, title, elements }) };
+  }
 
-  if (mode === 'text') {
-    return formatText(meta, extracted, { maxTokens });
+  const extracted = await scanDomElements(page, registry);
+  if (a11y && (mode === 'interactive' || mode === 'diff')) {
+    extracted.elements = await scanA11yElements(page, registry);
+  }
+  const state = snapshotState({ url, title, elements: extracted.elements, article: extracted.article });
+
+  let result;
+  if (mode === 'diff' && previous) {
+    result = await formatDiff(meta, diffSnapshots(previous, state), { maxTokens });
+  } else if (mode === 'text') {
+    result = await formatText(meta, extracted, { maxTokens });
   } else if (mode === 'json') {
-    return formatJson(meta, extracted, { maxTokens });
+    result = await formatJson(meta, extracted, { maxTokens });
   } else {
-    return formatInteractive(meta, extracted, { maxTokens });
+    result = await formatInteractive(meta, extracted, { maxTokens });
+  }
+  return { ...result, state };
+}
+
+/**
+ * Build the element-id → selector map for a set of actions on a live page.
+ * DOM-scan ids (`e1`, ...) are always included; a11y ids (`a1`, ...) are added
+ * when an action refers to one. With a session registry, an id whose element
+ * has disappeared since it was issued throws StaleElementError, except for
+ * `wait_for_gone`, for which a vanished element is what it waits for.
+ */
+export async function buildPageElementMap(page, actions = [], { registry = null } = {}) {
+  const { elements } = await scanDomElements(page, registry);
+  const elementMap = buildElementMap(elements);
+
+  if (targetsA11yElements(actions)) {
+    Object.assign(elementMap, buildElementMap(await scanA11yElements(page, registry)));
+  }
+
+  for (const action of actions) {
+    if (action.elementId && action.type !== 'wait_for_gone' && registry?.isStale(action.elementId)) {
+      throw new StaleElementError(action.elementId, registry.describe(action.elementId));
+    }
   }
+
+  return elementMap;
 }
@@ -0,0 +1,130 @@
+import { normalizeWhitespace, safeTruncate } from './utils.js';
+
+// Cap spans so malformed markup can't blow the grid up.
+const MAX_COLSPAN = 50;
+const MAX_ROWSPAN = 200;
+const MAX_CELL_CHARS = 300;
+const EMPTY_CELL = { text: '', header: false, scope: null, head: false };
+
+function spanOf(cell, attr, max) {
+  const n = Number.parseInt(cell.getAttribute(attr) ?? '1', 10);
+  if (!Number.isFinite(n) || n < 1) return 1;
+  return Math.min(n, max);
+}
+
+function cellText(cell) {
+  return safeTruncate(normalizeWhitespace(cell.textContent ?? '').replace(/\s+/g, ' '), MAX_CELL_CHARS);
+}
+
+function ownRows(table) {
+  // Skip rows that belong to nested tables.
+  return Array.from(table.querySelectorAll('tr')).filter((tr) => tr.closest('table') === table);
+}
+
+function ownCells(tr) {
+  return Array.from(tr.children).filter((c) => c.tagName === 'TD' || c.tagName === 'TH');
+}
+
+/**
+ * Lay a table out on a rectangular grid, expanding colspan/rowspan so every
+ * logical cell is repeated into each slot it covers.
+ * @param {Element} table - A <table> element
+ * @param {Object} [options]
+ * @param {(cell: Element) => string} [options.renderCell] - Cell text renderer (defaults to plain text)
+ * @returns {Array<Array<{text: string, header: boolean, scope: string|null, head: boolean}>>}
+ */
+export function tableToGrid(table, { renderCell = cellText } = {}) {
+  const grid = [];
+  const rows = ownRows(table);
+
+  rows.forEach((tr, r) => {
+    grid[r] ??= [];
+    const head = tr.parentElement?.tagName === 'THEAD';
+    let c = 0;
+
+    for (const cell of ownCells(tr)) {
+      while (grid[r][c]) c++;
+
+      const colspan = spanOf(cell, 'colspan', MAX_COLSPAN);
+      const rowspan = Math.min(spanOf(cell, 'rowspan', MAX_ROWSPAN), rows.length - r);
+      const entry = {
+        text: renderCell(cell),
+        header: cell.tagName === 'TH',
+        scope: cell.getAttribute('scope')?.toLowerCase() ?? null,
+        head,
+      };
+
+      for (let dr = 0; dr < rowspan; dr++) {
+        grid[r + dr] ??= [];
+        for (let dc = 0; dc < colspan; dc++) {
+          grid[r + dr][c + dc] = entry;
+        }
+      }
+      c += colspan;
+    }
+  });
+
+  const width = Math.max(0, ...grid.map((row) => row.length));
+  return grid
+    .map((row) => Array.from({ length: width }, (_, i) => row[i] ?? EMPTY_CELL))
+    .filter((row) => row.some((cell) => cell.text));
+}
+
+function isHeaderRow(row) {
+  if (row.some((cell) => cell.head)) return true;
+  const filled = row.filter((cell) => cell.text);
+  return filled.length > 0 && filled.every((cell) => cell.header && cell.scope !== 'row');
+}
+
+function mergeHeaderRows(headerRows, width) {
+  const headers = [];
+  for (let i = 0; i < width; i++) {
+    const parts = [];
+    for (const row of headerRows) {
+      const text = row[i].text;
+      if (text && parts[parts.length - 1] !== text) parts.push(text);
+    }
+    headers.push(parts.join(' / '));
+  }
+  return headers;
+}
+
+/**
+ * Convert a <table> element into a structured block.
+ * Leading header rows (from <thead> or rows made only of column headers) are
+ * merged into `headers`; row headers (`<th scope="row">`) stay as the first
+ * cell of their row.
+ * @param {Element} table - A <table> element
+ * @returns {{type: 'table', caption: string|null, headers: string[], rows: string[][]}|null}
+ */
+export function parseTable(table) {
+  const grid = tableToGrid(table);
+  if (grid.length === 0) return null;
+
+  const width = grid[0].length;
+  let headerCount = 0;
+  while (headerCount < grid.length - 1 && isHeaderRow(grid[headerCount])) headerCount++;
+
+  const captionEl = Array.from(table.children).find((c) => c.tagName === 'CAPTION');
+  const caption = captionEl ? cellText(captionEl) || null : null;
+
+  return {
+    type: 'table',
+    caption,
+    headers: headerCount > 0 ? mergeHeaderRows(grid.slice(0, headerCount), width) : [],
+    rows: grid.slice(headerCount).map((row) => row.map((cell) => cell.text)),
+  };
+}
+
+/**
+ * Whether a table carries data rather than page layout.
+ * @param {Element} table - A <table> element
+ * @returns {boolean}
+ */
+export function isDataTable(table) {
+  if (table.getAttribute('role') === 'presentation') return false;
+  if (table.querySelector('table')) return false;
+  if (table.querySelector('th, caption, thead')) return true;
+  const rows = ownRows(table);
+  return rows.length > 1 && rows.some((tr) => ownCells(tr).length > 1);
+}
@@ -0,0 +1,36 @@
+/**
+ * Tabs of a browser context: the session's pages in creation order, including
+ * popups and `target=_blank` pages the site opened. Tab indexes are 0-based and
+ * match the `switch_tab:<n>` / `close_tab:<n>` actions.
+ */
+
+function contextPages(page) {
+  const pages = page?.context?.().pages?.();
+  return Array.isArray(pages) && pages.length > 0 ? pages : [page];
+}
+
+/**
+ * The open tabs of the context `activePage` belongs to.
+ * @param {import('playwright').Page} activePage
+ * @returns {Array<{index: number, url: string, active: boolean}>}
+ */
+export function listTabs(activePage) {
+  return contextPages(activePage).map((p, index) => ({ index, url: p.url(), active: p === activePage }));
+}
+
+/**
+ * Like listTabs, with each tab's title.
+ * @param {import('playwright').Page} activePage
+ * @returns {Promise<Array<{index: number, url: string, title: string, active: boolean}>>}
+ */
+export async function describeTabs(activePage) {
+  const pages = contextPages(activePage);
+  return Promise.all(
+    pages.map(async (p, index) => ({
+      index,
+      url: p.url(),
+      title: (await p.title().catch(() => '')) || '',
+      active: p === activePage,
+    })),
+  );
+}
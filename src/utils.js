@@ -50,6 +50,136 @@ function escapeCssIdent(ident) {
   return String(ident).replace(/([^a-zA-Z0-9_-])/g, (m) => `\\${m}`);
 }
 
+const INPUT_ROLES = {
+  button: 'button',
+  submit: 'button',
+  reset: 'button',
+  image: 'button',
+  checkbox: 'checkbox',
+  radio: 'radio',
+  range: 'slider',
+  number: 'spinbutton',
+  search: 'searchbox',
+};
+
+function implicitRole(el) {
+  const explicit = el.getAttribute('role')?.trim().split(/\s+/)[0];
+  if (explicit) return explicit;
+
+  const tag = el.tagName.toLowerCase();
+  if (tag === 'a') return el.hasAttribute('href') ? 'link' : null;
+  if (tag === 'button') return 'button';
+  if (tag === 'textarea') return 'textbox';
+  if (tag === 'select') return el.multiple || el.size > 1 ? 'listbox' : 'combobox';
+  if (tag === 'input') return INPUT_ROLES[(el.getAttribute('type') ?? 'text').toLowerCase()] ?? 'textbox';
+  return null;
+}
+
+function accessibleName(el, label) {
+  const ariaLabel = el.getAttribute('aria-label')?.trim();
+  if (ariaLabel) return ariaLabel;
+  if (label) return label;
+
+  const tag = el.tagName.toLowerCase();
+  const type = (el.getAttribute('type') ?? '').toLowerCase();
+  if (tag === 'input' && ['button', 'submit', 'reset'].includes(type)) {
+    return el.getAttribute('value')?.trim() || null;
+  }
+  if (tag === 'a' || tag === 'button' || el.getAttribute('role') === 'button') {
+    const text = normalizeWhitespace(el.textContent ?? '');
+    if (text) return text;
+  }
+  return el.getAttribute('title')?.trim() || el.getAttribute('placeholder')?.trim() || null;
+}
+
+// Ids that frameworks generate per render (React `:r1:`, Ember `ember123`, ...) are not worth keeping.
+function isGeneratedId(id) {
+  return /^:|\d{4,}|^(?:ember|react-|radix-|headlessui-)/i.test(id);
+}
+
+function quoteAttr(value) {
+  return `"${String(value).replace(/["\\]/g, '\\$&')}"`;
+}
+
+// An XPath string literal; XPath 1.0 has no escapes, so mixed quotes need concat().
+function xpathLiteral(value) {
+  if (!value.includes('"')) return `"${value}"`;
+  if (!value.includes("'")) return `'${value}'`;
+  return `concat(${value
+    .split('"')
+    .map((part) => `"${part}"`)
+    .join(`, '"', `)})`;
+}
+
+// Public-syntax selector for the `tag` element labelled `text` by a wrapping
+// <label>, a <label for> or aria-labelledby.
+function labelXPath(tag, text) {
+  const t = xpathLiteral(text.replace(/\s+/g, ' ').trim());
+  return (
+    `xpath=//${tag}[ancestor::label[normalize-space()=${t}]` +
+    ` or @id=//label[normalize-space()=${t}]/@for` +
+    ` or @aria-labelledby=//*[normalize-space()=${t}]/@id]`
+  );
+}
+
+const TEST_ID_ATTRS = ['data-testid', 'data-test-id', 'data-test', 'data-cy'];
+const MAX_LOCATOR_TEXT = 80;
+
+/**
+ * Candidate locators for an element, most robust first: test id, element id,
+ * role plus accessible name, label text, visible text, then the CSS path.
+ * Id and test-id candidates are only offered when unique in the document.
+ * @param {Element} el
+ * @param {Object} [options]
+ * @param {string|null} [options.label] - Text of the element's `<label>` (or aria-labelledby target)
+ * @returns {Array<{strategy: string, selector: string}>}
+ */
+export function buildLocators(el, { label = null } = {}) {
+  if (!el || el.nodeType !== 1) return [];
+  const doc = el.ownerDocument;
+  const locators = [];
+  const add = (strategy, selector) => {
+    if (selector && !locators.some((l) => l.selector === selector)) locators.push({ strategy, selector });
+  };
+  const isUnique = (selector) => {
+    try {
+      return doc.querySelectorAll(selector).length === 1;
+    } catch {
+      return false;
+    }
+  };
+  const usable = (text) => text && text.length <= MAX_LOCATOR_TEXT;
+
+  for (const attr of TEST_ID_ATTRS) {
+    const value = el.getAttribute(attr);
+    if (!value) continue;
+    const selector = `[${attr}=${quoteAttr(value)}]`;
+    if (isUnique(selector)) add('testid', selector);
+    break;
+  }
+
+  const id = el.getAttribute('id');
+  if (id && !isGeneratedId(id) && isUnique(`#${escapeCssIdent(id)}`)) {
+    add('id', `#${escapeCssIdent(id)}`);
+  }
+
+  const role = implicitRole(el);
+  const name = accessibleName(el, label);
+  if (role && usable(name)) add('role', `role=${role}[name=${JSON.stringify(name)} s]`);
+
+  const wrapping = el.closest('label');
+  const labelText = label ?? (wrapping ? normalizeWhitespace(wrapping.textContent ?? '') : null);
+  if (usable(labelText)) add('label', labelXPath(el.tagName.toLowerCase(), labelText));
+
+  if (role === 'button' || role === 'link') {
+    const text = normalizeWhitespace(el.textContent ?? '');
+    if (usable(text)) add('text', `text=${JSON.stringify(text)}`);
+  }
+
+  add('css', cssPath(el));
+  return locators;
+}
+
 export function isProbablyNoiseClass(value) {
   if (!value) return false;
   return /(cookie|consent|banner|modal|subscribe|newsletter|promo|advert|ad\b|ads\b|tracking|paywall|overlay)/i.test(
@@ -0,0 +1,163 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { collectA11yElements, parseAriaSnapshot, roleSelector, targetsA11yElements } from '../../src/a11y.js';
+import { captureSnapshot } from '../../src/snapshot.js';
+
+const SNAPSHOT = [
+  '- banner:',
+  '  - heading "Checkout" [level=1]',
+  '  - navigation "Main":',
+  '    - link "Home":',
+  '      - /url: /',
+  '- textbox "Email": ada@example.com',
+  '- checkbox "Remember me" [checked]',
+  '- checkbox "Newsletter"',
+  '- button "Menu" [expanded]',
+  '- button "Pay" [disabled]',
+  '- button "Pay"',
+  '- text: Total due',
+  `- 'button "Step 2: Review"'`,
+].join('\n');
+
+function mockPage(snapshot, boxes = {}) {
+  return {
+    viewportSize: () => ({ width: 1280, height: 720 }),
+    locator: (selector) => ({
+      ariaSnapshot: async () => snapshot,
+      boundingBox: async () => (selector in boxes ? boxes[selector] : { x: 10, y: 20, width: 100, height: 30 }),
+    }),
+    url: () => 'https://example.com/checkout',
+    title: async () => 'Checkout',
+  };
+}
+
+describe('parseAriaSnapshot', () => {
+  it('reads roles, names, states, values and properties', () => {
+    const nodes = parseAriaSnapshot(SNAPSHOT);
+    const byName = (name) => nodes.find((n) => n.name === name);
+
+    assert.deepEqual(
+      nodes.map((n) => n.role),
+      [
+        'banner',
+        'heading',
+        'navigation',
+        'link',
+        'textbox',
+        'checkbox',
+        'checkbox',
+        'button',
+        'button',
+        'button',
+        'button',
+      ],
+    );
+    assert.equal(byName('Checkout').level, 1);
+    assert.equal(byName('Home').url, '/');
+    assert.equal(byName('Email').value, 'ada@example.com');
+    assert.equal(byName('Remember me').checked, true);
+    assert.equal(byName('Newsletter').checked, undefined);
+    assert.equal(byName('Menu').expanded, true);
+    assert.equal(nodes.filter((n) => n.name === 'Pay')[0].disabled, true);
+  });
+
+  it('unquotes YAML-quoted keys', () => {
+    const nodes = parseAriaSnapshot(SNAPSHOT);
+    assert.equal(nodes.at(-1).name, 'Step 2: Review');
+  });
+
+  it('handles empty input', () => {
+    assert.deepEqual(parseAriaSnapshot(''), []);
+    assert.deepEqual(parseAriaSnapshot(null), []);
+  });
+});
+
+describe('roleSelector', () => {
+  it('matches by exact name and disambiguates duplicates', () => {
+    assert.equal(roleSelector({ role: 'button', name: 'Pay' }), 'role=button[name="Pay" s]');
+    assert.equal(roleSelector({ role: 'button', name: 'Pay' }, 1, 2), 'role=button[name="Pay" s] >> nth=1');
+    assert.equal(roleSelector({ role: 'textbox', name: '' }), 'role=textbox');
+    assert.equal(roleSelector({ role: 'link', name: 'Say "hi"' }), 'role=link[name="Say \\"hi\\"" s]');
+  });
+});
+
+describe('collectA11yElements', () => {
+  it('keeps interactive roles with state, box and viewport flag', async () => {
+    const elements = await collectA11yElements(mockPage(SNAPSHOT));
+
+    assert.deepEqual(
+      elements.map((e) => e.id),
+      ['a1', 'a2', 'a3', 'a4', 'a5', 'a6', 'a7', 'a8'],
+    );
+    const [home, email, remember, newsletter, menu, payDisabled, pay] = elements;
+    assert.equal(home.role, 'link');
+    assert.equal(home.href, '/');
+    assert.equal(email.value, 'ada@example.com');
+    assert.equal(remember.checked, true);
+    assert.equal(newsletter.checked, false);
+    assert.equal(menu.expanded, true);
+    assert.equal(payDisabled.disabled, true);
+    assert.equal(payDisabled.selector, 'role=button[name="Pay" s] >> nth=0');
+    assert.equal(pay.selector, 'role=button[name="Pay" s] >> nth=1');
+    assert.deepEqual(email.box, { x: 10, y: 20, width: 100, height: 30 });
+    assert.equal(email.inViewport, true);
+  });
+
+  it('drops elements without a layout box and flags off-screen ones', async () => {
+    const page = mockPage(SNAPSHOT, {
+      'role=checkbox[name="Newsletter" s]': null,
+      'role=button[name="Menu" s]': { x: 10, y: 2000, width: 80, height: 20 },
+    });
+    const elements = await collectA11yElements(page);
+
+    assert.equal(
+      elements.find((e) => e.name === 'Newsletter'),
+      undefined,
+    );
+    assert.equal(elements.find((e) => e.name === 'Menu').inViewport, false);
+    assert.deepEqual(
+      elements.map((e) => e.id),
+      ['a1', 'a2', 'a3', 'a4', 'a5', 'a6', 'a7'],
+    );
+  });
+
+  it('respects the limit', async () => {
+    const elements = await collectA11yElements(mockPage(SNAPSHOT), { limit: 2 });
+    assert.equal(elements.length, 2);
+  });
+});
+
+describe('targetsA11yElements', () => {
+  it('detects a11y element ids', () => {
+    assert.equal(targetsA11yElements([{ type: 'click', elementId: 'a3' }]), true);
+    assert.equal(
+      targetsA11yElements([
+        { type: 'click', elementId: 'e3' },
+        { type: 'wait', ms: 10 },
+      ]),
+      false,
+    );
+    assert.equal(targetsA11yElements(undefined), false);
+  });
+});
+
+describe('captureSnapshot a11y mode', () => {
+  it('returns the element list as JSON', async () => {
+    const result = await captureSnapshot(mockPage(SNAPSHOT), { mode: 'a11y', maxTokens: 2000 });
+    const parsed = JSON.parse(result.text);
+
+    assert.equal(parsed.url, 'https://example.com/checkout');
+    assert.equal(parsed.title, 'Checkout');
+    assert.equal(parsed.elements[0].role, 'link');
+    assert.equal(parsed.truncated, false);
+  });
+
+  it('drops trailing elements to fit the budget', async () => {
+    const result = await captureSnapshot(mockPage(SNAPSHOT), { mode: 'a11y', maxTokens: 250 });
+    const parsed = JSON.parse(result.text);
+
+    assert.ok(result.tokens <= 250);
+    assert.equal(parsed.truncated, true);
+    assert.ok(parsed.elements.length < 8);
+  });
+});
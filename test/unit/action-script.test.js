@@ -0,0 +1,219 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  allowedEnv,
+  parseActionScript,
+  runActionScript,
+  matchesUrlGlob,
+  ScriptAssertionError,
+} from '../../src/action-script.js';
+import { ValidationError } from '../../src/actions.js';
+
+// A page whose elements are selectors with a count; clicking `a.next` moves to the next page.
+function mockPage({ counts = {}, text = '', url = 'https://portal.example.com/' } = {}) {
+  const page = {
+    calls: [],
+    pageNumber: 1,
+    url: () => url,
+    locator: (selector) => ({ count: async () => counts[selector] ?? 0 }),
+    evaluate: async () => text,
+    click: async (selector) => {
+      page.calls.push(['click', selector]);
+      if (selector === 'a.next') page.pageNumber++;
+    },
+    fill: async (selector, value) => page.calls.push(['fill', selector, value]),
+  };
+  return page;
+}
+
+describe('parseActionScript', () => {
+  it('parses YAML with vars and nested steps', () => {
+    const script = parseActionScript(`
+url: https://portal.example.com/login
+vars:
+  user: alice
+steps:
+  - click:e1
+  - { action: type, selector: "#user", value: "\${user}" }
+  - if_present: "#banner"
+    then: [{ action: click, selector: "#banner button" }]
+`);
+    assert.equal(script.url, 'https://portal.example.com/login');
+    assert.deepEqual(script.vars, { user: 'alice' });
+    assert.equal(script.steps.length, 3);
+  });
+
+  it('accepts a bare list of steps', () => {
+    assert.deepEqual(parseActionScript(['back', 'reload']), { vars: {}, steps: ['back', 'reload'] });
+  });
+
+  it('reports the path of an invalid step', () => {
+    assert.throws(
+      () => parseActionScript({ steps: [{ if_present: 'e1', then: [{ action: 'type', element: 'e2' }] }] }),
+      (err) => err instanceof ValidationError && err.message === 'steps[0].then[0]: type requires "value"',
+    );
+    assert.throws(() => parseActionScript({ steps: [{ action: 'drag' }] }), /unknown action "drag"/);
+    assert.throws(
+      () => parseActionScript({ steps: [{ repeat_until: { visible: 'e1' }, steps: ['back'] }] }),
+      /repeat_until/,
+    );
+    assert.throws(() => parseActionScript('steps: [unclosed'), /Invalid action script/);
+    assert.throws(
+      () => parseActionScript({ steps: [{ action: 'click', selector: [] }] }),
+      /steps\[0\]\.selector: expected a selector or a non-empty list/,
+    );
+  });
+});
+
+describe('matchesUrlGlob', () => {
+  it('matches * within a path segment and ** across segments', () => {
+    assert.ok(matchesUrlGlob('https://portal.example.com/orders/42', '**/orders/*'));
+    assert.ok(!matchesUrlGlob('https://portal.example.com/orders/42/items', '**/orders/*'));
+    assert.ok(matchesUrlGlob('https://portal.example.com/a?b=1', 'https://portal.example.com/a?b=1'));
+  });
+});
+
+describe('allowedEnv', () => {
+  it('keeps only the listed variables that are set', () => {
+    const env = { PORTAL_PASSWORD: 'hunter2', AWS_SECRET_ACCESS_KEY: 'nope', EMPTY: '' };
+    assert.deepEqual(allowedEnv(' PORTAL_PASSWORD, EMPTY,MISSING ', env), { PORTAL_PASSWORD: 'hunter2', EMPTY: '' });
+    assert.deepEqual(allowedEnv(undefined, env), {});
+  });
+});
+
+describe('runActionScript', () => {
+  it('interpolates variables and keeps env secrets out of results', async () => {
+    const page = mockPage();
+    const { results } = await runActionScript(
+      page,
+      {
+        vars: { user: 'alice', password: '${env:PORTAL_PASSWORD}' },
+        steps: [
+          { action: 'type', selector: '#user', value: '${user}' },
+          { action: 'type', selector: '#password', value: '${password}' },
+          'click:#login-${password}',
+        ],
+      },
+      { env: { PORTAL_PASSWORD: 'hunter2' } },
+    );
+
+    assert.deepEqual(page.calls, [
+      ['click', '#user'],
+      ['fill', '#user', 'alice'],
+      ['click', '#password'],
+      ['fill', '#password', 'hunter2'],
+      ['click', '#login-hunter2'],
+    ]);
+    assert.equal(results[2].step, 'steps[2]');
+    assert.equal(results[2].elementId, '#login-***');
+    assert.ok(!JSON.stringify(results).includes('hunter2'));
+  });
+
+  it('redacts secrets in errors and attaches the step and results so far', async () => {
+    const page = mockPage({ text: 'Welcome back' });
+    await assert.rejects(
+      runActionScript(
+        page,
+        { steps: ['click:#ok', { action: 'assert_text', text: 'Hello ${env:TOKEN}' }] },
+        { env: { TOKEN: 's3cret' } },
+      ),
+      (err) => {
+        assert.ok(err instanceof ScriptAssertionError);
+        assert.equal(err.message, 'Expected the page to contain "Hello ***"');
+        assert.ok(!err.stack.includes('s3cret'));
+        assert.equal(err.step, 'steps[1]');
+        assert.equal(err.results.length, 1);
+        return true;
+      },
+    );
+  });
+
+  it('masks secrets in the final URL and snapshot with the returned redact', async () => {
+    const page = mockPage({ url: 'https://portal.example.com/search?q=hunter2' });
+    const { redact } = await runActionScript(
+      page,
+      { steps: [{ action: 'type', selector: '#q', value: '${env:TOKEN}' }] },
+      { env: { TOKEN: 'hunter2' } },
+    );
+
+    const snapshot = { url: page.url(), elements: [{ id: 'e1', label: 'Search', value: 'hunter2' }] };
+    assert.deepEqual(redact({ finalUrl: page.url(), snapshot, text: 'You searched for hunter2' }), {
+      finalUrl: 'https://portal.example.com/search?q=***',
+      snapshot: {
+        url: 'https://portal.example.com/search?q=***',
+        elements: [{ id: 'e1', label: 'Search', value: '***' }],
+      },
+      text: 'You searched for ***',
+    });
+  });
+
+  it('rejects unset environment variables and unknown variables', async () => {
+    await assert.rejects(
+      runActionScript(mockPage(), { steps: ['click:${env:MISSING}'] }, { env: {} }),
+      /MISSING is not set/,
+    );
+    await assert.rejects(runActionScript(mockPage(), { steps: ['click:${nope}'] }), /Unknown variable "\$\{nope\}"/);
+  });
+
+  it('uses the first selector in a list that matches exactly one element', async () => {
+    const page = mockPage({ counts: { '#checkout': 0, 'role=button[name="Check out" s]': 1 } });
+    const { results } = await runActionScript(page, {
+      steps: [{ action: 'click', selector: ['#checkout', 'role=button[name="Check out" s]', 'form > button'] }],
+    });
+
+    assert.deepEqual(page.calls, [['click', 'role=button[name="Check out" s]']]);
+    assert.equal(results[0].elementId, '#checkout');
+  });
+
+  it('takes the branch matching if_present', async () => {
+    const page = mockPage({ counts: { '#cookie-banner': 1 } });
+    const { results } = await runActionScript(page, {
+      steps: [
+        { if_present: '#cookie-banner', then: ['click:#accept'], else: ['click:#never'] },
+        { if_present: { selector: '#survey' }, then: ['click:#dismiss'] },
+      ],
+    });
+
+    assert.deepEqual(page.calls, [['click', '#accept']]);
+    assert.deepEqual(
+      results.map((r) => [r.step, r.type, r.present]),
+      [
+        ['steps[0]', 'if_present', true],
+        ['steps[0].then[0]', 'click', undefined],
+        ['steps[1]', 'if_present', false],
+      ],
+    );
+  });
+
+  it('repeats steps until the condition holds', async () => {
+    const page = mockPage();
+    page.locator = (selector) => ({ count: async () => (selector === 'a.next' && page.pageNumber < 3 ? 1 : 0) });
+
+    const { results } = await runActionScript(page, {
+      steps: [{ repeat_until: { absent: 'a.next' }, max: 5, steps: [{ action: 'click', selector: 'a.next' }] }],
+    });
+
+    assert.equal(page.pageNumber, 3);
+    assert.equal(results.at(-1).iterations, 2);
+    assert.equal(results[1].step, 'steps[0]#2.steps[0]');
+  });
+
+  it('fails when repeat_until runs out of iterations', async () => {
+    const page = mockPage({ counts: { 'a.next': 1 } });
+    await assert.rejects(
+      runActionScript(page, { steps: [{ repeat_until: { absent: 'a.next' }, max: 2, steps: ['click:a.next'] }] }),
+      (err) => err instanceof ScriptAssertionError && /after 2 iterations/.test(err.message),
+    );
+    assert.equal(page.pageNumber, 3);
+  });
+
+  it('checks the URL with assert_url', async () => {
+    const page = mockPage({ url: 'https://portal.example.com/dashboard' });
+    const { results } = await runActionScript(page, { steps: [{ action: 'assert_url', pattern: '**/dashboard' }] });
+    assert.equal(results[0].ok, true);
+    await assert.rejects(
+      runActionScript(page, { steps: [{ action: 'assert_url', pattern: '**/login' }] }),
+      /Expected the URL to match "\*\*\/login", got https:\/\/portal.example.com\/dashboard/,
+    );
+  });
+});
@@ -1,6 +1,15 @@
 import { describe, it } from 'node:test';
 import assert from 'node:assert/strict';
-import { parseActionSpec, validateAction, ValidationError, ElementNotFoundError } from '../../src/actions.js';
+import { EventEmitter } from 'node:events';
+import {
+  parseActionSpec,
+  validateAction,
+  ActionExecutor,
+  ValidationError,
+  ElementNotFoundError,
+  ActionTimeoutError,
+  NETWORK_QUIET_MS,
+} from '../../src/actions.js';
 
 describe('parseActionSpec', () => {
   it('parses single click action', () => {
@@ -65,7 +74,65 @@ describe('parseActionSpec', () => {
   });
 
   it('throws on unknown action type', () => {
-    assert.throws(() => parseActionSpec('hover:e1'), ValidationError);
+    assert.throws(() => parseActionSpec('drag:e1'), ValidationError);
+  });
+
+  it('parses element, key and history actions', () => {
+    assert.deepEqual(
+      parseActionSpec('hover:e1,focus:e2,check:e3,uncheck:e4,press:Enter,press:e5:Control+A,back, forward,reload'),
+      [
+        { type: 'hover', elementId: 'e1' },
+        { type: 'focus', elementId: 'e2' },
+        { type: 'check', elementId: 'e3' },
+        { type: 'uncheck', elementId: 'e4' },
+        { type: 'press', key: 'Enter' },
+        { type: 'press', elementId: 'e5', key: 'Control+A' },
+        { type: 'back' },
+        { type: 'forward' },
+        { type: 'reload' },
+      ],
+    );
+  });
+
+  it('keeps a history word after a typed or selected value in that value', () => {
+    assert.deepEqual(parseActionSpec('type:e1:yes,back'), [
+      { type: 'type', elementId: 'e1', value: 'yes,back', slow: false },
+    ]);
+    assert.deepEqual(parseActionSpec('select:e2:Hold,reload,click:e3,back'), [
+      { type: 'select', elementId: 'e2', value: 'Hold,reload' },
+      { type: 'click', elementId: 'e3' },
+      { type: 'back' },
+    ]);
+  });
+
+  it('parses condition waits with optional timeouts', () => {
+    assert.deepEqual(
+      parseActionSpec('wait_for:e3,wait_for_text:Step 2: shipping:5000ms,wait_for_url:**/done,wait_for_idle'),
+      [
+        { type: 'wait_for', elementId: 'e3' },
+        { type: 'wait_for_text', text: 'Step 2: shipping', timeoutMs: 5000 },
+        { type: 'wait_for_url', pattern: '**/done' },
+        { type: 'wait_for_idle' },
+      ],
+    );
+    assert.deepEqual(parseActionSpec('wait_for_gone:e4:999999ms'), [
+      { type: 'wait_for_gone', elementId: 'e4', timeoutMs: 120000 },
+    ]);
+  });
+
+  it('throws on condition waits without a condition', () => {
+    assert.throws(() => parseActionSpec('wait_for_text:5000ms'), ValidationError);
+    assert.throws(() => parseActionSpec('wait_for_idle:soon'), ValidationError);
+  });
+
+  it('throws on press without a key', () => {
+    assert.throws(() => parseActionSpec('press:'), ValidationError);
+    assert.throws(() => parseActionSpec('press:e1:'), ValidationError);
+  });
+
+  it('rejects uploads outside the upload directory', () => {
+    assert.throws(() => parseActionSpec('upload:e1:/etc/passwd'), ValidationError);
+    assert.throws(() => parseActionSpec('upload:e1'), ValidationError);
   });
 
   it('throws on type without value', () => {
@@ -77,6 +144,19 @@ describe('parseActionSpec', () => {
     assert.equal(actions[0].value, 'user:pass');
   });
 
+  it('parses tab actions', () => {
+    assert.deepEqual(parseActionSpec('switch_tab:1,close_tab:0,new_tab:https://example.com/a'), [
+      { type: 'switch_tab', index: 1 },
+      { type: 'close_tab', index: 0 },
+      { type: 'new_tab', url: 'https://example.com/a' },
+    ]);
+  });
+
+  it('rejects invalid tab indexes', () => {
+    assert.throws(() => parseActionSpec('switch_tab:-1'), ValidationError);
+    assert.throws(() => parseActionSpec('close_tab:first'), ValidationError);
+  });
+
   it('handles type value containing commas', () => {
     const actions = parseActionSpec('type:e1:Hello, world,submit:e2');
     assert.equal(actions.length, 2);
@@ -104,7 +184,257 @@ describe('validateAction', () => {
     assert.throws(() => validateAction({ type: 'click', elementId: 'e99' }, elementMap), ElementNotFoundError);
   });
 
+  it('requires an element for press only when one is given', () => {
+    assert.doesNotThrow(() => validateAction({ type: 'press', key: 'Enter' }, elementMap));
+    assert.throws(
+      () => validateAction({ type: 'press', elementId: 'e9', key: 'Enter' }, elementMap),
+      ElementNotFoundError,
+    );
+  });
+
+  it('lets wait_for_gone name an element that is no longer on the page', () => {
+    assert.doesNotThrow(() => validateAction({ type: 'wait_for_gone', elementId: 'e99' }, elementMap));
+    assert.throws(() => validateAction({ type: 'wait_for', elementId: 'e99' }, elementMap), ElementNotFoundError);
+  });
+
   it('throws ValidationError for missing elementId', () => {
     assert.throws(() => validateAction({ type: 'click' }, elementMap), ValidationError);
   });
 });
+
+describe('ActionExecutor locator fallback', () => {
+  function mockPage(counts) {
+    const clicked = [];
+    return {
+      clicked,
+      locator: (selector) => ({ count: async () => counts[selector] ?? 0 }),
+      click: async (selector) => clicked.push(selector),
+    };
+  }
+
+  const locators = [
+    { strategy: 'testid', selector: '[data-testid="pay"]' },
+    { strategy: 'role', selector: 'role=button[name="Pay" s]' },
+    { strategy: 'css', selector: 'form > button:nth-of-type(2)' },
+  ];
+
+  it('uses the first candidate that matches exactly one element', async () => {
+    const page = mockPage({ '[data-testid="pay"]': 0, 'role=button[name="Pay" s]': 1 });
+    const result = await new ActionExecutor(page, { e1: locators }).execute({ type: 'click', elementId: 'e1' });
+
+    assert.equal(result.locator, 'role');
+    assert.equal(result.selector, 'role=button[name="Pay" s]');
+    assert.deepEqual(page.clicked, ['role=button[name="Pay" s]']);
+  });
+
+  it('skips ambiguous candidates', async () => {
+    const page = mockPage({
+      '[data-testid="pay"]': 2,
+      'role=button[name="Pay" s]': 3,
+      'form > button:nth-of-type(2)': 1,
+    });
+    const result = await new ActionExecutor(page, { e1: locators }).execute({ type: 'click', elementId: 'e1' });
+    assert.equal(result.locator, 'css');
+  });
+
+  it('falls back to the last candidate when nothing matches yet', async () => {
+    const result = await new ActionExecutor(mockPage({}), { e1: locators }).execute({ type: 'click', elementId: 'e1' });
+    assert.equal(result.selector, 'form > button:nth-of-type(2)');
+  });
+
+  it('accepts plain selector entries', async () => {
+    const page = mockPage({});
+    const result = await new ActionExecutor(page, { e1: '#btn' }).execute({ type: 'click', elementId: 'e1' });
+    assert.equal(result.selector, '#btn');
+    assert.equal(result.locator, 'selector');
+  });
+
+  it('runs element actions through the resolved locator', async () => {
+    const calls = [];
+    const page = {
+      locator: () => ({ count: async () => 1 }),
+      hover: async (selector) => calls.push(['hover', selector]),
+      setChecked: async (selector, checked) => calls.push(['setChecked', selector, checked]),
+      press: async (selector, key) => calls.push(['press', selector, key]),
+      keyboard: { press: async (key) => calls.push(['keyboard', key]) },
+    };
+    const executor = new ActionExecutor(page, { e1: locators });
+
+    const result = await executor.execute({ type: 'uncheck', elementId: 'e1' });
+    assert.deepEqual(result, {
+      type: 'uncheck',
+      elementId: 'e1',
+      selector: '[data-testid="pay"]',
+      locator: 'testid',
+      ok: true,
+    });
+    await executor.execute({ type: 'hover', elementId: 'e1' });
+    await executor.execute({ type: 'press', elementId: 'e1', key: 'Enter' });
+    await executor.execute({ type: 'press', key: 'Escape' });
+
+    assert.deepEqual(calls, [
+      ['setChecked', '[data-testid="pay"]', false],
+      ['hover', '[data-testid="pay"]'],
+      ['press', '[data-testid="pay"]', 'Enter'],
+      ['keyboard', 'Escape'],
+    ]);
+  });
+
+  it('throws ElementNotFoundError for unknown ids', async () => {
+    await assert.rejects(
+      new ActionExecutor(mockPage({}), {}).execute({ type: 'click', elementId: 'e9' }),
+      ElementNotFoundError,
+    );
+  });
+});
+
+describe('ActionExecutor tabs', () => {
+  function mockContext(urls) {
+    const context = { pages: () => pages };
+    const makePage = (url) => {
+      const page = {
+        url: () => url,
+        context: () => context,
+        bringToFront: async () => {},
+        close: async () => pages.splice(pages.indexOf(page), 1),
+        goto: async (target) => (url = target),
+        waitForLoadState: async () => {},
+      };
+      return page;
+    };
+    const pages = urls.map(makePage);
+    context.newPage = async () => {
+      const page = makePage('about:blank');
+      pages.push(page);
+      return page;
+    };
+    return pages;
+  }
+
+  it('switches to another tab and forgets element ids', async () => {
+    const pages = mockContext(['https://example.com/', 'https://example.com/popup']);
+    const executor = new ActionExecutor(pages[0], { e1: '#btn' });
+
+    const result = await executor.execute({ type: 'switch_tab', index: 1 });
+    assert.deepEqual(result, { type: 'switch_tab', index: 1, url: 'https://example.com/popup', ok: true });
+    assert.equal(executor.page, pages[1]);
+
+    await assert.rejects(executor.execute({ type: 'click', elementId: 'e1' }), /previous tab/);
+  });
+
+  it('rejects a tab index that is not open', async () => {
+    const pages = mockContext(['https://example.com/']);
+    await assert.rejects(
+      new ActionExecutor(pages[0], {}).execute({ type: 'switch_tab', index: 3 }),
+      (err) => err instanceof ValidationError && /open tabs are 0-0/.test(err.message),
+    );
+  });
+
+  it('moves to the previous tab when the active one is closed', async () => {
+    const pages = mockContext(['https://example.com/', 'https://example.com/a', 'https://example.com/b']);
+    const executor = new ActionExecutor(pages[2], {});
+
+    const result = await executor.execute({ type: 'close_tab', index: 2 });
+    assert.equal(result.activeUrl, 'https://example.com/a');
+    assert.equal(pages.length, 2);
+  });
+
+  it('refuses to close the only tab', async () => {
+    const pages = mockContext(['https://example.com/']);
+    await assert.rejects(new ActionExecutor(pages[0], {}).execute({ type: 'close_tab', index: 0 }), /only tab/);
+  });
+
+  it('opens a new tab and makes it active', async () => {
+    const pages = mockContext(['https://example.com/']);
+    const executor = new ActionExecutor(pages[0], {});
+
+    const result = await executor.execute({ type: 'new_tab', url: 'https://example.com/docs' });
+    assert.equal(result.index, 1);
+    assert.equal(result.finalUrl, 'https://example.com/docs');
+    assert.equal(executor.page, pages[1]);
+  });
+});
+
+describe('ActionExecutor condition waits', () => {
+  function timeoutError() {
+    const err = new Error('Timeout 50ms exceeded.');
+    err.name = 'TimeoutError';
+    return err;
+  }
+
+  it('waits for an element with the action timeout', async () => {
+    const calls = [];
+    const page = {
+      url: () => 'https://example.com/',
+      waitForSelector: async (selector, options) => calls.push([selector, options]),
+    };
+    const result = await new ActionExecutor(page, { e3: '#toast' }).execute({
+      type: 'wait_for_gone',
+      elementId: 'e3',
+      timeoutMs: 2000,
+    });
+
+    assert.equal(result.ok, true);
+    assert.deepEqual(calls, [['#toast', { state: 'hidden', timeout: 2000 }]]);
+  });
+
+  it('names the condition when it times out', async () => {
+    const page = {
+      url: () => 'https://example.com/',
+      waitForFunction: async () => {
+        throw timeoutError();
+      },
+    };
+    const executor = new ActionExecutor(page, {}, { defaultTimeoutMs: 50 });
+
+    await assert.rejects(executor.execute({ type: 'wait_for_text', text: 'Order placed' }), (err) => {
+      assert.ok(err instanceof ActionTimeoutError);
+      assert.equal(err.timeoutMs, 50);
+      assert.equal(err.condition, 'text "Order placed"');
+      assert.match(err.message, /waiting for text "Order placed"/);
+      return true;
+    });
+  });
+
+  // A loaded page (so `networkidle` resolves at once) whose search button starts
+  // a fetch; the test ends the request by calling `finish`.
+  function searchPage() {
+    const page = Object.assign(new EventEmitter(), {
+      url: () => 'https://example.com/',
+      locator: () => ({ count: async () => 1 }),
+      waitForLoadState: async () => {},
+      click: async () => {
+        const request = {};
+        page.emit('request', request);
+        page.finish = () => {
+          page.finishedAt = Date.now();
+          page.emit('requestfinished', request);
+        };
+      },
+    });
+    return page;
+  }
+
+  it('waits for requests an action starts after the page has loaded', async () => {
+    const page = searchPage();
+    const executor = new ActionExecutor(page, { e1: '#search' });
+    await executor.execute({ type: 'click', elementId: 'e1' });
+    setTimeout(() => page.finish(), 100);
+
+    const result = await executor.execute({ type: 'wait_for_idle' });
+    assert.equal(result.ok, true);
+    assert.ok(page.finishedAt, 'returned while the request was in flight');
+    assert.ok(Date.now() - page.finishedAt >= NETWORK_QUIET_MS);
+  });
+
+  it('times out while a request stays in flight', async () => {
+    const executor = new ActionExecutor(searchPage(), { e1: '#search' }, { defaultTimeoutMs: 100 });
+    await executor.execute({ type: 'click', elementId: 'e1' });
+
+    await assert.rejects(executor.execute({ type: 'wait_for_idle' }), (err) => {
+      assert.ok(err instanceof ActionTimeoutError);
+      assert.equal(err.condition, 'network idle');
+      return true;
+    });
+  });
+});
@@ -0,0 +1,147 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'node:events';
+import { Buffer } from 'node:buffer';
+import { ApiCapture, parseCaptureOption } from '../../src/api-capture.js';
+import { extractFetched } from '../../src/documents.js';
+import { fitApiResponses, formatJson, formatText } from '../../src/formatter.js';
+
+// Just enough of a Playwright Response for ApiCapture.
+function fakeResponse(url, { type = 'fetch', method = 'GET', status = 200, headers = {}, body = '' } = {}) {
+  return {
+    url: () => url,
+    status: () => status,
+    headers: () => headers,
+    body: async () => Buffer.from(body),
+    request: () => ({ resourceType: () => type, method: () => method }),
+  };
+}
+
+const JSON_HEADERS = { 'content-type': 'application/json; charset=utf-8' };
+const products = Array.from({ length: 40 }, (_, i) => ({ id: i + 1, name: `Product ${i + 1}`, price: 10 + i }));
+
+describe('parseCaptureOption', () => {
+  it('accepts a glob, a list of globs or an options object', () => {
+    assert.equal(parseCaptureOption(null), null);
+    assert.deepEqual(parseCaptureOption('**/api/**').patterns, ['**/api/**']);
+    assert.deepEqual(parseCaptureOption(['**/a', '**/b']).patterns, ['**/a', '**/b']);
+    const opts = parseCaptureOption({ patterns: '**/graphql', anyType: true, maxBytes: 10 });
+    assert.equal(opts.anyType, true);
+    assert.equal(opts.maxBytes, 10);
+    assert.throws(() => parseCaptureOption([]), /at least one URL glob/);
+  });
+});
+
+describe('ApiCapture', () => {
+  it('keeps the JSON bodies of matching XHR/fetch responses', async () => {
+    const context = new EventEmitter();
+    const capture = new ApiCapture({ patterns: ['https://shop.example.com/api/**'] }).attach(context);
+
+    const emit = (...args) => context.emit('response', fakeResponse(...args));
+    emit('https://shop.example.com/api/products?page=1', { headers: JSON_HEADERS, body: JSON.stringify(products) });
+    emit('https://shop.example.com/api/cart', {
+      type: 'xhr',
+      method: 'POST',
+      status: 201,
+      headers: JSON_HEADERS,
+      body: '{"items":0}',
+    });
+    emit('https://shop.example.com/api/logo.png', { headers: { 'content-type': 'image/png' }, body: 'PNG' });
+    emit('https://shop.example.com/api/page', { type: 'document', headers: JSON_HEADERS, body: '{}' });
+    emit('https://cdn.example.com/data.json', { headers: JSON_HEADERS, body: '{}' });
+
+    const api = await capture.results();
+    assert.equal(api.length, 2);
+    assert.deepEqual(api[0], {
+      url: 'https://shop.example.com/api/products?page=1',
+      method: 'GET',
+      status: 200,
+      contentType: 'application/json',
+      data: products,
+    });
+    assert.deepEqual(api[1].data, { items: 0 });
+    assert.equal(api[1].method, 'POST');
+
+    capture.detach();
+    assert.equal(context.listenerCount('response'), 0);
+  });
+
+  it('caps body size and count, and captures other types on request', async () => {
+    const context = new EventEmitter();
+    const capture = new ApiCapture({ patterns: '**/v1/**', anyType: true, maxBytes: 64, maxResponses: 2 }).attach(
+      context,
+    );
+
+    context.emit(
+      'response',
+      fakeResponse('https://a.example/v1/big', { headers: JSON_HEADERS, body: 'x'.repeat(100) }),
+    );
+    context.emit(
+      'response',
+      fakeResponse('https://a.example/v1/csv', { headers: { 'content-type': 'text/csv' }, body: 'a,b' }),
+    );
+    context.emit('response', fakeResponse('https://a.example/v1/late', { headers: JSON_HEADERS, body: '{}' }));
+
+    const api = await capture.results();
+    assert.deepEqual(
+      api.map((e) => [e.url, e.truncated ?? false, e.size, e.text?.length]),
+      [
+        ['https://a.example/v1/big', true, 100, 64],
+        ['https://a.example/v1/csv', false, undefined, 3],
+      ],
+    );
+    assert.equal(capture.skipped, 1);
+  });
+});
+
+describe('api output', () => {
+  const api = [
+    {
+      url: 'https://shop.example.com/api/products',
+      method: 'GET',
+      status: 200,
+      contentType: 'application/json',
+      data: { total: 40, products },
+    },
+  ];
+
+  it('returns captured responses even when the page has no extractable text', async () => {
+    const extracted = extractFetched(
+      { html: '<html><head><title>Shop</title></head><body><div id="root"></div></body></html>', title: 'Shop', api },
+      'https://shop.example.com/',
+    );
+    assert.equal(extracted.article.text, '');
+    assert.equal(extracted.api, api);
+
+    const out = await formatText({ url: 'https://shop.example.com/' }, extracted, { maxTokens: 400 });
+    assert.match(
+      out.text,
+      /## API responses\n\nGET https:\/\/shop.example.com\/api\/products \(200\)\n\{\n {2}"total": 40/,
+    );
+    assert.ok(out.tokens <= 400);
+    assert.equal(out.truncated, true);
+    assert.match(out.text, /"… \d+ more items"/);
+  });
+
+  it('adds a budgeted `api` field to JSON output and leaves room for the article', async () => {
+    const extracted = {
+      article: { title: 'Shop', text: 'Our products are listed below.\n\n'.repeat(80), content: '' },
+      api,
+    };
+    const out = await formatJson({ url: 'https://shop.example.com/' }, extracted, { maxTokens: 600 });
+    const obj = JSON.parse(out.text);
+    assert.ok(obj.tokens <= 600);
+    assert.equal(obj.truncated, true);
+    assert.equal(obj.api[0].data.total, 40);
+    assert.ok(obj.api[0].data.products.length < 40);
+    assert.ok(obj.article.text.length > 0);
+  });
+
+  it('fits responses on their own for action results', async () => {
+    const small = await fitApiResponses(api, { maxTokens: 5000 });
+    assert.deepEqual(small, { api, truncated: false });
+    const fitted = await fitApiResponses(api, { maxTokens: 200 });
+    assert.equal(fitted.truncated, true);
+    assert.match(fitted.api[0].data.products.at(-1), /more items$/);
+  });
+});
@@ -0,0 +1,102 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { setImmediate } from 'node:timers/promises';
+import { fetchPages, parseUrlList, splitTokenBudget } from '../../src/batch.js';
+import { TimeoutError } from '../../src/errors.js';
+import { SSRFError } from '../../src/security.js';
+
+// Let pending callbacks run until `done()` holds, without depending on wall-clock time.
+async function until(done) {
+  for (let i = 0; i < 100 && !done(); i++) await setImmediate();
+  assert.ok(done());
+}
+
+describe('parseUrlList', () => {
+  it('skips blank lines, comments and repeats', () => {
+    const text = '# sources\nhttps://a.example.com/\n\n  https://b.example.com/  \r\nhttps://a.example.com/\n';
+    assert.deepEqual(parseUrlList(text), ['https://a.example.com/', 'https://b.example.com/']);
+  });
+});
+
+describe('splitTokenBudget', () => {
+  it('splits evenly without exceeding the total', () => {
+    assert.equal(splitTokenBudget(8000, 4), 2000);
+    assert.equal(splitTokenBudget(8000, 40), 200);
+    assert.throws(() => splitTokenBudget(8000, 50), /less than 200 per page for 50 pages; raise it to at least 10000/);
+  });
+});
+
+describe('fetchPages', () => {
+  it('runs at most `concurrency` fetches at once and reports each as it finishes', async () => {
+    let active = 0;
+    let maxActive = 0;
+    const started = [];
+    const finish = {};
+    const finished = [];
+
+    // Each fetch stays open until the test calls `finish[url]()`.
+    const run = fetchPages(['https://a.example.com/', 'https://b.example.com/', 'https://c.example.com/'], {
+      concurrency: 2,
+      maxTokens: 3000,
+      onResult: (record) => finished.push(record.url),
+      fetchPage: (url, { maxTokens, mode }) =>
+        new Promise((resolve) => {
+          maxActive = Math.max(maxActive, ++active);
+          started.push(url);
+          finish[url] = () => {
+            active--;
+            resolve({ finalUrl: url, status: 200, tokens: 10, truncated: false, content: `${mode}:${maxTokens}` });
+          };
+        }),
+    });
+
+    await until(() => started.length === 2);
+    assert.deepEqual(started, ['https://a.example.com/', 'https://b.example.com/']);
+    finish['https://b.example.com/']();
+    await until(() => started.length === 3);
+    finish['https://c.example.com/']();
+    await until(() => finished.length === 2);
+    finish['https://a.example.com/']();
+    const results = await run;
+
+    assert.equal(maxActive, 2);
+    assert.deepEqual(finished, ['https://b.example.com/', 'https://c.example.com/', 'https://a.example.com/']);
+    assert.deepEqual(
+      results.map((r) => [r.index, r.ok, r.content]),
+      [
+        [0, true, 'text:1000'],
+        [1, true, 'text:1000'],
+        [2, true, 'text:1000'],
+      ],
+    );
+  });
+
+  it('captures errors per URL with their code', async () => {
+    const results = await fetchPages(['https://slow.example.com/', 'http://10.0.0.1/', 'https://ok.example.com/'], {
+      fetchPage: async (url) => {
+        if (url.includes('slow')) throw new TimeoutError(url, 45000);
+        if (url.includes('10.0.0.1')) throw new SSRFError('Private IP addresses are not allowed: 10.0.0.1', { url });
+        return { finalUrl: url, content: 'ok' };
+      },
+    });
+
+    assert.equal(results[0].ok, false);
+    assert.equal(results[0].error.code, 'E_TIMEOUT');
+    assert.equal(results[0].error.error, 'TimeoutError');
+    assert.ok(results[0].error.suggestion);
+    assert.deepEqual(results[1].error, {
+      error: 'SSRFError',
+      code: 'E_INVALID_URL',
+      message: 'Private IP addresses are not allowed: 10.0.0.1',
+      url: 'http://10.0.0.1/',
+    });
+    assert.equal(results[2].ok, true);
+  });
+
+  it('rejects unknown modes', async () => {
+    await assert.rejects(
+      fetchPages(['https://a.example.com/'], { mode: 'interactive' }),
+      /Expected text\|markdown\|json/,
+    );
+  });
+});
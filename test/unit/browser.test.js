@@ -1,6 +1,15 @@
 import { describe, it, afterEach } from 'node:test';
 import assert from 'node:assert/strict';
-import { launchBrowser, navigateAndWait, closeBrowser, fetchRenderedHtml } from '../../src/browser.js';
+import { devices } from 'playwright';
+import {
+  browserTypeFor,
+  deviceContextOptions,
+  launchBrowser,
+  navigateAndWait,
+  closeBrowser,
+  fetchRenderedHtml,
+  parseReadyCondition,
+} from '../../src/browser.js';
 
 describe('browser', () => {
   let browser, context, page;
@@ -38,6 +47,51 @@ describe('browser', () => {
     });
   });
 
+  describe('parseReadyCondition', () => {
+    it('parses load states and page conditions', () => {
+      assert.equal(parseReadyCondition('networkidle'), 'networkidle');
+      assert.deepEqual(parseReadyCondition('selector:#results li'), { selector: '#results li' });
+      assert.deepEqual(parseReadyCondition('text:Checkout: step 2'), { text: 'Checkout: step 2' });
+      assert.deepEqual(parseReadyCondition({ selector: 'main' }), { selector: 'main' });
+    });
+
+    it('rejects unknown conditions', () => {
+      assert.throws(() => parseReadyCondition('idle'), /Invalid wait condition/);
+      assert.throws(() => parseReadyCondition('selector:'), /Invalid wait condition/);
+    });
+  });
+
+  describe('browser engines', () => {
+    it('maps browser names to Playwright browser types', () => {
+      assert.equal(browserTypeFor().name(), 'chromium');
+      assert.equal(browserTypeFor('firefox').name(), 'firefox');
+      assert.equal(browserTypeFor('webkit').name(), 'webkit');
+      assert.throws(() => browserTypeFor('safari'), /Invalid browser: safari/);
+    });
+
+    it('adapts device descriptors to the engine', () => {
+      const iphone = devices['iPhone 13'];
+      const webkit = deviceContextOptions(iphone, 'webkit');
+      assert.equal(webkit.isMobile, true);
+      assert.equal(webkit.defaultBrowserType, undefined);
+      assert.deepEqual(webkit.viewport, iphone.viewport);
+
+      // Firefox has no mobile emulation; it keeps the size, touch and user agent.
+      const firefox = deviceContextOptions(iphone, 'firefox');
+      assert.equal('isMobile' in firefox, false);
+      assert.equal(firefox.hasTouch, true);
+      assert.equal(firefox.userAgent, iphone.userAgent);
+      assert.equal(iphone.isMobile, true);
+    });
+
+    it('refuses another browser on the http engine', async () => {
+      await assert.rejects(
+        fetchRenderedHtml('https://example.com/', { engine: 'http', browserName: 'firefox' }),
+        /http engine does not support firefox/,
+      );
+    });
+  });
+
   describe('navigateAndWait', () => {
     it('navigates to URL and returns metadata', { timeout: 60000 }, async () => {
       const launched = await launchBrowser({ headless: true });
@@ -0,0 +1,143 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { ResponseCache, cacheKey, parseCacheControl } from '../../src/cache.js';
+
+const page = (headers = {}) => ({
+  html: '<html><body>Docs</body></html>',
+  finalUrl: 'https://docs.example.com/guide',
+  status: 200,
+  title: 'Guide',
+  headers,
+});
+
+describe('parseCacheControl', () => {
+  it('reads no-store, no-cache and max-age', () => {
+    assert.deepEqual(parseCacheControl('public, max-age=300'), { noStore: false, noCache: false, maxAgeMs: 300000 });
+    assert.deepEqual(parseCacheControl('no-store'), { noStore: true, noCache: false, maxAgeMs: null });
+    assert.deepEqual(parseCacheControl('No-Cache, max-age="0"'), { noStore: false, noCache: true, maxAgeMs: 0 });
+    assert.deepEqual(parseCacheControl(undefined), { noStore: false, noCache: false, maxAgeMs: null });
+  });
+});
+
+describe('cacheKey', () => {
+  it('ignores the fragment and query order but not the fetch options', () => {
+    const a = cacheKey('https://Docs.Example.com/guide?b=2&a=1#intro', { waitFor: 'scroll' });
+    assert.equal(a, cacheKey('https://docs.example.com/guide?a=1&b=2', { waitFor: 'scroll' }));
+    assert.notEqual(a, cacheKey('https://docs.example.com/guide?a=1&b=2', { waitFor: 'load' }));
+  });
+});
+
+describe('ResponseCache', () => {
+  let dir;
+  let clock;
+  const now = () => clock;
+
+  before(() => {
+    dir = mkdtempSync(join(tmpdir(), 'lean-browser-cache-'));
+  });
+  after(() => rmSync(dir, { recursive: true, force: true }));
+
+  it('serves a fresh entry without rendering, for the shorter of the TTL and max-age', async () => {
+    clock = 1_000_000;
+    const cache = new ResponseCache({ dir, ttlMs: 60_000, now });
+    let renders = 0;
+    const render = async () => {
+      renders++;
+      return page({ 'cache-control': 'max-age=30' });
+    };
+
+    assert.equal((await cache.fetch('https://docs.example.com/a', {}, render)).cache, 'miss');
+    clock += 20_000;
+    const hit = await cache.fetch('https://docs.example.com/a#top', {}, render);
+    assert.equal(hit.cache, 'hit');
+    assert.equal(hit.html, '<html><body>Docs</body></html>');
+    assert.equal(hit.headers, undefined);
+    assert.equal(renders, 1);
+
+    clock += 20_000;
+    assert.equal((await cache.fetch('https://docs.example.com/a', {}, render)).cache, 'miss');
+    assert.equal(renders, 2);
+  });
+
+  it('revalidates a stale entry with its validators and re-renders when it changed', async () => {
+    clock = 2_000_000;
+    const seen = [];
+    let notModified = true;
+    const cache = new ResponseCache({
+      dir,
+      ttlMs: 1000,
+      now,
+      revalidate: async (entry) => {
+        seen.push([entry.etag, entry.lastModified]);
+        return notModified;
+      },
+    });
+    let renders = 0;
+    const render = async () => {
+      renders++;
+      return page({ etag: '"v1"', 'last-modified': 'Mon, 01 Jan 2024 00:00:00 GMT' });
+    };
+
+    await cache.fetch('https://docs.example.com/b', {}, render);
+    clock += 5000;
+    assert.equal((await cache.fetch('https://docs.example.com/b', {}, render)).cache, 'revalidated');
+    assert.equal((await cache.fetch('https://docs.example.com/b', {}, render)).cache, 'hit');
+    assert.equal(renders, 1);
+
+    clock += 5000;
+    notModified = false;
+    assert.equal((await cache.fetch('https://docs.example.com/b', {}, render)).cache, 'miss');
+    assert.equal(renders, 2);
+    assert.deepEqual(seen[0], ['"v1"', 'Mon, 01 Jan 2024 00:00:00 GMT']);
+  });
+
+  it('revalidates over HTTP with the user agent and extra headers it was fetched with', async () => {
+    clock = 2_500_000;
+    const realFetch = globalThis.fetch;
+    const requests = [];
+    globalThis.fetch = async (url, init) => {
+      requests.push({ url, headers: init.headers });
+      return new globalThis.Response(null, { status: 304 });
+    };
+    try {
+      const cache = new ResponseCache({ dir, ttlMs: 1000, now });
+      const variant = { userAgent: 'DocsBot/2.0', extraHeaders: { 'accept-language': 'de' } };
+      await cache.fetch('https://docs.example.com/c', variant, async () => page({ etag: '"v2"' }));
+      clock += 5000;
+      assert.equal(
+        (await cache.fetch('https://docs.example.com/c', variant, async () => assert.fail('re-rendered'))).cache,
+        'revalidated',
+      );
+    } finally {
+      globalThis.fetch = realFetch;
+    }
+
+    assert.equal(requests.length, 1);
+    assert.equal(requests[0].url, 'https://docs.example.com/guide');
+    assert.equal(requests[0].headers['user-agent'], 'DocsBot/2.0');
+    assert.equal(requests[0].headers['accept-language'], 'de');
+    assert.equal(requests[0].headers['if-none-match'], '"v2"');
+  });
+
+  it('does not store error responses or no-store pages, and reports and clears its entries', async () => {
+    clock = 3_000_000;
+    const cache = new ResponseCache({ dir, now });
+    await cache.clear();
+
+    assert.equal(await cache.store('https://docs.example.com/404', {}, { ...page(), status: 404 }), false);
+    assert.equal(await cache.store('https://docs.example.com/me', {}, page({ 'cache-control': 'no-store' })), false);
+    assert.equal(await cache.store('https://docs.example.com/c', {}, page()), true);
+    assert.equal(await cache.store('https://docs.example.com/d', {}, page({ 'cache-control': 'no-cache' })), true);
+
+    const stats = await cache.stats();
+    assert.equal(stats.entries, 2);
+    assert.equal(stats.fresh, 1);
+    assert.equal(stats.stale, 1);
+    assert.ok(stats.bytes > 0);
+    assert.equal(await cache.clear(), 2);
+    assert.equal((await cache.stats()).entries, 0);
+  });
+});
@@ -0,0 +1,111 @@
+import { describe, it } from 'node:test';
+import { Buffer } from 'node:buffer';
+import assert from 'node:assert/strict';
+import { createChunkedDocument, readChunk, splitIntoChunks } from '../../src/chunks.js';
+import { estimateTokens } from '../../src/tokenizer.js';
+
+const meta = { url: 'https://example.com/terms', finalUrl: 'https://example.com/terms', status: 200 };
+
+function longArticle() {
+  const paras = Array.from(
+    { length: 40 },
+    (_, i) => `Clause ${i + 1}. The parties agree that the provisions in this section apply to every order placed.`,
+  );
+  return { article: { title: 'Terms of Service', text: paras.join('\n\n'), content: '' } };
+}
+
+describe('splitIntoChunks', () => {
+  it('packs paragraphs into chunks within the budget', async () => {
+    const body = Array.from({ length: 20 }, (_, i) => `Paragraph ${i} has a handful of words in it.`).join('\n\n');
+    const chunks = await splitIntoChunks(body, 40);
+
+    assert.ok(chunks.length > 1);
+    for (const chunk of chunks) {
+      assert.ok((await estimateTokens(chunk)) <= 40);
+    }
+    assert.equal(chunks.join('\n\n'), body);
+  });
+
+  it('splits a paragraph larger than the budget', async () => {
+    const body = 'word '.repeat(300).trim();
+    const chunks = await splitIntoChunks(body, 50);
+
+    assert.ok(chunks.length > 1);
+    for (const chunk of chunks) {
+      assert.ok((await estimateTokens(chunk)) <= 50);
+    }
+    assert.equal(chunks.join(' ').split(' ').length, 300);
+  });
+
+  it('keeps code fences with blank lines together', async () => {
+    const body = 'Intro.\n\n```js\nconst a = 1;\n\nconst b = 2;\n```\n\nOutro.';
+    const chunks = await splitIntoChunks(body, 1000);
+    assert.deepEqual(chunks, [body]);
+  });
+
+  it('returns one empty chunk for an empty body', async () => {
+    assert.deepEqual(await splitIntoChunks('', 100), ['']);
+  });
+});
+
+describe('createChunkedDocument / readChunk', () => {
+  it('returns chunk 1 of N with a cursor and pages through the rest', async () => {
+    const first = await createChunkedDocument(meta, longArticle(), { mode: 'text', maxTokens: 200 });
+
+    assert.equal(first.chunk, 1);
+    assert.ok(first.totalChunks > 1);
+    assert.ok(first.tokens <= 200);
+    assert.match(first.text, /^# Terms of Service/);
+    assert.match(first.text, new RegExp(`Chunk: 1 of ${first.totalChunks}`));
+    assert.ok(first.text.includes(`next cursor: ${first.cursor}`));
+
+    const seen = [first];
+    let cursor = first.cursor;
+    while (cursor) {
+      const next = await readChunk(cursor);
+      assert.ok(next.tokens <= 200);
+      seen.push(next);
+      cursor = next.cursor;
+    }
+
+    assert.equal(seen.length, first.totalChunks);
+    assert.match(seen.at(-1).text, /end of document\]$/);
+    const all = seen.map((c) => c.text).join('\n');
+    for (let i = 1; i <= 40; i++) {
+      assert.ok(all.includes(`Clause ${i}.`), `missing clause ${i}`);
+    }
+  });
+
+  it('is deterministic when reading the same cursor twice', async () => {
+    const first = await createChunkedDocument(meta, longArticle(), { mode: 'text', maxTokens: 200 });
+    const a = await readChunk(first.cursor);
+    const b = await readChunk(first.cursor);
+    assert.equal(a.text, b.text);
+  });
+
+  it('chunks the markdown rendering in markdown mode', async () => {
+    const extracted = {
+      article: { title: 'Guide', text: 'Setup', content: '<h2>Setup</h2><p>Install the <strong>CLI</strong>.</p>' },
+    };
+    const out = await createChunkedDocument(meta, extracted, { mode: 'markdown', maxTokens: 200 });
+
+    assert.equal(out.totalChunks, 1);
+    assert.equal(out.cursor, null);
+    assert.ok(out.text.includes('## Setup'));
+    assert.ok(out.text.includes('**CLI**'));
+  });
+
+  it('rejects unsupported modes and tiny budgets', async () => {
+    await assert.rejects(
+      createChunkedDocument(meta, longArticle(), { mode: 'json', maxTokens: 200 }),
+      /text\|markdown/,
+    );
+    await assert.rejects(createChunkedDocument(meta, longArticle(), { mode: 'text', maxTokens: 20 }), /too small/);
+  });
+
+  it('rejects malformed and unknown cursors', async () => {
+    await assert.rejects(readChunk('not-a-cursor'), /Invalid cursor/);
+    const unknown = Buffer.from('000000000000:1').toString('base64url');
+    await assert.rejects(readChunk(unknown), /not found or expired/);
+  });
+});
@@ -0,0 +1,126 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { crawlSite, scopeFilter } from '../../src/crawler.js';
+import { NetworkError } from '../../src/errors.js';
+import { RobotsRules, parseRobotsTxt } from '../../src/robots.js';
+
+const SITE = {
+  'https://docs.example.com/guide/': {
+    links: [
+      'https://docs.example.com/guide/install',
+      'https://docs.example.com/guide/install?ref=nav',
+      'https://docs.example.com/blog/',
+      'https://other.example.com/',
+      'https://docs.example.com/guide/logo.png',
+      'https://docs.example.com/guide/private/notes',
+    ],
+  },
+  'https://docs.example.com/guide/install': { links: ['https://docs.example.com/guide/config'] },
+  'https://docs.example.com/guide/install?ref=nav': { canonical: 'https://docs.example.com/guide/install' },
+  'https://docs.example.com/guide/config': { links: ['https://docs.example.com/guide/deep'] },
+  'https://docs.example.com/guide/deep': {},
+  'https://docs.example.com/blog/': {},
+};
+
+function mockSite(site = SITE) {
+  const fetched = [];
+  const fetchPage = async (url, { withLinks }) => {
+    fetched.push(url);
+    const page = site[url];
+    if (!page) throw new NetworkError(url, 'net::ERR_FAILED');
+    assert.equal(withLinks, true);
+    return { finalUrl: url, status: 200, content: `# ${url}`, links: page.links ?? [], canonical: page.canonical };
+  };
+  return { fetched, fetchPage };
+}
+
+const allowAll = async () => new RobotsRules([], { source: 'missing' });
+
+describe('scopeFilter', () => {
+  it('supports same-origin, path-prefix and regex scopes', () => {
+    const start = 'https://docs.example.com/guide/intro';
+    assert.ok(scopeFilter(start, 'same-origin')('https://docs.example.com/blog/'));
+    assert.ok(!scopeFilter(start, 'same-origin')('https://other.example.com/guide/'));
+    assert.ok(scopeFilter(start, 'path-prefix')('https://docs.example.com/guide/config'));
+    assert.ok(!scopeFilter(start, 'path-prefix')('https://docs.example.com/blog/'));
+    assert.ok(scopeFilter(start, 'regex:/v2/')('https://cdn.example.com/v2/a'));
+    assert.throws(() => scopeFilter(start, 'subdomains'), /Invalid scope "subdomains"/);
+    assert.throws(() => scopeFilter(start, 'regex:('), /Invalid scope pattern/);
+  });
+});
+
+describe('crawlSite', () => {
+  it('crawls breadth-first within scope and depth, skipping assets and canonical duplicates', async () => {
+    const { fetched, fetchPage } = mockSite();
+    const seen = [];
+    const { pages, stats } = await crawlSite('https://docs.example.com/guide/', {
+      maxDepth: 2,
+      scope: 'path-prefix',
+      exclude: ['/private/'],
+      fetchPage,
+      loadRobots: allowAll,
+      onPage: (record) => seen.push(record.url),
+    });
+
+    assert.deepEqual(fetched, [
+      'https://docs.example.com/guide/',
+      'https://docs.example.com/guide/install',
+      'https://docs.example.com/guide/install?ref=nav',
+      'https://docs.example.com/guide/config',
+    ]);
+    assert.deepEqual(
+      pages.map((p) => [p.url, p.depth]),
+      [
+        ['https://docs.example.com/guide/', 0],
+        ['https://docs.example.com/guide/install', 1],
+        ['https://docs.example.com/guide/config', 2],
+      ],
+    );
+    assert.deepEqual(
+      seen,
+      pages.map((p) => p.url),
+    );
+    assert.equal(stats.duplicates, 1);
+    assert.deepEqual(stats.robots, { 'https://docs.example.com': 'missing' });
+  });
+
+  it('obeys robots.txt and stops at maxPages', async () => {
+    const { fetched, fetchPage } = mockSite();
+    const { stats } = await crawlSite('https://docs.example.com/guide/', {
+      maxDepth: 3,
+      maxPages: 2,
+      fetchPage,
+      loadRobots: async () => parseRobotsTxt('User-agent: *\nDisallow: /blog/\n'),
+    });
+
+    assert.deepEqual(fetched, ['https://docs.example.com/guide/', 'https://docs.example.com/guide/install']);
+    assert.equal(stats.blockedByRobots, 1);
+    assert.ok(stats.notVisited >= 1);
+  });
+
+  it('records failed pages with their error code', async () => {
+    const { fetchPage } = mockSite({ 'https://docs.example.com/': { links: ['https://docs.example.com/gone'] } });
+    const { pages, stats } = await crawlSite('https://docs.example.com/', { fetchPage, loadRobots: allowAll });
+
+    assert.equal(stats.failed, 1);
+    assert.equal(pages[1].ok, false);
+    assert.equal(pages[1].error.code, 'E_NETWORK');
+  });
+
+  it('spaces requests to one host by the robots.txt Crawl-delay', async () => {
+    const { fetchPage } = mockSite();
+    const started = [];
+    await crawlSite('https://docs.example.com/guide/', {
+      maxDepth: 1,
+      maxPages: 3,
+      concurrency: 3,
+      fetchPage: (url, opts) => {
+        started.push(Date.now());
+        return fetchPage(url, opts);
+      },
+      loadRobots: async () => parseRobotsTxt('User-agent: *\nCrawl-delay: 0.05\n'),
+    });
+
+    for (let i = 1; i < started.length; i++) assert.ok(started[i] - started[i - 1] >= 45);
+  });
+});
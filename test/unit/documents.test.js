@@ -0,0 +1,195 @@
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { Buffer } from 'node:buffer';
+import { documentKind, extractDocument, extractFetched, readDocument } from '../../src/documents.js';
+import { formatJson, formatMarkdown, formatText } from '../../src/formatter.js';
+import { fetchRenderedHtml } from '../../src/browser.js';
+
+// A minimal PDF with one text line per array entry on each page.
+function makePdf(pages, title) {
+  const objects = ['<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>'];
+  const kids = [];
+  for (const lines of pages) {
+    const stream = `BT /F1 12 Tf 72 720 Td 14 TL ${lines.map((l) => `(${l}) Tj T*`).join(' ')} ET`;
+    objects.push(`<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`);
+    objects.push(
+      `<< /Type /Page /Parent PAGES 0 R /MediaBox [0 0 612 792] /Contents ${objects.length} 0 R /Resources << /Font << /F1 1 0 R >> >> >>`,
+    );
+    kids.push(`${objects.length} 0 R`);
+  }
+  objects.push(`<< /Type /Pages /Kids [${kids.join(' ')}] /Count ${pages.length} >>`);
+  const pagesId = objects.length;
+  objects.push(`<< /Type /Catalog /Pages ${pagesId} 0 R >>`, `<< /Title (${title}) >>`);
+
+  let pdf = '%PDF-1.4\n';
+  const offsets = objects.map((body, i) => {
+    const offset = pdf.length;
+    pdf += `${i + 1} 0 obj\n${body.replace('PAGES', pagesId)}\nendobj\n`;
+    return offset;
+  });
+  const xref = pdf.length;
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map((o) => `${String(o).padStart(10, '0')} 00000 n \n`).join('');
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root ${pagesId + 1} 0 R /Info ${pagesId + 2} 0 R >>\n`;
+  pdf += `startxref\n${xref}\n%%EOF\n`;
+  return Buffer.from(pdf, 'latin1');
+}
+
+const catalog = {
+  name: 'Catalog',
+  total: 60,
+  items: Array.from({ length: 60 }, (_, i) => ({
+    id: i + 1,
+    name: `Product number ${i + 1}`,
+    tags: Array.from({ length: 12 }, (_, j) => `tag-${j}`),
+  })),
+};
+
+describe('documentKind', () => {
+  it('maps content types to document kinds and leaves HTML alone', () => {
+    assert.equal(documentKind('application/pdf'), 'pdf');
+    assert.equal(documentKind('application/octet-stream', Buffer.from('%PDF-1.7\n')), 'pdf');
+    assert.equal(documentKind('application/json; charset=utf-8'), 'json');
+    assert.equal(documentKind('application/ld+json'), 'json');
+    assert.equal(documentKind('application/rss+xml'), 'xml');
+    assert.equal(documentKind('text/xml'), 'xml');
+    assert.equal(documentKind('text/plain'), 'text');
+    assert.equal(documentKind('text/csv'), 'text');
+    assert.equal(documentKind('text/html'), null);
+    assert.equal(documentKind('application/xhtml+xml'), null);
+    assert.equal(documentKind('image/png', Buffer.from([0x89, 0x50])), null);
+  });
+});
+
+describe('PDF documents', () => {
+  it('extracts the text of each page under a page marker', async () => {
+    const bytes = makePdf([['Quarterly report', 'Revenue grew in every re-', 'gion this quarter.'], ['Outlook']], 'Q3');
+    const doc = await readDocument(bytes, 'application/pdf', 'https://example.com/files/q3.pdf');
+    assert.equal(doc.kind, 'pdf');
+    assert.equal(doc.title, 'Q3');
+    assert.equal(doc.pages.length, 2);
+
+    const extracted = extractDocument(doc, 'https://example.com/files/q3.pdf');
+    assert.equal(extracted.article.title, 'Q3');
+    assert.match(extracted.article.text, /^\[page 1\/2\]\nQuarterly report\nRevenue grew in every region/);
+    assert.match(extracted.article.text, /\[page 2\/2\]\nOutlook$/);
+    assert.deepEqual(extracted.document, { kind: 'pdf', contentType: 'application/pdf', pages: 2 });
+
+    const out = await formatText({ url: 'https://example.com/files/q3.pdf', status: 200 }, extracted, {
+      maxTokens: 500,
+    });
+    assert.match(
+      out.text,
+      /^# Q3\n\nSource: https:\/\/example.com\/files\/q3.pdf\nHTTP: 200\nType: application\/pdf \(2 pages\)/,
+    );
+    const md = await formatMarkdown({ url: 'https://example.com/files/q3.pdf' }, extracted, { maxTokens: 500 });
+    assert.match(md.text, /## Page 2\n\nOutlook/);
+  });
+
+  it('reports a PDF it cannot parse', async () => {
+    await assert.rejects(
+      readDocument(Buffer.from('%PDF-1.4\ngarbage'), 'application/pdf', 'https://example.com/a.pdf'),
+      /Could not read PDF/,
+    );
+  });
+});
+
+describe('JSON documents', () => {
+  const extracted = extractDocument(
+    { kind: 'json', contentType: 'application/json', text: JSON.stringify(catalog) },
+    'https://api.example.com/v1/products',
+  );
+
+  it('pretty-prints JSON that fits', async () => {
+    const small = extractDocument(
+      { kind: 'json', contentType: 'application/json', text: '{"ok":true}' },
+      'https://a.example/',
+    );
+    const out = await formatText({ url: 'https://a.example/' }, small, { maxTokens: 200 });
+    assert.match(out.text, /Type: application\/json\n\n\{\n {2}"ok": true\n\}$/);
+    assert.equal(out.truncated, false);
+  });
+
+  it('drops the tails of the deepest arrays first to fit the budget', async () => {
+    const out = await formatText({ url: 'https://api.example.com/v1/products' }, extracted, { maxTokens: 700 });
+    assert.equal(out.truncated, true);
+    assert.ok(out.tokens <= 700);
+
+    const data = JSON.parse(out.text.slice(out.text.indexOf('{')));
+    assert.equal(data.total, 60);
+    assert.ok(data.items.length > 3);
+    assert.match(data.items.at(-1), /^… \d+ more items$/);
+    assert.deepEqual(data.items[0].tags, ['tag-0', '… 11 more items']);
+  });
+
+  it('keeps JSON output valid JSON with the trimmed value in `data`', async () => {
+    const out = await formatJson({ url: 'https://api.example.com/v1/products', status: 200 }, extracted, {
+      maxTokens: 500,
+    });
+    const obj = JSON.parse(out.text);
+    assert.equal(obj.truncated, true);
+    assert.ok(obj.tokens <= 500);
+    assert.equal(obj.document.kind, 'json');
+    assert.equal(obj.article.text, '');
+    assert.equal(obj.data.name, 'Catalog');
+    assert.match(obj.data.items.at(-1), /more items$/);
+  });
+
+  it('rejects a body that is not JSON', () => {
+    assert.throws(
+      () => extractDocument({ kind: 'json', contentType: 'application/json', text: '{oops' }, 'https://a.example/'),
+      /Invalid JSON/,
+    );
+  });
+});
+
+describe('XML and text documents', () => {
+  it('outlines XML one element per line', () => {
+    const xml = '<?xml version="1.0"?><catalog><book id="b1"><title>Dune</title><year>1965</year></book></catalog>';
+    const { article } = extractDocument(
+      { kind: 'xml', contentType: 'application/xml', text: xml },
+      'https://a.example/books.xml',
+    );
+    assert.equal(article.title, 'books.xml');
+    assert.equal(article.text, 'catalog\n  book id="b1"\n    title: Dune\n    year: 1965');
+  });
+
+  it('keeps plain text as it is and leaves HTML to the page extractor', () => {
+    const { article } = extractFetched(
+      {
+        finalUrl: 'https://a.example/notes.txt',
+        html: '',
+        document: { kind: 'text', contentType: 'text/plain', text: 'Line one\r\n\r\nLine two\n' },
+      },
+      'https://a.example/notes.txt',
+    );
+    assert.equal(article.text, 'Line one\n\nLine two');
+
+    const page = extractFetched(
+      { html: '<html><head><title>Hi</title></head><body><p>Hello there, world.</p></body></html>' },
+      'https://a.example/',
+    );
+    assert.equal(page.document, undefined);
+    assert.match(page.article.text, /Hello there/);
+  });
+});
+
+describe('http engine documents', () => {
+  const realFetch = globalThis.fetch;
+  afterEach(() => {
+    globalThis.fetch = realFetch;
+  });
+
+  it('returns a non-HTML response as a document, from the auto engine too', async () => {
+    globalThis.fetch = async () =>
+      new globalThis.Response('{"items":[1,2,3]}', { headers: { 'content-type': 'application/json' } });
+
+    for (const engine of ['http', 'auto']) {
+      const fetched = await fetchRenderedHtml('https://api.example.com/items', { engine });
+      assert.equal(fetched.engine, 'http');
+      assert.equal(fetched.html, '');
+      assert.deepEqual(fetched.document, { kind: 'json', contentType: 'application/json', text: '{"items":[1,2,3]}' });
+      assert.deepEqual(extractFetched(fetched, 'https://api.example.com/items').data, { items: [1, 2, 3] });
+    }
+  });
+});
@@ -0,0 +1,168 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ElementRegistry } from '../../src/element-registry.js';
+import { buildDom, extractInteractiveElements } from '../../src/extractor.js';
+import { buildPageElementMap, captureSnapshot } from '../../src/snapshot.js';
+import { ActionExecutor, StaleElementError, ElementNotFoundError, validateAction } from '../../src/actions.js';
+
+function scan(html) {
+  return extractInteractiveElements(buildDom(`<html><body>${html}</body></html>`, 'https://example.com/'));
+}
+
+function idsByLabel(elements) {
+  return Object.fromEntries(elements.map((e) => [e.label, e.id]));
+}
+
+const ROWS = `
+  <table>
+    <tr><td>Alice</td><td><button>Delete</button></td></tr>
+    <tr><td>Bob</td><td><button>Delete</button></td></tr>
+  </table>`;
+
+describe('ElementRegistry', () => {
+  it('issues sequential ids on the first scan', () => {
+    const registry = new ElementRegistry();
+    const elements = registry.assign(scan('<button>Save</button><button>Cancel</button>'));
+    assert.deepEqual(
+      elements.map((e) => e.id),
+      ['e1', 'e2'],
+    );
+  });
+
+  it('keeps ids when an element is inserted before them', () => {
+    const registry = new ElementRegistry();
+    const before = idsByLabel(registry.assign(scan('<button>Save</button><button>Cancel</button>')));
+    const after = idsByLabel(
+      registry.assign(scan('<button>Dismiss banner</button><button>Save</button><button>Cancel</button>')),
+    );
+
+    assert.equal(after.Save, before.Save);
+    assert.equal(after.Cancel, before.Cancel);
+    assert.equal(after['Dismiss banner'], 'e3');
+  });
+
+  it('marks ids stale when their element disappears', () => {
+    const registry = new ElementRegistry();
+    registry.assign(scan('<button>Save</button><button>Cancel</button>'));
+    registry.assign(scan('<button>Cancel</button>'));
+
+    assert.equal(registry.isStale('e1'), true);
+    assert.equal(registry.describe('e1'), 'button "Save"');
+    assert.equal(registry.isStale('e2'), false);
+    assert.equal(registry.isStale('e99'), false);
+  });
+
+  it('does not hand a removed row id to the look-alike button in the next row', () => {
+    const registry = new ElementRegistry();
+    const [alice, bob] = registry.assign(scan(ROWS));
+    const remaining = registry.assign(scan('<table><tr><td>Bob</td><td><button>Delete</button></td></tr></table>'));
+
+    assert.equal(remaining.length, 1);
+    assert.equal(remaining[0].id, bob.id);
+    assert.equal(registry.isStale(alice.id), true);
+  });
+
+  it('keeps the id of an element whose label changed in place', () => {
+    const registry = new ElementRegistry();
+    registry.assign(scan('<button>Cancel</button><button>Save</button>'));
+    const after = idsByLabel(registry.assign(scan('<button>Cancel</button><button>Saved</button>')));
+
+    assert.deepEqual(after, { Cancel: 'e1', Saved: 'e2' });
+    assert.equal(registry.isStale('e2'), false);
+  });
+
+  it('keeps the id of a list item button whose label changed in place', () => {
+    const registry = new ElementRegistry();
+    registry.assign(scan('<ul><li>Draft <button>Save</button></li><li>Final <button>Save</button></li></ul>'));
+    const after = registry.assign(
+      scan('<ul><li>Draft <button>Saved</button></li><li>Final <button>Save</button></li></ul>'),
+    );
+
+    assert.deepEqual(
+      after.map((el) => [el.id, el.label]),
+      [
+        ['e1', 'Saved'],
+        ['e2', 'Save'],
+      ],
+    );
+  });
+
+  it('revives an id when its element comes back', () => {
+    const registry = new ElementRegistry();
+    registry.assign(scan('<button>Save</button>'));
+    registry.assign(scan(''));
+    assert.equal(registry.isStale('e1'), true);
+
+    const [save] = registry.assign(scan('<button>Save</button>'));
+    assert.equal(save.id, 'e1');
+    assert.equal(registry.isStale('e1'), false);
+  });
+
+  it('keeps separate counters per prefix', () => {
+    const registry = new ElementRegistry();
+    registry.assign(scan('<button>Save</button>'));
+    const [a11y] = registry.assign([{ role: 'button', name: 'Save', selector: 'role=button[name="Save" s]' }], {
+      prefix: 'a',
+    });
+    assert.equal(a11y.id, 'a1');
+    assert.equal(registry.isStale('e1'), false);
+  });
+});
+
+describe('buildPageElementMap with a registry', () => {
+  function mockPage(html) {
+    const page = {
+      html,
+      content: async () => `<html><body>${page.html}</body></html>`,
+      url: () => 'https://example.com/',
+      title: async () => 'Test',
+    };
+    return page;
+  }
+
+  it('throws StaleElementError for an id whose element is gone', async () => {
+    const registry = new ElementRegistry();
+    const page = mockPage('<button>Save</button><button>Cancel</button>');
+    await captureSnapshot(page, { mode: 'interactive', registry });
+
+    page.html = '<button>Cancel</button>';
+    await assert.rejects(buildPageElementMap(page, [{ type: 'click', elementId: 'e1' }], { registry }), (err) => {
+      assert.ok(err instanceof StaleElementError);
+      assert.ok(err instanceof ElementNotFoundError);
+      assert.match(err.message, /"e1" \(button "Save"\) is no longer present/);
+      return true;
+    });
+  });
+
+  it('treats a stale id as already gone for wait_for_gone', async () => {
+    const registry = new ElementRegistry();
+    const page = mockPage('<div class="spinner" role="button">Loading</div><button>Save</button>');
+    await captureSnapshot(page, { mode: 'interactive', registry });
+
+    page.html = '<button>Save</button>';
+    const action = { type: 'wait_for_gone', elementId: 'e1' };
+    const map = await buildPageElementMap(page, [action], { registry });
+    assert.equal(registry.isStale('e1'), true);
+    validateAction(action, map);
+
+    const result = await new ActionExecutor(page, map).execute(action);
+    assert.deepEqual(result, {
+      type: 'wait_for_gone',
+      elementId: 'e1',
+      url: 'https://example.com/',
+      waitedMs: 0,
+      ok: true,
+    });
+  });
+
+  it('maps stable ids to current selectors', async () => {
+    const registry = new ElementRegistry();
+    const page = mockPage('<div><button>Save</button></div>');
+    await captureSnapshot(page, { mode: 'interactive', registry });
+
+    page.html = '<div><button>Dismiss</button><button>Save</button></div>';
+    const map = await buildPageElementMap(page, [{ type: 'click', elementId: 'e1' }], { registry });
+    const css = map.e1.find((l) => l.strategy === 'css');
+    assert.match(css.selector, /div:nth-of-type\(1\) > button:nth-of-type\(2\)$/);
+  });
+});
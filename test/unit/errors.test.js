@@ -252,6 +252,27 @@ describe('classifyError', () => {
     assert.ok(classified instanceof BrowserCrashError);
   });
 
+  it('classifies Firefox and WebKit network errors', () => {
+    const url = 'https://example.com';
+    const cases = [
+      ['page.goto: NS_ERROR_UNKNOWN_HOST', DNSError],
+      ['page.goto: NS_ERROR_CONNECTION_REFUSED', ConnectionRefusedError],
+      ['page.goto: NS_ERROR_NET_TIMEOUT', TimeoutError],
+      ['page.goto: NS_ERROR_NET_RESET', NetworkError],
+      ['page.goto: SSL_ERROR_BAD_CERT_DOMAIN', NetworkError],
+      ['page.goto: Could not resolve host: example.invalid', DNSError],
+      ['page.goto: Error resolving \u201cexample.invalid\u201d: Name or service not known', DNSError],
+      ['page.goto: A server with the specified hostname could not be found.', DNSError],
+      ['page.goto: Could not connect: Connection refused', ConnectionRefusedError],
+      ['page.goto: The request timed out.', TimeoutError],
+      ['page.goto: The network connection was lost.', NetworkError],
+      ['page.goto: Target page, context or browser has been closed', BrowserCrashError],
+    ];
+    for (const [message, type] of cases) {
+      assert.ok(classifyError(new Error(message), url, 30000) instanceof type, message);
+    }
+  });
+
   it('classifies unknown errors as BrowserError', () => {
     const originalError = new Error('Something went wrong');
     const classified = classifyError(originalError, 'https://example.com', 30000);
@@ -9,6 +9,7 @@ import {
   extractInteractiveElements,
   buildElementMap,
   extractAllFromHtml,
+  extractLinks,
 } from '../../src/extractor.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
@@ -28,6 +29,14 @@ describe('extractArticleFromDom', () => {
     assert.ok(article.text.includes('Token budgets'));
   });
 
+  it('keeps article HTML for structured formatters', () => {
+    const html = loadFixture('simple-article.html');
+    const dom = buildDom(html, 'https://example.com/article');
+    const article = extractArticleFromDom(dom);
+
+    assert.ok(article.content.includes('<h2>Estimation Techniques</h2>'));
+  });
+
   it('falls back to body text when Readability fails', () => {
     const html = '<html><body><p>Just some text.</p></body></html>';
     const dom = buildDom(html, 'https://example.com');
@@ -119,4 +128,37 @@ describe('extractAllFromHtml', () => {
     assert.ok(result.elements);
     assert.ok(Array.isArray(result.elements));
   });
+
+  it('reads JSON-LD metadata before scripts are pruned', () => {
+    const html =
+      '<html><head><script type="application/ld+json">{"@type":"Article","headline":"Hi"}</script></head><body><p>Some body text for the page.</p></body></html>';
+    const result = extractAllFromHtml(html, 'https://example.com/post');
+
+    assert.equal(result.metadata.jsonLd[0].headline, 'Hi');
+  });
+});
+
+describe('extractLinks', () => {
+  it('resolves links against the base URL and drops fragments, duplicates and nofollow', () => {
+    const html = `<html><head><base href="https://docs.example.com/guide/"></head><body>
+      <nav><a href="intro#setup">Intro</a><a href="/api">API</a></nav>
+      <a href="intro">Intro again</a><a href="mailto:a@example.com">Mail</a>
+      <a href="https://ads.example.net/" rel="sponsored nofollow">Ad</a><a href="#top">Top</a>
+    </body></html>`;
+    const doc = buildDom(html, 'https://docs.example.com/guide/start').window.document;
+
+    assert.deepEqual(extractLinks(doc), [
+      'https://docs.example.com/guide/intro',
+      'https://docs.example.com/api',
+      'https://docs.example.com/guide/',
+    ]);
+  });
+
+  it('is included in extractAllFromHtml on request, before Readability drops the navigation', () => {
+    const html = `<html><body><nav><a href="/next">Next</a></nav><article><p>${'Body text. '.repeat(40)}</p></article></body></html>`;
+    assert.equal(extractAllFromHtml(html, 'https://example.com/a').links, undefined);
+    assert.deepEqual(extractAllFromHtml(html, 'https://example.com/a', { withLinks: true }).links, [
+      'https://example.com/next',
+    ]);
+  });
 });
@@ -0,0 +1,146 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { discoverFeeds, parseFeed } from '../../src/feeds.js';
+import { formatFeed } from '../../src/formatter.js';
+
+const RSS = `<?xml version="1.0"?>
+<rss version="2.0" xmlns:content="http://purl.org/rss/1.0/modules/content/">
+  <channel>
+    <title>Example Blog</title>
+    <description>Notes &amp; news</description>
+    <item>
+      <title>Second post</title>
+      <link>/posts/2</link>
+      <pubDate>Tue, 02 Jan 2024 10:00:00 GMT</pubDate>
+      <description><![CDATA[<p>Hello <b>again</b></p>]]></description>
+    </item>
+    <item>
+      <title>First post</title>
+      <guid>https://blog.example.com/posts/1</guid>
+      <content:encoded>&lt;p&gt;Hello world&lt;/p&gt;</content:encoded>
+    </item>
+  </channel>
+</rss>`;
+
+const ATOM = `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>Changelog</title>
+  <subtitle>Releases</subtitle>
+  <entry>
+    <title type="html">v2 &lt;em&gt;released&lt;/em&gt;</title>
+    <link rel="self" href="https://example.com/feed/v2"/>
+    <link rel="alternate" href="https://example.com/releases/v2"/>
+    <updated>2024-03-01T00:00:00Z</updated>
+    <summary>Faster and smaller.</summary>
+  </entry>
+</feed>`;
+
+const SITEMAP = `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+  <url><loc>https://example.com/old</loc><lastmod>2023-01-01</lastmod></url>
+  <url><loc>https://example.com/new</loc><lastmod>2024-05-01</lastmod></url>
+  <url><loc>https://example.com/undated</loc></url>
+</urlset>`;
+
+describe('parseFeed', () => {
+  it('reads RSS items with resolved links, ISO dates and plain-text summaries', () => {
+    const feed = parseFeed(RSS, 'https://blog.example.com/feed.xml');
+    assert.equal(feed.type, 'rss');
+    assert.equal(feed.title, 'Example Blog');
+    assert.equal(feed.description, 'Notes & news');
+    assert.deepEqual(feed.entries, [
+      {
+        title: 'Second post',
+        link: 'https://blog.example.com/posts/2',
+        date: '2024-01-02T10:00:00.000Z',
+        summary: 'Hello again',
+      },
+      { title: 'First post', link: 'https://blog.example.com/posts/1', summary: 'Hello world' },
+    ]);
+  });
+
+  it('reads Atom entries, preferring the alternate link', () => {
+    const feed = parseFeed(ATOM, 'https://example.com/feed');
+    assert.equal(feed.type, 'atom');
+    assert.equal(feed.description, 'Releases');
+    assert.deepEqual(feed.entries, [
+      {
+        title: 'v2 released',
+        link: 'https://example.com/releases/v2',
+        date: '2024-03-01T00:00:00.000Z',
+        summary: 'Faster and smaller.',
+      },
+    ]);
+  });
+
+  it('reads JSON Feed items', () => {
+    const json = JSON.stringify({
+      version: 'https://jsonfeed.org/version/1.1',
+      title: 'JSON Blog',
+      items: [
+        { id: '1', url: 'https://example.org/a', title: 'A', content_text: 'Body', date_published: '2024-02-01' },
+      ],
+    });
+    const feed = parseFeed(json, 'https://example.org/feed.json');
+    assert.equal(feed.type, 'json');
+    assert.deepEqual(feed.entries, [
+      { title: 'A', link: 'https://example.org/a', date: '2024-02-01T00:00:00.000Z', summary: 'Body' },
+    ]);
+  });
+
+  it('sorts sitemap URLs newest first and tells an index from a urlset', () => {
+    const feed = parseFeed(SITEMAP, 'https://example.com/sitemap.xml');
+    assert.equal(feed.type, 'sitemap');
+    assert.deepEqual(
+      feed.entries.map((e) => e.link),
+      ['https://example.com/new', 'https://example.com/old', 'https://example.com/undated'],
+    );
+
+    const index = parseFeed(
+      '<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9"><sitemap><loc>https://example.com/posts.xml</loc></sitemap></sitemapindex>',
+      'https://example.com/sitemap.xml',
+    );
+    assert.equal(index.type, 'sitemapindex');
+    assert.deepEqual(index.entries, [{ link: 'https://example.com/posts.xml' }]);
+  });
+
+  it('returns null for HTML and other documents', () => {
+    assert.equal(parseFeed('<!doctype html><html><body>Hi</body></html>', 'https://example.com/'), null);
+    assert.equal(parseFeed('{"version": 1}', 'https://example.com/'), null);
+    assert.equal(parseFeed('plain text', 'https://example.com/'), null);
+  });
+});
+
+describe('discoverFeeds', () => {
+  it('finds alternate feed links in a page', () => {
+    const html = `<html><head>
+      <link rel="alternate" type="application/rss+xml" title="Posts" href="/feed.xml">
+      <link rel="alternate" type="application/atom+xml" href="https://example.com/atom.xml">
+      <link rel="alternate" hreflang="de" href="/de/">
+      <link rel="stylesheet" type="text/css" href="/site.css">
+    </head><body></body></html>`;
+    assert.deepEqual(discoverFeeds(html, 'https://example.com/blog/'), [
+      { url: 'https://example.com/feed.xml', type: 'rss', title: 'Posts' },
+      { url: 'https://example.com/atom.xml', type: 'atom', title: null },
+    ]);
+  });
+});
+
+describe('formatFeed', () => {
+  it('drops the oldest entries to fit the budget and reports the total', async () => {
+    const entries = Array.from({ length: 60 }, (_, i) => ({
+      title: `Post ${60 - i}`,
+      link: `https://example.com/posts/${60 - i}`,
+      summary: 'A summary sentence that takes up a few tokens in the output.',
+    }));
+    const feed = { feedUrl: 'https://example.com/feed.xml', type: 'rss', title: 'Blog', description: '', entries };
+    const out = await formatFeed({ url: 'https://example.com/' }, feed, { maxTokens: 400 });
+    const obj = JSON.parse(out.text);
+
+    assert.ok(out.tokens <= 400);
+    assert.equal(obj.truncated, true);
+    assert.equal(obj.totalEntries, 60);
+    assert.ok(obj.entries.length > 0 && obj.entries.length < 60);
+    assert.equal(obj.entries[0].title, 'Post 60');
+  });
+});
@@ -1,6 +1,6 @@
 import { describe, it } from 'node:test';
 import assert from 'node:assert/strict';
-import { formatText, formatJson, formatInteractive } from '../../src/formatter.js';
+import { formatText, formatMarkdown, formatJson, formatInteractive } from '../../src/formatter.js';
 
 const mockArticle = {
   title: 'Test Article',
@@ -39,6 +39,127 @@ describe('formatText', () => {
   });
 });
 
+describe('formatMarkdown', () => {
+  const htmlArticle = {
+    ...mockArticle,
+    content: '<div><h2>Section</h2><ul><li>First point</li><li>Second point</li></ul><p>Closing text.</p></div>',
+  };
+
+  it('converts article content to markdown', async () => {
+    const result = await formatMarkdown(meta, { article: htmlArticle }, { maxTokens: 1000 });
+    assert.ok(result.text.startsWith('# Test Article'));
+    assert.ok(result.text.includes('## Section'));
+    assert.ok(result.text.includes('- First point\n- Second point'));
+  });
+
+  it('falls back to plain text without content', async () => {
+    const result = await formatMarkdown(meta, { article: mockArticle }, { maxTokens: 1000 });
+    assert.ok(result.text.includes('full article text'));
+  });
+
+  it('truncates when budget is tiny', async () => {
+    const result = await formatMarkdown(meta, { article: htmlArticle }, { maxTokens: 10 });
+    assert.equal(result.truncated, true);
+    assert.ok(result.tokens <= 10);
+  });
+});
+
+describe('metadata output', () => {
+  const metadata = {
+    canonical: 'https://example.com/canonical',
+    published: '2026-01-02',
+    jsonLd: [{ '@type': 'Article', headline: 'Test Article' }],
+  };
+
+  it('adds metadata lines to text mode only when requested', async () => {
+    const plain = await formatText(meta, { article: mockArticle, metadata }, { maxTokens: 1000 });
+    assert.ok(!plain.text.includes('Canonical:'));
+
+    const result = await formatText(
+      meta,
+      { article: mockArticle, metadata },
+      { maxTokens: 1000, includeMetadata: true },
+    );
+    assert.ok(result.text.includes('Canonical: https://example.com/canonical'));
+    assert.ok(result.text.includes('Published: 2026-01-02'));
+    assert.ok(result.text.includes('JSON-LD: {"@type":"Article","headline":"Test Article"}'));
+  });
+
+  it('includes a metadata section in json mode', async () => {
+    const result = await formatJson(meta, { article: mockArticle, metadata }, { maxTokens: 5000 });
+    assert.deepEqual(JSON.parse(result.text).metadata, metadata);
+  });
+
+  it('includes a metadata section in interactive mode', async () => {
+    const result = await formatInteractive(
+      meta,
+      { article: mockArticle, elements: mockElements, metadata },
+      { maxTokens: 5000 },
+    );
+    assert.equal(JSON.parse(result.text).metadata.canonical, 'https://example.com/canonical');
+  });
+
+  it('drops structured metadata before truncating text', async () => {
+    const bulky = { ...metadata, jsonLd: [{ '@type': 'Article', articleBody: 'lorem ipsum '.repeat(300) }] };
+    const result = await formatJson(meta, { article: mockArticle, metadata: bulky }, { maxTokens: 250 });
+    const parsed = JSON.parse(result.text);
+    assert.ok(result.tokens <= 250);
+    assert.equal(parsed.metadata.jsonLd, undefined);
+    assert.equal(parsed.metadata.canonical, 'https://example.com/canonical');
+    assert.equal(parsed.article.text, mockArticle.text);
+  });
+});
+
+describe('query-focused output', () => {
+  const paras = Array.from({ length: 30 }, (_, i) => `Paragraph ${i} is about shipping, warehouses and logistics.`);
+  paras[22] = 'Refunds are issued within 30 days of purchase.';
+  const longArticle = { ...mockArticle, text: paras.join('\n\n') };
+
+  it('keeps relevant passages in text mode', async () => {
+    const result = await formatText(meta, { article: longArticle }, { maxTokens: 120, query: 'refund policy' });
+    assert.ok(result.text.includes('Refunds are issued'));
+    assert.ok(result.text.includes('[…]'));
+    assert.equal(result.truncated, true);
+    assert.ok(result.tokens <= 120);
+  });
+
+  it('keeps relevant blocks in json mode', async () => {
+    const result = await formatJson(meta, { article: longArticle }, { maxTokens: 300, query: 'refund policy' });
+    const parsed = JSON.parse(result.text);
+    assert.equal(parsed.query, 'refund policy');
+    assert.ok(parsed.article.blocks.some((b) => b.text.includes('Refunds are issued')));
+    assert.ok(result.tokens <= 300);
+  });
+
+  it('keeps relevant passages in interactive mode', async () => {
+    const result = await formatInteractive(
+      meta,
+      { article: longArticle, elements: mockElements },
+      { maxTokens: 300, query: 'refund policy' },
+    );
+    assert.ok(JSON.parse(result.text).view.text.includes('Refunds are issued'));
+  });
+
+  it('keeps a fenced code block whole in markdown mode', async () => {
+    const code =
+      'def refund(order):\n    days = 30\n\n    # Refund policy: full amount\n\n    return issue(order, days)';
+    const content = paras.map((p) => `<p>${p}</p>`).join('') + `<pre><code>${code}</code></pre>`;
+    const result = await formatMarkdown(
+      meta,
+      { article: { ...longArticle, content } },
+      { maxTokens: 150, query: 'refund policy' },
+    );
+    assert.ok(result.text.includes(code));
+    assert.equal((result.text.match(/^```/gm) ?? []).length % 2, 0);
+    assert.ok(result.text.includes('[…]'));
+  });
+
+  it('leaves output alone when it fits', async () => {
+    const result = await formatText(meta, { article: mockArticle }, { maxTokens: 1000, query: 'refund' });
+    assert.equal(result.truncated, false);
+  });
+});
+
 describe('formatJson', () => {
   it('returns valid JSON', async () => {
     const result = await formatJson(meta, { article: mockArticle }, { maxTokens: 5000 });
@@ -60,6 +181,53 @@ describe('formatJson', () => {
   });
 });
 
+describe('table blocks', () => {
+  const rows = Array.from({ length: 30 }, (_, i) => `<tr><td>Plan ${i}</td><td>$${i}</td></tr>`).join('');
+  const tableArticle = {
+    ...mockArticle,
+    content: `<div><p>Intro paragraph.</p><table><caption>Plans</caption><thead><tr><th>Plan</th><th>Price</th></tr></thead><tbody>${rows}</tbody></table><p>Outro paragraph.</p></div>`,
+  };
+
+  it('emits table blocks in document order', async () => {
+    const result = await formatJson(meta, { article: tableArticle }, { maxTokens: 5000 });
+    const { blocks } = JSON.parse(result.text).article;
+    assert.deepEqual(
+      blocks.map((b) => b.type),
+      ['p', 'table', 'p'],
+    );
+    assert.equal(blocks[1].caption, 'Plans');
+    assert.deepEqual(blocks[1].headers, ['Plan', 'Price']);
+    assert.deepEqual(blocks[1].rows[0], ['Plan 0', '$0']);
+  });
+
+  it('drops trailing table rows before prose', async () => {
+    const result = await formatJson(meta, { article: tableArticle }, { maxTokens: 700 });
+    const parsed = JSON.parse(result.text);
+    const table = parsed.article.blocks.find((b) => b.type === 'table');
+    assert.equal(result.truncated, true);
+    assert.ok(result.tokens <= 700);
+    assert.ok(table.rows.length < 30);
+    assert.equal(table.omittedRows, 30 - table.rows.length);
+    assert.equal(parsed.article.blocks.at(-1).text, 'Outro paragraph.');
+  });
+
+  it('adds tables to the interactive view', async () => {
+    const result = await formatInteractive(
+      meta,
+      { article: tableArticle, elements: mockElements },
+      { maxTokens: 5000 },
+    );
+    const parsed = JSON.parse(result.text);
+    assert.equal(parsed.view.tables.length, 1);
+    assert.equal(parsed.view.tables[0].rows.length, 30);
+  });
+
+  it('omits the interactive tables section for table-free pages', async () => {
+    const result = await formatInteractive(meta, { article: mockArticle, elements: mockElements }, { maxTokens: 5000 });
+    assert.equal(JSON.parse(result.text).view.tables, undefined);
+  });
+});
+
 describe('formatInteractive', () => {
   it('includes elements array', async () => {
     const result = await formatInteractive(meta, { article: mockArticle, elements: mockElements }, { maxTokens: 5000 });
@@ -80,4 +248,21 @@ describe('formatInteractive', () => {
     assert.equal(result.truncated, true);
     assert.ok(result.tokens <= 30);
   });
+
+  it('keeps role, state and box for accessibility-tree elements', async () => {
+    const elements = [
+      {
+        id: 'a1',
+        role: 'checkbox',
+        name: 'Remember me',
+        checked: true,
+        box: { x: 10, y: 20, width: 16, height: 16 },
+        inViewport: true,
+        selector: 'role=checkbox[name="Remember me" s]',
+      },
+    ];
+    const result = await formatInteractive(meta, { article: mockArticle, elements }, { maxTokens: 5000 });
+    const parsed = JSON.parse(result.text);
+    assert.deepEqual(parsed.elements, elements);
+  });
 });
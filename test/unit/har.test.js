@@ -0,0 +1,279 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'node:events';
+import { Buffer } from 'node:buffer';
+import { mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import {
+  buildHar,
+  harEntry,
+  harRecordOptions,
+  harResponse,
+  harTimings,
+  replayHar,
+  replayedHar,
+} from '../../src/har.js';
+import { navigateAndWait } from '../../src/browser.js';
+import { BrowserEventLogger } from '../../src/browser-events.js';
+
+const START = Date.parse('2026-03-01T10:00:00.000Z');
+const TIMING = {
+  startTime: START,
+  domainLookupStart: 2,
+  domainLookupEnd: 12,
+  connectStart: 12,
+  secureConnectionStart: 20,
+  connectEnd: 40,
+  requestStart: 41,
+  responseStart: 141,
+  responseEnd: 161,
+};
+
+// Just enough of a Playwright Request (and its Response) for harEntry.
+function fakeRequest(
+  url,
+  { method = 'GET', timing = TIMING, status = 200, headers = {}, body = '', postData = null, failure = null } = {},
+) {
+  const response = failure
+    ? null
+    : {
+        url: () => url,
+        status: () => status,
+        statusText: () => (status === 200 ? 'OK' : 'Found'),
+        headersArray: async () => Object.entries(headers).map(([name, value]) => ({ name, value })),
+        body: async () => {
+          if (status >= 300 && status < 400) throw new Error('Response body is unavailable for redirect responses');
+          return Buffer.from(body);
+        },
+        serverAddr: async () => ({ ipAddress: '93.184.216.34', port: 443 }),
+      };
+  return {
+    url: () => url,
+    method: () => method,
+    timing: () => timing,
+    response: async () => response,
+    sizes: async () => ({
+      requestBodySize: postData?.length ?? 0,
+      requestHeadersSize: 120,
+      responseBodySize: body.length,
+      responseHeadersSize: 200,
+    }),
+    postDataBuffer: () => (postData ? Buffer.from(postData) : null),
+    headersArray: async () => [
+      { name: 'accept', value: '*/*' },
+      ...(postData ? [{ name: 'content-type', value: 'application/json' }] : []),
+    ],
+    failure: () => (failure ? { errorText: failure } : null),
+  };
+}
+
+describe('harTimings', () => {
+  it('turns Playwright timing marks into HAR phases', () => {
+    assert.deepEqual(harTimings(TIMING), {
+      blocked: 2,
+      dns: 10,
+      connect: 28,
+      ssl: 20,
+      send: 0,
+      wait: 100,
+      receive: 20,
+    });
+  });
+
+  it('marks phases a reused connection skipped as -1', () => {
+    const timings = harTimings({
+      startTime: START,
+      domainLookupStart: -1,
+      domainLookupEnd: -1,
+      connectStart: -1,
+      secureConnectionStart: -1,
+      connectEnd: -1,
+      requestStart: 0,
+      responseStart: 30,
+      responseEnd: 35,
+    });
+    assert.deepEqual(timings, { blocked: -1, dns: -1, connect: -1, ssl: -1, send: 0, wait: 30, receive: 5 });
+  });
+});
+
+describe('harEntry', () => {
+  it('records real timings, bodies and the response of the request itself', async () => {
+    const entry = await harEntry(
+      fakeRequest('https://example.com/api/items?page=2&sort=new', {
+        method: 'POST',
+        postData: '{"q":"lamp"}',
+        headers: { 'content-type': 'application/json' },
+        body: '{"items":[]}',
+      }),
+      { pageref: 'page_1' },
+    );
+    assert.equal(entry.pageref, 'page_1');
+    assert.equal(entry.startedDateTime, '2026-03-01T10:00:00.000Z');
+    assert.equal(entry.time, 160);
+    assert.deepEqual(entry.request.queryString, [
+      { name: 'page', value: '2' },
+      { name: 'sort', value: 'new' },
+    ]);
+    assert.deepEqual(entry.request.postData, { mimeType: 'application/json', text: '{"q":"lamp"}' });
+    assert.equal(entry.response.status, 200);
+    assert.equal(entry.response.statusText, 'OK');
+    assert.deepEqual(entry.response.content, { size: 12, mimeType: 'application/json', text: '{"items":[]}' });
+    assert.equal(entry.response.bodySize, 12);
+    assert.equal(entry.serverIPAddress, '93.184.216.34');
+  });
+
+  it('base64-encodes binary bodies and resolves redirects', async () => {
+    const image = await harEntry(
+      fakeRequest('https://example.com/logo.png', { headers: { 'content-type': 'image/png' }, body: 'PNG' }),
+    );
+    assert.deepEqual(image.response.content, {
+      size: 3,
+      mimeType: 'image/png',
+      text: Buffer.from('PNG').toString('base64'),
+      encoding: 'base64',
+    });
+
+    const redirect = await harEntry(
+      fakeRequest('https://example.com/old', { status: 302, headers: { location: '/new' } }),
+    );
+    assert.equal(redirect.response.redirectURL, 'https://example.com/new');
+    assert.deepEqual(redirect.response.content, { size: 0, mimeType: 'x-unknown' });
+  });
+
+  it('keeps failed requests with status 0 and the error', async () => {
+    const entry = await harEntry(fakeRequest('https://ads.example.net/t.js', { failure: 'net::ERR_FAILED' }));
+    assert.equal(entry.response.status, 0);
+    assert.equal(entry.response._failureText, 'net::ERR_FAILED');
+  });
+});
+
+describe('BrowserEventLogger HAR', () => {
+  it('writes one entry per finished request, in start order', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'lean-har-'));
+    try {
+      const page = Object.assign(new EventEmitter(), { title: async () => 'Example' });
+      const events = new BrowserEventLogger(page, {
+        debugMode: true,
+        saveHar: true,
+        logger: { debug() {}, trace() {}, warn() {}, error() {}, success() {} },
+      });
+      events.attach();
+
+      // The same URL twice: each response belongs to its own request.
+      const text = { 'content-type': 'text/plain' };
+      const late = fakeRequest('https://example.com/a', {
+        timing: { ...TIMING, startTime: START + 500 },
+        headers: text,
+        body: 'two',
+      });
+      const early = fakeRequest('https://example.com/a', { headers: text, body: 'one' });
+      page.emit('requestfinished', late);
+      page.emit('requestfinished', early);
+      page.emit('requestfailed', fakeRequest('https://example.com/b', { failure: 'net::ERR_ABORTED' }));
+
+      const file = join(dir, 'page.har');
+      await events.saveHarFile(file);
+      const { log } = JSON.parse(await readFile(file, 'utf-8'));
+      assert.equal(log.version, '1.2');
+      assert.deepEqual(log.pages[0].title, 'Example');
+      assert.equal(log.pages[0].startedDateTime, '2026-03-01T10:00:00.000Z');
+      assert.deepEqual(
+        log.entries.map((e) => [e.request.url, e.response.status, e.response.content.text ?? null]),
+        [
+          ['https://example.com/a', 200, 'one'],
+          ['https://example.com/b', 0, null],
+          ['https://example.com/a', 200, 'two'],
+        ],
+      );
+      assert.ok(log.entries.every((e) => e.pageref === 'page_1' && e.time > 0));
+    } finally {
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('HAR record and replay options', () => {
+  it('records bodies inline, or as files in a zip', () => {
+    assert.deepEqual(harRecordOptions('run.har'), { path: 'run.har', content: 'embed', mode: 'full' });
+    assert.equal(harRecordOptions('run.zip').content, 'attach');
+  });
+
+  it('replays a HAR file without falling back to the network', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'lean-har-'));
+    try {
+      const file = join(dir, 'page.har');
+      await writeFile(file, JSON.stringify(buildHar([], [])));
+      const calls = [];
+      const context = { routeFromHAR: async (...args) => calls.push(args) };
+
+      await replayHar(context, file);
+      assert.deepEqual(calls, [[file, { notFound: 'abort' }]]);
+      await assert.rejects(replayHar(context, join(dir, 'missing.har')), /HAR file not found/);
+    } finally {
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  // A HAR with a redirect to a plain-text file, as recorded from a download.
+  async function writeDownloadHar(dir) {
+    const entry = (url, response) => ({ request: { method: 'GET', url }, response });
+    const file = join(dir, 'download.har');
+    const har = buildHar(
+      [],
+      [
+        entry('https://example.com/notes', { status: 302, headers: [], redirectURL: '/notes.txt', content: {} }),
+        entry('https://example.com/notes.txt', {
+          status: 200,
+          headers: [{ name: 'Content-Type', value: 'text/plain' }],
+          content: { text: Buffer.from('Meeting notes').toString('base64'), encoding: 'base64' },
+        }),
+      ].map((e, i) => ({ ...e, startedDateTime: `2026-03-01T10:00:0${i}.000Z` })),
+    );
+    await writeFile(file, JSON.stringify(har));
+    return file;
+  }
+
+  it('reads recorded responses, following redirects', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'lean-har-'));
+    try {
+      const file = await writeDownloadHar(dir);
+      const response = await harResponse(file, 'https://example.com/notes');
+      assert.equal(response.url, 'https://example.com/notes.txt');
+      assert.equal(response.status, 200);
+      assert.equal(response.headers['content-type'], 'text/plain');
+      assert.equal(response.body.toString(), 'Meeting notes');
+      await assert.rejects(
+        harResponse(file, 'https://example.com/other'),
+        /No response for https:\/\/example.com\/other/,
+      );
+    } finally {
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('serves a download from the HAR file without a network request', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'lean-har-'));
+    try {
+      const file = await writeDownloadHar(dir);
+      const context = { routeFromHAR: async () => {} };
+      await replayHar(context, file);
+      assert.equal(replayedHar(context), file);
+
+      const fetched = [];
+      const page = {
+        context: () => context,
+        goto: async () => {
+          throw new Error('page.goto: Download is starting');
+        },
+        request: { get: async (url) => fetched.push(url) },
+      };
+      const result = await navigateAndWait(page, 'https://example.com/notes');
+      assert.deepEqual(fetched, []);
+      assert.equal(result.finalUrl, 'https://example.com/notes.txt');
+      assert.equal(result.document.contentType, 'text/plain');
+    } finally {
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+});
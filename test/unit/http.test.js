@@ -0,0 +1,109 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { Buffer } from 'node:buffer';
+import { detectCharset, httpGet } from '../../src/http.js';
+import { needsBrowser } from '../../src/http-engine.js';
+import { fetchRenderedHtml } from '../../src/browser.js';
+import { SSRFError } from '../../src/security.js';
+
+const ARTICLE = `<html><head><title>Release notes &amp; more</title></head><body><main><h1>Release notes</h1>
+<p>${'This release makes the parser faster and fixes several long-standing bugs in the tokenizer. '.repeat(8)}</p>
+</main><script>window.analytics = {};</script></body></html>`;
+
+const SHELL = `<html><head><title>App</title></head><body>
+<div id="root"></div>
+<footer>${'Copyright Example Corp. All rights reserved. Terms, privacy and cookie settings. '.repeat(6)}</footer>
+<script src="/bundle.js"></script></body></html>`;
+
+describe('detectCharset', () => {
+  it('prefers a byte order mark, then the header, then a meta tag', () => {
+    assert.equal(detectCharset(Buffer.from([0xef, 0xbb, 0xbf, 0x3c]), 'text/html; charset=iso-8859-1'), 'utf-8');
+    assert.equal(detectCharset(Buffer.from('<meta charset="utf-8">'), 'text/html; charset="ISO-8859-1"'), 'iso-8859-1');
+    assert.equal(detectCharset(Buffer.from('<head><meta charset=Shift_JIS></head>'), 'text/html'), 'shift_jis');
+    assert.equal(
+      detectCharset(Buffer.from('<meta http-equiv="Content-Type" content="text/html; charset=windows-1251">')),
+      'windows-1251',
+    );
+    assert.equal(detectCharset(Buffer.from('<?xml version="1.0" encoding="ISO-8859-2"?><rss/>')), 'iso-8859-2');
+    assert.equal(detectCharset(Buffer.from('<p>plain</p>'), 'text/html'), 'utf-8');
+  });
+});
+
+describe('needsBrowser', () => {
+  it('accepts a page with its text in the HTML', () => {
+    assert.equal(needsBrowser(ARTICLE), null);
+  });
+
+  it('flags empty app roots and pages with too little text', () => {
+    assert.equal(needsBrowser(SHELL), 'app shell (#root)');
+    assert.equal(
+      needsBrowser('<html><body><p>Loading…</p><script src="/app.js"></script></body></html>'),
+      'too little text',
+    );
+  });
+});
+
+describe('http engine', () => {
+  const realFetch = globalThis.fetch;
+  let requests;
+
+  const respond = (routes) => {
+    globalThis.fetch = async (url, init) => {
+      requests.push({ url, init });
+      const route = routes[url];
+      if (!route) return new globalThis.Response('not found', { status: 404 });
+      return new globalThis.Response(route.body ?? null, { status: route.status ?? 200, headers: route.headers });
+    };
+  };
+
+  beforeEach(() => {
+    requests = [];
+  });
+  afterEach(() => {
+    globalThis.fetch = realFetch;
+  });
+
+  it('follows redirects by hand and decodes the declared charset', async () => {
+    respond({
+      'https://example.com/old': { status: 301, headers: { location: '/new' } },
+      'https://example.com/new': {
+        body: Buffer.from([0x3c, 0x70, 0x3e, 0x63, 0x61, 0x66, 0xe9, 0x3c, 0x2f, 0x70, 0x3e]),
+        headers: { 'content-type': 'text/html; charset=windows-1252', etag: '"abc"' },
+      },
+    });
+
+    const res = await httpGet('https://example.com/old');
+    assert.equal(res.finalUrl, 'https://example.com/new');
+    assert.equal(res.body, '<p>café</p>');
+    assert.equal(res.contentType, 'text/html');
+    assert.equal(res.headers.etag, '"abc"');
+    assert.equal(requests[0].init.redirect, 'manual');
+  });
+
+  it('checks every redirect hop against the SSRF rules', async () => {
+    respond({ 'https://example.com/go': { status: 302, headers: { location: 'http://169.254.169.254/latest/' } } });
+
+    await assert.rejects(httpGet('https://example.com/go'), SSRFError);
+    assert.equal(requests.length, 1);
+  });
+
+  it('returns fetchRenderedHtml results without launching a browser', async () => {
+    respond({ 'https://example.com/notes': { body: ARTICLE, headers: { 'content-type': 'text/html' } } });
+
+    const page = await fetchRenderedHtml('https://example.com/notes', { engine: 'http' });
+    assert.equal(page.engine, 'http');
+    assert.equal(page.status, 200);
+    assert.equal(page.title, 'Release notes & more');
+    assert.equal(page.html, ARTICLE);
+
+    await assert.rejects(
+      fetchRenderedHtml('https://example.com/notes', { engine: 'http', a11y: true }),
+      /does not support a11y/,
+    );
+    await assert.rejects(
+      fetchRenderedHtml('https://example.com/notes', { engine: 'http', replayHar: 'notes.har' }),
+      /does not support replayHar/,
+    );
+    await assert.rejects(fetchRenderedHtml('https://example.com/notes', { engine: 'fast' }), /Invalid engine/);
+  });
+});
@@ -0,0 +1,59 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { htmlToMarkdown } from '../../src/markdown.js';
+
+describe('htmlToMarkdown', () => {
+  it('converts headings and paragraphs', () => {
+    const md = htmlToMarkdown('<h2>Intro</h2><p>Hello world.</p>');
+    assert.equal(md, '## Intro\n\nHello world.');
+  });
+
+  it('converts inline emphasis, code and links', () => {
+    const md = htmlToMarkdown(
+      '<p><strong>Bold</strong>, <em>it</em>, <code>x()</code> and <a href="/docs">docs</a></p>',
+      {
+        baseUrl: 'https://example.com/a/',
+      },
+    );
+    assert.equal(md, '**Bold**, *it*, `x()` and [docs](https://example.com/docs)');
+  });
+
+  it('converts nested lists', () => {
+    const md = htmlToMarkdown(
+      '<ul><li>one<ul><li>nested</li></ul></li><li>two</li></ul><ol start="3"><li>three</li></ol>',
+    );
+    assert.equal(md, '- one\n  - nested\n- two\n\n3. three');
+  });
+
+  it('converts code blocks with language', () => {
+    const md = htmlToMarkdown('<pre><code class="language-js">const a = 1;\nconst b = 2;\n</code></pre>');
+    assert.equal(md, '```js\nconst a = 1;\nconst b = 2;\n```');
+  });
+
+  it('converts tables to pipe tables', () => {
+    const md = htmlToMarkdown(
+      '<table><tr><th>Plan</th><th>Price</th></tr><tr><td>Pro</td><td>$10 | mo</td></tr></table>',
+    );
+    assert.equal(md, '| Plan | Price |\n| --- | --- |\n| Pro | $10 \\| mo |');
+  });
+
+  it('converts blockquotes', () => {
+    const md = htmlToMarkdown('<blockquote><p>first</p><p>second</p></blockquote>');
+    assert.equal(md, '> first\n>\n> second');
+  });
+
+  it('escapes text that would read as markup', () => {
+    const md = htmlToMarkdown('<p>1. not a list with *stars* and snake_case</p>');
+    assert.equal(md, '1\\. not a list with \\*stars\\* and snake_case');
+  });
+
+  it('drops script and form controls', () => {
+    const md = htmlToMarkdown('<p>Keep</p><script>alert(1)</script><button>Click</button>');
+    assert.equal(md, 'Keep');
+  });
+
+  it('handles empty input', () => {
+    assert.equal(htmlToMarkdown(''), '');
+    assert.equal(htmlToMarkdown(null), '');
+  });
+});
@@ -1,6 +1,11 @@
 import { describe, it } from 'node:test';
 import assert from 'node:assert/strict';
-import { handleFetchPageText, handleFetchPageJson, handleFetchPageInteractive } from '../../src/mcp/handlers.js';
+import {
+  handleCrawlSite,
+  handleFetchPageText,
+  handleFetchPageJson,
+  handleFetchPageInteractive,
+} from '../../src/mcp/handlers.js';
 
 describe('mcp/handlers', () => {
   describe('handleFetchPageText', () => {
@@ -76,6 +81,15 @@ describe('mcp/handlers', () => {
     });
   });
 
+  describe('handleCrawlSite', () => {
+    it('rejects a total budget that cannot give every page 200 tokens', async () => {
+      await assert.rejects(
+        handleCrawlSite({ url: 'https://docs.example.com/', maxPages: 100, maxTokens: 16000 }),
+        /less than 200 per page for 100 pages; raise it to at least 20000/,
+      );
+    });
+  });
+
   describe('error handling', () => {
     it('handles fetch errors', { timeout: 30000 }, async () => {
       await assert.rejects(
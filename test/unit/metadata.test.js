@@ -0,0 +1,84 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildDom } from '../../src/extractor.js';
+import { extractMetadata } from '../../src/metadata.js';
+
+function metadataFor(html, url = 'https://example.com/post') {
+  return extractMetadata(buildDom(html, url).window.document);
+}
+
+describe('extractMetadata', () => {
+  it('collects JSON-LD blocks and flattens @graph', () => {
+    const meta = metadataFor(`<html><head>
+      <script type="application/ld+json">{"@type":"Product","name":"Widget"}</script>
+      <script type="application/ld+json">{"@context":"https://schema.org","@graph":[{"@type":"Article","headline":"Hi"}]}</script>
+      <script type="application/ld+json">{ not json</script>
+    </head><body></body></html>`);
+
+    assert.deepEqual(
+      meta.jsonLd.map((item) => item['@type']),
+      ['Product', 'Article'],
+    );
+  });
+
+  it('collects OpenGraph and Twitter cards, grouping repeated keys', () => {
+    const meta = metadataFor(`<html><head>
+      <meta property="og:title" content="Title">
+      <meta property="og:image" content="https://example.com/a.png">
+      <meta property="og:image" content="https://example.com/b.png">
+      <meta name="twitter:card" content="summary">
+    </head><body></body></html>`);
+
+    assert.equal(meta.openGraph.title, 'Title');
+    assert.deepEqual(meta.openGraph.image, ['https://example.com/a.png', 'https://example.com/b.png']);
+    assert.equal(meta.twitter.card, 'summary');
+  });
+
+  it('collects nested microdata items', () => {
+    const meta = metadataFor(`<html><body>
+      <div itemscope itemtype="https://schema.org/Product">
+        <span itemprop="name">Widget</span>
+        <a itemprop="url" href="/widget">link</a>
+        <div itemprop="offers" itemscope itemtype="https://schema.org/Offer">
+          <meta itemprop="price" content="9.99">
+        </div>
+      </div>
+    </body></html>`);
+
+    assert.equal(meta.microdata.length, 1);
+    assert.deepEqual(meta.microdata[0], {
+      type: 'https://schema.org/Product',
+      properties: {
+        name: 'Widget',
+        url: 'https://example.com/widget',
+        offers: { type: 'https://schema.org/Offer', properties: { price: '9.99' } },
+      },
+    });
+  });
+
+  it('collects RDFa items', () => {
+    const meta = metadataFor(
+      '<html><body><div vocab="https://schema.org/" typeof="Person"><span property="name">Ada</span></div></body></html>',
+    );
+    assert.deepEqual(meta.rdfa, [{ type: 'Person', vocab: 'https://schema.org/', properties: { name: 'Ada' } }]);
+  });
+
+  it('reads canonical URL, dates and language', () => {
+    const meta = metadataFor(`<html lang="en-GB"><head>
+      <link rel="canonical" href="/canonical-post">
+      <meta property="article:published_time" content="2026-01-02T10:00:00Z">
+      <script type="application/ld+json">{"@type":"Article","dateModified":"2026-01-05"}</script>
+      <meta name="description" content="A post">
+    </head><body></body></html>`);
+
+    assert.equal(meta.canonical, 'https://example.com/canonical-post');
+    assert.equal(meta.published, '2026-01-02T10:00:00Z');
+    assert.equal(meta.modified, '2026-01-05');
+    assert.equal(meta.language, 'en-GB');
+    assert.equal(meta.description, 'A post');
+  });
+
+  it('omits empty fields', () => {
+    assert.deepEqual(metadataFor('<html><body><p>Nothing here</p></body></html>'), {});
+  });
+});
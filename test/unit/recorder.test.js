@@ -0,0 +1,95 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ActionRecorder, PASSWORD_PLACEHOLDER, locateRecordedElement } from '../../src/recorder.js';
+import { parseActionScript } from '../../src/action-script.js';
+
+const URL = 'https://shop.example.com/cart';
+const PAGE = `<html><body>
+  <form>
+    <label for="email">Email</label><input id="email" name="email">
+    <input type="password" name="pw" aria-label="Password">
+    <button data-testid="checkout" data-lean-record="MARK"><span>Check out</span></button>
+  </form>
+</body></html>`;
+
+// An event from the capture script; its target carries `data-lean-record="1"` in `html`.
+const event = (type, html, fields = {}) => ({ type, html, url: URL, mark: '1', ...fields });
+const marked = (selector) =>
+  PAGE.replace(' data-lean-record="MARK"', '').replace(selector, `${selector} data-lean-record="1"`);
+
+describe('locateRecordedElement', () => {
+  it('maps a click inside a button to the extracted button', () => {
+    const html = PAGE.replace('data-lean-record="MARK"', '').replace('<span>', '<span data-lean-record="7">');
+    const element = locateRecordedElement(html, URL, '7');
+    assert.equal(element.tag, 'button');
+    assert.equal(element.label, 'Check out');
+    assert.deepEqual(element.locators[0], { strategy: 'testid', selector: '[data-testid="checkout"]' });
+    assert.ok(!element.selector.includes('lean-record'));
+  });
+
+  it('falls back to locators for the target itself', () => {
+    const html = '<html><body><div class="card"><p data-lean-record="2">Plan A</p></div></body></html>';
+    const element = locateRecordedElement(html, URL, '2');
+    assert.equal(element.tag, 'p');
+    assert.equal(element.locators.at(-1).strategy, 'css');
+    assert.equal(locateRecordedElement(html, URL, '3'), null);
+  });
+});
+
+describe('ActionRecorder', () => {
+  it('turns events into steps with locator candidates', () => {
+    const recorder = new ActionRecorder(URL);
+    recorder.record(event('type', marked('<input id="email"'), { value: 'a@example.com' }));
+    recorder.record(event('type', marked('<input type="password"'), { value: 'hunter2', password: true }));
+    recorder.record(event('click', PAGE.replace('"MARK"', '"1"')));
+
+    assert.deepEqual(recorder.steps[0], {
+      action: 'type',
+      selector: [
+        '#email',
+        'role=textbox[name="Email" s]',
+        'xpath=//input[ancestor::label[normalize-space()="Email"] or @id=//label[normalize-space()="Email"]/@for' +
+          ' or @aria-labelledby=//*[normalize-space()="Email"]/@id]',
+      ],
+      value: 'a@example.com',
+    });
+    assert.equal(recorder.steps[1].value, PASSWORD_PLACEHOLDER);
+    assert.equal(recorder.steps[2].selector[0], '[data-testid="checkout"]');
+    assert.deepEqual(recorder.notes, ['input "Email"', 'input[password] "Password"', 'button "Check out"']);
+    assert.ok(!JSON.stringify(recorder.toScript()).includes('hunter2'));
+  });
+
+  it('records navigations the user did not cause as navigate steps', () => {
+    let now = 0;
+    const recorder = new ActionRecorder(URL, { now: () => now });
+    recorder.navigated('https://shop.example.com/ignored');
+    recorder.start(URL);
+
+    now = 10000;
+    recorder.navigated('https://shop.example.com/orders');
+    now += 200;
+    recorder.record(event('click', PAGE.replace('"MARK"', '"1"')));
+    now += 300;
+    recorder.navigated('https://shop.example.com/checkout');
+    recorder.navigated('https://shop.example.com/checkout/step-1');
+    recorder.navigated('https://shop.example.com/checkout/step-1');
+
+    assert.deepEqual(
+      recorder.steps.map((s) => (typeof s === 'string' ? s : s.action)),
+      ['navigate', 'click', 'wait_for_idle'],
+    );
+    assert.equal(recorder.steps[0].url, 'https://shop.example.com/orders');
+  });
+
+  it('writes YAML that parses back as an action script', () => {
+    const recorder = new ActionRecorder(URL);
+    recorder.record(event('click', PAGE.replace('"MARK"', '"1"')));
+    recorder.record(event('press', marked('<input id="email"'), { key: 'Enter' }));
+
+    const yaml = recorder.toYAML();
+    assert.match(yaml, /# button "Check out"\n {2}- action: click/);
+    const script = parseActionScript(yaml);
+    assert.equal(script.url, URL);
+    assert.deepEqual(script.steps, recorder.steps);
+  });
+});
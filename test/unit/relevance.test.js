@@ -0,0 +1,92 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  ELISION_MARKER,
+  tokenizeTerms,
+  splitPassages,
+  scorePassages,
+  selectPassages,
+  joinWithElisions,
+  focusText,
+} from '../../src/relevance.js';
+
+const filler = (i) =>
+  `Section ${i} covers shipping times, warehouse locations and other logistics details for regular orders.`;
+
+function longDocument() {
+  const paras = Array.from({ length: 30 }, (_, i) => filler(i));
+  paras[20] = 'Refunds are issued within 30 days when customers contact support with their order number.';
+  return paras.join('\n\n');
+}
+
+describe('tokenizeTerms', () => {
+  it('lowercases, drops stopwords and folds plurals', () => {
+    assert.deepEqual(tokenizeTerms('How are the Refunds issued?'), ['refund', 'issued']);
+  });
+
+  it('handles empty input', () => {
+    assert.deepEqual(tokenizeTerms(''), []);
+    assert.deepEqual(tokenizeTerms(null), []);
+  });
+});
+
+describe('splitPassages', () => {
+  it('splits on paragraphs', () => {
+    assert.deepEqual(splitPassages('one\n\ntwo'), ['one', 'two']);
+  });
+
+  it('breaks long paragraphs at sentence boundaries', () => {
+    const para = Array.from({ length: 10 }, (_, i) => `Sentence number ${i} has six words.`).join(' ');
+    const passages = splitPassages(para, { maxWords: 20 });
+    assert.ok(passages.length > 1);
+    assert.ok(passages.every((p) => p.endsWith('.')));
+    assert.equal(passages.join(' '), para);
+  });
+});
+
+describe('scorePassages', () => {
+  it('ranks passages containing rare query terms highest', () => {
+    const scores = scorePassages(['apples and pears', 'refund policy details', 'pears only'], 'refund policy');
+    assert.ok(scores[1] > scores[0]);
+    assert.equal(scores[0], 0);
+  });
+
+  it('returns zeros without query terms', () => {
+    assert.deepEqual(scorePassages(['a', 'b'], 'the of'), [0, 0]);
+  });
+});
+
+describe('selectPassages', () => {
+  it('returns null when nothing matches', async () => {
+    assert.equal(await selectPassages(['alpha', 'beta'], 'gamma', { maxTokens: 100 }), null);
+  });
+
+  it('returns selected indices in document order', async () => {
+    const passages = ['refund later', 'unrelated', 'refund refund policy first'];
+    assert.deepEqual(await selectPassages(passages, 'refund policy', { maxTokens: 100 }), [0, 2]);
+  });
+});
+
+describe('joinWithElisions', () => {
+  it('marks every gap', () => {
+    const text = joinWithElisions(['a', 'b', 'c', 'd'], [1, 2]);
+    assert.equal(text, `${ELISION_MARKER}\n\nb\n\nc\n\n${ELISION_MARKER}`);
+  });
+});
+
+describe('focusText', () => {
+  it('keeps the relevant passage from deep in a long document', async () => {
+    const text = await focusText(longDocument(), 'How do refunds work?', { maxTokens: 60 });
+    assert.ok(text.includes('Refunds are issued within 30 days'));
+    assert.ok(text.startsWith(ELISION_MARKER));
+  });
+
+  it('returns text unchanged when it fits', async () => {
+    assert.equal(await focusText('short text', 'refund', { maxTokens: 100 }), 'short text');
+  });
+
+  it('returns text unchanged when nothing matches', async () => {
+    const doc = longDocument();
+    assert.equal(await focusText(doc, 'quantum chromodynamics', { maxTokens: 60 }), doc);
+  });
+});
@@ -0,0 +1,65 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { RobotsRules, parseRobotsTxt } from '../../src/robots.js';
+
+const ROBOTS = `
+# Shared rules
+User-agent: *
+Disallow: /private/
+Allow: /private/press/
+Disallow: /*.pdf$
+Crawl-delay: 2
+
+User-agent: badbot
+User-agent: lean-browser
+Disallow: /search
+Crawl-delay: 0.5
+`;
+
+describe('parseRobotsTxt', () => {
+  it('uses the `*` group when no group names the agent', () => {
+    const rules = parseRobotsTxt(ROBOTS, 'otherbot');
+    assert.equal(rules.isAllowed('https://docs.example.com/guide/'), true);
+    assert.equal(rules.isAllowed('https://docs.example.com/private/keys'), false);
+    assert.equal(rules.isAllowed('https://docs.example.com/private/press/2024'), true);
+    assert.equal(rules.isAllowed('https://docs.example.com/files/manual.pdf'), false);
+    assert.equal(rules.isAllowed('https://docs.example.com/files/manual.pdf?v=2'), true);
+    assert.equal(rules.crawlDelayMs, 2000);
+  });
+
+  it('prefers the group naming the agent, shared by consecutive User-agent lines', () => {
+    const rules = parseRobotsTxt(ROBOTS);
+    assert.equal(rules.isAllowed('https://docs.example.com/private/keys'), true);
+    assert.equal(rules.isAllowed('https://docs.example.com/search?q=x'), false);
+    assert.equal(rules.crawlDelayMs, 500);
+  });
+
+  it('collects Sitemap lines from anywhere in the file', () => {
+    const text =
+      'Sitemap: https://example.com/sitemap-posts.xml\nUser-agent: *\nSitemap: https://example.com/sitemap-pages.xml\nDisallow: /tmp/\nSitemap: /relative.xml\n';
+    const rules = parseRobotsTxt(text);
+    assert.deepEqual(rules.sitemaps, [
+      'https://example.com/sitemap-posts.xml',
+      'https://example.com/sitemap-pages.xml',
+    ]);
+    assert.equal(rules.isAllowed('https://example.com/tmp/x'), false);
+  });
+
+  it('treats an empty Disallow as allowing everything', () => {
+    const rules = parseRobotsTxt('User-agent: *\nDisallow:\n');
+    assert.equal(rules.isAllowed('https://example.com/anything'), true);
+  });
+});
+
+describe('RobotsRules', () => {
+  it('lets Allow win a tie and always allows /robots.txt', () => {
+    const rules = new RobotsRules([
+      { allow: false, pattern: '/docs' },
+      { allow: true, pattern: '/docs' },
+    ]);
+    assert.equal(rules.isAllowed('https://example.com/docs/a'), true);
+
+    const none = new RobotsRules([], { disallowAll: true, source: 'unreachable' });
+    assert.equal(none.isAllowed('https://example.com/'), false);
+  });
+});
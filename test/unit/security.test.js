@@ -1,6 +1,9 @@
-import { describe, it, beforeEach } from 'node:test';
+import { describe, it, beforeEach, before, after } from 'node:test';
 import assert from 'node:assert';
-import { validateURL, SSRFError } from '../../src/security.js';
+import { chmodSync, mkdirSync, mkdtempSync, rmSync, statSync, symlinkSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { validateURL, SSRFError, validateUploadPath, UploadPathError, ensurePrivateDir } from '../../src/security.js';
 
 describe('Security - URL Validation', () => {
   describe('Basic URL validation', () => {
@@ -248,3 +251,78 @@ describe('Security - URL Validation', () => {
     });
   });
 });
+
+describe('Security - Upload paths', () => {
+  let dir;
+  let uploadDir;
+
+  before(() => {
+    dir = mkdtempSync(join(tmpdir(), 'lean-browser-upload-'));
+    uploadDir = join(dir, 'uploads');
+    mkdirSync(join(uploadDir, 'docs'), { recursive: true });
+    writeFileSync(join(uploadDir, 'docs', 'cv.pdf'), 'pdf');
+    writeFileSync(join(dir, 'secret.txt'), 'secret');
+    symlinkSync(join(dir, 'secret.txt'), join(uploadDir, 'link.txt'));
+  });
+
+  after(() => rmSync(dir, { recursive: true, force: true }));
+
+  const rejects = (path, reason, options = { uploadDir }) =>
+    assert.throws(
+      () => validateUploadPath(path, options),
+      (err) => err instanceof UploadPathError && err.reason === reason,
+    );
+
+  it('resolves files inside the upload directory', () => {
+    assert.strictEqual(validateUploadPath('docs/cv.pdf', { uploadDir }), join(uploadDir, 'docs', 'cv.pdf'));
+    assert.strictEqual(
+      validateUploadPath(join(uploadDir, 'docs/cv.pdf'), { uploadDir }),
+      join(uploadDir, 'docs', 'cv.pdf'),
+    );
+  });
+
+  it('rejects paths that leave the upload directory', () => {
+    rejects('../secret.txt', 'outside_upload_dir');
+    rejects(join(dir, 'secret.txt'), 'outside_upload_dir');
+    rejects('link.txt', 'outside_upload_dir');
+  });
+
+  it('rejects missing files and directories', () => {
+    rejects('missing.pdf', 'not_found');
+    rejects('docs', 'not_a_file');
+  });
+
+  it('is disabled without an upload directory', () => {
+    rejects('docs/cv.pdf', 'uploads_disabled', { uploadDir: '' });
+  });
+});
+
+describe('ensurePrivateDir', () => {
+  let root;
+  before(() => {
+    root = mkdtempSync(join(tmpdir(), 'lean-private-'));
+  });
+  after(() => rmSync(root, { recursive: true, force: true }));
+
+  it('creates the directory for the current user only', () => {
+    const dir = join(root, 'new', 'sessions');
+    ensurePrivateDir(dir);
+    assert.strictEqual(statSync(dir).mode & 0o777, 0o700);
+  });
+
+  it('closes up an existing directory others can read', () => {
+    const dir = join(root, 'open');
+    mkdirSync(dir);
+    chmodSync(dir, 0o755);
+    ensurePrivateDir(dir);
+    assert.strictEqual(statSync(dir).mode & 0o777, 0o700);
+  });
+
+  it('refuses a symlink in place of the directory', () => {
+    const target = join(root, 'elsewhere');
+    mkdirSync(target);
+    const link = join(root, 'link');
+    symlinkSync(target, link);
+    assert.throws(() => ensurePrivateDir(link), /is not a directory/);
+  });
+});
@@ -0,0 +1,122 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync, mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { startSessionDaemon } from '../../src/session-daemon.js';
+import { daemonStatus, sendSessionCommand, stopDaemon, DaemonNotRunningError } from '../../src/session-client.js';
+import { BrowserError, ErrorCodes } from '../../src/errors.js';
+
+describe('session daemon', () => {
+  let dir;
+  let socketPath;
+  const calls = [];
+  let shutdowns = 0;
+
+  async function runCommand(subcommand, opts) {
+    calls.push([subcommand, opts]);
+    if (subcommand === 'exec') {
+      throw new BrowserError('Navigation timed out', { code: ErrorCodes.E_TIMEOUT, suggestion: 'Raise --timeout' });
+    }
+    if (subcommand === 'close') throw new Error(`Session "${opts.session}" not found or expired`);
+    return { sessionId: 'abcd1234', url: opts.url };
+  }
+
+  function start(options = {}) {
+    return startSessionDaemon({
+      socketPath,
+      runCommand,
+      countSessions: () => 0,
+      shutdown: async () => shutdowns++,
+      ...options,
+    });
+  }
+
+  before(() => {
+    dir = mkdtempSync(join(tmpdir(), 'lean-browser-daemon-'));
+    socketPath = join(dir, 'daemon.sock');
+  });
+
+  after(() => rmSync(dir, { recursive: true, force: true }));
+
+  it('reports not running when nothing listens', async () => {
+    assert.deepEqual(await daemonStatus({ socketPath }), { running: false, socket: socketPath });
+    await assert.rejects(
+      sendSessionCommand('list', {}, { socketPath, autoStart: false }),
+      (err) => err instanceof DaemonNotRunningError,
+    );
+  });
+
+  it('runs subcommands and reports status', async () => {
+    const daemon = await start();
+    try {
+      const result = await sendSessionCommand('start', { url: 'https://example.com' }, { socketPath });
+      assert.deepEqual(result, { sessionId: 'abcd1234', url: 'https://example.com' });
+      assert.deepEqual(calls.at(-1), ['start', { url: 'https://example.com' }]);
+
+      const status = await daemonStatus({ socketPath });
+      assert.equal(status.running, true);
+      assert.equal(status.pid, process.pid);
+      assert.equal(status.sessions, 0);
+    } finally {
+      await daemon.stop();
+    }
+  });
+
+  it('passes errors back with their name, code and suggestion', async () => {
+    const daemon = await start();
+    try {
+      await assert.rejects(sendSessionCommand('exec', { session: 'abcd1234' }, { socketPath }), (err) => {
+        assert.ok(err instanceof BrowserError);
+        assert.equal(err.code, ErrorCodes.E_TIMEOUT);
+        assert.equal(err.suggestion, 'Raise --timeout');
+        return true;
+      });
+      await assert.rejects(sendSessionCommand('close', { session: 'gone' }, { socketPath }), /"gone" not found/);
+    } finally {
+      await daemon.stop();
+    }
+  });
+
+  it('rejects unknown subcommands without contacting the daemon', async () => {
+    await assert.rejects(sendSessionCommand('frobnicate', {}, { socketPath, autoStart: false }), /Unknown session/);
+  });
+
+  it('closes sessions and exits on stop', async () => {
+    const daemon = await start();
+    const before = shutdowns;
+
+    const result = await stopDaemon({ socketPath });
+    await daemon.stopped;
+
+    assert.equal(result.stopped, true);
+    assert.equal(shutdowns, before + 1);
+    assert.equal((await daemonStatus({ socketPath })).running, false);
+  });
+
+  it('replaces a stale socket file', async () => {
+    writeFileSync(socketPath, '');
+    const daemon = await start();
+    try {
+      assert.equal((await daemonStatus({ socketPath })).running, true);
+    } finally {
+      await daemon.stop();
+    }
+    assert.equal(existsSync(socketPath), false);
+  });
+
+  it('refuses to start twice on the same socket', async () => {
+    const daemon = await start();
+    try {
+      await assert.rejects(start(), /already listening/);
+    } finally {
+      await daemon.stop();
+    }
+  });
+
+  it('stops itself when idle', async () => {
+    const daemon = await start({ idleMs: 50 });
+    await daemon.stopped;
+    assert.equal((await daemonStatus({ socketPath })).running, false);
+  });
+});
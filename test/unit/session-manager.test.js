@@ -1,6 +1,15 @@
 import { describe, it, afterEach } from 'node:test';
 import assert from 'node:assert/strict';
-import { createSession, getSession, closeSession, listSessions } from '../../src/session-manager.js';
+import { chmodSync, existsSync, mkdtempSync, rmSync, statSync, writeFileSync } from 'node:fs';
+import { basename, join } from 'node:path';
+import {
+  createSession,
+  getSession,
+  closeSession,
+  listSessions,
+  resumeSession,
+  SESSION_DIR,
+} from '../../src/session-manager.js';
 
 describe('session-manager', () => {
   let activeSessionIds = [];
@@ -87,6 +96,17 @@ describe('session-manager', () => {
 
       assert.ok(secondActivity >= firstActivity);
     });
+
+    it('tightens a state file that was left readable by others', { timeout: 60000 }, async () => {
+      const created = await createSession('https://example.com', { headless: true });
+      activeSessionIds.push(created.sessionId);
+      const file = join(SESSION_DIR, `${created.sessionId}.json`);
+      chmodSync(file, 0o644);
+
+      getSession(created.sessionId);
+
+      assert.equal(statSync(file).mode & 0o777, 0o600);
+    });
   });
 
   describe('closeSession', () => {
@@ -153,4 +173,66 @@ describe('session-manager', () => {
       assert.ok(session.lastActivity);
     });
   });
+
+  describe('resumeSession', () => {
+    function writeSavedSession(id) {
+      const file = join(SESSION_DIR, `${id}.json`);
+      writeFileSync(
+        file,
+        JSON.stringify({
+          id,
+          url: 'https://example.com',
+          finalUrl: 'https://example.com/',
+          createdAt: Date.now(),
+          lastActivity: Date.now(),
+          launchOptions: { headless: true },
+          storageState: { cookies: [], origins: [], sessionStorage: {} },
+        }),
+      );
+      return file;
+    }
+
+    it('rejects an id without saved state', async () => {
+      await assert.rejects(resumeSession('nosuchid'), /No saved state for session "nosuchid"/);
+    });
+
+    it('points at resume when a session only exists on disk', async () => {
+      const file = writeSavedSession('5a7ed001');
+      try {
+        assert.throws(() => getSession('5a7ed001'), /saved state can be restored with session resume/);
+      } finally {
+        await closeSession('5a7ed001');
+      }
+      assert.equal(existsSync(file), false);
+    });
+
+    it('never touches files outside the session directory', async () => {
+      const victimDir = mkdtempSync(join(SESSION_DIR, '..', 'lean-victim-'));
+      const victim = join(victimDir, 'important.json');
+      writeFileSync(victim, JSON.stringify({ id: 'x', url: 'https://example.com', launchOptions: {} }));
+      const id = join('..', basename(victimDir), 'important');
+      try {
+        assert.throws(
+          () => getSession(id),
+          (err) => !/saved state/.test(err.message),
+        );
+        await assert.rejects(resumeSession(id), /No saved state/);
+        await closeSession(id);
+        assert.equal(existsSync(victim), true);
+      } finally {
+        rmSync(victimDir, { recursive: true, force: true });
+      }
+    });
+
+    it('restores a saved session under the same id', { timeout: 60000 }, async () => {
+      writeSavedSession('5a7ed002');
+      activeSessionIds.push('5a7ed002');
+
+      const result = await resumeSession('5a7ed002');
+
+      assert.equal(result.sessionId, '5a7ed002');
+      assert.equal(result.resumed, true);
+      assert.ok(getSession('5a7ed002').page);
+    });
+  });
 });
@@ -0,0 +1,118 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { diffSnapshots, snapshotState } from '../../src/snapshot-diff.js';
+import { ElementRegistry } from '../../src/element-registry.js';
+import { captureSnapshot } from '../../src/snapshot.js';
+import { buildDom, extractInteractiveElements } from '../../src/extractor.js';
+
+function scan(html) {
+  return extractInteractiveElements(buildDom(`<html><body>${html}</body></html>`, 'https://example.com/'));
+}
+
+describe('diffSnapshots', () => {
+  const before = snapshotState({
+    url: 'https://example.com/cart',
+    title: 'Cart',
+    elements: [
+      { id: 'e1', tag: 'button', label: 'Checkout' },
+      { id: 'e2', tag: 'input', type: 'checkbox', label: 'Gift wrap', state: { checked: false } },
+      { id: 'e3', tag: 'button', label: 'Remove' },
+    ],
+    article: { content: '<h1>Your cart</h1><p>One item</p>' },
+  });
+
+  it('reports added, removed and changed elements of registry-assigned ids', () => {
+    const registry = new ElementRegistry();
+    const state = (html) =>
+      snapshotState({
+        url: 'https://example.com/cart',
+        title: 'Cart',
+        elements: registry.assign(scan(html)),
+        article: { content: '<h1>Your cart</h1><p>One item</p>' },
+      });
+
+    const first = state(
+      '<button>Checkout</button><input type="checkbox" aria-label="Gift wrap"><button>Remove</button>',
+    );
+    const second = state(
+      '<button>Checkout (1)</button><input type="checkbox" aria-label="Gift wrap" checked><a href="/undo">Undo</a>',
+    );
+    const diff = diffSnapshots(first, second);
+
+    assert.deepEqual(
+      diff.added.map((e) => [e.id, e.label]),
+      [['e4', 'Undo']],
+    );
+    assert.deepEqual(diff.removed, [{ id: 'e3', description: 'button "Remove"' }]);
+    assert.deepEqual(diff.changed, [
+      { id: 'e1', description: 'button "Checkout (1)"', label: { from: 'Checkout', to: 'Checkout (1)' } },
+      { id: 'e2', description: 'input "Gift wrap"', checked: { from: false, to: true } },
+    ]);
+    assert.equal(diff.url, null);
+    assert.deepEqual(diff.newText, []);
+  });
+
+  it('reports navigation, title change and new passages', () => {
+    const after = snapshotState({
+      url: 'https://example.com/checkout',
+      title: 'Checkout',
+      elements: before.elements.map((e) => e.element),
+      article: { content: '<h1>Your cart</h1><ul><li><p>Shipping address required</p></li></ul>' },
+    });
+    const diff = diffSnapshots(before, after);
+
+    assert.deepEqual(diff.url, { from: 'https://example.com/cart', to: 'https://example.com/checkout' });
+    assert.deepEqual(diff.title, { from: 'Cart', to: 'Checkout' });
+    assert.deepEqual(diff.newText, ['Shipping address required']);
+    assert.equal(diff.changed.length, 0);
+  });
+
+  it('reads state from a11y element fields', () => {
+    const a = snapshotState({ url: 'u', elements: [{ id: 'a1', role: 'button', name: 'Menu', expanded: false }] });
+    const b = snapshotState({ url: 'u', elements: [{ id: 'a1', role: 'button', name: 'Menu', expanded: true }] });
+    assert.deepEqual(diffSnapshots(a, b).changed, [
+      { id: 'a1', description: 'button "Menu"', expanded: { from: false, to: true } },
+    ]);
+  });
+});
+
+describe('captureSnapshot diff mode', () => {
+  function mockPage(html) {
+    const page = {
+      html,
+      content: async () => `<html><body>${page.html}</body></html>`,
+      url: () => 'https://example.com/',
+      title: async () => 'Test',
+    };
+    return page;
+  }
+
+  it('falls back to a full snapshot without a previous state', async () => {
+    const result = await captureSnapshot(mockPage('<button>Save</button>'), { mode: 'diff' });
+    const parsed = JSON.parse(result.text);
+    assert.equal(parsed.diff, undefined);
+    assert.equal(parsed.elements.length, 1);
+    assert.equal(result.state.elements[0].id, 'e1');
+  });
+
+  it('returns only the changes since the previous snapshot', async () => {
+    const registry = new ElementRegistry();
+    const page = mockPage('<p>Draft saved never.</p><button>Save</button>');
+    const first = await captureSnapshot(page, { mode: 'interactive', registry });
+
+    page.html = '<p>Draft saved never.</p><p>Saved just now.</p><button disabled>Save</button><button>Undo</button>';
+    const full = await captureSnapshot(page, { mode: 'interactive' });
+    const result = await captureSnapshot(page, { mode: 'diff', registry, previous: first.state, maxTokens: 400 });
+    const parsed = JSON.parse(result.text);
+
+    assert.equal(parsed.diff, true);
+    assert.deepEqual(
+      parsed.added.map((e) => [e.id, e.label]),
+      [['e2', 'Undo']],
+    );
+    assert.deepEqual(parsed.changed, [{ id: 'e1', description: 'button "Save"', disabled: { from: null, to: true } }]);
+    assert.deepEqual(parsed.removed, []);
+    assert.equal(parsed.text, 'Saved just now.');
+    assert.ok(result.tokens < full.tokens);
+  });
+});
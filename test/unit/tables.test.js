@@ -0,0 +1,88 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+import { parseTable, isDataTable } from '../../src/tables.js';
+
+function tableFrom(html) {
+  return JSDOM.fragment(html).querySelector('table');
+}
+
+describe('parseTable', () => {
+  it('extracts headers from thead and rows from tbody', () => {
+    const table = tableFrom(
+      '<table><thead><tr><th>Plan</th><th>Price</th></tr></thead><tbody><tr><td>Free</td><td>$0</td></tr><tr><td>Pro</td><td>$10</td></tr></tbody></table>',
+    );
+    assert.deepEqual(parseTable(table), {
+      type: 'table',
+      caption: null,
+      headers: ['Plan', 'Price'],
+      rows: [
+        ['Free', '$0'],
+        ['Pro', '$10'],
+      ],
+    });
+  });
+
+  it('treats a leading row of th cells as headers', () => {
+    const table = tableFrom('<table><tr><th>A</th><th>B</th></tr><tr><td>1</td><td>2</td></tr></table>');
+    const parsed = parseTable(table);
+    assert.deepEqual(parsed.headers, ['A', 'B']);
+    assert.deepEqual(parsed.rows, [['1', '2']]);
+  });
+
+  it('includes the caption', () => {
+    const table = tableFrom('<table><caption> Pricing  plans </caption><tr><td>1</td><td>2</td></tr></table>');
+    assert.equal(parseTable(table).caption, 'Pricing plans');
+  });
+
+  it('expands colspan and rowspan', () => {
+    const table = tableFrom(
+      '<table><tr><td rowspan="2">Left</td><td colspan="2">Wide</td></tr><tr><td>a</td><td>b</td></tr></table>',
+    );
+    assert.deepEqual(parseTable(table).rows, [
+      ['Left', 'Wide', 'Wide'],
+      ['Left', 'a', 'b'],
+    ]);
+  });
+
+  it('merges multi-row grouped headers', () => {
+    const table = tableFrom(
+      '<table><thead><tr><th rowspan="2">Plan</th><th colspan="2">Limits</th></tr><tr><th>Users</th><th>Storage</th></tr></thead><tbody><tr><td>Pro</td><td>5</td><td>1 TB</td></tr></tbody></table>',
+    );
+    assert.deepEqual(parseTable(table).headers, ['Plan', 'Limits / Users', 'Limits / Storage']);
+  });
+
+  it('keeps row headers as the first cell of key-value tables', () => {
+    const table = tableFrom(
+      '<table><tr><th scope="row">Born</th><td>1912</td></tr><tr><th scope="row">Died</th><td>1954</td></tr></table>',
+    );
+    const parsed = parseTable(table);
+    assert.deepEqual(parsed.headers, []);
+    assert.deepEqual(parsed.rows, [
+      ['Born', '1912'],
+      ['Died', '1954'],
+    ]);
+  });
+
+  it('ignores rows of nested tables', () => {
+    const table = tableFrom(
+      '<table><tr><td>outer</td><td><table><tr><td>inner</td></tr></table></td></tr><tr><td>x</td><td>y</td></tr></table>',
+    );
+    assert.equal(parseTable(table).rows.length, 2);
+  });
+
+  it('returns null for empty tables', () => {
+    assert.equal(parseTable(tableFrom('<table><tr><td> </td></tr></table>')), null);
+  });
+});
+
+describe('isDataTable', () => {
+  it('accepts tables with header cells', () => {
+    assert.equal(isDataTable(tableFrom('<table><tr><th>A</th></tr><tr><td>1</td></tr></table>')), true);
+  });
+
+  it('rejects presentation and single-cell layout tables', () => {
+    assert.equal(isDataTable(tableFrom('<table role="presentation"><tr><th>A</th></tr></table>')), false);
+    assert.equal(isDataTable(tableFrom('<table><tr><td>layout</td></tr></table>')), false);
+  });
+});
@@ -1,6 +1,13 @@
 import { describe, it } from 'node:test';
 import assert from 'node:assert/strict';
-import { normalizeWhitespace, toParagraphs, isProbablyNoiseClass, safeTruncate } from '../../src/utils.js';
+import { JSDOM } from 'jsdom';
+import {
+  normalizeWhitespace,
+  toParagraphs,
+  isProbablyNoiseClass,
+  safeTruncate,
+  buildLocators,
+} from '../../src/utils.js';
 
 describe('normalizeWhitespace', () => {
   it('collapses multiple spaces', () => {
@@ -86,3 +93,74 @@ describe('safeTruncate', () => {
     assert.equal(safeTruncate('hello', 0), '');
   });
 });
+
+describe('buildLocators', () => {
+  function locatorsFor(html, selector, options) {
+    const { document } = new JSDOM(`<html><body>${html}</body></html>`).window;
+    return buildLocators(document.querySelector(selector), options);
+  }
+
+  it('writes label locators as XPath that finds the labelled control', () => {
+    const html =
+      '<label>Email <input name="email"></label>' +
+      '<label for="q">Say "hi", it\'s free</label><input id="q">' +
+      '<span id="n">Name</span><textarea aria-labelledby="n"></textarea>';
+    const { document } = new JSDOM(`<html><body>${html}</body></html>`).window;
+    const cases = [
+      ['input[name=email]', null],
+      ['#q', 'Say "hi", it\'s free'],
+      ['textarea', 'Name'],
+    ];
+    for (const [selector, label] of cases) {
+      const el = document.querySelector(selector);
+      const { selector: xpath } = buildLocators(el, { label }).find((l) => l.strategy === 'label');
+      const found = document.evaluate(xpath.slice('xpath='.length), document, null, 7, null);
+      assert.equal(found.snapshotLength, 1, xpath);
+      assert.equal(found.snapshotItem(0), el);
+    }
+  });
+
+  it('orders candidates from most to least robust', () => {
+    const locators = locatorsFor('<form><button id="pay" data-testid="pay-button">Pay now</button></form>', 'button');
+    assert.deepEqual(
+      locators.map((l) => l.strategy),
+      // The CSS path of an element with an id is the id itself, so it is not repeated.
+      ['testid', 'id', 'role', 'text'],
+    );
+    assert.equal(locators[0].selector, '[data-testid="pay-button"]');
+    assert.equal(locators[1].selector, '#pay');
+    assert.equal(locators[2].selector, 'role=button[name="Pay now" s]');
+    assert.equal(locators[3].selector, 'text="Pay now"');
+  });
+
+  it('uses the label for form controls', () => {
+    const locators = locatorsFor('<label>Email <input name="email"></label>', 'input', { label: null });
+    const byStrategy = Object.fromEntries(locators.map((l) => [l.strategy, l.selector]));
+    assert.equal(
+      byStrategy.label,
+      'xpath=//input[ancestor::label[normalize-space()="Email"] or @id=//label[normalize-space()="Email"]/@for' +
+        ' or @aria-labelledby=//*[normalize-space()="Email"]/@id]',
+    );
+
+    const explicit = locatorsFor('<label for="q">Search</label><input id="q" type="search">', 'input', {
+      label: 'Search',
+    });
+    assert.ok(explicit.some((l) => l.selector === 'role=searchbox[name="Search" s]'));
+  });
+
+  it('skips ids that are duplicated or look generated', () => {
+    const duplicated = locatorsFor('<button id="x">A</button><button id="x">B</button>', 'button');
+    assert.ok(!duplicated.some((l) => l.strategy === 'id'));
+
+    const generated = locatorsFor('<button id=":r1:">A</button>', 'button');
+    assert.ok(!generated.some((l) => l.strategy === 'id'));
+  });
+
+  it('always ends with the CSS path', () => {
+    const locators = locatorsFor('<div><span onclick="go()"></span></div>', 'span');
+    assert.deepEqual(
+      locators.map((l) => l.strategy),
+      ['css'],
+    );
+  });
+});